@@ -1,14 +1,44 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './components/ui/card';
 import { Button } from './components/ui/button';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './components/ui/tabs';
 import { Alert, AlertDescription, AlertTitle } from './components/ui/alert';
-import { UploadCloud, BarChart3, TrendingUp, Calendar, Info, ArrowLeft, Trash2 } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './components/ui/select';
+import { UploadCloud, BarChart3, TrendingUp, Calendar, Info, ArrowLeft, Trash2, Users, Zap } from 'lucide-react';
 import TimeseriesUploader from './components/TimeseriesUploader';
 import AccountTimeseriesView from './components/AccountTimeseriesView';
 import MonthlyComparisonView from './components/MonthlyComparisonView';
 import TrendAnalysisView from './components/TrendAnalysisView';
-import { getAllPeriods, getPeriodData, clearAllData } from './utils/timeseries_storage';
+import PeriodConflictDialog from './components/PeriodConflictDialog';
+import AccountIdentityManager from './components/AccountIdentityManager';
+import AnomalyListView from './components/AnomalyListView';
+import { DatasetProvider } from './context/DatasetContext';
+import {
+  getAllPeriods,
+  getPeriodData,
+  clearAllData,
+  createStorageObject,
+  saveStorageObjectsBatch,
+  reassignMonthlyData,
+  getFiscalYearStart,
+  saveFiscalYearStart
+} from './utils/timeseries_storage';
+import { convertPeriodsToMonthlyData, createDatasetFromPeriods } from './core/csv_processor';
+import { findPeriodConflicts, resolvePeriodConflict } from './core/period_conflicts';
+import { applyAccountReassignment } from './core/account_identity';
+import { SOURCES_FIELD, COMPLETED_STATUS } from './core/timeseries_models';
+import { METRIC_DEFINITIONS } from './utils/metric_categorizer';
+import { scanPortfolioAnomalies, ANOMALY_SEVERITIES } from './services/anomaly_detection';
+import {
+  PERIOD_GRANULARITIES,
+  MONTH_NAMES,
+  getPeriodKey,
+  getGranularityLabel,
+  isFiscalGranularity,
+  formatPeriodLabel
+} from './core/period_granularity';
+import { getAvailableGranularities } from './core/period_rollup';
+import { createPeriodFilename } from './core/period_extractor';
 
 function App() {
   const [hasData, setHasData] = useState(false);
@@ -17,6 +47,35 @@ function App() {
   const [uploadedPeriods, setUploadedPeriods] = useState([]);
   const [loadingExistingData, setLoadingExistingData] = useState(true);
   const [clearingData, setClearingData] = useState(false);
+  const [pendingConflicts, setPendingConflicts] = useState(null);
+  const [savingConflicts, setSavingConflicts] = useState(false);
+  const [granularity, setGranularity] = useState(PERIOD_GRANULARITIES.MONTH);
+  const [fiscalYearStart, setFiscalYearStart] = useState(() => getFiscalYearStart());
+
+  // Upplösningar som uppladdningarna kan visas i - vecko- och dagsdata kan rullas upp till månader
+  // och månader till kvartal, halvår och år
+  const availableGranularities = useMemo(() => getAvailableGranularities(uploadedPeriods), [uploadedPeriods]);
+  const activeGranularity = availableGranularities.includes(granularity) ? granularity : PERIOD_GRANULARITIES.MONTH;
+
+  // Gemensamt dataset för alla vyer, byggs om endast när uppladdningarna eller upplösningen ändras
+  const dataset = useMemo(
+    () => createDatasetFromPeriods(uploadedPeriods, { granularity: activeGranularity, fiscalYearStart }),
+    [uploadedPeriods, activeGranularity, fiscalYearStart]
+  );
+  const datasetStats = useMemo(() => dataset.getStats(), [dataset]);
+
+  // Alla konton genomsöks efter avvikelser varje gång datasetet byggs om, t.ex. efter en uppladdning
+  const anomalies = useMemo(() => scanPortfolioAnomalies(dataset), [dataset]);
+  const highSeverityAnomalies = anomalies.filter(anomaly => anomaly.severity === ANOMALY_SEVERITIES.HIGH).length;
+
+  // Räkenskapsårets startmånad sparas i inställningarna
+  const handleFiscalYearStartChange = (value) => {
+    try {
+      setFiscalYearStart(saveFiscalYearStart(value));
+    } catch (error) {
+      console.error('Kunde inte spara räkenskapsårets start:', error);
+    }
+  };
 
   // Ladda befintlig data vid app-start
   useEffect(() => {
@@ -35,26 +94,28 @@ function App() {
         // Konvertera storage-format till uploadedPeriods-format
         const periodsWithData = await Promise.all(
           periods.map(async (period) => {
-            const storageData = await getPeriodData(period.year, period.month);
+            const storageData = await getPeriodData(period);
             
             // Konvertera från storage-format till CSV-format som komponenterna förväntar
             const csvFormatData = storageData.map(storageItem => ({
-              "Account": storageItem.pageName,
-              "Account ID": storageItem.pageId,
-              "Reach": storageItem.metrics.reach || 0,
-              "Engaged Users": storageItem.metrics.engagedUsers || 0,
-              "Engagements": storageItem.metrics.engagements || 0,
-              "Reactions": storageItem.metrics.reactions || 0,
-              "Publications": storageItem.metrics.publications || 0,
-              "Status": storageItem.metrics.status || 0,
-              "Comment": storageItem.metrics.comment || 0
+              "Account": storageItem.username,
+              "Account Name": storageItem.displayName,
+              "IG ID": storageItem.accountId,
+              ...Object.fromEntries(
+                Object.entries(METRIC_DEFINITIONS).map(([key, definition]) => [
+                  definition.csvColumn,
+                  storageItem.metrics?.[key] ?? ''
+                ])
+              ),
+              "Status": storageItem.status || COMPLETED_STATUS,
+              "Comment": storageItem.comment || '',
+              [SOURCES_FIELD]: storageItem.sources || {}
             }));
             
             return {
-              year: period.year,
-              month: period.month,
+              ...period,
               data: csvFormatData,
-              filename: `IG_${period.year}_${String(period.month).padStart(2, '0')}.csv`
+              filename: createPeriodFilename(period)
             };
           })
         );
@@ -73,30 +134,98 @@ function App() {
     }
   };
 
+  // Sparar nya och konfliktlösta perioder i en transaktion och uppdaterar state
+  const savePeriods = async (periodsToAdd, resolvedPeriods = []) => {
+    const periodsToSave = [...periodsToAdd, ...resolvedPeriods];
+
+    if (periodsToSave.length > 0) {
+      try {
+        // Vid fel sparas ingenting - lagrade poster för lösta perioder skrivs över per konto
+        // Nya perioder har redan konverterats i import-workern, lösta konflikter konverteras här
+        const storageObjects = periodsToSave.flatMap(period => period.records
+          || convertPeriodsToMonthlyData([period]).map(createStorageObject));
+        const saveResult = await saveStorageObjectsBatch(storageObjects);
+        console.log(`✅ Sparade ${saveResult.saved} poster i IndexedDB`);
+      } catch (error) {
+        console.error('❌ Fel vid sparande av uppladdad data:', error);
+        alert(`Kunde inte spara uppladdad data: ${error.message}`);
+        return false;
+      }
+    }
+
+    const mergedPeriods = [
+      ...uploadedPeriods.map(existing =>
+        resolvedPeriods.find(resolved => getPeriodKey(resolved) === getPeriodKey(existing)) || existing
+      ),
+      // Lagringsposterna behövs inte efter att de sparats
+      ...periodsToAdd.map(({ records, ...period }) => period)
+    ];
+    console.log('Merged periods:', mergedPeriods);
+    setUploadedPeriods(mergedPeriods);
+    setHasData(true);
+    setShowUploader(false);
+    setActiveTab('monthly');
+    return true;
+  };
+
   // Handler för när data har laddats upp framgångsrikt
   const handleDataUploaded = async (periodsArray) => {
     console.log('Data uploaded successfully:', periodsArray);
     
-    const newPeriods = Array.isArray(periodsArray) ? periodsArray : [];
+    const incomingPeriods = Array.isArray(periodsArray) ? periodsArray : [];
+    
+    // Perioder som redan finns jämförs mot lagrad data i stället för att hoppas över
+    const { newPeriods, conflicts } = findPeriodConflicts(uploadedPeriods, incomingPeriods);
+    const changedConflicts = conflicts.filter(conflict => conflict.hasChanges);
     
-    // Merge med befintliga uploadedPeriods, undvik dubbletter
-    const mergedPeriods = [...uploadedPeriods];
-    newPeriods.forEach(newPeriod => {
-      const exists = mergedPeriods.some(existing => 
-        existing.year === newPeriod.year && existing.month === newPeriod.month
+    conflicts
+      .filter(conflict => !conflict.hasChanges)
+      .forEach(conflict => console.log(`Period ${formatPeriodLabel(conflict)} är oförändrad, hoppar över`));
+    
+    if (changedConflicts.length > 0) {
+      setPendingConflicts({ conflicts: changedConflicts, newPeriods });
+      return;
+    }
+    
+    await savePeriods(newPeriods);
+  };
+
+  // Handler för när användaren har valt behåll/ersätt/slå ihop per konto
+  const handleConflictsResolved = async (resolutions) => {
+    if (!pendingConflicts) return;
+
+    try {
+      setSavingConflicts(true);
+      const resolvedPeriods = pendingConflicts.conflicts.map(conflict =>
+        resolvePeriodConflict(conflict, resolutions[getPeriodKey(conflict)])
       );
-      if (!exists) {
-        mergedPeriods.push(newPeriod);
-      } else {
-        console.log(`Period ${newPeriod.year}-${newPeriod.month} finns redan, hoppar över dubblett`);
+      const saved = await savePeriods(pendingConflicts.newPeriods, resolvedPeriods);
+      if (saved) {
+        setPendingConflicts(null);
       }
-    });
-    
-    console.log('Merged periods:', mergedPeriods);
-    setUploadedPeriods(mergedPeriods);
-    setHasData(true);
-    setShowUploader(false);
-    setActiveTab('monthly');
+    } finally {
+      setSavingConflicts(false);
+    }
+  };
+
+  // Avbryt konfliktlösningen - ingenting från uppladdningen sparas
+  const handleConflictsCancelled = () => {
+    setPendingConflicts(null);
+  };
+
+  // Handler för sammanslagning/uppdelning av konton - lagringen uppdateras först
+  const handleAccountReassign = async (moves) => {
+    try {
+      const result = await reassignMonthlyData(moves);
+      console.log(`✅ Flyttade ${result.moved} poster mellan konton`);
+    } catch (error) {
+      console.error('❌ Fel vid flytt av kontodata:', error);
+      alert(`Kunde inte flytta kontodata: ${error.message}`);
+      return false;
+    }
+
+    setUploadedPeriods(prev => applyAccountReassignment(prev, moves));
+    return true;
   };
 
   // Handler för att rensa all data
@@ -127,6 +256,7 @@ function App() {
 
   // Handler för att avbryta upload och gå tillbaka
   const handleCancelUpload = () => {
+    setPendingConflicts(null);
     setShowUploader(false);
   };
 
@@ -163,10 +293,20 @@ function App() {
         </header>
 
         <main className="container py-6">
-          <TimeseriesUploader 
-            onDataUploaded={handleDataUploaded}
-            onCancel={handleCancelUpload}
-          />
+          {pendingConflicts ? (
+            <PeriodConflictDialog
+              conflicts={pendingConflicts.conflicts}
+              saving={savingConflicts}
+              onResolve={handleConflictsResolved}
+              onCancel={handleConflictsCancelled}
+            />
+          ) : (
+            <TimeseriesUploader 
+              onDataUploaded={handleDataUploaded}
+              knownAccounts={dataset.getAllAccounts()}
+              onCancel={handleCancelUpload}
+            />
+          )}
         </main>
       </div>
     );
@@ -239,6 +379,34 @@ function App() {
                   </p>
                 </div>
                 <div className="flex gap-2">
+                  {availableGranularities.length > 1 && (
+                    <Select value={activeGranularity} onValueChange={setGranularity}>
+                      <SelectTrigger className="w-40" aria-label="Upplösning">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {availableGranularities.map(value => (
+                          <SelectItem key={value} value={value}>
+                            Per {getGranularityLabel(value).toLowerCase()}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
+                  {isFiscalGranularity(activeGranularity) && (
+                    <Select value={String(fiscalYearStart)} onValueChange={handleFiscalYearStartChange}>
+                      <SelectTrigger className="w-56" aria-label="Räkenskapsårets start">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {MONTH_NAMES.map((name, index) => (
+                          <SelectItem key={name} value={String(index + 1)}>
+                            Räkenskapsår från {name.toLowerCase()}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
                   <Button variant="outline" onClick={() => setShowUploader(true)}>
                     <UploadCloud className="mr-2 h-4 w-4" />
                     Ladda upp mer data
@@ -264,7 +432,7 @@ function App() {
               </div>
 
               <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-4">
-                <TabsList className="grid w-full grid-cols-4">
+                <TabsList className="grid w-full grid-cols-6">
                   <TabsTrigger value="upload" className="flex items-center gap-2">
                     <Info className="h-4 w-4" />
                     Info
@@ -281,6 +449,14 @@ function App() {
                     <TrendingUp className="h-4 w-4" />
                     Trendanalys
                   </TabsTrigger>
+                  <TabsTrigger value="anomalies" className="flex items-center gap-2">
+                    <Zap className="h-4 w-4" />
+                    Avvikelser{anomalies.length > 0 ? ` (${anomalies.length})` : ''}
+                  </TabsTrigger>
+                  <TabsTrigger value="identities" className="flex items-center gap-2">
+                    <Users className="h-4 w-4" />
+                    Kontoidentiteter
+                  </TabsTrigger>
                 </TabsList>
 
                 <TabsContent value="upload" className="mt-6">
@@ -305,24 +481,49 @@ function App() {
                         <div className="text-center p-4 bg-blue-50 rounded-lg">
                           <Calendar className="w-8 h-8 mx-auto mb-2 text-blue-600" />
                           <div className="font-bold text-2xl text-blue-900">{uploadedPeriods.length}</div>
-                          <div className="text-sm text-blue-700">Månader data</div>
+                          <div className="text-sm text-blue-700">Uppladdade perioder</div>
                         </div>
                         <div className="text-center p-4 bg-green-50 rounded-lg">
                           <BarChart3 className="w-8 h-8 mx-auto mb-2 text-green-600" />
                           <div className="font-bold text-2xl text-green-900">
-                            {uploadedPeriods.reduce((total, period) => total + (period.data?.length || 0), 0)}
+                            {datasetStats.totalDataPoints}
                           </div>
                           <div className="text-sm text-green-700">Totalt dataposter</div>
+                          {datasetStats.flaggedDataPoints > 0 && (
+                            <div className="text-xs text-amber-700 mt-1">
+                              varav {datasetStats.flaggedDataPoints} flaggade (status ej COMPLETED)
+                            </div>
+                          )}
                         </div>
                         <div className="text-center p-4 bg-purple-50 rounded-lg">
                           <TrendingUp className="w-8 h-8 mx-auto mb-2 text-purple-600" />
                           <div className="font-bold text-2xl text-purple-900">
-                            {[...new Set(uploadedPeriods.flatMap(p => p.data?.map(d => d.Account || d.account) || []))].length}
+                            {datasetStats.totalAccounts}
                           </div>
                           <div className="text-sm text-purple-700">Unika Instagram-konton</div>
                         </div>
                       </div>
 
+                      {anomalies.length > 0 && (
+                        <Alert>
+                          <Zap className="h-4 w-4" />
+                          <AlertTitle>
+                            {anomalies.length} avvikande värden hittades
+                            {highSeverityAnomalies > 0 ? `, varav ${highSeverityAnomalies} med hög allvarlighet` : ''}
+                          </AlertTitle>
+                          <AlertDescription>
+                            Alla konton och metrics genomsöks efter varje uppladdning.{' '}
+                            <button
+                              type="button"
+                              className="underline font-medium"
+                              onClick={() => setActiveTab('anomalies')}
+                            >
+                              Visa avvikelser
+                            </button>
+                          </AlertDescription>
+                        </Alert>
+                      )}
+
                       <p className="text-sm text-muted-foreground">
                         Data sparas automatiskt i webbläsaren och kommer att finnas kvar när du laddar om sidan.
                       </p>
@@ -334,17 +535,32 @@ function App() {
                   </Card>
                 </TabsContent>
 
-                <TabsContent value="monthly" className="mt-6">
-                  <MonthlyComparisonView uploadedPeriods={uploadedPeriods} />
-                </TabsContent>
+                <DatasetProvider
+                  dataset={dataset}
+                  granularity={activeGranularity}
+                  fiscalYearStart={fiscalYearStart}
+                  anomalies={anomalies}
+                >
+                  <TabsContent value="monthly" className="mt-6">
+                    <MonthlyComparisonView />
+                  </TabsContent>
 
-                <TabsContent value="accounts" className="mt-6">
-                  <AccountTimeseriesView uploadedPeriods={uploadedPeriods} />
-                </TabsContent>
+                  <TabsContent value="accounts" className="mt-6">
+                    <AccountTimeseriesView />
+                  </TabsContent>
 
-                <TabsContent value="trends" className="mt-6">
-                  <TrendAnalysisView uploadedPeriods={uploadedPeriods} />
-                </TabsContent>
+                  <TabsContent value="trends" className="mt-6">
+                    <TrendAnalysisView />
+                  </TabsContent>
+
+                  <TabsContent value="anomalies" className="mt-6">
+                    <AnomalyListView />
+                  </TabsContent>
+
+                  <TabsContent value="identities" className="mt-6">
+                    <AccountIdentityManager periods={uploadedPeriods} onReassign={handleAccountReassign} />
+                  </TabsContent>
+                </DatasetProvider>
               </Tabs>
             </div>
           )}
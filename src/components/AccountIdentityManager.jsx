@@ -0,0 +1,284 @@
+import React, { useState, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Alert, AlertDescription } from './ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Users, History, GitMerge, AlertTriangle, CheckCircle2, Loader2 } from 'lucide-react';
+import { useDataset } from '../context/DatasetContext';
+import { planAccountReassignment } from '../core/account_identity';
+import { normalizeAccountId } from '../core/account_id';
+import { getPeriodKey, formatPeriodLabel } from '../core/period_granularity';
+
+// Värde i målkontolistan för ett nytt IG ID (SelectItem kan inte ha tomt värde)
+const NEW_ACCOUNT = '__new__';
+
+/**
+ * Namnhistorik per konto samt verktyg för att slå ihop och dela upp konton
+ * Används när samma sida exporterats under två identiteter - månadsraderna flyttas
+ * mellan IG ID:n och sparas om via onReassign
+ */
+function AccountIdentityManager({ periods, onReassign }) {
+  const { dataset, accounts } = useDataset();
+
+  const [mode, setMode] = useState('merge');
+  const [fromAccountId, setFromAccountId] = useState('');
+  const [toAccountId, setToAccountId] = useState('');
+  const [newAccountId, setNewAccountId] = useState('');
+  const [selectedPeriodKeys, setSelectedPeriodKeys] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // Konton som har bytt användarnamn eller visningsnamn
+  const renamedAccounts = useMemo(() => (
+    accounts
+      .map(account => dataset.getAccountTimeseries(account.accountId))
+      .filter(timeseries => timeseries && timeseries.hasIdentityChanges())
+  ), [dataset, accounts]);
+
+  const fromTimeseries = fromAccountId ? dataset.getAccountTimeseries(fromAccountId) : null;
+  const targetAccountId = toAccountId === NEW_ACCOUNT ? normalizeAccountId(newAccountId) : toAccountId;
+
+  // Flyttar och konflikter för nuvarande val
+  const plan = useMemo(() => {
+    if (!fromAccountId || !targetAccountId || fromAccountId === targetAccountId) return null;
+    if (mode === 'split' && selectedPeriodKeys.length === 0) return null;
+
+    return planAccountReassignment(periods, {
+      fromAccountId,
+      toAccountId: targetAccountId,
+      periodKeys: mode === 'split' ? selectedPeriodKeys : undefined
+    });
+  }, [periods, mode, fromAccountId, targetAccountId, selectedPeriodKeys]);
+
+  // Ett nytt IG ID måste vara ett heltal skrivet som text
+  const newAccountIdIssue = toAccountId === NEW_ACCOUNT && newAccountId.trim() !== '' && !/^\d+$/.test(targetAccountId)
+    ? 'IG ID får bara innehålla siffror'
+    : null;
+
+  const resetSelection = () => {
+    setToAccountId('');
+    setNewAccountId('');
+    setSelectedPeriodKeys([]);
+  };
+
+  const handleModeChange = (value) => {
+    setMode(value);
+    setResult(null);
+    resetSelection();
+  };
+
+  const handleFromChange = (value) => {
+    setFromAccountId(value);
+    setResult(null);
+    resetSelection();
+  };
+
+  const togglePeriod = (key) => {
+    setSelectedPeriodKeys(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const handleConfirm = async () => {
+    if (!plan || plan.moves.length === 0) return;
+
+    const fromLabel = fromTimeseries?.account.username || fromAccountId;
+    setSaving(true);
+    try {
+      const saved = await onReassign(plan.moves);
+      if (saved) {
+        setResult(`${plan.moves.length} perioder flyttades från ${fromLabel} till ${targetAccountId}`);
+        setFromAccountId(mode === 'merge' ? '' : fromAccountId);
+        resetSelection();
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const otherAccounts = accounts.filter(account => account.accountId !== fromAccountId);
+
+  return (
+    <div className="space-y-6">
+      {/* Namnhistorik */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <History className="h-5 w-5 text-instagram-500" />
+            Namnbyten
+          </CardTitle>
+          <p className="text-sm text-muted-foreground">
+            Konton visas med namnet från den senaste månaden. Tidigare namn behålls per period.
+          </p>
+        </CardHeader>
+        <CardContent>
+          {renamedAccounts.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Inga konton har bytt namn i den uppladdade datan.</p>
+          ) : (
+            <div className="space-y-3">
+              {renamedAccounts.map(timeseries => (
+                <div key={timeseries.account.accountId} className="rounded-lg border p-3">
+                  <div className="font-medium">{timeseries.account.displayName}</div>
+                  <div className="text-xs text-muted-foreground mb-2">
+                    {timeseries.account.username} · ID: {timeseries.account.accountId}
+                  </div>
+                  <ul className="space-y-1 text-sm">
+                    {timeseries.getIdentityHistory().map((identity, index) => (
+                      <li key={index} className="flex flex-wrap gap-2">
+                        <span className="font-medium">{identity.username}</span>
+                        <span className="text-muted-foreground">{identity.displayName}</span>
+                        <span className="text-xs text-muted-foreground">
+                          {formatPeriodLabel(identity.firstPeriod)}
+                          {identity.periodCount > 1 && ` – ${formatPeriodLabel(identity.lastPeriod)}`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Slå ihop eller dela upp */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <GitMerge className="h-5 w-5 text-instagram-500" />
+            Slå ihop eller dela upp konton
+          </CardTitle>
+          <p className="text-sm text-muted-foreground">
+            Flytta månadsdata mellan IG ID:n när samma sida exporterats under två identiteter.
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="text-sm font-medium mb-2 block">Åtgärd</label>
+              <Select value={mode} onValueChange={handleModeChange} disabled={saving}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="merge">Slå ihop - flytta alla månader</SelectItem>
+                  <SelectItem value="split">Dela upp - flytta valda månader</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <label className="text-sm font-medium mb-2 block">Från konto</label>
+              <Select value={fromAccountId} onValueChange={handleFromChange} disabled={saving}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Välj konto" />
+                </SelectTrigger>
+                <SelectContent>
+                  {accounts.map(account => (
+                    <SelectItem key={account.accountId} value={account.accountId}>
+                      {account.username} ({account.accountId})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div>
+              <label className="text-sm font-medium mb-2 block">Till konto</label>
+              <Select value={toAccountId} onValueChange={setToAccountId} disabled={saving || !fromAccountId}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Välj konto" />
+                </SelectTrigger>
+                <SelectContent>
+                  {otherAccounts.map(account => (
+                    <SelectItem key={account.accountId} value={account.accountId}>
+                      {account.username} ({account.accountId})
+                    </SelectItem>
+                  ))}
+                  {mode === 'split' && (
+                    <SelectItem value={NEW_ACCOUNT}>Nytt IG ID...</SelectItem>
+                  )}
+                </SelectContent>
+              </Select>
+              {toAccountId === NEW_ACCOUNT && (
+                <Input
+                  className="mt-2"
+                  value={newAccountId}
+                  onChange={(e) => setNewAccountId(e.target.value)}
+                  placeholder="IG ID, t.ex. 17841400000000000"
+                  disabled={saving}
+                />
+              )}
+              {newAccountIdIssue && (
+                <p className="text-xs text-red-600 mt-1">{newAccountIdIssue}</p>
+              )}
+            </div>
+          </div>
+
+          {/* Perioder att flytta vid uppdelning */}
+          {mode === 'split' && fromTimeseries && (
+            <div>
+              <label className="text-sm font-medium mb-2 block">Perioder att flytta</label>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {fromTimeseries.getAvailablePeriods().map(period => {
+                  const key = getPeriodKey(period);
+                  const identity = fromTimeseries.getIdentityForPeriod(period);
+                  return (
+                    <label key={key} className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selectedPeriodKeys.includes(key)}
+                        onChange={() => togglePeriod(key)}
+                        disabled={saving}
+                        className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
+                      />
+                      <span className="text-sm font-medium">{formatPeriodLabel(period)}</span>
+                      {identity && (
+                        <span className="text-xs text-muted-foreground">{identity.username}</span>
+                      )}
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {plan && plan.conflicts.length > 0 && (
+            <Alert className="bg-amber-50 border-amber-200">
+              <AlertTriangle className="h-4 w-4 text-amber-600" />
+              <AlertDescription className="text-amber-700">
+                Målkontot har redan data för {plan.conflicts.map(p => formatPeriodLabel(p)).join(', ')} -
+                de perioderna flyttas inte.
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {result && (
+            <Alert>
+              <CheckCircle2 className="h-4 w-4" />
+              <AlertDescription>{result}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-muted-foreground">
+              {plan ? `${plan.moves.length} perioder flyttas` : 'Välj konton att slå ihop eller dela upp'}
+            </span>
+            <Button
+              onClick={handleConfirm}
+              disabled={!plan || plan.moves.length === 0 || Boolean(newAccountIdIssue) || saving}
+            >
+              {saving ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Users className="mr-2 h-4 w-4" />
+              )}
+              {mode === 'merge' ? 'Slå ihop konton' : 'Flytta månader'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default AccountIdentityManager;
@@ -4,6 +4,7 @@ import { Button } from './ui/button';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { Badge } from './ui/badge';
 import { 
   ArrowUpDown, 
   ArrowUp, 
@@ -18,6 +19,25 @@ import {
   ChevronRight,
   Activity
 } from 'lucide-react';
+import { useDataset } from '../context/DatasetContext';
+import { METRIC_DEFINITIONS, getAllMetricKeys } from '../utils/metric_categorizer';
+import {
+  calculateMetricAverage,
+  calculatePercentageChange,
+  findPerformanceExtremes,
+  calculateMonthToMonthTrend,
+  calculateAverageTrend,
+  calculateSeasonalDecomposition,
+  calculateYearOverYearTrend,
+  calculateYearToDateComparison,
+  calculateTrailingTwelveComparison
+} from '../services/timeseries_analytics';
+import StatusFlag from './StatusFlag';
+import MetricValue from './MetricValue';
+import ChangeValue from './ChangeValue';
+import MetricLineChart from './MetricLineChart';
+import { isMissingValue } from '../core/timeseries_models';
+import { getPeriodKey, getGranularityLabel, comparePeriodOrder, formatPeriodLabel } from '../core/period_granularity';
 
 // Instagram gradient färger
 const INSTAGRAM_COLORS = {
@@ -51,230 +71,206 @@ const PAGE_SIZE_OPTIONS = [
 ];
 
 // Tillgängliga metrics för Instagram
-const AVAILABLE_METRICS = [
-  { key: 'reach', label: 'Räckvidd', canSum: false },
-  { key: 'views', label: 'Visningar', canSum: true },
-  { key: 'followers', label: 'Följare', canSum: true }
-];
+const AVAILABLE_METRICS = getAllMetricKeys().map(key => ({
+  key,
+  label: METRIC_DEFINITIONS[key].displayName,
+  canSum: METRIC_DEFINITIONS[key].canSumAcrossTime
+}));
 
-// Metric-definitioner
-const METRIC_DEFINITIONS = {
-  reach: { displayName: 'Räckvidd', canSumAcrossPages: false, category: 'unique_persons' },
-  views: { displayName: 'Visningar', canSumAcrossPages: true, category: 'countable' },
-  followers: { displayName: 'Följare', canSumAcrossPages: true, category: 'countable' }
-};
+function AccountTimeseriesView() {
+  const { dataset, granularity, fiscalYearStart, accounts: availableAccounts } = useDataset();
+  const periodLabel = getGranularityLabel(granularity).toLowerCase();
+  const periodPlural = getGranularityLabel(granularity, true);
 
-function AccountTimeseriesView({ uploadedPeriods = [] }) {
   // State management
-  const [availableAccounts, setAvailableAccounts] = useState([]);
   const [selectedAccountId, setSelectedAccountId] = useState('');
-  const [accountTimeseriesData, setAccountTimeseriesData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  
-  // Analys-state
-  const [accountStats, setAccountStats] = useState(null);
-  const [trendAnalysis, setTrendAnalysis] = useState({});
   
   // Tabell-state
   const [sortConfig, setSortConfig] = useState({ key: 'year_month', direction: 'desc' });
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(12);
-  const [selectedMetrics, setSelectedMetrics] = useState(['reach', 'views', 'followers']);
+  const [selectedMetrics, setSelectedMetrics] = useState(() => getAllMetricKeys());
+  const [includeFlagged, setIncludeFlagged] = useState(false);
+  const [showYearOverYear, setShowYearOverYear] = useState(false);
+  const [showPeriodOverPeriod, setShowPeriodOverPeriod] = useState(false);
+  const [seasonallyAdjusted, setSeasonallyAdjusted] = useState(false);
+  const [chartMetric, setChartMetric] = useState(() => getAllMetricKeys()[0]);
 
-  // Ladda tillgängliga konton vid montering
+  // Sätt första kontot som default när kontolistan ändras
   useEffect(() => {
-    const loadAccounts = () => {
-      try {
-        setLoading(true);
-        
-        if (uploadedPeriods.length === 0) {
-          setAvailableAccounts([]);
-          setLoading(false);
-          return;
-        }
-        
-        // Samla alla unika konton från alla perioder
-        const accountsMap = new Map();
-        
-        uploadedPeriods.forEach(period => {
-          if (period.data && Array.isArray(period.data)) {
-            period.data.forEach(csvRow => {
-              const username = csvRow.Account || csvRow.account || 'Okänt konto';
-              const accountId = csvRow['IG ID'] || csvRow.igId || `account_${username.replace(/\s+/g, '_')}`;
-              
-              if (!accountsMap.has(accountId)) {
-                accountsMap.set(accountId, {
-                  accountId,
-                  username
-                });
-              }
-            });
-          }
-        });
-        
-        const accounts = Array.from(accountsMap.values()).sort((a, b) => 
-          a.username.localeCompare(b.username)
-        );
-        
-        setAvailableAccounts(accounts);
-        
-        // Sätt första kontot som default
-        if (accounts.length > 0) {
-          setSelectedAccountId(accounts[0].accountId);
-        }
-        
-      } catch (err) {
-        console.error('Error loading accounts:', err);
-        setError('Kunde inte ladda tillgängliga Instagram-konton');
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    loadAccounts();
-  }, [uploadedPeriods]);
+    const stillExists = availableAccounts.some(a => a.accountId === selectedAccountId);
+    if (!stillExists) {
+      setSelectedAccountId(availableAccounts.length > 0 ? availableAccounts[0].accountId : '');
+    }
+  }, [availableAccounts, selectedAccountId]);
 
-  // Ladda data när valt konto ändras
-  useEffect(() => {
-    if (!selectedAccountId || uploadedPeriods.length === 0) return;
-    
-    const loadAccountData = () => {
-      try {
-        setLoading(true);
-        setError(null);
-        
-        // Samla all data för valt konto från alla perioder
-        const accountData = [];
-        
-        uploadedPeriods.forEach(period => {
-          if (period.data && Array.isArray(period.data)) {
-            const accountRow = period.data.find(csvRow => {
-              const accountId = csvRow['IG ID'] || csvRow.igId || `account_${(csvRow.Account || csvRow.account || '').replace(/\s+/g, '_')}`;
-              return accountId === selectedAccountId;
-            });
-            
-            if (accountRow) {
-              accountData.push({
-                year: period.year,
-                month: period.month,
-                username: accountRow.Account || accountRow.account || 'Okänt konto',
-                accountId: selectedAccountId,
-                metrics: {
-                  reach: parseNumericValue(accountRow.Reach || accountRow.reach),
-                  views: parseNumericValue(accountRow.Views || accountRow.views),
-                  followers: parseNumericValue(accountRow.Followers || accountRow.followers)
-                }
-              });
-            }
-          }
-        });
-        
-        if (accountData.length === 0) {
-          const selectedAccount = availableAccounts.find(a => a.accountId === selectedAccountId);
-          setError(`Ingen tidserie-data hittades för ${selectedAccount?.username || 'valt konto'}`);
-          return;
-        }
-        
-        // Sortera data kronologiskt (senaste först som default)
-        const sortedData = accountData.sort((a, b) => {
-          if (a.year !== b.year) return b.year - a.year;
-          return b.month - a.month;
-        });
-        
-        setAccountTimeseriesData(sortedData);
-        
-        // Beräkna statistik för kontot
-        calculateAccountStatistics(sortedData);
-        
-      } catch (err) {
-        console.error('Error loading account timeseries:', err);
-        const selectedAccount = availableAccounts.find(a => a.accountId === selectedAccountId);
-        setError(`Kunde inte ladda data för ${selectedAccount?.username || 'valt konto'}`);
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    loadAccountData();
-  }, [selectedAccountId, uploadedPeriods, availableAccounts]);
-
-  // Parse numeriskt värde säkert
-  const parseNumericValue = (value) => {
-    if (value === null || value === undefined || value === '') return 0;
-    const parsed = parseFloat(String(value).replace(/[,\s]/g, ''));
-    return isNaN(parsed) ? 0 : parsed;
-  };
+  // Tidserie för valt konto hämtas direkt från datasetet
+  const accountTimeseries = useMemo(() => {
+    if (!selectedAccountId) return null;
+    return dataset.getAccountTimeseries(selectedAccountId);
+  }, [dataset, selectedAccountId]);
 
-  // Beräkna statistik för kontot
-  const calculateAccountStatistics = (data) => {
-    if (data.length === 0) return;
+  // Periodsdata för valt konto (senaste först som default)
+  const accountTimeseriesData = useMemo(() => {
+    if (!accountTimeseries) return [];
     
-    const selectedAccount = availableAccounts.find(a => a.accountId === selectedAccountId);
+    return accountTimeseries.getAllMonthlyData()
+      .map(monthlyData => ({
+        ...monthlyData.getPeriod(),
+        username: monthlyData.account.username,
+        accountId: monthlyData.account.accountId,
+        metrics: monthlyData.metrics,
+        status: monthlyData.status,
+        comment: monthlyData.comment,
+        flagged: monthlyData.isFlagged(),
+        incomplete: monthlyData.incomplete
+      }))
+      .reverse();
+  }, [accountTimeseries]);
+
+  // Månader som ingår i statistik och trend - flaggade rader utesluts om de inte valts in
+  const analysisData = useMemo(() => (
+    includeFlagged ? accountTimeseriesData : accountTimeseriesData.filter(item => !item.flagged)
+  ), [accountTimeseriesData, includeFlagged]);
+
+  const flaggedCount = accountTimeseriesData.length - accountTimeseriesData.filter(item => !item.flagged).length;
+
+  // Saknade celler bland valda metrics i de månader som analyseras
+  const missingCount = analysisData.reduce((count, item) => (
+    count + selectedMetrics.filter(metric => isMissingValue(item.metrics[metric])).length
+  ), 0);
+
+  // Statistik för kontot beräknas av timeseries_analytics
+  const accountStats = useMemo(() => {
+    if (!accountTimeseries || accountTimeseriesData.length === 0) return null;
     
     const stats = {
-      username: selectedAccount?.username || data[0]?.username || 'Okänt konto',
-      totalPeriods: data.length,
-      firstPeriod: data[data.length - 1],
-      lastPeriod: data[0],
+      username: accountTimeseries.account.username,
+      totalPeriods: accountTimeseriesData.length,
+      firstPeriod: accountTimeseriesData[accountTimeseriesData.length - 1],
+      lastPeriod: accountTimeseriesData[0],
       metrics: {}
     };
+
+    // Utan månader att analysera finns inga bästa/sämsta värden att markera
+    if (analysisData.length === 0) return stats;
     
-    // Beräkna statistik för varje metric
-    const availableMetricKeys = ['reach', 'views', 'followers'];
-    for (const metric of availableMetricKeys) {
-      const values = data.map(d => d.metrics[metric]).filter(v => v !== null && v !== undefined && !isNaN(v));
+    const options = { includeFlagged };
+    for (const metric of AVAILABLE_METRICS.map(m => m.key)) {
+      const extremes = findPerformanceExtremes(accountTimeseries, metric, options);
       
-      if (values.length > 0) {
-        const avg = values.reduce((sum, val) => sum + val, 0) / values.length;
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        
-        // Hitta bästa och sämsta månader
-        const bestMonth = data.find(d => d.metrics[metric] === max);
-        const worstMonth = data.find(d => d.metrics[metric] === min);
-        
-        stats.metrics[metric] = {
-          average: Math.round(avg),
-          min,
-          max,
-          bestMonth: bestMonth ? { year: bestMonth.year, month: bestMonth.month, value: max } : null,
-          worstMonth: worstMonth ? { year: worstMonth.year, month: worstMonth.month, value: min } : null
-        };
-      }
+      const average = calculateMetricAverage(accountTimeseries, metric, options);
+
+      stats.metrics[metric] = {
+        average: average !== null ? Math.round(average) : null,
+        missing: extremes.missingValues,
+        min: extremes.worst?.value ?? null,
+        max: extremes.best?.value ?? null,
+        bestMonth: extremes.best ? { ...extremes.best.period, value: extremes.best.value } : null,
+        worstMonth: extremes.worst ? { ...extremes.worst.period, value: extremes.worst.value } : null
+      };
     }
     
-    setAccountStats(stats);
-    
-    // Beräkna trend-analys för valda metrics
+    return stats;
+  }, [accountTimeseries, accountTimeseriesData, analysisData, includeFlagged]);
+
+  // Förändring mot samma period föregående år per metric, nycklad på periodnyckel
+  const yearOverYear = useMemo(() => {
+    if (!accountTimeseries) return {};
+
+    const options = { includeFlagged };
+    return Object.fromEntries(AVAILABLE_METRICS.map(({ key }) => [
+      key,
+      new Map(calculateYearOverYearTrend(accountTimeseries, key, options).map(entry => [getPeriodKey(entry.period), entry]))
+    ]));
+  }, [accountTimeseries, includeFlagged]);
+
+  // Säsongsuppdelning per metric - null för metrics med mindre än två års historik
+  const decompositions = useMemo(() => {
+    if (!accountTimeseries) return {};
+
+    const options = { includeFlagged };
+    return Object.fromEntries(AVAILABLE_METRICS.map(({ key }) => [
+      key,
+      calculateSeasonalDecomposition(accountTimeseries, key, options)
+    ]));
+  }, [accountTimeseries, includeFlagged]);
+
+  const canAdjustSeasonally = selectedMetrics.some(metric => decompositions[metric]);
+  const useSeasonalAdjustment = seasonallyAdjusted && canAdjustSeasonally;
+
+  // Förändring mot föregående period per metric, säsongsrensad när det valts och historiken räcker
+  const periodOverPeriod = useMemo(() => {
+    if (!accountTimeseries) return {};
+
+    const options = { includeFlagged, seasonallyAdjusted: useSeasonalAdjustment };
+    return Object.fromEntries(AVAILABLE_METRICS.map(({ key }) => {
+      const trendData = calculateMonthToMonthTrend(accountTimeseries, key, options);
+      return [key, {
+        entries: new Map(trendData.map(entry => [getPeriodKey(entry.period), entry])),
+        average: calculateAverageTrend(trendData)
+      }];
+    }));
+  }, [accountTimeseries, includeFlagged, useSeasonalAdjustment]);
+
+  // Hittills i år och rullande tolv månader mot samma fönster föregående år
+  const windowComparisons = useMemo(() => {
+    if (!accountTimeseries) return {};
+
+    const options = { includeFlagged, fiscalYearStart };
+    return Object.fromEntries(selectedMetrics.slice(0, 3).map(metric => [metric, {
+      yearToDate: calculateYearToDateComparison(accountTimeseries, metric, options),
+      trailingTwelve: calculateTrailingTwelveComparison(accountTimeseries, metric, options)
+    }]));
+  }, [accountTimeseries, selectedMetrics, includeFlagged, fiscalYearStart]);
+
+  // Diagrampunkter i kronologisk ordning med föregående års värden som jämförelselinje
+  const chartPoints = useMemo(() => [...analysisData].reverse().map(item => ({
+    key: getPeriodKey(item),
+    label: formatPeriodLabel(item),
+    shortLabel: formatPeriodLabel(item, { short: true }),
+    value: isMissingValue(item.metrics[chartMetric]) ? null : item.metrics[chartMetric],
+    flagged: item.flagged
+  })), [analysisData, chartMetric]);
+
+  const previousYearValues = useMemo(() => Object.fromEntries(
+    Array.from(yearOverYear[chartMetric]?.values() || [])
+      .filter(entry => !isMissingValue(entry.previousValue))
+      .map(entry => [getPeriodKey(entry.period), entry.previousValue])
+  ), [yearOverYear, chartMetric]);
+
+  const adjustedValues = useMemo(() => Object.fromEntries(
+    (useSeasonalAdjustment && decompositions[chartMetric]?.components || [])
+      .filter(component => component.adjusted !== null)
+      .map(component => [getPeriodKey(component.period), Math.round(component.adjusted)])
+  ), [decompositions, chartMetric, useSeasonalAdjustment]);
+
+  // Trend-analys för valda metrics (första mot senaste månad med värde)
+  const trendAnalysis = useMemo(() => {
     const trends = {};
+    
     for (const metric of selectedMetrics) {
-      if (data.length >= 2) {
-        const oldestValue = data[data.length - 1]?.metrics[metric] || 0;
-        const latestValue = data[0]?.metrics[metric] || 0;
-        
-        const change = latestValue - oldestValue;
-        const percentChange = oldestValue > 0 ? ((change / oldestValue) * 100) : 0;
-        
-        trends[metric] = {
-          change,
-          percentChange: Math.round(percentChange * 10) / 10,
-          trend: change > 0 ? 'up' : change < 0 ? 'down' : 'stable'
-        };
-      }
+      const withValue = analysisData.filter(item => !isMissingValue(item.metrics[metric]));
+      if (withValue.length < 2) continue;
+
+      const oldestValue = withValue[withValue.length - 1].metrics[metric];
+      const latestValue = withValue[0].metrics[metric];
+      const change = latestValue - oldestValue;
+      const percentChange = calculatePercentageChange(latestValue, oldestValue) || 0;
+      
+      trends[metric] = {
+        change,
+        percentChange: Math.round(percentChange * 10) / 10,
+        trend: change > 0 ? 'up' : change < 0 ? 'down' : 'stable'
+      };
     }
     
-    setTrendAnalysis(trends);
-  };
+    return trends;
+  }, [analysisData, selectedMetrics]);
 
-  // Hjälpfunktion för månadsnamn
-  const getMonthName = (month) => {
-    const months = [
-      'Jan', 'Feb', 'Mar', 'Apr', 'Maj', 'Jun',
-      'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dec'
-    ];
-    return months[month - 1];
-  };
+  const error = selectedAccountId && accountTimeseriesData.length === 0
+    ? `Ingen tidserie-data hittades för ${availableAccounts.find(a => a.accountId === selectedAccountId)?.username || 'valt konto'}`
+    : null;
 
   // Sortera data
   const sortedData = useMemo(() => {
@@ -284,11 +280,16 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
       let aValue, bValue;
       
       if (sortConfig.key === 'year_month') {
-        aValue = a.year * 100 + a.month;
-        bValue = b.year * 100 + b.month;
+        const comparison = comparePeriodOrder(a, b);
+        return sortConfig.direction === 'asc' ? comparison : -comparison;
       } else {
-        aValue = a.metrics[sortConfig.key] || 0;
-        bValue = b.metrics[sortConfig.key] || 0;
+        aValue = a.metrics[sortConfig.key];
+        bValue = b.metrics[sortConfig.key];
+
+        // Saknade värden sorteras alltid sist
+        if (isMissingValue(aValue) || isMissingValue(bValue)) {
+          return isMissingValue(aValue) - isMissingValue(bValue);
+        }
       }
       
       const comparison = aValue - bValue;
@@ -337,13 +338,14 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
     const headers = ['År', 'Månad', 'Period', ...selectedMetrics.map(m => {
       const def = METRIC_DEFINITIONS[m];
       return def ? def.displayName : m;
-    })];
+    }), 'Status'];
     
     const csvData = sortedData.map(item => [
       item.year,
       item.month,
-      `${getMonthName(item.month)} ${item.year}`,
-      ...selectedMetrics.map(m => item.metrics[m] || 0)
+      formatPeriodLabel(item),
+      ...selectedMetrics.map(m => item.metrics[m] ?? ''),
+      item.status
     ]);
     
     const csvContent = [
@@ -362,24 +364,6 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
     document.body.removeChild(link);
   };
 
-  // Formatera numeriska värden
-  const formatValue = (value) => {
-    if (value === null || value === undefined || isNaN(value)) return '-';
-    return new Intl.NumberFormat('sv-SE').format(value);
-  };
-
-  if (loading) {
-    return (
-      <Alert>
-        <Activity className="h-4 w-4" />
-        <AlertTitle>Laddar data</AlertTitle>
-        <AlertDescription>
-          Analyserar tidserie-data för Instagram-konton...
-        </AlertDescription>
-      </Alert>
-    );
-  }
-
   if (error) {
     return (
       <Alert variant="destructive">
@@ -443,6 +427,13 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
                   ID: {selectedAccount.accountId}
                 </p>
               )}
+              {accountTimeseries?.hasIdentityChanges() && (
+                <p className="text-xs text-muted-foreground mt-1">
+                  Tidigare namn: {[...new Set(accountTimeseries.getIdentityHistory().map(identity => identity.username))]
+                    .filter(username => username !== accountTimeseries.account.username)
+                    .join(', ') || accountTimeseries.getIdentityHistory()[0].displayName}
+                </p>
+              )}
             </div>
             
             <div>
@@ -468,8 +459,58 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
                 })}
               </div>
               <p className="text-xs text-muted-foreground mt-2">
-                * = Kan inte summeras över månader (unika personer)
+                * = Kan inte summeras över {periodPlural} (unika personer)
               </p>
+              {flaggedCount > 0 && (
+                <label className="flex items-center gap-2 cursor-pointer mt-3">
+                  <input
+                    type="checkbox"
+                    checked={includeFlagged}
+                    onChange={(e) => setIncludeFlagged(e.target.checked)}
+                    className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
+                  />
+                  <span className="text-sm">
+                    Räkna med flaggade {periodPlural} ({flaggedCount})
+                  </span>
+                </label>
+              )}
+              <label className="flex items-center gap-2 cursor-pointer mt-3">
+                <input
+                  type="checkbox"
+                  checked={showYearOverYear}
+                  onChange={(e) => setShowYearOverYear(e.target.checked)}
+                  className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
+                />
+                <span className="text-sm">
+                  Visa förändring mot samma {periodLabel} föregående år
+                </span>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer mt-3">
+                <input
+                  type="checkbox"
+                  checked={showPeriodOverPeriod}
+                  onChange={(e) => setShowPeriodOverPeriod(e.target.checked)}
+                  className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
+                />
+                <span className="text-sm">
+                  Visa förändring mot föregående {periodLabel}
+                </span>
+              </label>
+              <label
+                className={`flex items-center gap-2 mt-3 ${canAdjustSeasonally ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}`}
+                title={canAdjustSeasonally ? undefined : 'Kräver minst två års historik'}
+              >
+                <input
+                  type="checkbox"
+                  checked={useSeasonalAdjustment}
+                  disabled={!canAdjustSeasonally}
+                  onChange={(e) => setSeasonallyAdjusted(e.target.checked)}
+                  className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
+                />
+                <span className="text-sm">
+                  Säsongsrensa förändringen mot föregående {periodLabel}
+                </span>
+              </label>
             </div>
           </div>
 
@@ -481,21 +522,21 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
                   <ProfileIcon username={accountStats.username} />
                   {accountStats.totalPeriods}
                 </div>
-                <div className="text-sm text-muted-foreground">Månader data</div>
+                <div className="text-sm text-muted-foreground">Antal {periodPlural}</div>
               </div>
               
               <div className="text-center">
                 <div className="text-lg font-semibold">
-                  {getMonthName(accountStats.firstPeriod.month)} {accountStats.firstPeriod.year}
+                  {formatPeriodLabel(accountStats.firstPeriod)}
                 </div>
-                <div className="text-sm text-muted-foreground">Första månad</div>
+                <div className="text-sm text-muted-foreground">Första {periodLabel}</div>
               </div>
               
               <div className="text-center">
                 <div className="text-lg font-semibold">
-                  {getMonthName(accountStats.lastPeriod.month)} {accountStats.lastPeriod.year}
+                  {formatPeriodLabel(accountStats.lastPeriod)}
                 </div>
-                <div className="text-sm text-muted-foreground">Senaste månad</div>
+                <div className="text-sm text-muted-foreground">Senaste {periodLabel}</div>
               </div>
 
               <div className="text-center">
@@ -525,8 +566,30 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
                     <div className="flex-1">
                       <div className="font-medium text-sm">{definition.displayName}</div>
                       <div className="text-xs text-muted-foreground">
-                        {trend.percentChange > 0 ? '+' : ''}{trend.percentChange}% sedan första månad
+                        {trend.percentChange > 0 ? '+' : ''}{trend.percentChange}% sedan första {periodLabel}
                       </div>
+                      {periodOverPeriod[metric] && (
+                        <div className="text-xs text-muted-foreground">
+                          Ökning {periodOverPeriod[metric].average.positiveMonths}, minskning {periodOverPeriod[metric].average.negativeMonths} av {periodOverPeriod[metric].average.totalPeriods} {periodPlural}
+                          {useSeasonalAdjustment && decompositions[metric] && ' (säsongsrensat)'}
+                        </div>
+                      )}
+                      {windowComparisons[metric] && (
+                        <div className="text-xs text-muted-foreground flex flex-wrap gap-x-3">
+                          <span>
+                            Hittills i år: <ChangeValue
+                              value={windowComparisons[metric].yearToDate?.percentageChange}
+                              title={windowComparisons[metric].yearToDate?.comparable ? undefined : 'Ofullständig jämförelse - perioder saknas'}
+                            />
+                          </span>
+                          <span>
+                            Senaste 12 mån: <ChangeValue
+                              value={windowComparisons[metric].trailingTwelve?.percentageChange}
+                              title={windowComparisons[metric].trailingTwelve?.comparable ? undefined : 'Ofullständig jämförelse - perioder saknas'}
+                            />
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 );
@@ -536,12 +599,61 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
         </CardContent>
       </Card>
 
+      {/* Diagram med föregående år som jämförelselinje */}
+      {chartPoints.length > 0 && (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="flex items-center gap-2">
+              <TrendingUp className="h-5 w-5" />
+              Jämfört med föregående år
+            </CardTitle>
+            <Select value={chartMetric} onValueChange={setChartMetric}>
+              <SelectTrigger className="w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {AVAILABLE_METRICS.map(metric => (
+                  <SelectItem key={metric.key} value={metric.key}>
+                    {metric.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </CardHeader>
+          <CardContent>
+            <MetricLineChart
+              points={chartPoints}
+              seriesLabel={METRIC_DEFINITIONS[chartMetric].displayName}
+              overlays={[
+                {
+                  id: 'previous_year',
+                  label: `Samma ${periodLabel} föregående år`,
+                  color: '#9CA3AF',
+                  values: previousYearValues
+                },
+                ...(Object.keys(adjustedValues).length > 0 ? [{
+                  id: 'seasonally_adjusted',
+                  label: 'Säsongsrensat',
+                  color: '#2563EB',
+                  values: adjustedValues
+                }] : [])
+              ]}
+            />
+            {Object.keys(previousYearValues).length === 0 && (
+              <p className="text-xs text-muted-foreground mt-2">
+                Data från föregående år saknas - jämförelselinjen visas när samma {periodLabel} finns ett år tidigare
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Tidserie-tabell */}
       <Card>
         <CardHeader className="flex flex-row items-center justify-between">
           <CardTitle className="flex items-center gap-2">
             <Calendar className="h-5 w-5" />
-            Månadsvis utveckling - {selectedAccount?.username || 'Okänt konto'}
+            Utveckling per {periodLabel} - {selectedAccount?.username || 'Okänt konto'}
           </CardTitle>
           <div className="flex gap-2">
             <Button onClick={handleExportCSV} variant="outline" size="sm">
@@ -572,54 +684,102 @@ function AccountTimeseriesView({ uploadedPeriods = [] }) {
                     {selectedMetrics.map(metric => {
                       const definition = METRIC_DEFINITIONS[metric];
                       return (
-                        <TableHead 
-                          key={metric}
-                          className="text-right cursor-pointer select-none"
-                          onClick={() => handleSort(metric)}
-                        >
-                          <div className="flex items-center justify-end">
-                            {definition?.displayName || metric}
-                            {getSortIcon(metric)}
-                            {!definition?.canSumAcrossPages && (
-                              <span className="ml-1 text-orange-600">*</span>
-                            )}
-                          </div>
-                        </TableHead>
+                        <React.Fragment key={metric}>
+                          <TableHead 
+                            className="text-right cursor-pointer select-none"
+                            onClick={() => handleSort(metric)}
+                          >
+                            <div className="flex items-center justify-end">
+                              {definition?.displayName || metric}
+                              {getSortIcon(metric)}
+                              {!definition?.canSumAcrossTime && (
+                                <span className="ml-1 text-orange-600">*</span>
+                              )}
+                            </div>
+                          </TableHead>
+                          {showPeriodOverPeriod && (
+                            <TableHead className="text-right text-xs">
+                              Mot fg. {periodLabel}{useSeasonalAdjustment && decompositions[metric] ? ' (säsongsrensat)' : ''}
+                            </TableHead>
+                          )}
+                          {showYearOverYear && (
+                            <TableHead className="text-right text-xs">Mot fg. år</TableHead>
+                          )}
+                        </React.Fragment>
                       );
                     })}
                   </TableRow>
                 </TableHeader>
                 <TableBody>
                   {paginatedData.map((item) => (
-                    <TableRow key={`${item.year}_${item.month}`}>
+                    <TableRow key={getPeriodKey(item)} className={item.flagged ? 'bg-amber-50' : ''}>
                       <TableCell className="font-medium">
-                        {getMonthName(item.month)} {item.year}
+                        <div className="flex items-center gap-2">
+                          {formatPeriodLabel(item)}
+                          {item.flagged && <StatusFlag status={item.status} comment={item.comment} />}
+                          {item.incomplete && (
+                            <Badge variant="outline" className="text-muted-foreground" title={item.comment}>
+                              Ofullständig
+                            </Badge>
+                          )}
+                        </div>
                       </TableCell>
-                      {selectedMetrics.map(metric => (
-                        <TableCell 
-                          key={metric}
-                          className="text-right"
-                        >
-                          <div className="flex items-center justify-end gap-1">
-                            {formatValue(item.metrics[metric])}
-                            {accountStats?.metrics[metric]?.bestMonth && 
-                             accountStats.metrics[metric].bestMonth.year === item.year &&
-                             accountStats.metrics[metric].bestMonth.month === item.month && (
-                              <span className="text-yellow-600" title="Bästa värde för detta konto">🏆</span>
+                      {selectedMetrics.map(metric => {
+                        const change = yearOverYear[metric]?.get(getPeriodKey(item));
+                        const periodChange = periodOverPeriod[metric]?.entries.get(getPeriodKey(item));
+                        return (
+                          <React.Fragment key={metric}>
+                            <TableCell className="text-right">
+                              <div className="flex items-center justify-end gap-1">
+                                <MetricValue value={item.metrics[metric]} />
+                                {accountStats?.metrics[metric]?.bestMonth && 
+                                 getPeriodKey(accountStats.metrics[metric].bestMonth) === getPeriodKey(item) && (
+                                  <span className="text-yellow-600" title="Bästa värde för detta konto">🏆</span>
+                                )}
+                                {accountStats?.metrics[metric]?.worstMonth && 
+                                 getPeriodKey(accountStats.metrics[metric].worstMonth) === getPeriodKey(item) && (
+                                  <span className="text-gray-500" title="Sämsta värde för detta konto">📉</span>
+                                )}
+                              </div>
+                            </TableCell>
+                            {showPeriodOverPeriod && (
+                              <TableCell className="text-right">
+                                <ChangeValue
+                                  value={periodChange?.percentageChange}
+                                  title={periodChange ? `Mot ${formatPeriodLabel(periodChange.previousPeriod)}${periodChange.seasonallyAdjusted ? ', säsongsrensat' : ''}` : undefined}
+                                />
+                              </TableCell>
                             )}
-                            {accountStats?.metrics[metric]?.worstMonth && 
-                             accountStats.metrics[metric].worstMonth.year === item.year &&
-                             accountStats.metrics[metric].worstMonth.month === item.month && (
-                              <span className="text-gray-500" title="Sämsta värde för detta konto">📉</span>
+                            {showYearOverYear && (
+                              <TableCell className="text-right">
+                                <ChangeValue
+                                  value={change?.percentageChange}
+                                  title={change ? `Mot ${formatPeriodLabel(change.previousPeriod)}` : undefined}
+                                />
+                              </TableCell>
                             )}
-                          </div>
-                        </TableCell>
-                      ))}
+                          </React.Fragment>
+                        );
+                      })}
                     </TableRow>
                   ))}
                 </TableBody>
               </Table>
 
+              {missingCount > 0 && (
+                <p className="text-xs text-muted-foreground mt-2">
+                  {missingCount} värden saknas i källdata och ingår inte i statistik och trender
+                </p>
+              )}
+
+              {flaggedCount > 0 && (
+                <p className="text-xs text-amber-700 mt-2">
+                  {includeFlagged
+                    ? `${flaggedCount} flaggade ${periodPlural} räknas med i statistik och trender`
+                    : `${flaggedCount} flaggade ${periodPlural} utesluts från statistik och trender`}
+                </p>
+              )}
+
               {/* Paginering */}
               <div className="flex items-center justify-between mt-4">
                 <div className="flex items-center gap-2">
@@ -0,0 +1,147 @@
+import React, { useState, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Zap } from 'lucide-react';
+import { useDataset } from '../context/DatasetContext';
+import { METRIC_DEFINITIONS, getAllMetricKeys } from '../utils/metric_categorizer';
+import { calculatePercentageChange } from '../services/timeseries_analytics';
+import { ANOMALY_SEVERITY_OPTIONS, ANOMALY_METHOD_OPTIONS } from '../services/anomaly_detection';
+import { getPeriodKey, formatPeriodLabel } from '../core/period_granularity';
+import AnomalyMarker from './AnomalyMarker';
+import MetricValue from './MetricValue';
+import ChangeValue from './ChangeValue';
+
+// Antal rader som visas åt gången
+const PAGE_SIZE = 50;
+
+// Radix Select tillåter inte tomt värde - 'all' betyder inget filter
+const ALL = 'all';
+
+/**
+ * Rangordnad lista över avvikande värden för alla konton och metrics
+ * Listan kommer från genomsökningen som görs när datasetet byggs om efter en uppladdning
+ */
+function AnomalyListView() {
+  const { anomalies } = useDataset();
+  const [metricFilter, setMetricFilter] = useState(ALL);
+  const [severityFilter, setSeverityFilter] = useState(ALL);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const filteredAnomalies = useMemo(() => anomalies.filter(anomaly => (
+    (metricFilter === ALL || anomaly.metric === metricFilter) &&
+    (severityFilter === ALL || anomaly.severity === severityFilter)
+  )), [anomalies, metricFilter, severityFilter]);
+
+  const handleFilterChange = (setter) => (value) => {
+    setter(value);
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2">
+          <Zap className="h-5 w-5" />
+          Avvikelser ({filteredAnomalies.length})
+        </CardTitle>
+        <div className="flex gap-2">
+          <Select value={metricFilter} onValueChange={handleFilterChange(setMetricFilter)}>
+            <SelectTrigger className="w-48">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>Alla metrics</SelectItem>
+              {getAllMetricKeys().map(key => (
+                <SelectItem key={key} value={key}>
+                  {METRIC_DEFINITIONS[key].displayName}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={severityFilter} onValueChange={handleFilterChange(setSeverityFilter)}>
+            <SelectTrigger className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>Alla grader</SelectItem>
+              {ANOMALY_SEVERITY_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-muted-foreground mb-4">
+          Värden som avviker mycket från kontots normala nivå, störst avvikelse först. Konton med minst
+          två års historik jämförs mot en säsongsmodell så att t.ex. december inte räknas som avvikande varje år.
+          Flaggade perioder ingår inte.
+        </p>
+
+        {filteredAnomalies.length === 0 ? (
+          <p className="text-center text-muted-foreground py-8">
+            Inga avvikelser hittades
+          </p>
+        ) : (
+          <>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Allvarlighet</TableHead>
+                  <TableHead>Konto</TableHead>
+                  <TableHead>Period</TableHead>
+                  <TableHead>Metric</TableHead>
+                  <TableHead className="text-right">Värde</TableHead>
+                  <TableHead className="text-right">Väntat</TableHead>
+                  <TableHead className="text-right">Skillnad</TableHead>
+                  <TableHead>Metod</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {filteredAnomalies.slice(0, visibleCount).map(anomaly => (
+                  <TableRow key={`${anomaly.accountId}-${getPeriodKey(anomaly.period)}-${anomaly.metric}`}>
+                    <TableCell>
+                      <AnomalyMarker anomaly={anomaly} showLabel />
+                    </TableCell>
+                    <TableCell className="font-medium">{anomaly.username}</TableCell>
+                    <TableCell>{formatPeriodLabel(anomaly.period)}</TableCell>
+                    <TableCell>{METRIC_DEFINITIONS[anomaly.metric]?.displayName || anomaly.metric}</TableCell>
+                    <TableCell className="text-right">
+                      <MetricValue value={anomaly.value} />
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <MetricValue value={anomaly.expected} />
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <ChangeValue value={calculatePercentageChange(anomaly.value, anomaly.expected)} />
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">
+                      {ANOMALY_METHOD_OPTIONS.find(option => option.value === anomaly.method)?.label}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {filteredAnomalies.length > visibleCount && (
+              <div className="flex items-center justify-between mt-4">
+                <span className="text-sm text-muted-foreground">
+                  Visar {visibleCount} av {filteredAnomalies.length}
+                </span>
+                <Button variant="outline" size="sm" onClick={() => setVisibleCount(count => count + PAGE_SIZE)}>
+                  Visa fler
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default AnomalyListView;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Badge } from './ui/badge';
+import { Zap } from 'lucide-react';
+import { ANOMALY_SEVERITIES, ANOMALY_SEVERITY_OPTIONS, ANOMALY_METHOD_OPTIONS } from '../services/anomaly_detection';
+
+/**
+ * Färg per allvarlighetsgrad - används även för markeringar i diagram
+ */
+export const ANOMALY_SEVERITY_COLORS = {
+  [ANOMALY_SEVERITIES.HIGH]: '#DC2626',
+  [ANOMALY_SEVERITIES.MEDIUM]: '#EA580C',
+  [ANOMALY_SEVERITIES.LOW]: '#CA8A04'
+};
+
+const BADGE_CLASSES = {
+  [ANOMALY_SEVERITIES.HIGH]: 'border-red-300 bg-red-50 text-red-700',
+  [ANOMALY_SEVERITIES.MEDIUM]: 'border-orange-300 bg-orange-50 text-orange-700',
+  [ANOMALY_SEVERITIES.LOW]: 'border-yellow-300 bg-yellow-50 text-yellow-700'
+};
+
+/**
+ * Beskrivning av en avvikelse för tooltips
+ * @param {Object} anomaly - Avvikelse från anomaly_detection
+ * @returns {string} - T.ex. "Hög avvikelse: högre än väntat (väntat 1 200, Median/MAD)"
+ */
+export function describeAnomaly(anomaly) {
+  const severity = ANOMALY_SEVERITY_OPTIONS.find(option => option.value === anomaly.severity)?.label;
+  const method = ANOMALY_METHOD_OPTIONS.find(option => option.value === anomaly.method)?.label;
+  const direction = anomaly.direction === 'high' ? 'högre' : 'lägre';
+  return `${severity} avvikelse: ${direction} än väntat (väntat ${anomaly.expected.toLocaleString('sv-SE')}, ${method})`;
+}
+
+/**
+ * Markering för ett avvikande värde i tabeller
+ * Utan showLabel visas bara en ikon med beskrivningen som tooltip
+ */
+function AnomalyMarker({ anomaly, showLabel = false }) {
+  if (!showLabel) {
+    return (
+      <span title={describeAnomaly(anomaly)} className="inline-flex">
+        <Zap className="h-3 w-3" style={{ color: ANOMALY_SEVERITY_COLORS[anomaly.severity] }} />
+      </span>
+    );
+  }
+
+  return (
+    <Badge variant="outline" className={`gap-1 ${BADGE_CLASSES[anomaly.severity]}`} title={describeAnomaly(anomaly)}>
+      <Zap className="h-3 w-3" />
+      {ANOMALY_SEVERITY_OPTIONS.find(option => option.value === anomaly.severity)?.label}
+    </Badge>
+  );
+}
+
+export default AnomalyMarker;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { isMissingValue } from '../core/timeseries_models';
+
+/**
+ * Visar en procentuell förändring i tabeller och sammandrag
+ * Ökning visas grönt och minskning rött, saknad jämförelse visas som ett streck
+ */
+function ChangeValue({ value, title }) {
+  if (isMissingValue(value)) {
+    return (
+      <span className="text-xs text-muted-foreground" title={title || 'Jämförelsevärde saknas'}>
+        –
+      </span>
+    );
+  }
+
+  const rounded = Math.round(value * 10) / 10;
+  const color = rounded > 0 ? 'text-green-600' : rounded < 0 ? 'text-red-600' : 'text-muted-foreground';
+
+  return (
+    <span className={`text-xs font-medium ${color}`} title={title}>
+      {rounded > 0 ? '+' : ''}{new Intl.NumberFormat('sv-SE').format(rounded)} %
+    </span>
+  );
+}
+
+export default ChangeValue;
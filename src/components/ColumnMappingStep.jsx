@@ -0,0 +1,186 @@
+import React, { useState, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Columns, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { IGNORE_COLUMN, getTargetFields, validateColumnMapping } from '../core/column_mapper';
+import { getImportProfiles } from '../utils/timeseries_storage';
+
+/**
+ * Steg för att mappa filens kolumner till standardkolumner
+ * Förifylls med auto-mappning och kan sparas som namngiven importprofil
+ */
+function ColumnMappingStep({ filename, headers, initialMapping, sampleRow, onConfirm, onSkip }) {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [saveProfile, setSaveProfile] = useState(true);
+  const [profileName, setProfileName] = useState('');
+
+  const targetFields = useMemo(() => getTargetFields(), []);
+  const validation = useMemo(() => validateColumnMapping(mapping), [mapping]);
+
+  // Profiler som kan appliceras på denna fil (minst en rubrik gemensam)
+  const applicableProfiles = useMemo(() =>
+    getImportProfiles().filter(profile =>
+      headers.some(header => profile.mapping[header] !== undefined)
+    ),
+  [headers]);
+
+  // Byt målkolumn för en källkolumn
+  const handleTargetChange = (header, target) => {
+    setMapping(current => ({ ...current, [header]: target }));
+  };
+
+  // Applicera en befintlig profil på rubriker som finns i filen
+  const handleApplyProfile = (name) => {
+    const profile = applicableProfiles.find(p => p.name === name);
+    if (!profile) return;
+
+    setMapping(Object.fromEntries(
+      headers.map(header => [header, profile.mapping[header] ?? IGNORE_COLUMN])
+    ));
+    setProfileName(profile.name);
+  };
+
+  const handleConfirm = () => {
+    const name = saveProfile ? profileName.trim() : '';
+    onConfirm(mapping, name || null);
+  };
+
+  const canConfirm = validation.isValid && (!saveProfile || profileName.trim() !== '');
+
+  return (
+    <Card className="border-instagram-300">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Columns className="h-5 w-5 text-instagram-500" />
+          Mappa kolumner för {filename}
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Filens kolumner matchar inte standardformatet. Kända kolumnnamn har mappats automatiskt –
+          kontrollera mappningen och välj "Ignorera" för kolumner som inte ska importeras.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {applicableProfiles.length > 0 && (
+          <div className="max-w-sm">
+            <Label className="mb-2 block">Använd sparad profil</Label>
+            <Select onValueChange={handleApplyProfile}>
+              <SelectTrigger>
+                <SelectValue placeholder="Välj importprofil" />
+              </SelectTrigger>
+              <SelectContent>
+                {applicableProfiles.map(profile => (
+                  <SelectItem key={profile.name} value={profile.name}>
+                    {profile.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Kolumn i filen</TableHead>
+                <TableHead>Exempelvärde</TableHead>
+                <TableHead>Importera som</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {headers.map(header => (
+                <TableRow key={header}>
+                  <TableCell className="font-medium">{header}</TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {sampleRow?.[header] ?? ''}
+                  </TableCell>
+                  <TableCell className="w-64">
+                    <Select
+                      value={mapping[header] || IGNORE_COLUMN}
+                      onValueChange={(value) => handleTargetChange(header, value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={IGNORE_COLUMN}>Ignorera</SelectItem>
+                        {targetFields.map(field => (
+                          <SelectItem key={field.column} value={field.column}>
+                            {field.label} ({field.column}){field.required ? ' *' : ''}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+
+        {validation.errors.length > 0 ? (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Mappningen är ofullständig</AlertTitle>
+            <AlertDescription>
+              <ul className="list-disc list-inside space-y-1">
+                {validation.errors.map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        ) : validation.warnings.length > 0 && (
+          <Alert className="bg-amber-50 border-amber-200">
+            <AlertCircle className="h-4 w-4 text-amber-600" />
+            <AlertTitle className="text-amber-800">Kolumner saknas</AlertTitle>
+            <AlertDescription className="text-amber-700">
+              <ul className="list-disc list-inside space-y-1">
+                {validation.warnings.map((warning, index) => (
+                  <li key={index}>{warning}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="save-import-profile"
+              checked={saveProfile}
+              onCheckedChange={(checked) => setSaveProfile(checked === true)}
+            />
+            <Label htmlFor="save-import-profile">Spara som importprofil</Label>
+          </div>
+          {saveProfile && (
+            <Input
+              className="max-w-xs"
+              placeholder="Profilnamn, t.ex. Meta Business Suite"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+            />
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onSkip}>
+            Hoppa över filen
+          </Button>
+          <Button onClick={handleConfirm} disabled={!canConfirm}>
+            <CheckCircle2 className="mr-2 h-4 w-4" />
+            Använd mappning
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ColumnMappingStep;
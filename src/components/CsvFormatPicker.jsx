@@ -0,0 +1,106 @@
+import React from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { AlertTriangle } from 'lucide-react';
+import { CSV_ENCODINGS, CSV_DELIMITERS } from '../core/csv_format_detector';
+
+// Antal kolumner som visas i förhandsgranskningen
+const PREVIEW_COLUMNS = 6;
+
+/**
+ * Teckenkodning och avgränsare för en CSV-fil
+ * Visar identifierade värden med förhandsgranskning och låter användaren ändra dem före import
+ */
+function CsvFormatPicker({ format, preview, disabled, onChange }) {
+  const visibleHeaders = preview.headers.slice(0, PREVIEW_COLUMNS);
+  const hiddenColumns = preview.headers.length - visibleHeaders.length;
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-muted-foreground">Teckenkodning</span>
+        <Select
+          value={format.encoding}
+          onValueChange={(encoding) => onChange({ encoding })}
+          disabled={disabled}
+        >
+          <SelectTrigger className="h-8 w-56">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {CSV_ENCODINGS.map(option => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}{option.value === format.detectedEncoding ? ' (identifierad)' : ''}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <span className="text-muted-foreground">Avgränsare</span>
+        <Select
+          value={format.delimiter}
+          onValueChange={(delimiter) => onChange({ delimiter })}
+          disabled={disabled}
+        >
+          <SelectTrigger className="h-8 w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {CSV_DELIMITERS.map(option => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}{option.value === format.detectedDelimiter ? ' (identifierad)' : ''}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {format.hasBOM && (
+          <span className="text-xs text-muted-foreground">BOM hittad</span>
+        )}
+      </div>
+
+      {format.undecodableCount > 0 && (
+        <p className="flex items-center gap-1 text-xs text-amber-700">
+          <AlertTriangle className="h-3 w-3" />
+          {format.undecodableCount} tecken kunde inte avkodas - prova en annan teckenkodning
+        </p>
+      )}
+      {preview.headers.length === 1 && (
+        <p className="flex items-center gap-1 text-xs text-amber-700">
+          <AlertTriangle className="h-3 w-3" />
+          Bara en kolumn hittades - kontrollera avgränsaren
+        </p>
+      )}
+
+      {preview.headers.length > 0 && (
+        <div className="rounded-md border bg-white">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                {visibleHeaders.map((header, index) => (
+                  <TableHead key={index} className="h-8 whitespace-nowrap">{header}</TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {preview.rows.map((row, rowIndex) => (
+                <TableRow key={rowIndex}>
+                  {visibleHeaders.map((_, index) => (
+                    <TableCell key={index} className="py-1 whitespace-nowrap">{row[index] ?? ''}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {hiddenColumns > 0 && (
+            <p className="px-2 py-1 text-xs text-muted-foreground">
+              + {hiddenColumns} kolumner till
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CsvFormatPicker;
@@ -0,0 +1,157 @@
+import React from 'react';
+import { isMissingValue } from '../core/timeseries_models';
+
+// Diagrammets mått i viewBox-enheter
+const WIDTH = 1000;
+const HEIGHT = 300;
+const PADDING = { top: 20, right: 20, bottom: 50, left: 80 };
+const MAX_X_LABELS = 12;
+
+const MAIN_COLOR = '#E1306C';
+
+/**
+ * Avrundar det största värdet uppåt till ett jämnt tal för Y-axeln (1, 2 eller 5 gånger en tiopotens)
+ * @param {number} value - Största värdet i diagrammet
+ * @returns {number} - Y-axelns maxvärde
+ */
+function getNiceMax(value) {
+  if (!value || value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const factor = [1, 2, 5, 10].find(step => value <= step * magnitude);
+  return factor * magnitude;
+}
+
+/**
+ * Delar en linje i segment mellan saknade värden
+ * @param {Array<Object>} coordinates - Punkter {x, y} där y är null för saknade värden
+ * @returns {Array<string>} - SVG-sökvägar för segment med minst två punkter
+ */
+function toSegments(coordinates) {
+  const segments = [[]];
+  for (const coordinate of coordinates) {
+    if (coordinate.y === null) {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(coordinate);
+    }
+  }
+
+  return segments
+    .filter(segment => segment.length > 1)
+    .map(segment => segment.map(({ x, y }, index) => `${index === 0 ? 'M' : 'L'} ${x} ${y}`).join(' '));
+}
+
+/**
+ * Linjediagram för en metric över perioder med valfria jämförelselinjer
+ * Jämförelselinjer (t.ex. föregående år) ritas streckade och kopplas till huvudserien via periodnyckel
+ * @param {Object} props - Props
+ * @param {Array<Object>} props.points - Huvudserien {key, label, shortLabel, value, flagged, highlighted}
+ * @param {string} props.seriesLabel - Huvudseriens namn i teckenförklaringen
+ * @param {Array<Object>} props.overlays - Jämförelselinjer {id, label, color, values: {periodKey: värde}}
+ */
+function MetricLineChart({ points, seriesLabel, overlays = [] }) {
+  if (!points || points.length === 0) {
+    return null;
+  }
+
+  const allValues = [
+    ...points.map(point => point.value),
+    ...overlays.flatMap(overlay => points.map(point => overlay.values[point.key]))
+  ].filter(value => !isMissingValue(value));
+  const maxValue = getNiceMax(allValues.length > 0 ? Math.max(...allValues) : 0);
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(share => maxValue * share);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const xFor = (index) => PADDING.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+  const yFor = (value) => (isMissingValue(value) ? null : PADDING.top + plotHeight - (value / maxValue) * plotHeight);
+  const labelStep = Math.ceil(points.length / MAX_X_LABELS);
+
+  const mainCoordinates = points.map((point, index) => ({ x: xFor(index), y: yFor(point.value), point }));
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-4 mb-2 text-sm text-muted-foreground">
+        <div className="flex items-center gap-2">
+          <svg width="24" height="8"><line x1="0" y1="4" x2="24" y2="4" stroke={MAIN_COLOR} strokeWidth="3" /></svg>
+          <span>{seriesLabel}</span>
+        </div>
+        {overlays.map(overlay => (
+          <div key={overlay.id} className="flex items-center gap-2">
+            <svg width="24" height="8">
+              <line x1="0" y1="4" x2="24" y2="4" stroke={overlay.color} strokeWidth="2" strokeDasharray="5 3" />
+            </svg>
+            <span>{overlay.label}</span>
+          </div>
+        ))}
+      </div>
+
+      <svg width="100%" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="border rounded bg-gray-50">
+        {/* Y-axel */}
+        {ticks.map(tick => {
+          const y = yFor(tick);
+          return (
+            <g key={tick}>
+              <line x1={PADDING.left} y1={y} x2={WIDTH - PADDING.right} y2={y} stroke="#e5e7eb" strokeWidth="1" />
+              <text x={PADDING.left - 8} y={y + 4} textAnchor="end" fontSize="12" fill="#6b7280">
+                {Math.round(tick).toLocaleString('sv-SE')}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* X-axel */}
+        {points.map((point, index) => (index % labelStep === 0 || index === points.length - 1) && (
+          <text
+            key={point.key}
+            x={xFor(index)}
+            y={HEIGHT - PADDING.bottom + 20}
+            textAnchor="middle"
+            fontSize="12"
+            fill={point.highlighted ? MAIN_COLOR : '#6b7280'}
+            fontWeight={point.highlighted ? 'bold' : 'normal'}
+          >
+            {point.shortLabel}
+          </text>
+        ))}
+
+        {/* Jämförelselinjer */}
+        {overlays.map(overlay => {
+          const coordinates = points.map((point, index) => ({ x: xFor(index), y: yFor(overlay.values[point.key]) }));
+          return (
+            <g key={overlay.id}>
+              {toSegments(coordinates).map((path, index) => (
+                <path key={index} d={path} fill="none" stroke={overlay.color} strokeWidth="2" strokeDasharray="6 4" />
+              ))}
+              {coordinates.map(({ x, y }, index) => y !== null && (
+                <circle key={points[index].key} cx={x} cy={y} r="3" fill={overlay.color}>
+                  <title>{`${overlay.label}, ${points[index].label}: ${overlay.values[points[index].key].toLocaleString('sv-SE')}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+
+        {/* Huvudserie */}
+        {toSegments(mainCoordinates).map((path, index) => (
+          <path key={index} d={path} fill="none" stroke={MAIN_COLOR} strokeWidth="3" strokeLinejoin="round" />
+        ))}
+        {mainCoordinates.map(({ x, y, point }) => y !== null && (
+          <circle
+            key={point.key}
+            cx={x}
+            cy={y}
+            r={point.highlighted ? 7 : 5}
+            fill={point.flagged ? 'white' : MAIN_COLOR}
+            stroke={point.flagged ? '#F59E0B' : 'white'}
+            strokeWidth="2"
+          >
+            <title>{`${point.label}: ${point.value.toLocaleString('sv-SE')}${point.flagged ? ' (flaggad)' : ''}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+export default MetricLineChart;
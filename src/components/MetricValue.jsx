@@ -0,0 +1,20 @@
+import React from 'react';
+import { isMissingValue } from '../core/timeseries_models';
+
+/**
+ * Visar ett metric-värde i tabeller
+ * Saknade värden markeras tydligt så att de inte förväxlas med 0
+ */
+function MetricValue({ value }) {
+  if (isMissingValue(value)) {
+    return (
+      <span className="text-xs italic text-muted-foreground" title="Värdet saknas i källdata">
+        saknas
+      </span>
+    );
+  }
+
+  return <span>{new Intl.NumberFormat('sv-SE').format(value)}</span>;
+}
+
+export default MetricValue;
@@ -4,6 +4,7 @@ import { Button } from './ui/button';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { Badge } from './ui/badge';
 import { 
   ArrowUpDown, 
   ArrowUp, 
@@ -14,8 +15,31 @@ import {
   AlertCircle,
   ChevronLeft,
   ChevronRight,
-  Activity
+  TrendingUp
 } from 'lucide-react';
+import { useDataset } from '../context/DatasetContext';
+import { METRIC_DEFINITIONS, getAllMetricKeys } from '../utils/metric_categorizer';
+import { calculatePercentageChange } from '../services/timeseries_analytics';
+import { getAnomalyKey } from '../services/anomaly_detection';
+import {
+  calculatePeriodSummary,
+  calculatePortfolioYearOverYear,
+  calculatePortfolioYearToDate,
+  calculatePortfolioTrailingTwelve
+} from '../services/aggregation_service';
+import StatusFlag from './StatusFlag';
+import MetricValue from './MetricValue';
+import ChangeValue from './ChangeValue';
+import AnomalyMarker from './AnomalyMarker';
+import MetricLineChart from './MetricLineChart';
+import { isMissingValue } from '../core/timeseries_models';
+import {
+  getPeriodKey,
+  getGranularityLabel,
+  isFiscalGranularity,
+  getSamePeriodLastYear,
+  formatPeriodLabel
+} from '../core/period_granularity';
 
 // ProfileIcon-komponent för Instagram-konton
 const ProfileIcon = ({ username }) => {
@@ -41,165 +65,121 @@ const PAGE_SIZE_OPTIONS = [
 ];
 
 // Tillgängliga metrics för månadsvy
-const AVAILABLE_METRICS = [
-  { key: 'reach', label: 'Räckvidd', canSum: false },
-  { key: 'views', label: 'Visningar', canSum: true },
-  { key: 'followers', label: 'Följare', canSum: true }
-];
+const AVAILABLE_METRICS = getAllMetricKeys().map(key => ({
+  key,
+  label: METRIC_DEFINITIONS[key].displayName,
+  canSum: METRIC_DEFINITIONS[key].canSumAcrossPages
+}));
 
-// Metric-definitioner
-const METRIC_DEFINITIONS = {
-  reach: { displayName: 'Räckvidd', canSumAcrossPages: false, category: 'unique_persons' },
-  views: { displayName: 'Visningar', canSumAcrossPages: true, category: 'countable' },
-  followers: { displayName: 'Följare', canSumAcrossPages: true, category: 'countable' }
+// Värdet som representerar alla konton i en period - total när metricen kan summeras över konton, annars snitt
+const getSummaryValue = (summary, metric) => {
+  const metricData = summary?.metrics[metric];
+  if (!metricData) return null;
+  return METRIC_DEFINITIONS[metric].canSumAcrossPages ? metricData.total : metricData.average;
 };
 
-function MonthlyComparisonView({ uploadedPeriods = [] }) {
+function MonthlyComparisonView() {
+  const { dataset, granularity, fiscalYearStart, anomalyIndex, periods } = useDataset();
+  const periodLabel = getGranularityLabel(granularity).toLowerCase();
+  const periodPlural = getGranularityLabel(granularity, true);
+
   // State management
   const [selectedPeriod, setSelectedPeriod] = useState(null);
-  const [periodData, setPeriodData] = useState([]);
-  const [periodSummary, setPeriodSummary] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
   
   // Tabell-state
   const [sortConfig, setSortConfig] = useState({ key: 'username', direction: 'asc' });
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(25);
-  const [selectedMetrics, setSelectedMetrics] = useState(['reach', 'views', 'followers']);
+  const [selectedMetrics, setSelectedMetrics] = useState(() => getAllMetricKeys());
+  const [includeFlagged, setIncludeFlagged] = useState(false);
+  const [showYearOverYear, setShowYearOverYear] = useState(false);
+  const [chartMetric, setChartMetric] = useState(() => getAllMetricKeys()[0]);
 
-  // Sätt default period när uploadedPeriods ändras
+  // Sätt default period när datasetets perioder ändras (t.ex. vid byte av upplösning)
   useEffect(() => {
-    if (uploadedPeriods.length > 0 && !selectedPeriod) {
-      const firstPeriod = uploadedPeriods[0];
-      setSelectedPeriod({ year: firstPeriod.year, month: firstPeriod.month });
+    const stillExists = selectedPeriod && periods.some(period => getPeriodKey(period) === getPeriodKey(selectedPeriod));
+    if (periods.length > 0 && !stillExists) {
+      setSelectedPeriod(periods[0]);
     }
-  }, [uploadedPeriods, selectedPeriod]);
+  }, [periods, selectedPeriod]);
 
-  // Ladda data när vald period ändras
-  useEffect(() => {
-    if (!selectedPeriod) return;
-    
-    const loadPeriodData = () => {
-      try {
-        setLoading(true);
-        setError(null);
-        
-        const matchingPeriod = uploadedPeriods.find(period => 
-          period.year === selectedPeriod.year && period.month === selectedPeriod.month
-        );
-        
-        if (!matchingPeriod) {
-          setError(`Ingen data hittades för ${getMonthName(selectedPeriod.month)} ${selectedPeriod.year}`);
-          setPeriodData([]);
-          setPeriodSummary(null);
-          return;
-        }
-        
-        // Mappa kolumnerna från CSV
-        const convertedData = matchingPeriod.data.map(csvRow => ({
-          account: {
-            username: csvRow.Account || csvRow.account || 'Okänt konto',
-            accountId: csvRow['IG ID'] || csvRow.igId || 'unknown'
-          },
-          period: {
-            year: selectedPeriod.year,
-            month: selectedPeriod.month
-          },
-          metrics: {
-            reach: parseNumericValue(csvRow.Reach || csvRow.reach),
-            views: parseNumericValue(csvRow.Views || csvRow.views),
-            followers: parseNumericValue(csvRow.Followers || csvRow.followers)
-          }
-        }));
-        
-        setPeriodData(convertedData);
-        
-        const summary = calculatePeriodSummary(convertedData, selectedPeriod.year, selectedPeriod.month);
-        setPeriodSummary(summary);
-        
-      } catch (err) {
-        console.error('Error loading period data:', err);
-        setError(`Kunde inte ladda data för ${getMonthName(selectedPeriod.month)} ${selectedPeriod.year}`);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Samma period föregående år för jämförelse
+  const previousYearPeriod = useMemo(() => getSamePeriodLastYear(selectedPeriod), [selectedPeriod]);
+
+  // Hämta alla konton för vald period från datasetet
+  const periodData = useMemo(() => {
+    if (!selectedPeriod) return [];
     
-    loadPeriodData();
-  }, [selectedPeriod, uploadedPeriods]);
-
-  // Parse numeriskt värde säkert
-  const parseNumericValue = (value) => {
-    if (value === null || value === undefined || value === '') return 0;
-    const parsed = parseFloat(String(value).replace(/[,\s]/g, ''));
-    return isNaN(parsed) ? 0 : parsed;
-  };
+    return dataset.getDataForPeriod(selectedPeriod).map(monthlyData => {
+      // Flaggade rader föregående år räknas inte som jämförelsevärde om de inte valts in
+      const previous = previousYearPeriod
+        ? dataset.getAccountTimeseries(monthlyData.account.accountId)?.getMonthlyData(previousYearPeriod)
+        : null;
 
-  // Hjälpfunktion för månadsnamn
-  const getMonthName = (month) => {
-    const months = [
-      'Januari', 'Februari', 'Mars', 'April', 'Maj', 'Juni',
-      'Juli', 'Augusti', 'September', 'Oktober', 'November', 'December'
-    ];
-    return months[month - 1];
-  };
+      return {
+        account: {
+          username: monthlyData.account.username,
+          accountId: monthlyData.account.accountId
+        },
+        period: monthlyData.getPeriod(),
+        metrics: monthlyData.metrics,
+        previousMetrics: previous && (includeFlagged || !previous.isFlagged()) ? previous.metrics : null,
+        status: monthlyData.status,
+        comment: monthlyData.comment,
+        flagged: monthlyData.isFlagged(),
+        incomplete: monthlyData.incomplete
+      };
+    });
+  }, [dataset, selectedPeriod, previousYearPeriod, includeFlagged]);
 
-  // Beräkna period-sammandrag
-  const calculatePeriodSummary = (data, year, month) => {
-    if (!data.length) return null;
-    
-    const summary = {
-      period: { year, month },
-      totalAccounts: data.length,
-      metrics: {}
+  // Period-sammandrag beräknas av aggregation_service
+  const periodSummary = useMemo(() => {
+    if (!selectedPeriod || periodData.length === 0) return null;
+    return calculatePeriodSummary(dataset, selectedPeriod, undefined, { includeFlagged });
+  }, [dataset, selectedPeriod, periodData, includeFlagged]);
+
+  // Jämförelser mot föregående år för alla konton: samma period, hittills i år och rullande tolv månader
+  const yearOverYear = useMemo(() => {
+    if (!selectedPeriod || periodData.length === 0) return null;
+
+    const options = { includeFlagged, fiscalYearStart, period: selectedPeriod };
+    return {
+      samePeriod: calculatePortfolioYearOverYear(dataset, selectedPeriod, undefined, options),
+      yearToDate: calculatePortfolioYearToDate(dataset, options),
+      trailingTwelve: calculatePortfolioTrailingTwelve(dataset, options)
     };
+  }, [dataset, selectedPeriod, periodData, includeFlagged, fiscalYearStart]);
 
-    const availableMetricKeys = ['reach', 'views', 'followers'];
-    
-    for (const metric of availableMetricKeys) {
-      const values = data
-        .map(item => item.metrics[metric])
-        .filter(value => value !== null && value !== undefined && !isNaN(value) && value >= 0);
-
-      if (values.length === 0) {
-        summary.metrics[metric] = {
-          total: 0,
-          average: 0,
-          min: 0,
-          max: 0,
-          validAccounts: 0,
-          type: METRIC_DEFINITIONS[metric].category
-        };
-        continue;
-      }
+  // Alla kontons värde per period för diagrammet, med föregående års värde som jämförelselinje
+  const periodSummaries = useMemo(() => new Map(periods.map(period => [
+    getPeriodKey(period),
+    calculatePeriodSummary(dataset, period, undefined, { includeFlagged })
+  ])), [dataset, periods, includeFlagged]);
 
-      const definition = METRIC_DEFINITIONS[metric];
-      
-      if (!definition.canSumAcrossPages) {
-        summary.metrics[metric] = {
-          average: Math.round(values.reduce((sum, val) => sum + val, 0) / values.length),
-          min: Math.min(...values),
-          max: Math.max(...values),
-          validAccounts: values.length,
-          type: 'unique_persons',
-          note: 'Genomsnitt över konton - total reach kan inte beräknas'
-        };
-      } else {
-        const total = values.reduce((sum, val) => sum + val, 0);
-        summary.metrics[metric] = {
-          total,
-          average: Math.round(total / values.length),
-          min: Math.min(...values),
-          max: Math.max(...values),
-          validAccounts: values.length,
-          type: 'countable'
-        };
-      }
-    }
+  const chartPoints = useMemo(() => periods.map(period => ({
+    key: getPeriodKey(period),
+    label: formatPeriodLabel(period),
+    shortLabel: formatPeriodLabel(period, { short: true }),
+    value: getSummaryValue(periodSummaries.get(getPeriodKey(period)), chartMetric),
+    highlighted: selectedPeriod !== null && getPeriodKey(period) === getPeriodKey(selectedPeriod)
+  })), [periods, periodSummaries, chartMetric, selectedPeriod]);
 
-    return summary;
-  };
+  const previousYearValues = useMemo(() => Object.fromEntries(periods
+    .map(period => {
+      const previous = getSamePeriodLastYear(period);
+      return [getPeriodKey(period), previous ? getSummaryValue(periodSummaries.get(getPeriodKey(previous)), chartMetric) : null];
+    })
+    .filter(([, value]) => !isMissingValue(value))
+  ), [periods, periodSummaries, chartMetric]);
+
+  const flaggedCount = periodData.filter(item => item.flagged).length;
+
+  // Bästa/lägsta-markering gäller bara rader som ingår i sammandraget
+  const isMarkable = (item) => includeFlagged || !item.flagged;
+
+  const error = selectedPeriod && periodData.length === 0
+    ? `Ingen data hittades för ${formatPeriodLabel(selectedPeriod)}`
+    : null;
 
   // Sortera data
   const sortedData = useMemo(() => {
@@ -212,8 +192,13 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
         aValue = a.account.username;
         bValue = b.account.username;
       } else {
-        aValue = a.metrics[sortConfig.key] || 0;
-        bValue = b.metrics[sortConfig.key] || 0;
+        aValue = a.metrics[sortConfig.key];
+        bValue = b.metrics[sortConfig.key];
+
+        // Saknade värden sorteras alltid sist
+        if (isMissingValue(aValue) || isMissingValue(bValue)) {
+          return isMissingValue(aValue) - isMissingValue(bValue);
+        }
       }
       
       if (typeof aValue === 'string') {
@@ -266,12 +251,13 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
     const headers = ['Kontonamn', 'Konto-ID', ...selectedMetrics.map(m => {
       const def = METRIC_DEFINITIONS[m];
       return def ? def.displayName : m;
-    })];
+    }), 'Status'];
     
     const csvData = sortedData.map(item => [
       item.account.username,
       item.account.accountId,
-      ...selectedMetrics.map(m => item.metrics[m] || 0)
+      ...selectedMetrics.map(m => item.metrics[m] ?? ''),
+      item.status
     ]);
     
     const csvContent = [
@@ -285,7 +271,7 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
     link.setAttribute('href', url);
     
     const periodName = selectedPeriod ? 
-      `${getMonthName(selectedPeriod.month)}_${selectedPeriod.year}` : 
+      formatPeriodLabel(selectedPeriod).replace(/,? /g, '_') : 
       'månadsjämförelse';
       
     link.setAttribute('download', `Instagram_${periodName}.csv`);
@@ -301,18 +287,6 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
     return new Intl.NumberFormat('sv-SE').format(value);
   };
 
-  if (loading) {
-    return (
-      <Alert>
-        <Activity className="h-4 w-4" />
-        <AlertTitle>Laddar data</AlertTitle>
-        <AlertDescription>
-          Analyserar månadsdata för Instagram-konton...
-        </AlertDescription>
-      </Alert>
-    );
-  }
-
   if (error) {
     return (
       <Alert variant="destructive">
@@ -325,7 +299,7 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
     );
   }
 
-  if (uploadedPeriods.length === 0) {
+  if (periods.length === 0) {
     return (
       <Alert>
         <AlertCircle className="h-4 w-4" />
@@ -350,28 +324,27 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
         <CardContent>
           <div className="grid md:grid-cols-2 gap-4 mb-6">
             <div>
-              <label className="text-sm font-medium mb-2 block">Välj månad</label>
+              <label className="text-sm font-medium mb-2 block">Välj {periodLabel}</label>
               <Select 
-                value={selectedPeriod ? `${selectedPeriod.year}_${selectedPeriod.month}` : ''}
+                value={selectedPeriod ? getPeriodKey(selectedPeriod) : ''}
                 onValueChange={(value) => {
-                  const [year, month] = value.split('_');
-                  setSelectedPeriod({ year: parseInt(year), month: parseInt(month) });
+                  setSelectedPeriod(periods.find(period => getPeriodKey(period) === value) || null);
                 }}
               >
                 <SelectTrigger>
-                  <SelectValue placeholder="Välj månad att analysera" />
+                  <SelectValue placeholder={`Välj ${periodLabel} att analysera`} />
                 </SelectTrigger>
                 <SelectContent>
-                  {uploadedPeriods.map(period => (
-                    <SelectItem key={`${period.year}_${period.month}`} value={`${period.year}_${period.month}`}>
-                      {getMonthName(period.month)} {period.year}
+                  {periods.map(period => (
+                    <SelectItem key={getPeriodKey(period)} value={getPeriodKey(period)}>
+                      {formatPeriodLabel(period)}
                     </SelectItem>
                   ))}
                 </SelectContent>
               </Select>
               {selectedPeriod && (
                 <p className="text-xs text-muted-foreground mt-1">
-                  Visar data för {getMonthName(selectedPeriod.month)} {selectedPeriod.year}
+                  Visar data för {formatPeriodLabel(selectedPeriod)}
                 </p>
               )}
             </div>
@@ -399,8 +372,32 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
                 })}
               </div>
               <p className="text-xs text-muted-foreground mt-2">
-                * = Kan inte summeras över konton (unika personer per månad)
+                * = Kan inte summeras över konton (unika personer per {periodLabel})
               </p>
+              {flaggedCount > 0 && (
+                <label className="flex items-center gap-2 cursor-pointer mt-3">
+                  <input
+                    type="checkbox"
+                    checked={includeFlagged}
+                    onChange={(e) => setIncludeFlagged(e.target.checked)}
+                    className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
+                  />
+                  <span className="text-sm">
+                    Räkna med flaggade konton ({flaggedCount})
+                  </span>
+                </label>
+              )}
+              <label className="flex items-center gap-2 cursor-pointer mt-3">
+                <input
+                  type="checkbox"
+                  checked={showYearOverYear}
+                  onChange={(e) => setShowYearOverYear(e.target.checked)}
+                  className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
+                />
+                <span className="text-sm">
+                  Visa förändring mot {previousYearPeriod ? formatPeriodLabel(previousYearPeriod) : 'föregående år'}
+                </span>
+              </label>
             </div>
           </div>
 
@@ -412,11 +409,16 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
                   {periodSummary.totalAccounts}
                 </div>
                 <div className="text-sm text-muted-foreground">Instagram-konton</div>
+                {periodSummary.flaggedAccounts > 0 && (
+                  <div className="text-xs text-amber-700 mt-1">
+                    {periodSummary.flaggedAccounts} flaggade utesluts
+                  </div>
+                )}
               </div>
               
               <div className="text-center">
                 <div className="text-lg font-semibold">
-                  {getMonthName(periodSummary.period.month)} {periodSummary.period.year}
+                  {formatPeriodLabel(periodSummary.period)}
                 </div>
                 <div className="text-sm text-muted-foreground">Vald period</div>
               </div>
@@ -438,21 +440,108 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
                     <div className="text-sm text-muted-foreground">
                       {definition.canSumAcrossPages ? `Total ${definition.displayName}` : `Snitt ${definition.displayName}`}
                     </div>
+                    {metricData.missingAccounts > 0 && (
+                      <div className="text-xs text-muted-foreground mt-1">
+                        {metricData.missingAccounts} konton saknar värde
+                      </div>
+                    )}
+                    {yearOverYear?.samePeriod.previousPeriod && (
+                      <div className="text-xs text-muted-foreground mt-1">
+                        <ChangeValue value={yearOverYear.samePeriod.metrics[metric].percentageChange} /> mot {formatPeriodLabel(yearOverYear.samePeriod.previousPeriod)}
+                      </div>
+                    )}
                   </div>
                 );
               })}
             </div>
           )}
+
+          {/* Hittills i år och rullande tolv månader mot föregående år */}
+          {yearOverYear && (yearOverYear.yearToDate || yearOverYear.trailingTwelve) && (
+            <div className="grid md:grid-cols-2 gap-4 mb-6">
+              {[
+                { key: 'yearToDate', label: 'Hittills i år', comparison: yearOverYear.yearToDate },
+                { key: 'trailingTwelve', label: 'Senaste 12 månaderna', comparison: yearOverYear.trailingTwelve }
+              ].map(({ key, label, comparison }) => comparison && (
+                <div key={key} className="p-3 bg-white border rounded-lg">
+                  <div className="font-medium text-sm mb-1">
+                    {label} mot samma period föregående år
+                  </div>
+                  <div className="text-xs text-muted-foreground mb-2">
+                    {comparison.current.start.toLocaleDateString('sv-SE', { timeZone: 'UTC' })} – {comparison.current.end.toLocaleDateString('sv-SE', { timeZone: 'UTC' })}
+                  </div>
+                  <div className="space-y-1">
+                    {selectedMetrics.map(metric => {
+                      const metricData = comparison.metrics[metric];
+                      return (
+                        <div key={metric} className="flex items-center justify-between text-sm">
+                          <span>{METRIC_DEFINITIONS[metric].displayName}</span>
+                          <span className="flex items-center gap-2">
+                            <MetricValue value={metricData.current} />
+                            <ChangeValue
+                              value={metricData.percentageChange}
+                              title={`Föregående år: ${isMissingValue(metricData.previous) ? 'saknas' : metricData.previous.toLocaleString('sv-SE')}, ${metricData.comparableAccounts} jämförbara konton`}
+                            />
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  {selectedMetrics.some(metric => comparison.metrics[metric].incompleteAccounts > 0) && (
+                    <p className="text-xs text-amber-700 mt-2">
+                      Perioder saknas för vissa konton - jämförelsen är ofullständig
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </CardContent>
       </Card>
 
+      {/* Diagram för alla konton med föregående år som jämförelselinje */}
+      {chartPoints.length > 1 && (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="flex items-center gap-2">
+              <TrendingUp className="h-5 w-5" />
+              Alla konton jämfört med föregående år
+            </CardTitle>
+            <Select value={chartMetric} onValueChange={setChartMetric}>
+              <SelectTrigger className="w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {AVAILABLE_METRICS.map(metric => (
+                  <SelectItem key={metric.key} value={metric.key}>
+                    {metric.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </CardHeader>
+          <CardContent>
+            <MetricLineChart
+              points={chartPoints}
+              seriesLabel={`${METRIC_DEFINITIONS[chartMetric].canSumAcrossPages ? 'Total' : 'Snitt'} ${METRIC_DEFINITIONS[chartMetric].displayName}`}
+              overlays={[{
+                id: 'previous_year',
+                label: `Samma ${periodLabel} föregående år`,
+                color: '#9CA3AF',
+                values: previousYearValues
+              }]}
+            />
+          </CardContent>
+        </Card>
+      )}
+
       {/* Månadsdata-tabell */}
       <Card>
         <CardHeader className="flex flex-row items-center justify-between">
           <CardTitle className="flex items-center gap-2">
             <BarChart3 className="h-5 w-5" />
             {selectedPeriod ? 
-              `${getMonthName(selectedPeriod.month)} ${selectedPeriod.year} - Alla konton` : 
+              `${formatPeriodLabel(selectedPeriod)} - Alla konton` : 
               'Månadsdata'}
           </CardTitle>
           <div className="flex gap-2">
@@ -465,7 +554,7 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
         <CardContent>
           {periodData.length === 0 ? (
             <p className="text-center text-muted-foreground py-8">
-              Ingen data tillgänglig för vald månad
+              Ingen data tillgänglig för vald {periodLabel}
             </p>
           ) : (
             <>
@@ -484,51 +573,68 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
                     {selectedMetrics.map(metric => {
                       const definition = METRIC_DEFINITIONS[metric];
                       return (
-                        <TableHead 
-                          key={metric}
-                          className="text-right cursor-pointer select-none"
-                          onClick={() => handleSort(metric)}
-                        >
-                          <div className="flex items-center justify-end">
-                            {definition?.displayName || metric}
-                            {getSortIcon(metric)}
-                            {!definition?.canSumAcrossPages && (
-                              <span className="ml-1 text-orange-600">*</span>
-                            )}
-                          </div>
-                        </TableHead>
+                        <React.Fragment key={metric}>
+                          <TableHead 
+                            className="text-right cursor-pointer select-none"
+                            onClick={() => handleSort(metric)}
+                          >
+                            <div className="flex items-center justify-end">
+                              {definition?.displayName || metric}
+                              {getSortIcon(metric)}
+                              {!definition?.canSumAcrossPages && (
+                                <span className="ml-1 text-orange-600">*</span>
+                              )}
+                            </div>
+                          </TableHead>
+                          {showYearOverYear && (
+                            <TableHead className="text-right text-xs">Mot fg. år</TableHead>
+                          )}
+                        </React.Fragment>
                       );
                     })}
                   </TableRow>
                 </TableHeader>
                 <TableBody>
                   {paginatedData.map((item, index) => (
-                    <TableRow key={item.account.accountId}>
+                    <TableRow key={item.account.accountId} className={item.flagged ? 'bg-amber-50' : ''}>
                       <TableCell className="font-medium">
                         <div className="flex items-center gap-2">
                           <ProfileIcon username={item.account.username} />
                           <span>{item.account.username}</span>
+                          {item.flagged && <StatusFlag status={item.status} comment={item.comment} />}
+                          {item.incomplete && (
+                            <Badge variant="outline" className="text-muted-foreground" title={item.comment}>
+                              Ofullständig
+                            </Badge>
+                          )}
                         </div>
                       </TableCell>
                       {selectedMetrics.map(metric => (
-                        <TableCell 
-                          key={metric}
-                          className="text-right"
-                        >
-                          <div className="flex items-center justify-end gap-1">
-                            {formatValue(item.metrics[metric])}
-                            {periodSummary?.metrics[metric] && 
-                             item.metrics[metric] === periodSummary.metrics[metric].max && 
-                             periodSummary.metrics[metric].max !== periodSummary.metrics[metric].min && (
-                              <span className="text-yellow-600" title="Bästa värde för denna månad">🏆</span>
-                            )}
-                            {periodSummary?.metrics[metric] && 
-                             item.metrics[metric] === periodSummary.metrics[metric].min && 
-                             periodSummary.metrics[metric].max !== periodSummary.metrics[metric].min && (
-                              <span className="text-gray-500" title="Lägsta värde för denna månad">📉</span>
-                            )}
-                          </div>
-                        </TableCell>
+                        <React.Fragment key={metric}>
+                          <TableCell className="text-right">
+                            <div className="flex items-center justify-end gap-1">
+                              <MetricValue value={item.metrics[metric]} />
+                              {anomalyIndex.has(getAnomalyKey(item.account.accountId, selectedPeriod, metric)) && (
+                                <AnomalyMarker anomaly={anomalyIndex.get(getAnomalyKey(item.account.accountId, selectedPeriod, metric))} />
+                              )}
+                              {periodSummary?.metrics[metric] && isMarkable(item) &&
+                               item.metrics[metric] === periodSummary.metrics[metric].max && 
+                               periodSummary.metrics[metric].max !== periodSummary.metrics[metric].min && (
+                                <span className="text-yellow-600" title={`Bästa värde för denna ${periodLabel}`}>🏆</span>
+                              )}
+                              {periodSummary?.metrics[metric] && isMarkable(item) &&
+                               item.metrics[metric] === periodSummary.metrics[metric].min && 
+                               periodSummary.metrics[metric].max !== periodSummary.metrics[metric].min && (
+                                <span className="text-gray-500" title={`Lägsta värde för denna ${periodLabel}`}>📉</span>
+                              )}
+                            </div>
+                          </TableCell>
+                          {showYearOverYear && (
+                            <TableCell className="text-right">
+                              <ChangeValue value={calculatePercentageChange(item.metrics[metric], item.previousMetrics?.[metric])} />
+                            </TableCell>
+                          )}
+                        </React.Fragment>
                       ))}
                     </TableRow>
                   ))}
@@ -593,16 +699,27 @@ function MonthlyComparisonView({ uploadedPeriods = [] }) {
           )}
           
           {/* Varning för icke-summerbara metrics */}
-          {selectedMetrics.some(m => METRIC_DEFINITIONS[m]?.category === 'unique_persons') && (
-            <Alert className="mt-4 bg-amber-50 border-amber-200">
-              <AlertCircle className="h-4 w-4 text-amber-600" />
-              <AlertTitle className="text-amber-800">Viktigt om Räckvidd</AlertTitle>
-              <AlertDescription className="text-amber-700">
-                Räckvidd representerar unika personer per månad och kan ALDRIG summeras över månader eller konton. 
-                Värdena i tabellen visar data för den valda månaden.
-              </AlertDescription>
-            </Alert>
-          )}
+          {selectedMetrics
+            .filter(m => METRIC_DEFINITIONS[m]?.category === 'unique_persons')
+            .map(m => (
+              <Alert key={m} className="mt-4 bg-amber-50 border-amber-200">
+                <AlertCircle className="h-4 w-4 text-amber-600" />
+                <AlertTitle className="text-amber-800">Viktigt om {METRIC_DEFINITIONS[m].displayName}</AlertTitle>
+                <AlertDescription className="text-amber-700">
+                  {isFiscalGranularity(granularity) ? (
+                    <>
+                      {METRIC_DEFINITIONS[m].displayName} representerar unika personer per månad och kan ALDRIG summeras över månader eller konton. 
+                      För {periodPlural} visas genomsnittet av månadernas värden. Följare avser periodens slut och {periodPlural} som saknar månader markeras som ofullständiga. Flaggade månader räknas inte in.
+                    </>
+                  ) : (
+                    <>
+                      {METRIC_DEFINITIONS[m].displayName} representerar unika personer per {periodLabel} och kan ALDRIG summeras över {periodPlural} eller konton. 
+                      Värdena i tabellen visar data för vald {periodLabel}. Vid upprullning från finare upplösning saknas därför {METRIC_DEFINITIONS[m].displayName.toLowerCase()}.
+                    </>
+                  )}
+                </AlertDescription>
+              </Alert>
+            ))}
         </CardContent>
       </Card>
     </div>
@@ -0,0 +1,142 @@
+import React, { useState, useMemo } from 'react';
+import Papa from 'papaparse';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { ClipboardPaste, AlertCircle } from 'lucide-react';
+import { detectDelimiter, getFormatLabel, CSV_DELIMITERS } from '../core/csv_format_detector';
+import { formatMonthName } from '../lib/utils';
+
+// Årsintervall som kan väljas
+const currentYear = new Date().getFullYear();
+const YEAR_OPTIONS = Array.from({ length: 12 }, (_, i) => currentYear + 1 - i);
+
+/**
+ * Steg för att klistra in tabelldata från urklipp (t.ex. från ett kalkylark eller e-post)
+ * Texten kan vara tabb- eller kommaseparerad med rubrikrad. Perioden väljs manuellt
+ * eftersom det inte finns något filnamn att läsa den från
+ */
+function PasteDataStep({ disabled, onConfirm, onCancel }) {
+  const [text, setText] = useState('');
+  const [year, setYear] = useState('');
+  const [month, setMonth] = useState('');
+  const [clipboardError, setClipboardError] = useState(null);
+
+  // Avgränsare, rubriker och antal rader i inklistrad text
+  const summary = useMemo(() => {
+    if (text.trim() === '') return null;
+
+    const delimiter = detectDelimiter(text);
+    const { data } = Papa.parse(text.trim(), { delimiter, skipEmptyLines: true });
+    return {
+      delimiter,
+      headers: data[0] || [],
+      rowCount: Math.max(data.length - 1, 0)
+    };
+  }, [text]);
+
+  // Läs urklipp direkt när webbläsaren tillåter det - annars klistrar användaren in själv
+  const handleReadClipboard = async () => {
+    setClipboardError(null);
+    try {
+      setText(await navigator.clipboard.readText());
+    } catch (error) {
+      setClipboardError('Urklipp kunde inte läsas - klistra in med Ctrl+V (Cmd+V) i textrutan');
+    }
+  };
+
+  const isReady = summary !== null && summary.rowCount > 0 && year !== '' && month !== '';
+
+  const handleConfirm = () => {
+    onConfirm({ text: text.trim(), year: parseInt(year, 10), month: parseInt(month, 10) });
+  };
+
+  return (
+    <Card className="border-instagram-200">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardPaste className="h-5 w-5 text-instagram-500" />
+          Klistra in data
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Kopiera tabellen med rubrikrad från ett kalkylark eller e-post och klistra in den här.
+          Välj vilken månad datan gäller.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <Label className="mb-2 block">Månad</Label>
+            <Select value={month} onValueChange={setMonth} disabled={disabled}>
+              <SelectTrigger className="h-9 w-36">
+                <SelectValue placeholder="Månad" />
+              </SelectTrigger>
+              <SelectContent>
+                {Array.from({ length: 12 }, (_, i) => i + 1).map(value => (
+                  <SelectItem key={value} value={String(value)}>
+                    {formatMonthName(value)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div>
+            <Label className="mb-2 block">År</Label>
+            <Select value={year} onValueChange={setYear} disabled={disabled}>
+              <SelectTrigger className="h-9 w-28">
+                <SelectValue placeholder="År" />
+              </SelectTrigger>
+              <SelectContent>
+                {YEAR_OPTIONS.map(value => (
+                  <SelectItem key={value} value={String(value)}>
+                    {value}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <Button variant="outline" size="sm" onClick={handleReadClipboard} disabled={disabled}>
+            <ClipboardPaste className="mr-2 h-4 w-4" />
+            Hämta från urklipp
+          </Button>
+        </div>
+
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={disabled}
+          rows={8}
+          placeholder={'Account\tAccount Name\tIG ID\tReach\tViews\tFollowers\nkonto\tKonto AB\t17841400000000000\t1200\t3400\t560'}
+          className="w-full rounded-md border border-input bg-background px-3 py-2 font-mono text-xs placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        />
+
+        {clipboardError && (
+          <p className="flex items-center gap-1 text-xs text-amber-700">
+            <AlertCircle className="h-3 w-3" />
+            {clipboardError}
+          </p>
+        )}
+
+        {summary && (
+          <p className="text-sm text-muted-foreground">
+            {summary.rowCount} rader · {summary.headers.length} kolumner · avgränsare: {getFormatLabel(CSV_DELIMITERS, summary.delimiter)}
+          </p>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onCancel} disabled={disabled}>
+            Avbryt
+          </Button>
+          <Button onClick={handleConfirm} disabled={!isReady || disabled}>
+            Lägg till data
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default PasteDataStep;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { GitCompare, CheckCircle2 } from 'lucide-react';
+import { CONFLICT_RESOLUTIONS, ACCOUNT_DIFF_STATUS, getDefaultResolution } from '../core/period_conflicts';
+import { formatPeriodForDisplay } from '../core/period_extractor';
+import { getPeriodKey } from '../core/period_granularity';
+import { METRIC_DEFINITIONS } from '../utils/metric_categorizer';
+import { formatNumber } from '../lib/utils';
+
+const RESOLUTION_LABELS = {
+  [CONFLICT_RESOLUTIONS.KEEP]: 'Behåll lagrad',
+  [CONFLICT_RESOLUTIONS.REPLACE]: 'Ersätt',
+  [CONFLICT_RESOLUTIONS.MERGE]: 'Slå ihop'
+};
+
+const STATUS_LABELS = {
+  [ACCOUNT_DIFF_STATUS.CHANGED]: 'Ändrat',
+  [ACCOUNT_DIFF_STATUS.ADDED]: 'Nytt konto',
+  [ACCOUNT_DIFF_STATUS.ONLY_STORED]: 'Saknas i filen'
+};
+
+/**
+ * Skapar standardval för alla konton i alla konflikter
+ */
+function createInitialResolutions(conflicts) {
+  return Object.fromEntries(conflicts.map(conflict => [
+    getPeriodKey(conflict),
+    Object.fromEntries(conflict.accounts.map(account => [account.accountId, getDefaultResolution(account)]))
+  ]));
+}
+
+/**
+ * Visar ett värde, tomma celler markeras med streck
+ */
+const formatValue = (value) => value === null ? '–' : formatNumber(value);
+
+/**
+ * Dialog för att lösa konflikter när redan lagrade månader laddas upp igen
+ * Visar lagrade och inkommande värden per konto och metric med källfil för lagrade värden
+ */
+function PeriodConflictDialog({ conflicts, saving, onResolve, onCancel }) {
+  const [resolutions, setResolutions] = useState(() => createInitialResolutions(conflicts));
+
+  const setAccountResolution = (conflict, accountId, resolution) => {
+    const key = getPeriodKey(conflict);
+    setResolutions(current => ({
+      ...current,
+      [key]: { ...current[key], [accountId]: resolution }
+    }));
+  };
+
+  // Sätt samma val för alla konton med inkommande data i perioden
+  const setAllResolutions = (conflict, resolution) => {
+    const key = getPeriodKey(conflict);
+    setResolutions(current => ({
+      ...current,
+      [key]: Object.fromEntries(conflict.accounts.map(account => [
+        account.accountId,
+        account.incomingRow ? resolution : current[key][account.accountId]
+      ]))
+    }));
+  };
+
+  return (
+    <Card className="border-instagram-300">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <GitCompare className="h-5 w-5 text-instagram-500" />
+          Perioder som redan finns
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          Följande månader finns redan lagrade. Jämför värdena och välj per konto om lagrad data ska
+          behållas, ersättas med filens värden eller slås ihop (filens värden används där de finns).
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {conflicts.map(conflict => {
+          const key = getPeriodKey(conflict);
+          const visibleAccounts = conflict.accounts.filter(account => account.status !== ACCOUNT_DIFF_STATUS.UNCHANGED);
+          const unchangedCount = conflict.accounts.length - visibleAccounts.length;
+
+          return (
+            <div key={key} className="space-y-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <h3 className="font-semibold">{formatPeriodForDisplay(conflict)}</h3>
+                  <p className="text-xs text-muted-foreground">
+                    Inkommande fil: {conflict.incomingPeriod.filename}
+                    {unchangedCount > 0 && ` · ${unchangedCount} konton har samma värden`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  {Object.values(CONFLICT_RESOLUTIONS).map(resolution => (
+                    <Button
+                      key={resolution}
+                      variant="outline"
+                      size="sm"
+                      disabled={saving}
+                      onClick={() => setAllResolutions(conflict, resolution)}
+                    >
+                      {RESOLUTION_LABELS[resolution]} alla
+                    </Button>
+                  ))}
+                </div>
+              </div>
+
+              {visibleAccounts.length === 0 ? (
+                <p className="text-sm text-muted-foreground">Inga skillnader mot lagrad data</p>
+              ) : (
+                <div className="rounded-md border overflow-x-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Konto</TableHead>
+                        {Object.entries(METRIC_DEFINITIONS).map(([metricKey, definition]) => (
+                          <TableHead key={metricKey}>{definition.displayName}</TableHead>
+                        ))}
+                        <TableHead>Val</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {visibleAccounts.map(account => (
+                        <TableRow key={account.accountId}>
+                          <TableCell>
+                            <div className="font-medium">{account.displayName || account.username}</div>
+                            <Badge variant="outline" className="mt-1">{STATUS_LABELS[account.status]}</Badge>
+                            {account.statusChanged && (
+                              <div className="text-xs text-amber-700 mt-1">
+                                Status: {account.storedStatus} → {account.incomingStatus}
+                              </div>
+                            )}
+                          </TableCell>
+                          {account.metrics.map(diff => (
+                            <TableCell key={diff.metric} className="whitespace-nowrap">
+                              <span
+                                className="text-muted-foreground"
+                                title={account.storedSources[diff.metric] ? `Lagrat från ${account.storedSources[diff.metric]}` : undefined}
+                              >
+                                {formatValue(diff.stored)}
+                              </span>
+                              {' → '}
+                              <span className={diff.changed ? 'font-semibold text-instagram-600' : ''}>
+                                {formatValue(diff.incoming)}
+                              </span>
+                              {account.storedSources[diff.metric] && (
+                                <div className="text-xs text-muted-foreground">
+                                  {account.storedSources[diff.metric]}
+                                </div>
+                              )}
+                            </TableCell>
+                          ))}
+                          <TableCell className="w-44">
+                            {account.incomingRow ? (
+                              <Select
+                                value={resolutions[key][account.accountId]}
+                                onValueChange={(value) => setAccountResolution(conflict, account.accountId, value)}
+                                disabled={saving}
+                              >
+                                <SelectTrigger>
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {Object.values(CONFLICT_RESOLUTIONS).map(resolution => (
+                                    <SelectItem key={resolution} value={resolution}>
+                                      {RESOLUTION_LABELS[resolution]}
+                                    </SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            ) : (
+                              <span className="text-xs text-muted-foreground">Behålls</span>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onCancel} disabled={saving}>
+            Avbryt
+          </Button>
+          <Button onClick={() => onResolve(resolutions)} disabled={saving}>
+            <CheckCircle2 className="mr-2 h-4 w-4" />
+            {saving ? 'Sparar...' : 'Spara val'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default PeriodConflictDialog;
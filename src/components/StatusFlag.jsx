@@ -0,0 +1,22 @@
+import React from 'react';
+import { Badge } from './ui/badge';
+import { AlertTriangle } from 'lucide-react';
+
+/**
+ * Markering för en månadsrad vars Status inte är COMPLETED
+ * Kommentaren från filen visas som tooltip
+ */
+function StatusFlag({ status, comment }) {
+  return (
+    <Badge
+      variant="outline"
+      className="gap-1 border-amber-300 bg-amber-50 text-amber-700"
+      title={comment ? `${status}: ${comment}` : status}
+    >
+      <AlertTriangle className="h-3 w-3" />
+      {status}
+    </Badge>
+  );
+}
+
+export default StatusFlag;
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Alert, AlertDescription, AlertTitle } from './ui/alert';
@@ -10,157 +10,415 @@ import {
   X, 
   Calendar,
   BarChart3,
-  Loader2
+  Loader2,
+  FileSpreadsheet,
+  FolderOpen,
+  ClipboardPaste
 } from 'lucide-react';
 import Papa from 'papaparse';
+import ColumnMappingStep from './ColumnMappingStep';
+import WorkbookSheetPicker from './WorkbookSheetPicker';
+import CsvFormatPicker from './CsvFormatPicker';
+import PasteDataStep from './PasteDataStep';
+import ValidationReportPanel from './ValidationReportPanel';
+import { EXPECTED_COLUMNS } from '../core/csv_processor';
+import { isExcelFile } from '../core/excel_processor';
+import { extractPeriodFromFilename, PERIOD_FILENAME_PATTERN } from '../core/period_extractor';
+import { formatPeriodLabel } from '../core/period_granularity';
+import { isSupportedImportFile } from '../lib/utils';
+import {
+  autoMapColumns,
+  createHeaderSignature,
+  isStandardMapping,
+  hasPeriodColumn,
+  validateColumnMapping
+} from '../core/column_mapper';
+import { findImportProfile, saveImportProfile } from '../utils/timeseries_storage';
+import { createValidationReport } from '../utils/period_validator';
+import { detectCSVFileFormat } from '../core/csv_format_detector';
+import { createImportWorkerClient } from '../workers/import_worker_client';
+import { readDroppedItems, collectImportFiles, isZipFile } from '../core/import_collector';
 
-// Förväntade kolumner för Instagram API CSV-filer
-const EXPECTED_COLUMNS = [
-  'Account', 'Account Name', 'IG ID', 'FB Page', 'Reach', 
-  'Views', 'Followers', 'Status', 'Comment'
-];
-
-function TimeseriesUploader({ onDataUploaded, onCancel }) {
+function TimeseriesUploader({ onDataUploaded, onCancel, knownAccounts = [] }) {
   const [files, setFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [dragActive, setDragActive] = useState(false);
   const [validationErrors, setValidationErrors] = useState([]);
   const [processingStatus, setProcessingStatus] = useState({});
+  const [mappingInfo, setMappingInfo] = useState({});
+  const [pendingMapping, setPendingMapping] = useState(null);
+  const [importWarnings, setImportWarnings] = useState([]);
+  const [readyPeriods, setReadyPeriods] = useState(null);
+  const [validationReport, setValidationReport] = useState(null);
+  const [quarantinedRows, setQuarantinedRows] = useState([]);
+  const [fileProgress, setFileProgress] = useState({});
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [skippedFiles, setSkippedFiles] = useState([]);
+  const [collecting, setCollecting] = useState(false);
+  const [pasteMode, setPasteMode] = useState(false);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const workerClientRef = useRef(null);
+  const cancelledRef = useRef(false);
 
-  // Validera filnamn enligt IG_YYYY_MM.csv format
-  const validateFilename = (filename) => {
-    const pattern = /^IG_(\d{4})_(\d{2})\.csv$/;
-    const match = filename.match(pattern);
-    
-    if (!match) {
-      return { 
-        isValid: false, 
-        error: 'Felaktigt filnamnsformat. Förväntat: IG_YYYY_MM.csv (t.ex. IG_2025_10.csv)' 
-      };
-    }
+  // Avsluta import-workern när uppladdaren stängs
+  useEffect(() => () => workerClientRef.current?.terminate(), []);
 
-    const year = parseInt(match[1]);
-    const month = parseInt(match[2]);
+  // Import-workern skapas först när den behövs
+  const getWorkerClient = () => {
+    if (!workerClientRef.current) {
+      workerClientRef.current = createImportWorkerClient();
+    }
+    return workerClientRef.current;
+  };
 
-    if (month < 1 || month > 12) {
+  // Validera filnamn enligt IG_YYYY_MM.csv, IG_YYYY_Www.csv eller IG_YYYY_MM_DD.csv (samma mönster som för mappar och ZIP-arkiv)
+  // och perioden med samma årsintervall som period_validator
+  const validateFilename = (filename) => {
+    if (!PERIOD_FILENAME_PATTERN.test(filename)) {
       return { 
         isValid: false, 
-        error: 'Ogiltig månad. Måste vara mellan 01-12.' 
+        patternMismatch: true,
+        error: 'Felaktigt filnamnsformat. Förväntat: IG_YYYY_MM.csv, IG_YYYY_Www.csv eller IG_YYYY_MM_DD.csv (t.ex. IG_2025_10.csv)' 
       };
     }
 
-    if (year < 2020 || year > 2030) {
+    const period = extractPeriodFromFilename(filename, true);
+    if (!period) {
       return { 
         isValid: false, 
-        error: 'Ogiltigt år. Måste vara mellan 2020-2030.' 
+        error: 'Ogiltig period i filnamnet. Månaden måste vara 01-12, veckan finnas i året och året vara rimligt för Instagram-data.' 
       };
     }
 
     return { 
       isValid: true, 
-      year, 
-      month,
-      displayName: `${getMonthName(month)} ${year}`
+      year: period.year, 
+      month: period.month,
+      granularity: period.granularity,
+      week: period.week,
+      day: period.day,
+      displayName: formatPeriodLabel(period)
     };
   };
 
-  // Hjälpfunktion för månadsnamn på svenska
-  const getMonthName = (month) => {
-    const months = [
-      'Januari', 'Februari', 'Mars', 'April', 'Maj', 'Juni',
-      'Juli', 'Augusti', 'September', 'Oktober', 'November', 'December'
-    ];
-    return months[month - 1];
+  // Be användaren mappa kolumner - löses när mappningssteget bekräftas eller hoppas över
+  const requestColumnMapping = (filename, headers, initialMapping, sampleRow) => {
+    return new Promise((resolve) => {
+      setPendingMapping({ filename, headers, initialMapping, sampleRow, resolve });
+    });
   };
 
-  // Validera CSV-innehåll
-  const validateCSVContent = (content, filename) => {
-    return new Promise((resolve) => {
-      Papa.parse(content, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            resolve({
-              isValid: false,
-              error: `CSV-parsningsfel: ${results.errors[0].message}`,
-              data: null
-            });
-            return;
-          }
+  const handleMappingConfirm = (mapping, profileName) => {
+    if (profileName) {
+      try {
+        saveImportProfile({
+          name: profileName,
+          headerSignature: createHeaderSignature(pendingMapping.headers),
+          headers: pendingMapping.headers,
+          mapping
+        });
+      } catch (error) {
+        setValidationErrors(prev => [...prev, `Kunde inte spara importprofil: ${error.message}`]);
+      }
+    }
 
-          // Kontrollera kolumner
-          const headers = results.meta.fields || [];
-          const missingColumns = EXPECTED_COLUMNS.filter(col => !headers.includes(col));
-          
-          if (missingColumns.length > 0) {
-            resolve({
-              isValid: false,
-              error: `Saknade kolumner: ${missingColumns.join(', ')}`,
-              data: null
-            });
-            return;
-          }
+    pendingMapping.resolve({ mapping, source: profileName ? `Profil: ${profileName}` : 'Manuell mappning' });
+    setPendingMapping(null);
+  };
 
-          // Kontrollera att det finns data
-          if (results.data.length === 0) {
-            resolve({
-              isValid: false,
-              error: 'CSV-filen innehåller ingen data',
-              data: null
-            });
-            return;
-          }
+  const handleMappingSkip = () => {
+    pendingMapping.resolve(null);
+    setPendingMapping(null);
+  };
+
+  // Hitta kolumnmappning: tidigare mappning i batchen, sparad profil, standardformat eller manuellt steg
+  const resolveColumnMapping = async (filename, headers, sampleRow, batchMappings) => {
+    const signature = createHeaderSignature(headers);
+
+    if (batchMappings.has(signature)) {
+      return batchMappings.get(signature);
+    }
+
+    const profile = findImportProfile(signature);
+    if (profile) {
+      return { mapping: profile.mapping, source: `Profil: ${profile.name}` };
+    }
+
+    const autoMapping = autoMapColumns(headers);
+    if (isStandardMapping(headers, autoMapping)) {
+      return { mapping: autoMapping, source: null };
+    }
+
+    const resolved = await requestColumnMapping(filename, headers, autoMapping, sampleRow);
+    if (resolved) {
+      batchMappings.set(signature, resolved);
+    }
+    return resolved;
+  };
+
+  // Kontrollera parsat innehåll och mappa kolumner till standardformatet
+  // Raderna ligger kvar i import-workern - här används bara rubriker och första raden
+  const validateParsedContent = async (parsed, label, batchMappings) => {
+    if (!parsed.isValid) {
+      return { isValid: false, error: parsed.error };
+    }
+
+    // Kontrollera att det finns data
+    if (parsed.rowCount === 0) {
+      return { isValid: false, error: 'Filen innehåller ingen data' };
+    }
+
+    const resolved = await resolveColumnMapping(label, parsed.headers, parsed.sampleRow, batchMappings);
+    if (!resolved) {
+      return { isValid: false, skipped: true, error: 'Filen hoppades över vid kolumnmappning' };
+    }
+
+    const mappingValidation = validateColumnMapping(resolved.mapping);
+    if (!mappingValidation.isValid) {
+      return {
+        isValid: false,
+        error: mappingValidation.errors.join('; ')
+      };
+    }
+
+    return {
+      isValid: true,
+      accountCount: parsed.rowCount,
+      mapping: resolved.mapping,
+      hasPeriodColumn: hasPeriodColumn(resolved.mapping),
+      mappingSource: resolved.source,
+      warnings: mappingValidation.warnings,
+      error: null
+    };
+  };
+
+  // Läs in arbetsbokens blad i import-workern och föreslå period per blad
+  // Arbetsboken ligger kvar i workern tills filen tas bort
+  const loadWorkbook = async (fileItem) => {
+    try {
+      const { sheets: summaries } = await getWorkerClient().loadWorkbook(fileItem.id, fileItem.file);
+
+      const sheets = summaries.map(sheet => ({
+        ...sheet,
+        selected: sheet.rowCount > 0 && (sheet.period !== null || sheet.hasPeriodColumn)
+      }));
 
-          resolve({
-            isValid: true,
-            data: results.data,
-            accountCount: results.data.length,
-            error: null
-          });
+      setFiles(prev => prev.map(f => f.id === fileItem.id
+        ? { ...f, sheets, status: 'pending', validation: { ...f.validation, isValid: true } }
+        : f
+      ));
+    } catch (error) {
+      setFiles(prev => prev.map(f => f.id === fileItem.id
+        ? { ...f, status: 'error', validation: { isValid: false, error: error.message } }
+        : f
+      ));
+    }
+  };
+
+  // Identifiera format från filens början och ta fram förhandsgranskning av de första raderna
+  // Hela filen läses först vid import, i import-workern
+  const detectCsvFormat = async (file, overrides = {}) => {
+    const { sample, ...csvFormat } = await detectCSVFileFormat(file, overrides);
+    const { data } = Papa.parse(sample, { delimiter: csvFormat.delimiter, skipEmptyLines: true, preview: 4 });
+
+    return {
+      csvFormat,
+      csvPreview: { headers: data[0] || [], rows: data.slice(1) }
+    };
+  };
+
+  // Identifiera teckenkodning och avgränsare för CSV-filen
+  const loadCsvFile = async (fileItem) => {
+    try {
+      const { csvFormat, csvPreview } = await detectCsvFormat(fileItem.file);
+
+      setFiles(prev => prev.map(f => f.id === fileItem.id
+        ? { ...f, csvFormat, csvPreview, status: 'pending' }
+        : f
+      ));
+    } catch (error) {
+      setFiles(prev => prev.map(f => f.id === fileItem.id
+        ? { ...f, status: 'error', validation: { isValid: false, error: error.message } }
+        : f
+      ));
+    }
+  };
+
+  // Ändra teckenkodning eller avgränsare för en CSV-fil
+  const updateCsvFormat = async (fileId, changes) => {
+    const fileItem = files.find(f => f.id === fileId);
+    const overrides = { encoding: fileItem.csvFormat.encoding, delimiter: fileItem.csvFormat.delimiter, ...changes };
+    // Ny kodning ger ny text - avgränsaren detekteras om såvida den inte valts manuellt
+    if (changes.encoding && fileItem.csvFormat.delimiter === fileItem.csvFormat.detectedDelimiter) {
+      delete overrides.delimiter;
+    }
+
+    try {
+      const { csvFormat, csvPreview } = await detectCsvFormat(fileItem.file, overrides);
+      setFiles(prev => prev.map(f => f.id === fileId ? { ...f, csvFormat, csvPreview } : f));
+    } catch (error) {
+      setValidationErrors(prev => [...prev, `${fileItem.name}: ${error.message}`]);
+    }
+  };
+
+  // Uppdatera bladval för en arbetsbok
+  const updateSheets = (fileId, sheets) => {
+    setFiles(prev => prev.map(f => f.id === fileId ? { ...f, sheets } : f));
+  };
+
+  // Blad som är valda och har en period (eller en periodkolumn)
+  const getImportableSheets = (fileItem) => {
+    return (fileItem.sheets || []).filter(sheet => sheet.selected && (sheet.period || sheet.hasPeriodColumn));
+  };
+
+  // En fil är redo när filnamnet är giltigt och CSV-filen lästs in, eller minst ett blad kan importeras
+  const isFileReady = (fileItem) => {
+    if (!fileItem.validation.isValid) return false;
+    return fileItem.isWorkbook ? getImportableSheets(fileItem).length > 0 : Boolean(fileItem.csvFormat);
+  };
+
+  // Bygg importenheter - en per CSV-fil och en per valt blad i arbetsböcker
+  // CSV-filer strömmas och Excel-blad läses i import-workern - här används bara rubriker och första raden
+  const getImportUnits = async (fileItem, client) => {
+    if (!fileItem.isWorkbook) {
+      const parsed = await client.parseFile(fileItem.id, fileItem.file, fileItem.csvFormat, (unitId, progress) => {
+        setFileProgress(prev => ({ ...prev, [fileItem.id]: Math.round(progress * 100) }));
+      });
+      return [{
+        unitId: fileItem.id,
+        label: fileItem.name,
+        period: fileItem.validation.periodFromColumn ? null : fileItem.validation,
+        filename: fileItem.name,
+        parsed: {
+          isValid: parsed.parseErrors.length === 0,
+          error: parsed.parseErrors.length > 0 ? `CSV-parsningsfel: ${parsed.parseErrors[0].message}` : null,
+          headers: parsed.headers,
+          sampleRow: parsed.sampleRow,
+          rowCount: parsed.rowCount
         }
+      }];
+    }
+
+    const sheets = getImportableSheets(fileItem);
+    const units = [];
+
+    for (const [index, sheet] of sheets.entries()) {
+      const unitId = `${fileItem.id}_${sheet.name}`;
+      const parsed = await client.parseSheet(unitId, fileItem.id, sheet.name);
+      setFileProgress(prev => ({ ...prev, [fileItem.id]: Math.round(((index + 1) / sheets.length) * 100) }));
+
+      units.push({
+        unitId,
+        label: `${fileItem.name} – ${sheet.name}`,
+        period: sheet.hasPeriodColumn ? null : { ...sheet.period, displayName: formatPeriodLabel(sheet.period) },
+        filename: `${fileItem.name} (${sheet.name})`,
+        sheetName: sheet.name,
+        parsed: { ...parsed, isValid: true, error: null }
       });
-    });
+    }
+
+    return units;
+  };
+
+  // Ta emot enskilda filer samt filer från mappar och ZIP-arkiv
+  // Ur mappar och arkiv plockas bara IG_YYYY_MM-filer - övriga listas som överhoppade
+  const importFiles = async (looseFiles, folderEntries = []) => {
+    const archives = looseFiles.filter(isZipFile);
+    const plainFiles = looseFiles.filter(file => !isZipFile(file));
+    const supportedFiles = plainFiles.filter(isSupportedImportFile);
+
+    if (supportedFiles.length !== plainFiles.length) {
+      setValidationErrors(prev => [...prev, 'Endast CSV- och Excel-filer (.csv, .xlsx, .xls), mappar och ZIP-arkiv är tillåtna']);
+    }
+
+    let collectedFiles = [];
+    if (archives.length > 0 || folderEntries.length > 0) {
+      setCollecting(true);
+      try {
+        const collected = await collectImportFiles([
+          ...folderEntries,
+          ...archives.map(file => ({ file, path: file.name }))
+        ]);
+        collectedFiles = collected.files;
+        setSkippedFiles(prev => [...prev, ...collected.skipped]);
+
+        if (collected.files.length === 0) {
+          setValidationErrors(prev => [...prev, 'Inga filer med namnet IG_YYYY_MM hittades i mappen eller arkivet']);
+        }
+      } catch (error) {
+        setValidationErrors(prev => [...prev, error.message]);
+      } finally {
+        setCollecting(false);
+      }
+    }
+
+    const newFiles = [...supportedFiles, ...collectedFiles];
+    if (newFiles.length > 0) {
+      addFiles(newFiles);
+    }
   };
 
   // Hantera fil-drop
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
-    
-    const droppedFiles = Array.from(e.dataTransfer.files);
-    const csvFiles = droppedFiles.filter(file => 
-      file.name.toLowerCase().endsWith('.csv')
-    );
-    
-    if (csvFiles.length !== droppedFiles.length) {
-      setValidationErrors(prev => [...prev, 'Endast CSV-filer är tillåtna']);
-    }
-    
-    if (csvFiles.length > 0) {
-      addFiles(csvFiles);
+
+    try {
+      const { files: droppedFiles, folderEntries } = await readDroppedItems(e.dataTransfer);
+      await importFiles(droppedFiles, folderEntries);
+    } catch (error) {
+      setValidationErrors(prev => [...prev, `Kunde inte läsa de släppta filerna: ${error.message}`]);
     }
   };
 
   // Hantera fil-val
   const handleFileSelect = (e) => {
     const selectedFiles = Array.from(e.target.files);
-    addFiles(selectedFiles);
+    importFiles(selectedFiles);
+  };
+
+  // Hantera mappval - sökvägen i mappen visas för överhoppade filer
+  const handleFolderSelect = (e) => {
+    const folderEntries = Array.from(e.target.files).map(file => ({
+      file,
+      path: file.webkitRelativePath || file.name
+    }));
+    importFiles([], folderEntries);
   };
 
   // Lägg till filer i listan
   const addFiles = (newFiles) => {
     const validatedFiles = newFiles.map(file => {
-      const validation = validateFilename(file.name);
+      // Arbetsböcker får sin period per blad när bladen lästs in
+      if (isExcelFile(file)) {
+        return {
+          file,
+          id: Math.random().toString(36),
+          name: file.name,
+          size: file.size,
+          isWorkbook: true,
+          sheets: null,
+          validation: { isValid: false, displayName: 'Excel-arbetsbok' },
+          status: 'loading'
+        };
+      }
+
+      // Filer utan IG_YYYY_MM i namnet kan ha perioden i en kolumn (långt format)
+      const filenameValidation = validateFilename(file.name);
+      const validation = filenameValidation.patternMismatch
+        ? { isValid: true, periodFromColumn: true, displayName: 'Perioder hämtas från Period-kolumn' }
+        : filenameValidation;
       return {
         file,
         id: Math.random().toString(36),
         name: file.name,
         size: file.size,
         validation,
-        status: validation.isValid ? 'pending' : 'error'
+        csvFormat: null,
+        csvPreview: null,
+        status: validation.isValid ? 'loading' : 'error'
       };
     });
 
@@ -177,74 +435,232 @@ function TimeseriesUploader({ onDataUploaded, onCancel }) {
 
     const uniqueFiles = validatedFiles.filter(f => !existingNames.includes(f.name));
     setFiles(prev => [...prev, ...uniqueFiles]);
+
+    for (const fileItem of uniqueFiles.filter(f => f.isWorkbook)) {
+      loadWorkbook(fileItem);
+    }
+    for (const fileItem of uniqueFiles.filter(f => !f.isWorkbook && f.validation.isValid)) {
+      loadCsvFile(fileItem);
+    }
+  };
+
+  // Lägg till inklistrad data som en CSV-fil för vald period
+  // Texten går sedan samma väg som en uppladdad fil (format, kolumnmappning, validering)
+  const addPastedData = ({ text, year, month }) => {
+    const name = `Inklistrad_${year}_${String(month).padStart(2, '0')}.csv`;
+    if (files.some(f => f.name === name)) {
+      setValidationErrors(prev => [...prev, `Inklistrad data för ${formatPeriodLabel({ year, month })} finns redan i listan`]);
+      return;
+    }
+
+    const file = new File([text], name, { type: 'text/csv' });
+    const fileItem = {
+      file,
+      id: Math.random().toString(36),
+      name,
+      size: file.size,
+      isPasted: true,
+      validation: { isValid: true, year, month, displayName: `${formatPeriodLabel({ year, month })} · inklistrad` },
+      csvFormat: null,
+      csvPreview: null,
+      status: 'loading'
+    };
+
+    setFiles(prev => [...prev, fileItem]);
+    setPasteMode(false);
+    loadCsvFile(fileItem);
   };
 
   // Ta bort fil från listan
   const removeFile = (fileId) => {
+    if (files.find(f => f.id === fileId)?.isWorkbook) {
+      workerClientRef.current?.releaseWorkbook(fileId);
+    }
     setFiles(prev => prev.filter(f => f.id !== fileId));
   };
 
+  // Avbryt om användaren har avbrutit importen
+  const throwIfCancelled = () => {
+    if (cancelledRef.current) {
+      throw new DOMException('Importen avbröts', 'AbortError');
+    }
+  };
+
+  // Avbryt pågående import - inget sparas
+  const cancelImport = () => {
+    cancelledRef.current = true;
+    workerClientRef.current?.cancel();
+
+    if (pendingMapping) {
+      pendingMapping.resolve(null);
+      setPendingMapping(null);
+    }
+  };
+
   // Behandla alla filer
   const processFiles = async () => {
     setUploading(true);
     setValidationErrors([]);
+    setImportWarnings([]);
+    setReadyPeriods(null);
+    setValidationReport(null);
+    setQuarantinedRows([]);
     setProcessingStatus({});
+    setMappingInfo({});
+    setFileProgress({});
+    cancelledRef.current = false;
 
-    const validFiles = files.filter(f => f.validation.isValid);
-    const processedPeriods = [];
+    const client = getWorkerClient();
+    client.startBatch();
 
-    for (const fileItem of validFiles) {
-      setProcessingStatus(prev => ({ ...prev, [fileItem.id]: 'processing' }));
+    const validFiles = files.filter(isFileReady);
+    const preparedUnits = [];
+    const unitFileIds = new Map();
+    const batchMappings = new Map();
+    const fileErrors = new Set();
 
-      try {
-        // Läs filinnehåll
-        const content = await readFileContent(fileItem.file);
-        
-        // Validera CSV-innehåll
-        const validation = await validateCSVContent(content, fileItem.name);
-        
-        if (!validation.isValid) {
-          setProcessingStatus(prev => ({ ...prev, [fileItem.id]: 'error' }));
-          setValidationErrors(prev => [...prev, `${fileItem.name}: ${validation.error}`]);
-          continue;
+    try {
+      // 1. Läs filer och mappa kolumner för varje importenhet
+      for (const [index, fileItem] of validFiles.entries()) {
+        throwIfCancelled();
+        setBatchProgress(`Läser fil ${index + 1} av ${validFiles.length}`);
+        setProcessingStatus(prev => ({ ...prev, [fileItem.id]: 'processing' }));
+
+        try {
+          // Läs filinnehåll (CSV) eller valda blad (Excel)
+          const units = await getImportUnits(fileItem, client);
+          const mappingSources = new Set();
+
+          for (const unit of units) {
+            // Kontrollera innehåll och mappa kolumner
+            const validation = await validateParsedContent(unit.parsed, unit.label, batchMappings);
+            throwIfCancelled();
+
+            if (!validation.isValid) {
+              fileErrors.add(fileItem.id);
+              setValidationErrors(prev => [...prev, `${unit.label}: ${validation.error}`]);
+              continue;
+            }
+
+            if (validation.mappingSource) {
+              mappingSources.add(validation.mappingSource);
+            }
+            unitFileIds.set(unit.unitId, fileItem.id);
+            preparedUnits.push({
+              unitId: unit.unitId,
+              file: fileItem.file,
+              label: unit.label,
+              filename: unit.filename,
+              sheetName: unit.sheetName,
+              period: unit.period,
+              mapping: validation.mapping,
+              hasPeriodColumn: validation.hasPeriodColumn
+            });
+          }
+
+          if (mappingSources.size > 0) {
+            setMappingInfo(prev => ({ ...prev, [fileItem.id]: Array.from(mappingSources).join(', ') }));
+          }
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          fileErrors.add(fileItem.id);
+          setValidationErrors(prev => [...prev, `${fileItem.name}: ${error.message}`]);
         }
+      }
 
-        // Lägg till period-info
-        const periodData = {
-          ...fileItem.validation,
-          data: validation.data,
-          accountCount: validation.accountCount,
-          filename: fileItem.name
-        };
+      throwIfCancelled();
 
-        processedPeriods.push(periodData);
-        setProcessingStatus(prev => ({ ...prev, [fileItem.id]: 'success' }));
+      // 2-3. Validera enheterna och bygg perioder i import-workern
+      let result = null;
+      if (preparedUnits.length > 0) {
+        let processedCount = 0;
+        setBatchProgress(`Validerar 0 av ${preparedUnits.length}`);
+        setProcessingStatus(prev => ({
+          ...prev,
+          ...Object.fromEntries([...new Set(unitFileIds.values())].map(fileId => [fileId, 'validating']))
+        }));
 
-        // Simulera bearbetning (ta bort i produktion)
-        await new Promise(resolve => setTimeout(resolve, 500));
+        result = await client.processUnits(preparedUnits, knownAccounts, () => {
+          processedCount++;
+          setBatchProgress(`Validerar ${processedCount} av ${preparedUnits.length}`);
+        });
 
-      } catch (error) {
-        setProcessingStatus(prev => ({ ...prev, [fileItem.id]: 'error' }));
-        setValidationErrors(prev => [...prev, `${fileItem.name}: ${error.message}`]);
+        for (const unitId of result.invalidUnitIds) {
+          fileErrors.add(unitFileIds.get(unitId));
+        }
       }
-    }
 
-    setUploading(false);
+      setProcessingStatus(Object.fromEntries(
+        validFiles.map(fileItem => [fileItem.id, fileErrors.has(fileItem.id) ? 'error' : 'success'])
+      ));
+
+      const report = result?.report || null;
+      const uniquePeriods = result?.periods || [];
+      const warnings = result?.warnings || [];
+
+      const hasReportIssues = report !== null && report.fileResults.some(fileResult =>
+        !fileResult.isValid || fileResult.warnings.length > 0 || fileResult.rowIssues.length > 0
+      );
+
+      setUploading(false);
+      setImportWarnings(warnings);
+      setValidationReport(hasReportIssues ? report : null);
+      setQuarantinedRows(result?.quarantined || []);
 
-    // Om någon fil behandlades framgångsrikt, rapportera tillbaka
-    if (processedPeriods.length > 0) {
-      onDataUploaded(processedPeriods);
+      if (uniquePeriods.length === 0) {
+        return;
+      }
+
+      // Vid fel, varningar eller karantän får användaren granska innan data sparas
+      if (fileErrors.size > 0 || warnings.length > 0 || hasReportIssues) {
+        setReadyPeriods(uniquePeriods);
+        return;
+      }
+
+      onDataUploaded(uniquePeriods);
+    } catch (error) {
+      setProcessingStatus({});
+      setValidationErrors(prev => error.name === 'AbortError'
+        ? ['Importen avbröts - ingen data sparades']
+        : [...prev, `Importen misslyckades: ${error.message}`]
+      );
+      setUploading(false);
+    } finally {
+      setBatchProgress(null);
+      setFileProgress({});
     }
   };
 
-  // Läs fil-innehåll
-  const readFileContent = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = () => reject(new Error('Kunde inte läsa fil'));
-      reader.readAsText(file);
-    });
+  // Ladda ner text som fil
+  const downloadTextFile = (content, filename) => {
+    const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDownloadReport = () => {
+    downloadTextFile(
+      createValidationReport(validationReport),
+      `valideringsrapport-${new Date().toISOString().slice(0, 10)}.csv`
+    );
+  };
+
+  // Karantänrader med källa och orsak så att de kan rättas och laddas upp igen
+  const handleDownloadQuarantine = () => {
+    const content = Papa.unparse(quarantinedRows.map(entry => ({
+      'Källa': entry.label,
+      'Rad': entry.rowNumber,
+      'Orsak': entry.reasons.join('; '),
+      ...Object.fromEntries(EXPECTED_COLUMNS.map(column => [column, entry.row[column] ?? '']))
+    })));
+    downloadTextFile(content, `karantan-${new Date().toISOString().slice(0, 10)}.csv`);
   };
 
   // Hantera drag events
@@ -266,7 +682,7 @@ function TimeseriesUploader({ onDataUploaded, onCancel }) {
   };
 
   // Räkna giltiga filer
-  const validFilesCount = files.filter(f => f.validation.isValid).length;
+  const validFilesCount = files.filter(isFileReady).length;
   const hasValidFiles = validFilesCount > 0;
 
   return (
@@ -275,10 +691,10 @@ function TimeseriesUploader({ onDataUploaded, onCancel }) {
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
             <Upload className="h-5 w-5 text-instagram-500" />
-            Ladda upp Instagram CSV-filer
+            Ladda upp Instagram CSV- eller Excel-filer
           </CardTitle>
           <p className="text-sm text-muted-foreground">
-            Släpp dina IG_YYYY_MM.csv filer här eller klicka för att välja filer
+            Släpp dina IG_YYYY_MM.csv filer, Excel-arbetsböcker, mappar eller ZIP-arkiv här eller klicka för att välja filer
           </p>
         </CardHeader>
         <CardContent>
@@ -299,26 +715,93 @@ function TimeseriesUploader({ onDataUploaded, onCancel }) {
               ref={fileInputRef}
               onChange={handleFileSelect}
               multiple
-              accept=".csv"
+              accept=".csv,.xlsx,.xls,.zip"
+              className="hidden"
+            />
+            <input
+              type="file"
+              ref={folderInputRef}
+              onChange={handleFolderSelect}
+              webkitdirectory=""
+              directory=""
+              multiple
               className="hidden"
             />
             
             <Upload className="h-12 w-12 mx-auto mb-4 text-instagram-400" />
             <h3 className="text-lg font-semibold mb-2">
-              {dragActive ? 'Släpp filerna här' : 'Ladda upp CSV-filer'}
+              {dragActive ? 'Släpp filerna här' : 'Ladda upp CSV- eller Excel-filer'}
             </h3>
             <p className="text-muted-foreground mb-4">
-              Släpp dina IG_YYYY_MM.csv filer här eller klicka för att välja
+              Släpp dina IG_YYYY_MM.csv filer, en mapp eller ett ZIP-arkiv här eller klicka för att välja
             </p>
+
+            <Button
+              variant="outline"
+              size="sm"
+              className="mb-4"
+              disabled={collecting || uploading}
+              onClick={(e) => {
+                e.stopPropagation();
+                folderInputRef.current?.click();
+              }}
+            >
+              {collecting ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <FolderOpen className="mr-2 h-4 w-4" />
+              )}
+              {collecting ? 'Läser mappar och arkiv...' : 'Välj mapp'}
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mb-4 ml-2"
+              disabled={uploading}
+              onClick={(e) => {
+                e.stopPropagation();
+                setPasteMode(true);
+              }}
+            >
+              <ClipboardPaste className="mr-2 h-4 w-4" />
+              Klistra in data
+            </Button>
             
             <div className="text-xs text-muted-foreground space-y-1">
-              <p><strong>Format:</strong> IG_YYYY_MM.csv (t.ex. IG_2025_10.csv)</p>
+              <p><strong>Format:</strong> IG_YYYY_MM.csv (t.ex. IG_2025_10.csv) eller .xlsx/.xls</p>
+              <p>Vecko- och dagsfiler: IG_YYYY_Www.csv (t.ex. IG_2025_W07.csv) och IG_YYYY_MM_DD.csv</p>
+              <p>Ur mappar (även undermappar) och .zip-arkiv hämtas filer som heter IG_YYYY_MM</p>
+              <p>I Excel-filer hämtas perioden från filnamn, bladnamn (t.ex. "Aug 2025") eller en datumcell</p>
+              <p>Filer med en Period-, Month- eller Date-kolumn delas upp i en period per månad</p>
               <p><strong>Kolumner:</strong> {EXPECTED_COLUMNS.join(', ')}</p>
+              <p>Andra rubriker och kolumnordningar kan mappas vid import</p>
             </div>
           </div>
         </CardContent>
       </Card>
 
+      {/* Inklistrad data */}
+      {pasteMode && (
+        <PasteDataStep
+          disabled={uploading}
+          onConfirm={addPastedData}
+          onCancel={() => setPasteMode(false)}
+        />
+      )}
+
+      {/* Kolumnmappning */}
+      {pendingMapping && (
+        <ColumnMappingStep
+          key={pendingMapping.filename}
+          filename={pendingMapping.filename}
+          headers={pendingMapping.headers}
+          initialMapping={pendingMapping.initialMapping}
+          sampleRow={pendingMapping.sampleRow}
+          onConfirm={handleMappingConfirm}
+          onSkip={handleMappingSkip}
+        />
+      )}
+
       {/* Fel-meddelanden */}
       {validationErrors.length > 0 && (
         <Alert variant="destructive">
@@ -337,6 +820,73 @@ function TimeseriesUploader({ onDataUploaded, onCancel }) {
         </Alert>
       )}
 
+      {/* Importvarningar (ogiltiga perioder, dubbletter, luckor) */}
+      {importWarnings.length > 0 && (
+        <Alert className="bg-amber-50 border-amber-200">
+          <AlertCircle className="h-4 w-4 text-amber-600" />
+          <AlertTitle className="text-amber-800">Varningar vid import ({importWarnings.length})</AlertTitle>
+          <AlertDescription className="text-amber-700">
+            <ul className="list-disc list-inside space-y-1 max-h-48 overflow-y-auto">
+              {importWarnings.map((warning, index) => (
+                <li key={index}>{warning}</li>
+              ))}
+            </ul>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Filer i mappar och arkiv som inte importeras */}
+      {skippedFiles.length > 0 && (
+        <Alert>
+          <FolderOpen className="h-4 w-4" />
+          <AlertTitle>Överhoppade filer ({skippedFiles.length})</AlertTitle>
+          <AlertDescription>
+            <ul className="list-disc list-inside space-y-1 max-h-48 overflow-y-auto text-sm">
+              {skippedFiles.map((skipped, index) => (
+                <li key={index}>
+                  <span className="font-medium">{skipped.path}</span>
+                  <span className="text-muted-foreground"> – {skipped.reason}</span>
+                </li>
+              ))}
+            </ul>
+            <Button variant="outline" size="sm" onClick={() => setSkippedFiles([])} className="mt-2">
+              Dölj lista
+            </Button>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Valideringsrapport per fil */}
+      {validationReport && (
+        <ValidationReportPanel
+          report={validationReport}
+          quarantinedCount={quarantinedRows.length}
+          onDownloadReport={handleDownloadReport}
+          onDownloadQuarantine={handleDownloadQuarantine}
+        />
+      )}
+
+      {/* Granska innan import när något behöver uppmärksammas */}
+      {readyPeriods && (
+        <Alert>
+          <CheckCircle2 className="h-4 w-4" />
+          <AlertTitle>{readyPeriods.length} perioder redo att importeras</AlertTitle>
+          <AlertDescription>
+            <p className="mb-2">
+              {readyPeriods.map(period => period.displayName).join(', ')}
+            </p>
+            {quarantinedRows.length > 0 && (
+              <p className="mb-2 text-sm text-muted-foreground">
+                {quarantinedRows.length} rader med fel ligger i karantän och importeras inte
+              </p>
+            )}
+            <Button size="sm" onClick={() => onDataUploaded(readyPeriods)}>
+              Fortsätt import
+            </Button>
+          </AlertDescription>
+        </Alert>
+      )}
+
       {/* Fil-lista */}
       {files.length > 0 && (
         <Card>
@@ -353,52 +903,101 @@ function TimeseriesUploader({ onDataUploaded, onCancel }) {
               {files.map((fileItem) => {
                 const status = processingStatus[fileItem.id] || fileItem.status;
                 
+                const FileIcon = fileItem.isWorkbook ? FileSpreadsheet : fileItem.isPasted ? ClipboardPaste : FileText;
+                const isHighlighted = fileItem.validation.isValid || status === 'loading';
+                
                 return (
                   <div
                     key={fileItem.id}
-                    className={`flex items-center justify-between p-3 rounded-lg border ${
-                      fileItem.validation.isValid 
+                    className={`p-3 rounded-lg border ${
+                      isHighlighted 
                         ? 'border-green-200 bg-green-50' 
                         : 'border-red-200 bg-red-50'
                     }`}
                   >
-                    <div className="flex items-center gap-3">
-                      <FileText className="h-4 w-4" />
-                      <div>
-                        <div className="font-medium">{fileItem.name}</div>
-                        <div className="text-sm text-muted-foreground">
-                          {fileItem.validation.isValid ? (
-                            <span className="flex items-center gap-1">
-                              <Calendar className="h-3 w-3" />
-                              {fileItem.validation.displayName}
-                            </span>
-                          ) : (
-                            <span className="text-red-600">{fileItem.validation.error}</span>
-                          )}
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-3">
+                        <FileIcon className="h-4 w-4" />
+                        <div>
+                          <div className="font-medium">{fileItem.name}</div>
+                          <div className="text-sm text-muted-foreground">
+                            {status === 'loading' ? (
+                              <span>{fileItem.isWorkbook ? 'Läser blad...' : 'Läser fil...'}</span>
+                            ) : status === 'processing' ? (
+                              <span>Läser in... {fileProgress[fileItem.id] ?? 0}%</span>
+                            ) : status === 'validating' ? (
+                              <span>Validerar...</span>
+                            ) : fileItem.validation.isValid ? (
+                              <span className="flex items-center gap-1">
+                                <Calendar className="h-3 w-3" />
+                                {fileItem.isWorkbook
+                                  ? `${getImportableSheets(fileItem).length} av ${fileItem.sheets.length} blad valda`
+                                  : fileItem.validation.displayName}
+                                {mappingInfo[fileItem.id] && (
+                                  <span className="ml-2">· {mappingInfo[fileItem.id]}</span>
+                                )}
+                              </span>
+                            ) : (
+                              <span className="text-red-600">{fileItem.validation.error}</span>
+                            )}
+                          </div>
                         </div>
                       </div>
-                    </div>
-                    
-                    <div className="flex items-center gap-2">
-                      {status === 'processing' && (
-                        <Loader2 className="h-4 w-4 animate-spin text-blue-500" />
-                      )}
-                      {status === 'success' && (
-                        <CheckCircle2 className="h-4 w-4 text-green-500" />
-                      )}
-                      {status === 'error' && (
-                        <AlertCircle className="h-4 w-4 text-red-500" />
-                      )}
                       
-                      <Button
-                        variant="ghost"
-                        size="sm"
-                        onClick={() => removeFile(fileItem.id)}
-                        disabled={uploading}
-                      >
-                        <X className="h-4 w-4" />
-                      </Button>
+                      <div className="flex items-center gap-2">
+                        {(status === 'processing' || status === 'validating' || status === 'loading') && (
+                          <Loader2 className="h-4 w-4 animate-spin text-blue-500" />
+                        )}
+                        {status === 'success' && (
+                          <CheckCircle2 className="h-4 w-4 text-green-500" />
+                        )}
+                        {status === 'error' && (
+                          <AlertCircle className="h-4 w-4 text-red-500" />
+                        )}
+                        
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => removeFile(fileItem.id)}
+                          disabled={uploading}
+                        >
+                          <X className="h-4 w-4" />
+                        </Button>
+                      </div>
                     </div>
+
+                    {/* Inläsningsförlopp */}
+                    {status === 'processing' && (
+                      <div className="mt-2 ml-7 h-1 rounded-full bg-gray-200 overflow-hidden">
+                        <div
+                          className="h-full bg-instagram-500 transition-all"
+                          style={{ width: `${fileProgress[fileItem.id] ?? 0}%` }}
+                        />
+                      </div>
+                    )}
+
+                    {/* Bladval för Excel-arbetsböcker */}
+                    {fileItem.isWorkbook && fileItem.sheets && (
+                      <div className="mt-3 pl-7">
+                        <WorkbookSheetPicker
+                          sheets={fileItem.sheets}
+                          disabled={uploading}
+                          onChange={(sheets) => updateSheets(fileItem.id, sheets)}
+                        />
+                      </div>
+                    )}
+
+                    {/* Teckenkodning, avgränsare och förhandsgranskning för CSV-filer */}
+                    {!fileItem.isWorkbook && fileItem.csvFormat && (
+                      <div className="mt-3 pl-7">
+                        <CsvFormatPicker
+                          format={fileItem.csvFormat}
+                          preview={fileItem.csvPreview}
+                          disabled={uploading}
+                          onChange={(changes) => updateCsvFormat(fileItem.id, changes)}
+                        />
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -413,11 +1012,23 @@ function TimeseriesUploader({ onDataUploaded, onCancel }) {
           Avbryt
         </Button>
         
-        <div className="flex gap-2">
+        <div className="flex items-center gap-2">
+          {uploading && batchProgress && (
+            <span className="text-sm text-muted-foreground">{batchProgress}</span>
+          )}
+          {uploading && (
+            <Button variant="outline" onClick={cancelImport}>
+              Avbryt import
+            </Button>
+          )}
           {files.length > 0 && (
             <Button 
               variant="outline" 
-              onClick={() => setFiles([])}
+              onClick={() => {
+                files.filter(f => f.isWorkbook).forEach(f => workerClientRef.current?.releaseWorkbook(f.id));
+                setFiles([]);
+                setSkippedFiles([]);
+              }}
               disabled={uploading}
             >
               Rensa alla
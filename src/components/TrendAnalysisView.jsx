@@ -1,15 +1,55 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { TrendingUp, TrendingDown, Activity, LineChart } from 'lucide-react';
-import { METRIC_DEFINITIONS } from '../utils/metric_categorizer';
+import { METRIC_DEFINITIONS, getAllMetricKeys } from '../utils/metric_categorizer';
+import { useDataset } from '../context/DatasetContext';
+import { isMissingValue } from '../core/timeseries_models';
+import { getPeriodKey, formatPeriodLabel, getGranularityLabel, comparePeriodOrder } from '../core/period_granularity';
+import {
+  TIME_AGGREGATIONS,
+  getTimeAggregation,
+  getRollingWindowSizes,
+  calculateRollingWindows
+} from '../services/timeseries_analytics';
+import {
+  FORECAST_METHOD_OPTIONS,
+  getAvailableForecastMethods,
+  getForecastHistory,
+  forecastAccountMetric
+} from '../services/forecasting';
+import { getAnomalyKey } from '../services/anomaly_detection';
+import { ANOMALY_SEVERITY_COLORS, describeAnomaly } from './AnomalyMarker';
 
-// ENDAST dessa tre metrics som ska visas
-const ALLOWED_METRICS = [
-  { key: 'reach', label: 'Räckvidd', canSum: false },
-  { key: 'views', label: 'Visningar', canSum: true },
-  { key: 'followers', label: 'Följare', canSum: true }
-];
+// Alla metrics i registret kan visas i linjediagrammet
+const ALLOWED_METRICS = getAllMetricKeys().map(key => ({
+  key,
+  label: METRIC_DEFINITIONS[key].displayName,
+  canSum: METRIC_DEFINITIONS[key].canSumAcrossTime
+}));
+
+// Namn på utjämnad linje beroende på hur metricen slås ihop över tid
+const ROLLING_LABELS = {
+  [TIME_AGGREGATIONS.SUM]: 'Rullande summa',
+  [TIME_AGGREGATIONS.AVERAGE]: 'Rullande snitt',
+  [TIME_AGGREGATIONS.LAST]: 'Värde vid fönstrets slut'
+};
+
+// Prognoshorisonter i antal perioder
+const FORECAST_HORIZONS = [3, 6, 12];
+
+/**
+ * Beskrivning av en prognos backtest för förklaringen under diagrammet
+ * @param {Object} backtest - backtest från forecastAccountMetric
+ * @param {string} granularity - Seriens upplösning
+ * @returns {string} - T.ex. "backtest på de 6 senaste månaderna - medelfel 1 200 (8,5 %)"
+ */
+function describeBacktest(backtest, granularity) {
+  if (backtest.mae === null) return backtest.reason;
+
+  const error = `medelfel ${backtest.mae.toLocaleString('sv-SE')}${backtest.mape === null ? '' : ` (${Math.round(backtest.mape * 10) / 10} %)`}`;
+  return `backtest på de ${backtest.periods} senaste ${getGranularityLabel(granularity, true)} - ${error}`;
+}
 
 // FÖRBÄTTRADE FÄRGER - tydligt åtskilda färger som tilldelas i ordning
 const CHART_COLORS = [
@@ -27,71 +67,27 @@ const CHART_COLORS = [
   '#C2410C'  // Orange-röd
 ];
 
-const TrendAnalysisView = ({ uploadedPeriods }) => {
+const TrendAnalysisView = () => {
+  const { dataset, granularity, anomalyIndex, accounts: availableAccounts, periods: availablePeriods } = useDataset();
+
   // State för linjediagram
-  const [selectedMetric, setSelectedMetric] = useState('reach');
+  const [selectedMetric, setSelectedMetric] = useState(() => getAllMetricKeys()[0]);
   const [selectedAccounts, setSelectedAccounts] = useState([]);
   const [selectedPeriods, setSelectedPeriods] = useState([]);
+  const [rollingSize, setRollingSize] = useState(null);
+  const [forecastMethod, setForecastMethod] = useState(null);
+  const [forecastHorizon, setForecastHorizon] = useState(6);
   const [hoveredDataPoint, setHoveredDataPoint] = useState(null);
   const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
 
-  // Få alla unika konton från uploadedPeriods
-  const availableAccounts = useMemo(() => {
-    if (!uploadedPeriods || uploadedPeriods.length === 0) {
-      return [];
-    }
-    
-    const accountsMap = new Map();
-    
-    uploadedPeriods.forEach(period => {
-      if (period.data && Array.isArray(period.data)) {
-        period.data.forEach(csvRow => {
-          const username = csvRow.Account || csvRow.account || 'Okänt konto';
-          const accountId = csvRow['IG ID'] || csvRow.igId || `account_${username.replace(/\s+/g, '_')}`;
-          
-          if (!accountsMap.has(accountId)) {
-            accountsMap.set(accountId, {
-              accountId,
-              username
-            });
-          }
-        });
-      }
-    });
-    
-    return Array.from(accountsMap.values()).sort((a, b) => 
-      a.username.localeCompare(b.username)
-    );
-  }, [uploadedPeriods]);
-
-  // Få alla tillgängliga perioder sorterade
-  const availablePeriods = useMemo(() => {
-    if (!uploadedPeriods) return [];
-    
-    return uploadedPeriods
-      .map(period => ({
-        ...period,
-        sortKey: period.year * 100 + period.month
-      }))
-      .sort((a, b) => a.sortKey - b.sortKey);
-  }, [uploadedPeriods]);
-
-  // Månadsnamn för X-axel
-  const getMonthName = (month) => {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'Maj', 'Jun', 
-                   'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dec'];
-    return months[month - 1] || month.toString();
-  };
+  // Valda perioder gäller bara för den upplösning de valdes i
+  useEffect(() => {
+    setSelectedPeriods([]);
+  }, [granularity]);
 
-  // Mappa metric-nycklar till exakta CSV-kolumnnamn
-  const getCSVColumnName = (metricKey) => {
-    const mapping = {
-      'reach': 'Reach',
-      'views': 'Views', 
-      'followers': 'Followers'
-    };
-    return mapping[metricKey] || metricKey;
-  };
+  // Fönsterstorlekar som går att rulla i aktuell upplösning - valet stängs av om det inte längre går
+  const rollingSizes = useMemo(() => getRollingWindowSizes(granularity), [granularity]);
+  const activeRollingSize = rollingSizes.includes(rollingSize) ? rollingSize : null;
 
   // FÖRBÄTTRAD FÄRGVAL - tilldela färger baserat på ordning av valda konton
   const getAccountColor = (accountId, selectedAccountIds) => {
@@ -251,11 +247,11 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
 
   // Hantera periodval
   const handlePeriodToggle = (period) => {
-    const periodKey = `${period.year}-${period.month}`;
+    const periodKey = getPeriodKey(period);
     setSelectedPeriods(current => {
-      const exists = current.find(p => `${p.year}-${p.month}` === periodKey);
+      const exists = current.find(p => getPeriodKey(p) === periodKey);
       return exists 
-        ? current.filter(p => `${p.year}-${p.month}` !== periodKey)
+        ? current.filter(p => getPeriodKey(p) !== periodKey)
         : [...current, period];
     });
   };
@@ -273,50 +269,44 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
     }
   };
 
-  // Generera linjediagram-data
+  // Generera linjediagram-data från datasetets kontotidserier
   const generateChartData = useMemo(() => {
-    if (!uploadedPeriods || selectedAccounts.length === 0 || selectedPeriods.length === 0) {
+    if (selectedAccounts.length === 0 || selectedPeriods.length === 0) {
       return [];
     }
 
     const chartPoints = [];
-    const periodsToShow = selectedPeriods;
     
-    periodsToShow.forEach(period => {
-      if (period.data && Array.isArray(period.data)) {
-        selectedAccounts.forEach(accountId => {
-          const csvRow = period.data.find(row => {
-            const rowAccountId = row['IG ID'] || row.igId || `account_${(row.Account || row.account || '').replace(/\s+/g, '_')}`;
-            return rowAccountId === accountId;
+    selectedPeriods.forEach(period => {
+      selectedAccounts.forEach(accountId => {
+        const monthlyData = dataset.getAccountTimeseries(accountId)?.getMonthlyData(period);
+        
+        if (monthlyData) {
+          chartPoints.push({
+            periodKey: getPeriodKey(period),
+            periodIndex: availablePeriods.findIndex(p => getPeriodKey(p) === getPeriodKey(period)),
+            period: formatPeriodLabel(period),
+            month: formatPeriodLabel(period, { short: true }),
+            year: period.year,
+            accountId,
+            username: monthlyData.account.username,
+            value: isMissingValue(monthlyData.metrics[selectedMetric]) ? null : monthlyData.metrics[selectedMetric],
+            metric: selectedMetric,
+            flagged: monthlyData.isFlagged(),
+            status: monthlyData.status,
+            comment: monthlyData.comment,
+            anomaly: anomalyIndex.get(getAnomalyKey(accountId, period, selectedMetric)) || null
           });
-          
-          if (csvRow) {
-            const csvColumnName = getCSVColumnName(selectedMetric);
-            const rawValue = csvRow[csvColumnName];
-            
-            let value = 0;
-            if (rawValue !== null && rawValue !== undefined && rawValue !== '') {
-              const cleanValue = String(rawValue).replace(/[,\s]/g, '');
-              value = parseFloat(cleanValue) || 0;
-            }
-            
-            chartPoints.push({
-              periodKey: `${period.year}-${period.month.toString().padStart(2, '0')}`,
-              period: `${getMonthName(period.month)} ${period.year}`,
-              month: getMonthName(period.month),
-              year: period.year,
-              accountId,
-              username: csvRow.Account || csvRow.account || 'Okänt konto',
-              value,
-              metric: selectedMetric
-            });
-          }
-        });
-      }
+        }
+      });
     });
 
     return chartPoints;
-  }, [uploadedPeriods, selectedAccounts, selectedPeriods, selectedMetric]);
+  }, [dataset, anomalyIndex, availablePeriods, selectedAccounts, selectedPeriods, selectedMetric]);
+
+  const hasFlaggedPoints = generateChartData.some(point => point.flagged);
+  const hasAnomalies = generateChartData.some(point => point.anomaly);
+  const hasMissingPoints = generateChartData.some(point => point.value === null);
 
   // Gruppera data per konto för linjediagram
   const chartLines = useMemo(() => {
@@ -335,12 +325,81 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
     });
 
     groupedByAccount.forEach(line => {
-      line.points.sort((a, b) => a.periodKey.localeCompare(b.periodKey));
+      line.points.sort((a, b) => a.periodIndex - b.periodIndex);
     });
 
     return Array.from(groupedByAccount.values());
   }, [generateChartData, selectedAccounts]);
 
+  // Utjämnade linjer - rullande fönster per konto för samma perioder som rådata
+  const rollingLines = useMemo(() => {
+    if (!activeRollingSize) return [];
+
+    return chartLines.map(line => {
+      const windows = new Map(
+        calculateRollingWindows(dataset.getAccountTimeseries(line.accountId), selectedMetric, { size: activeRollingSize })
+          .map(window => [getPeriodKey(window.period), window])
+      );
+
+      return {
+        ...line,
+        points: line.points.map(point => {
+          const window = windows.get(point.periodKey);
+          return {
+            ...point,
+            value: window ? window.value : null,
+            flagged: false,
+            anomaly: null,
+            rolling: window || null
+          };
+        })
+      };
+    });
+  }, [dataset, chartLines, selectedMetric, activeRollingSize]);
+
+  // Prognosmetoder som går att använda för det längsta valda kontot - Holt-Winters kräver mer än två hela år
+  const forecastMethods = useMemo(() => {
+    const longestHistory = Math.max(0, ...chartLines.map(line => (
+      getForecastHistory(dataset.getAccountTimeseries(line.accountId), selectedMetric).length
+    )));
+    return getAvailableForecastMethods(granularity, longestHistory);
+  }, [dataset, chartLines, selectedMetric, granularity]);
+  const activeForecastMethod = forecastMethods.includes(forecastMethod) ? forecastMethod : null;
+
+  // Prognoser per konto från kontots senaste period
+  const forecastLines = useMemo(() => {
+    if (!activeForecastMethod) return [];
+
+    return chartLines
+      .map(line => ({
+        ...line,
+        result: forecastAccountMetric(dataset.getAccountTimeseries(line.accountId), selectedMetric, {
+          method: activeForecastMethod,
+          horizon: forecastHorizon
+        })
+      }))
+      .filter(line => line.result !== null);
+  }, [dataset, chartLines, selectedMetric, activeForecastMethod, forecastHorizon]);
+
+  // X-axelns perioder - datasetets perioder följda av prognosperioder efter datasetets slut
+  const axisPeriods = useMemo(() => {
+    const knownKeys = new Set(availablePeriods.map(getPeriodKey));
+    const futurePeriods = new Map();
+    forecastLines.forEach(line => line.result.forecast.forEach(({ period }) => {
+      const key = getPeriodKey(period);
+      if (!knownKeys.has(key)) futurePeriods.set(key, period);
+    }));
+
+    return [...availablePeriods, ...Array.from(futurePeriods.values()).sort(comparePeriodOrder)];
+  }, [availablePeriods, forecastLines]);
+
+  const axisIndexByKey = useMemo(
+    () => new Map(axisPeriods.map((period, index) => [getPeriodKey(period), index])),
+    [axisPeriods]
+  );
+
+  const xForIndex = (index) => 100 + (index / Math.max(1, axisPeriods.length - 1)) * 830;
+
   // Y-axel logik - alltid börja på 0 och visa jämna tusental
   const yAxisConfig = useMemo(() => {
     if (generateChartData.length === 0) {
@@ -352,8 +411,12 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
       };
     }
     
-    const values = generateChartData.map(d => d.value);
-    const maxValue = Math.max(...values);
+    const values = [
+      ...generateChartData.map(d => d.value),
+      ...rollingLines.flatMap(line => line.points.map(point => point.value)),
+      ...forecastLines.flatMap(line => line.result.forecast.map(point => point.upper))
+    ].filter(value => value !== null);
+    const maxValue = values.length > 0 ? Math.max(...values) : 0;
     
     let step, max;
     
@@ -374,6 +437,11 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
       max = Math.ceil(maxValue / step) * step;
     }
     
+    // Endast nollor eller saknade värden - visa minst ett steg på Y-axeln
+    if (max === 0) {
+      max = step;
+    }
+    
     const ticks = [];
     for (let i = 0; i <= max; i += step) {
       ticks.push(i);
@@ -385,7 +453,7 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
       step,
       ticks
     };
-  }, [generateChartData]);
+  }, [generateChartData, rollingLines, forecastLines]);
 
   // MJUK KURV-FUNKTION (Catmull-Rom spline)
   const createSmoothPath = (points) => {
@@ -443,7 +511,7 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
     setHoveredDataPoint(point);
   };
 
-  if (!uploadedPeriods || uploadedPeriods.length === 0) {
+  if (availablePeriods.length === 0) {
     return (
       <Card>
         <CardHeader>
@@ -540,10 +608,10 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
 
               <div className="max-h-32 overflow-y-auto border rounded p-2 space-y-1">
                 {availablePeriods.map(period => {
-                  const isSelected = selectedPeriods.some(p => p.year === period.year && p.month === period.month);
+                  const isSelected = selectedPeriods.some(p => getPeriodKey(p) === getPeriodKey(period));
                   
                   return (
-                    <label key={`${period.year}-${period.month}`} className="flex items-center gap-2 cursor-pointer">
+                    <label key={getPeriodKey(period)} className="flex items-center gap-2 cursor-pointer">
                       <input
                         type="checkbox"
                         checked={isSelected}
@@ -551,7 +619,7 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                         className="h-4 w-4 text-instagram-500 border-gray-300 rounded focus:ring-instagram-500"
                       />
                       <span className="text-sm font-medium">
-                        {getMonthName(period.month)} {period.year}
+                        {formatPeriodLabel(period)}
                       </span>
                     </label>
                   );
@@ -560,6 +628,74 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
             </div>
           </div>
 
+          {/* Utjämning med rullande fönster */}
+          {rollingSizes.length > 0 && (
+            <div className="flex flex-wrap items-center gap-4">
+              <span className="text-sm font-medium">Utjämnad linje:</span>
+              {[null, ...rollingSizes].map(size => (
+                <label key={size ?? 'none'} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="rolling-window"
+                    checked={activeRollingSize === size}
+                    onChange={() => setRollingSize(size)}
+                    className="h-4 w-4 text-instagram-500 border-gray-300 focus:ring-instagram-500"
+                  />
+                  <span className="text-sm font-medium">{size ? `${size} månader` : 'Av'}</span>
+                </label>
+              ))}
+              {activeRollingSize && (
+                <span className="text-xs text-muted-foreground">
+                  {ROLLING_LABELS[getTimeAggregation(selectedMetric)]} för {METRIC_DEFINITIONS[selectedMetric]?.displayName}, flaggade perioder räknas inte
+                </span>
+              )}
+            </div>
+          )}
+
+          {/* Prognos framåt */}
+          {chartLines.length > 0 && forecastMethods.length > 0 && (
+            <div className="flex flex-wrap items-center gap-4">
+              <span className="text-sm font-medium">Prognos:</span>
+              {[{ value: null, label: 'Av' }, ...FORECAST_METHOD_OPTIONS].map(option => {
+                const isAvailable = option.value === null || forecastMethods.includes(option.value);
+                return (
+                  <label
+                    key={option.value ?? 'none'}
+                    className={`flex items-center gap-2 ${isAvailable ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}`}
+                    title={isAvailable ? undefined : 'Kräver mer än två hela år med data'}
+                  >
+                    <input
+                      type="radio"
+                      name="forecast-method"
+                      checked={activeForecastMethod === option.value}
+                      disabled={!isAvailable}
+                      onChange={() => setForecastMethod(option.value)}
+                      className="h-4 w-4 text-instagram-500 border-gray-300 focus:ring-instagram-500"
+                    />
+                    <span className="text-sm font-medium">{option.label}</span>
+                  </label>
+                );
+              })}
+              {activeForecastMethod && (
+                <>
+                  <span className="text-sm font-medium ml-4">Framåt:</span>
+                  {FORECAST_HORIZONS.map(horizon => (
+                    <label key={horizon} className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="forecast-horizon"
+                        checked={forecastHorizon === horizon}
+                        onChange={() => setForecastHorizon(horizon)}
+                        className="h-4 w-4 text-instagram-500 border-gray-300 focus:ring-instagram-500"
+                      />
+                      <span className="text-sm font-medium">{horizon} {getGranularityLabel(granularity, true)}</span>
+                    </label>
+                  ))}
+                </>
+              )}
+            </div>
+          )}
+
           {/* PROMINENT DATAPUNKT-VISNING */}
           {selectedMetric && (
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-center">
@@ -586,8 +722,63 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                     <span className="text-sm font-medium">{line.username}</span>
                   </div>
                 ))}
+                {rollingLines.length > 0 && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <svg width="24" height="8">
+                        <line x1="0" y1="4" x2="24" y2="4" stroke="#6b7280" strokeWidth="2" strokeDasharray="6 4" />
+                      </svg>
+                      <span className="text-sm text-muted-foreground">
+                        {ROLLING_LABELS[getTimeAggregation(selectedMetric)]} över {activeRollingSize} månader
+                      </span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="w-3 h-3 rounded-full border-2 border-gray-500 bg-white" />
+                      <span className="text-sm text-muted-foreground">Fönstret täcker inte alla perioder</span>
+                    </div>
+                  </>
+                )}
+                {forecastLines.length > 0 && (
+                  <div className="flex items-center gap-2">
+                    <svg width="24" height="12">
+                      <rect x="0" y="0" width="24" height="12" fill="#6b7280" fillOpacity="0.15" />
+                      <line x1="0" y1="6" x2="24" y2="6" stroke="#6b7280" strokeWidth="2" strokeDasharray="3 3" />
+                    </svg>
+                    <span className="text-sm text-muted-foreground">Prognos med 95 % prediktionsintervall</span>
+                  </div>
+                )}
+                {hasMissingPoints && (
+                  <div className="flex items-center gap-2">
+                    <div className="w-3 h-3 rounded-full border-2 border-dashed border-gray-400 bg-white" />
+                    <span className="text-sm text-muted-foreground">Värde saknas (linjen bryts)</span>
+                  </div>
+                )}
+                {hasAnomalies && (
+                  <div className="flex items-center gap-2">
+                    <div className="w-4 h-4 rounded-full border-2" style={{ borderColor: ANOMALY_SEVERITY_COLORS.high }} />
+                    <span className="text-sm text-muted-foreground">Avvikande värde (ring i allvarlighetsgradens färg)</span>
+                  </div>
+                )}
+                {hasFlaggedPoints && (
+                  <div className="flex items-center gap-2">
+                    <div className="w-3 h-3 rounded-full border-2 border-amber-500 bg-white" />
+                    <span className="text-sm text-amber-700">Flaggad månad (status ej COMPLETED)</span>
+                  </div>
+                )}
               </div>
 
+              {/* Prognosernas träffsäkerhet */}
+              {forecastLines.length > 0 && (
+                <div className="text-xs text-muted-foreground space-y-1">
+                  {forecastLines.map(line => (
+                    <div key={line.accountId}>
+                      <span className="font-medium" style={{ color: line.color }}>{line.username}:</span>{' '}
+                      {describeBacktest(line.result.backtest, granularity)}
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* SVG Diagram */}
               <div className="relative">
                 <svg 
@@ -620,13 +811,14 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                   })}
 
                   {/* X-axel månader */}
-                  {availablePeriods.map((period, index) => {
-                    const xPos = 100 + (index / Math.max(1, availablePeriods.length - 1)) * 830;
+                  {axisPeriods.map((period, index) => {
+                    const xPos = xForIndex(index);
+                    const isFuture = index >= availablePeriods.length;
                     return (
-                      <g key={`${period.year}-${period.month}`}>
+                      <g key={getPeriodKey(period)}>
                         <line x1={xPos} y1="70" x2={xPos} y2="450" stroke="#d1d5db" strokeWidth="1"/>
-                        <text x={xPos} y="475" textAnchor="middle" fontSize="14" fill="#6b7280">
-                          {getMonthName(period.month)}
+                        <text x={xPos} y="475" textAnchor="middle" fontSize="14" fill={isFuture ? '#9ca3af' : '#6b7280'} fontStyle={isFuture ? 'italic' : 'normal'}>
+                          {formatPeriodLabel(period, { short: true })}
                         </text>
                         <text x={xPos} y="490" textAnchor="middle" fontSize="12" fill="#9ca3af">
                           {period.year}
@@ -635,42 +827,190 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                     );
                   })}
 
+                  {/* PROGNOSER - streckad linje från senaste värdet med skuggat intervall */}
+                  {forecastLines.length > 0 && (
+                    <line
+                      x1={xForIndex(availablePeriods.length - 1)}
+                      y1="70"
+                      x2={xForIndex(availablePeriods.length - 1)}
+                      y2="450"
+                      stroke="#9ca3af"
+                      strokeWidth="1"
+                      strokeDasharray="4 4"
+                    />
+                  )}
+                  {forecastLines.map(line => {
+                    const yFor = (value) => 450 - (value / yAxisConfig.max) * 380;
+                    const lastActual = line.result.history[line.result.history.length - 1];
+                    const anchor = {
+                      x: xForIndex(axisIndexByKey.get(getPeriodKey(lastActual.period))),
+                      value: lastActual.value,
+                      lower: lastActual.value,
+                      upper: lastActual.value
+                    };
+                    const projected = line.result.forecast.map(point => ({
+                      x: xForIndex(axisIndexByKey.get(getPeriodKey(point.period))),
+                      ...point
+                    }));
+                    const coordinates = [anchor, ...projected];
+                    const band = [
+                      ...coordinates.map(({ x, upper }) => `${x},${yFor(upper)}`),
+                      ...coordinates.slice().reverse().map(({ x, lower }) => `${x},${yFor(lower)}`)
+                    ].join(' ');
+
+                    return (
+                      <g key={`forecast-${line.accountId}`}>
+                        <polygon points={band} fill={line.color} fillOpacity="0.15" stroke="none" />
+                        <path
+                          d={coordinates.map(({ x, value }, index) => `${index === 0 ? 'M' : 'L'} ${x} ${yFor(value)}`).join(' ')}
+                          fill="none"
+                          stroke={line.color}
+                          strokeWidth="3"
+                          strokeDasharray="3 4"
+                        />
+                        {projected.map(point => (
+                          <circle
+                            key={getPeriodKey(point.period)}
+                            cx={point.x}
+                            cy={yFor(point.value)}
+                            r="4"
+                            fill="white"
+                            stroke={line.color}
+                            strokeWidth="2"
+                            className="cursor-pointer"
+                            onMouseEnter={(e) => handleMouseMove(e, {
+                              username: line.username,
+                              period: formatPeriodLabel(point.period),
+                              value: point.value,
+                              metric: selectedMetric,
+                              forecast: point
+                            })}
+                            onMouseLeave={() => setHoveredDataPoint(null)}
+                          />
+                        ))}
+                      </g>
+                    );
+                  })}
+
                   {/* MJUKA KURVORNA */}
                   {chartLines.map(line => {
                     if (line.points.length < 1) return null;
 
                     const pathPoints = line.points.map((point, index) => {
-                      const periodIndex = availablePeriods.findIndex(p => 
-                        `${p.year}-${p.month.toString().padStart(2, '0')}` === point.periodKey
-                      );
-                      const x = 100 + (periodIndex / Math.max(1, availablePeriods.length - 1)) * 830;
-                      const y = 450 - (point.value / yAxisConfig.max) * 380;
+                      const x = xForIndex(point.periodIndex);
+                      // Saknade värden placeras på x-axeln och ingår inte i linjen
+                      const y = point.value === null ? 450 : 450 - (point.value / yAxisConfig.max) * 380;
                       
                       return { x, y, point };
                     });
 
+                    // Dela linjen i segment mellan saknade värden
+                    const segments = [[]];
+                    pathPoints.forEach(pathPoint => {
+                      if (pathPoint.point.value === null) {
+                        segments.push([]);
+                      } else {
+                        segments[segments.length - 1].push(pathPoint);
+                      }
+                    });
+
                     return (
                       <g key={line.accountId}>
-                        {line.points.length > 1 && (
+                        {segments.filter(segment => segment.length > 1).map((segment, segmentIndex) => (
                           <path
-                            d={createSmoothPath(pathPoints)}
+                            key={segmentIndex}
+                            d={createSmoothPath(segment)}
                             fill="none"
                             stroke={line.color}
                             strokeWidth="4"
                             strokeLinecap="round"
                             strokeLinejoin="round"
                           />
-                        )}
+                        ))}
                         
-                        {pathPoints.map(({ x, y, point }, index) => (
+                        {pathPoints.map(({ x, y, point }, index) => point.value === null ? (
                           <circle
                             key={index}
                             cx={x}
                             cy={y}
                             r="6"
-                            fill={line.color}
-                            stroke="white"
-                            strokeWidth="3"
+                            fill="white"
+                            stroke="#9CA3AF"
+                            strokeWidth="2"
+                            strokeDasharray="3 2"
+                            className="cursor-pointer"
+                            onMouseEnter={(e) => handleMouseMove(e, point)}
+                            onMouseLeave={() => setHoveredDataPoint(null)}
+                          />
+                        ) : (
+                          <g key={index}>
+                            {point.anomaly && (
+                              <circle
+                                cx={x}
+                                cy={y}
+                                r="11"
+                                fill="none"
+                                stroke={ANOMALY_SEVERITY_COLORS[point.anomaly.severity]}
+                                strokeWidth="2.5"
+                              />
+                            )}
+                            <circle
+                              cx={x}
+                              cy={y}
+                              r="6"
+                              fill={point.flagged ? 'white' : line.color}
+                              stroke={point.flagged ? '#F59E0B' : 'white'}
+                              strokeWidth="3"
+                              className="cursor-pointer"
+                              onMouseEnter={(e) => handleMouseMove(e, point)}
+                              onMouseLeave={() => setHoveredDataPoint(null)}
+                            />
+                          </g>
+                        ))}
+                      </g>
+                    );
+                  })}
+
+                  {/* UTJÄMNADE LINJER */}
+                  {rollingLines.map(line => {
+                    const pathPoints = line.points.map(point => ({
+                      x: xForIndex(point.periodIndex),
+                      y: point.value === null ? null : 450 - (point.value / yAxisConfig.max) * 380,
+                      point
+                    }));
+
+                    const segments = [[]];
+                    pathPoints.forEach(pathPoint => {
+                      if (pathPoint.y === null) {
+                        segments.push([]);
+                      } else {
+                        segments[segments.length - 1].push(pathPoint);
+                      }
+                    });
+
+                    return (
+                      <g key={`rolling-${line.accountId}`}>
+                        {segments.filter(segment => segment.length > 1).map((segment, segmentIndex) => (
+                          <path
+                            key={segmentIndex}
+                            d={createSmoothPath(segment)}
+                            fill="none"
+                            stroke={line.color}
+                            strokeWidth="2"
+                            strokeDasharray="8 5"
+                            strokeLinecap="round"
+                          />
+                        ))}
+
+                        {pathPoints.map(({ x, y, point }, index) => y !== null && (
+                          <circle
+                            key={index}
+                            cx={x}
+                            cy={y}
+                            r="4"
+                            fill={point.rolling.complete ? line.color : 'white'}
+                            stroke={line.color}
+                            strokeWidth="2"
                             className="cursor-pointer"
                             onMouseEnter={(e) => handleMouseMove(e, point)}
                             onMouseLeave={() => setHoveredDataPoint(null)}
@@ -684,8 +1024,27 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                   {hoveredDataPoint && (
                     <g>
                       {(() => {
-                        const tooltipWidth = 200;
-                        const tooltipHeight = 70;
+                        // Extra rader under värdet beroende på punktens typ
+                        const extraLines = [
+                          hoveredDataPoint.rolling && {
+                            text: `Täcker ${hoveredDataPoint.rolling.validPeriods} av ${hoveredDataPoint.rolling.expectedPeriods} ${getGranularityLabel(granularity, true)}`,
+                            color: '#D1D5DB'
+                          },
+                          hoveredDataPoint.forecast && {
+                            text: `Intervall: ${hoveredDataPoint.forecast.lower.toLocaleString()} – ${hoveredDataPoint.forecast.upper.toLocaleString()}`,
+                            color: '#D1D5DB'
+                          },
+                          hoveredDataPoint.anomaly && {
+                            text: describeAnomaly(hoveredDataPoint.anomaly),
+                            color: '#FCA5A5'
+                          },
+                          hoveredDataPoint.flagged && {
+                            text: `⚠ ${hoveredDataPoint.status}${hoveredDataPoint.comment ? `: ${hoveredDataPoint.comment}` : ''}`,
+                            color: '#FCD34D'
+                          }
+                        ].filter(Boolean);
+                        const tooltipWidth = hoveredDataPoint.anomaly ? 420 : hoveredDataPoint.rolling || hoveredDataPoint.forecast ? 260 : 200;
+                        const tooltipHeight = 70 + extraLines.length * 18;
                         let tooltipX = mousePosition.x + 15;
                         let tooltipY = mousePosition.y - 35;
                         
@@ -715,8 +1074,17 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                               {hoveredDataPoint.period}
                             </text>
                             <text x={tooltipX + 12} y={tooltipY + 55} fill="white" fontSize="12">
-                              {METRIC_DEFINITIONS[hoveredDataPoint.metric]?.displayName}: {hoveredDataPoint.value.toLocaleString()}
+                              {hoveredDataPoint.rolling
+                                ? `${ROLLING_LABELS[hoveredDataPoint.rolling.aggregation]} ${hoveredDataPoint.rolling.size} mån`
+                                : hoveredDataPoint.forecast
+                                ? `Prognos ${METRIC_DEFINITIONS[hoveredDataPoint.metric]?.displayName}`
+                                : METRIC_DEFINITIONS[hoveredDataPoint.metric]?.displayName}: {hoveredDataPoint.value === null ? 'saknas' : hoveredDataPoint.value.toLocaleString()}
                             </text>
+                            {extraLines.map((line, index) => (
+                              <text key={index} x={tooltipX + 12} y={tooltipY + 73 + index * 18} fill={line.color} fontSize="12">
+                                {line.text}
+                              </text>
+                            ))}
                           </>
                         );
                       })()}
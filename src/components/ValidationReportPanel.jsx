@@ -0,0 +1,126 @@
+import React from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { ClipboardList, CheckCircle2, AlertCircle, AlertTriangle, Download } from 'lucide-react';
+import { formatValidationSummary } from '../utils/period_validator';
+import { describeNumberFormat } from '../core/number_parser';
+
+/**
+ * Valideringsrapport per fil från period_validator
+ * Visar fel och varningar med radnummer samt rader som satts i karantän
+ */
+function ValidationReportPanel({ report, quarantinedCount, onDownloadReport, onDownloadQuarantine }) {
+  const summary = formatValidationSummary(report);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2">
+          <span className="flex items-center gap-2">
+            <ClipboardList className="h-5 w-5 text-instagram-500" />
+            Valideringsrapport
+          </span>
+          <div className="flex gap-2">
+            {quarantinedCount > 0 && (
+              <Button variant="outline" size="sm" onClick={onDownloadQuarantine}>
+                <Download className="mr-2 h-4 w-4" />
+                Karantänrader ({quarantinedCount})
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={onDownloadReport}>
+              <Download className="mr-2 h-4 w-4" />
+              Ladda ner rapport
+            </Button>
+          </div>
+        </CardTitle>
+        <p className="text-sm text-muted-foreground">
+          {summary.message}{summary.details ? ` – ${summary.details}` : ''}
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {report.fileResults.map((fileResult, index) => {
+          const label = fileResult.fileInfo.label || fileResult.fileInfo.name;
+          const fileIssues = [...fileResult.errors, ...fileResult.warnings];
+
+          return (
+            <div key={`${label}_${index}`} className="rounded-lg border p-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                {fileResult.isValid ? (
+                  <CheckCircle2 className="h-4 w-4 text-green-500" />
+                ) : (
+                  <AlertCircle className="h-4 w-4 text-red-500" />
+                )}
+                <span className="font-medium">{label}</span>
+                {fileResult.csvInfo && (
+                  <span className="text-sm text-muted-foreground">
+                    {fileResult.csvInfo.validRowCount} av {fileResult.csvInfo.rowCount} rader giltiga
+                  </span>
+                )}
+                {fileResult.csvInfo?.numberFormat?.detected && (
+                  <span className="text-xs text-muted-foreground">
+                    Talformat: {describeNumberFormat(fileResult.csvInfo.numberFormat)}
+                  </span>
+                )}
+                {fileResult.quarantinedRows.length > 0 && (
+                  <Badge variant="outline">{fileResult.quarantinedRows.length} i karantän</Badge>
+                )}
+              </div>
+
+              {fileIssues.length > 0 && (
+                <ul className="space-y-1 text-sm">
+                  {fileIssues.map((issue, issueIndex) => (
+                    <li
+                      key={issueIndex}
+                      className={`flex items-start gap-2 ${issue.severity === 'error' ? 'text-red-600' : 'text-amber-700'}`}
+                    >
+                      {issue.severity === 'error'
+                        ? <AlertCircle className="h-3 w-3 mt-1 shrink-0" />
+                        : <AlertTriangle className="h-3 w-3 mt-1 shrink-0" />}
+                      {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {fileResult.rowIssues.length > 0 && (
+                <div className="rounded-md border max-h-64 overflow-y-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="w-16">Rad</TableHead>
+                        <TableHead className="w-32">Fält</TableHead>
+                        <TableHead>Problem</TableHead>
+                        <TableHead className="w-28">Åtgärd</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {fileResult.rowIssues.map((issue, issueIndex) => (
+                        <TableRow key={issueIndex}>
+                          <TableCell>{issue.rowNumber}</TableCell>
+                          <TableCell>{issue.field}</TableCell>
+                          <TableCell className={issue.severity === 'error' ? 'text-red-600' : 'text-amber-700'}>
+                            {issue.message}
+                          </TableCell>
+                          <TableCell className="text-xs text-muted-foreground">
+                            {issue.severity === 'error' ? 'Karantän' : 'Importeras'}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        <p className="text-xs text-muted-foreground">
+          Radnummer räknas från första dataraden under rubrikraden.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ValidationReportPanel;
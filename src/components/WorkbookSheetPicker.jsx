@@ -0,0 +1,111 @@
+import React from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Checkbox } from './ui/checkbox';
+import { Table2 } from 'lucide-react';
+import { formatMonthName } from '../lib/utils';
+import { PERIOD_GRANULARITIES, formatPeriodLabel, getPeriodGranularity } from '../core/period_granularity';
+
+// Källor för bladets period
+const PERIOD_SOURCE_LABELS = {
+  filnamn: 'från filnamn',
+  bladnamn: 'från bladnamn',
+  datumcell: 'från datumcell',
+  manuell: 'vald manuellt'
+};
+
+// Årsintervall som kan väljas manuellt
+const currentYear = new Date().getFullYear();
+const YEAR_OPTIONS = Array.from({ length: 12 }, (_, i) => currentYear + 1 - i);
+
+/**
+ * Lista över blad i en Excel-arbetsbok
+ * Låter användaren välja vilka blad som ska importeras och sätta period för blad utan period
+ */
+function WorkbookSheetPicker({ sheets, disabled, onChange }) {
+  const updateSheet = (name, changes) => {
+    onChange(sheets.map(sheet => sheet.name === name ? { ...sheet, ...changes } : sheet));
+  };
+
+  const handlePeriodChange = (sheet, part, value) => {
+    const period = {
+      year: sheet.period?.year || currentYear,
+      month: sheet.period?.month || 1,
+      [part]: parseInt(value, 10)
+    };
+    updateSheet(sheet.name, { period, periodSource: 'manuell' });
+  };
+
+  if (sheets.length === 0) {
+    return <p className="text-sm text-muted-foreground">Arbetsboken innehåller inga blad</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {sheets.map(sheet => (
+        <div key={sheet.name} className="flex flex-wrap items-center gap-3 text-sm">
+          <Checkbox
+            checked={sheet.selected}
+            disabled={disabled || sheet.rowCount === 0}
+            onCheckedChange={(checked) => updateSheet(sheet.name, { selected: checked === true })}
+          />
+          <Table2 className="h-3 w-3 text-muted-foreground" />
+          <span className="font-medium">{sheet.name}</span>
+          <span className="text-muted-foreground">{sheet.rowCount} rader</span>
+
+          {sheet.hasPeriodColumn ? (
+            <span className="text-xs text-muted-foreground">
+              Flera perioder - delas upp enligt periodkolumnen
+            </span>
+          ) : (
+            <>
+              <Select
+                value={sheet.period ? String(sheet.period.month) : ''}
+                onValueChange={(value) => handlePeriodChange(sheet, 'month', value)}
+                disabled={disabled}
+              >
+                <SelectTrigger className="h-8 w-32">
+                  <SelectValue placeholder="Månad" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Array.from({ length: 12 }, (_, i) => i + 1).map(month => (
+                    <SelectItem key={month} value={String(month)}>
+                      {formatMonthName(month)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              <Select
+                value={sheet.period ? String(sheet.period.year) : ''}
+                onValueChange={(value) => handlePeriodChange(sheet, 'year', value)}
+                disabled={disabled}
+              >
+                <SelectTrigger className="h-8 w-24">
+                  <SelectValue placeholder="År" />
+                </SelectTrigger>
+                <SelectContent>
+                  {YEAR_OPTIONS.map(year => (
+                    <SelectItem key={year} value={String(year)}>
+                      {year}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              {sheet.period ? (
+                <span className="text-xs text-muted-foreground">
+                  {getPeriodGranularity(sheet.period) !== PERIOD_GRANULARITIES.MONTH && `${formatPeriodLabel(sheet.period)} `}
+                  {PERIOD_SOURCE_LABELS[sheet.periodSource] || ''}
+                </span>
+              ) : (
+                <span className="text-xs text-red-600">Välj period för att importera bladet</span>
+              )}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default WorkbookSheetPicker;
@@ -0,0 +1,56 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { PERIOD_GRANULARITIES, DEFAULT_FISCAL_YEAR_START } from '../core/period_granularity';
+import { indexAnomalies } from '../services/anomaly_detection';
+
+/**
+ * Dataset Context
+ * 
+ * Delar ett gemensamt TimeseriesDataset mellan alla vyer
+ * Datasetet byggs en gång från uppladdningarna i App och frågas sedan av varje vy
+ */
+const DatasetContext = createContext(null);
+
+/**
+ * Provider som gör datasetet tillgängligt för underliggande komponenter
+ * @param {Object} props - Props
+ * @param {TimeseriesDataset} props.dataset - Dataset byggt från uppladdade perioder
+ * @param {string} props.granularity - Datasetets upplösning (dag, vecka, månad, kvartal, halvår eller år)
+ * @param {number} props.fiscalYearStart - Räkenskapsårets startmånad (1-12)
+ * @param {Array<Object>} props.anomalies - Rangordnade avvikelser från genomsökningen efter uppladdning
+ */
+export function DatasetProvider({
+  dataset,
+  granularity = PERIOD_GRANULARITIES.MONTH,
+  fiscalYearStart = DEFAULT_FISCAL_YEAR_START,
+  anomalies = [],
+  children
+}) {
+  const value = useMemo(() => ({
+    dataset,
+    granularity,
+    fiscalYearStart,
+    anomalies,
+    anomalyIndex: indexAnomalies(anomalies),
+    accounts: dataset.getAllAccounts(),
+    periods: dataset.getAllPeriods()
+  }), [dataset, granularity, fiscalYearStart, anomalies]);
+
+  return (
+    <DatasetContext.Provider value={value}>
+      {children}
+    </DatasetContext.Provider>
+  );
+}
+
+/**
+ * Hämtar delat dataset med upplösning, räkenskapsår, avvikelser, konton och perioder
+ * anomalyIndex slås upp med getAnomalyKey(accountId, period, metric)
+ * @returns {{dataset: TimeseriesDataset, granularity: string, fiscalYearStart: number, anomalies: Array<Object>, anomalyIndex: Map<string, Object>, accounts: Array<InstagramAccount>, periods: Array<Object>}}
+ */
+export function useDataset() {
+  const context = useContext(DatasetContext);
+  if (!context) {
+    throw new Error('useDataset måste användas inom en DatasetProvider');
+  }
+  return context;
+}
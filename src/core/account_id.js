@@ -0,0 +1,155 @@
+/**
+ * Account ID
+ *
+ * IG ID är 17-siffriga tal som måste hanteras som text. Excel lagrar bara
+ * 15 signifikanta siffror, så en fil som öppnats och sparats i Excel kan innehålla
+ * "1.78414E+16" eller "17841400123456800" i stället för det riktiga ID:t.
+ * Sådana ID:n identifieras här och matchas tillbaka mot kända konton via användarnamn.
+ */
+
+/**
+ * Typer av ID-problem
+ */
+export const ACCOUNT_ID_ISSUES = {
+  SCIENTIFIC: 'scientific', // Exponentform, t.ex. 1.78414E+16
+  PRECISION_LOST: 'precision_lost' // Siffror efter den 15:e har nollats av Excel
+};
+
+/**
+ * Antal signifikanta siffror som Excel sparar
+ */
+const EXCEL_PRECISION = 15;
+
+const SCIENTIFIC_PATTERN = /^\+?(\d+)(?:[.,](\d+))?e\+?(\d+)$/i;
+
+/**
+ * Skriver ut ett tal i exponentform som heltal med nollor, t.ex. "1.78414E+16" → "17841400000000000"
+ * @param {string} text - Tal i exponentform
+ * @returns {string|null} - Siffror eller null om texten inte är exponentform
+ */
+export function expandScientificNotation(text) {
+  const match = String(text).trim().match(SCIENTIFIC_PATTERN);
+  if (!match) return null;
+
+  const [, integerPart, fractionPart = '', exponentText] = match;
+  const digits = (integerPart + fractionPart).replace(/^0+/, '') || '0';
+  const length = integerPart.replace(/^0+/, '').length + parseInt(exponentText, 10);
+
+  if (digits.length > length) return null;
+  return digits + '0'.repeat(length - digits.length);
+}
+
+/**
+ * Normaliserar ett IG ID till text
+ * Tal utanför säkert heltalsintervall skrivs ut med Excels 15 siffror så att avrundningen syns
+ * @param {any} value - ID från fil eller lagring
+ * @returns {string} - ID som text (tom sträng om det saknas)
+ */
+export function normalizeAccountId(value) {
+  if (value === null || value === undefined) return '';
+
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) return String(value);
+    return expandScientificNotation(value.toPrecision(EXCEL_PRECISION)) || String(value);
+  }
+
+  // Excel-formeln ="123" används för att tvinga fram text
+  return String(value).trim().replace(/^="(.*)"$/, '$1').replace(/\.0+$/, '');
+}
+
+/**
+ * Identifierar om ett IG ID har förstörts av Excel
+ * ID:n med 16+ siffror som slutar på nollor efter den 15:e siffran är misstänkta
+ * men kan vara riktiga - de godtas om ID:t redan är känt
+ * @param {any} value - ID från fil
+ * @returns {string|null} - ACCOUNT_ID_ISSUES-värde eller null om ID:t ser korrekt ut
+ */
+export function detectAccountIdIssue(value) {
+  const id = normalizeAccountId(value);
+
+  if (SCIENTIFIC_PATTERN.test(id)) {
+    return ACCOUNT_ID_ISSUES.SCIENTIFIC;
+  }
+
+  if (/^\d+$/.test(id) && id.length > EXCEL_PRECISION && /^0+$/.test(id.slice(EXCEL_PRECISION))) {
+    return ACCOUNT_ID_ISSUES.PRECISION_LOST;
+  }
+
+  return null;
+}
+
+/**
+ * Kontrollerar om ett korrekt ID kan ha avrundats till ett förstört ID
+ * @param {string} accountId - Känt, korrekt ID
+ * @param {string} mangledId - Förstört ID (exponentform eller nollade siffror)
+ * @returns {boolean} - True om avrundningen stämmer
+ */
+export function isAccountIdCompatible(accountId, mangledId) {
+  const id = normalizeAccountId(mangledId);
+  const expanded = expandScientificNotation(id) || id;
+  if (!/^\d+$/.test(expanded) || !/^\d+$/.test(accountId)) return false;
+  if (expanded.length !== accountId.length) return false;
+
+  // Antal signifikanta siffror som finns kvar i det förstörda ID:t
+  const significant = expanded.replace(/0+$/, '').length;
+  if (significant === 0) return false;
+
+  return Number(accountId).toPrecision(significant) === Number(expanded).toPrecision(significant);
+}
+
+/**
+ * Normaliserar användarnamn för matchning (utan @ och skiftlägesokänsligt)
+ * @param {string} username - Användarnamn
+ * @returns {string} - Normaliserat användarnamn
+ */
+function normalizeUsername(username) {
+  return String(username || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Matchar förstörda IG ID:n tillbaka mot kända konton via användarnamn
+ * Kända konton är tidigare importerade konton och konton med korrekta ID:n i samma import
+ * @param {Array<Object>} rows - Rader med standardkolumner
+ * @param {Array<Object>} knownAccounts - Konton {username, accountId}
+ * @returns {Object} - {rows, remapped: [{rowNumber, username, originalId, accountId}],
+ *                      unresolved: [{rowNumber, username, originalId, issue}]}
+ */
+export function resolveAccountIds(rows, knownAccounts = []) {
+  const knownIds = new Set(knownAccounts.map(account => normalizeAccountId(account.accountId)));
+  const candidatesByUsername = new Map();
+
+  for (const account of knownAccounts) {
+    const accountId = normalizeAccountId(account.accountId);
+    if (detectAccountIdIssue(accountId)) continue;
+
+    const key = normalizeUsername(account.username);
+    const candidates = candidatesByUsername.get(key) || new Set();
+    candidates.add(accountId);
+    candidatesByUsername.set(key, candidates);
+  }
+
+  const remapped = [];
+  const unresolved = [];
+
+  const resolvedRows = (rows || []).map((row, index) => {
+    const originalId = normalizeAccountId(row['IG ID']);
+    const issue = detectAccountIdIssue(originalId);
+
+    if (!issue || knownIds.has(originalId)) {
+      return { ...row, 'IG ID': originalId };
+    }
+
+    const candidates = [...(candidatesByUsername.get(normalizeUsername(row.Account)) || [])]
+      .filter(accountId => isAccountIdCompatible(accountId, originalId));
+
+    if (candidates.length === 1) {
+      remapped.push({ rowNumber: index + 1, username: row.Account, originalId, accountId: candidates[0] });
+      return { ...row, 'IG ID': candidates[0] };
+    }
+
+    unresolved.push({ rowNumber: index + 1, username: row.Account, originalId, issue });
+    return { ...row, 'IG ID': originalId };
+  });
+
+  return { rows: resolvedRows, remapped, unresolved };
+}
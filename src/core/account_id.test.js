@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ACCOUNT_ID_ISSUES,
+  expandScientificNotation,
+  isAccountIdCompatible,
+  resolveAccountIds
+} from './account_id.js';
+
+const ACCOUNT_ID = '17841412345678901';
+
+test('exponentform skrivs ut som heltal med nollor', () => {
+  assert.equal(expandScientificNotation('1.78414E+16'), '17841400000000000');
+  assert.equal(expandScientificNotation('1,78414e16'), '17841400000000000');
+  assert.equal(expandScientificNotation('17841412345678901'), null);
+  assert.equal(expandScientificNotation('1.2345E+2'), null);
+});
+
+test('ett ID är kompatibelt med sin avrundade form', () => {
+  assert.equal(isAccountIdCompatible(ACCOUNT_ID, '1.78414E+16'), true);
+  assert.equal(isAccountIdCompatible(ACCOUNT_ID, '17841412345678900'), true);
+  assert.equal(isAccountIdCompatible(ACCOUNT_ID, '1.78415E+16'), false);
+  assert.equal(isAccountIdCompatible(ACCOUNT_ID, '17841412345679900'), false);
+  assert.equal(isAccountIdCompatible(ACCOUNT_ID, '1784141234567890'), false);
+});
+
+test('exponentform matchas mot kontot med samma användarnamn', () => {
+  const { rows, remapped, unresolved } = resolveAccountIds(
+    [{ Account: '@Testkonto', 'IG ID': '1.78414E+16' }],
+    [{ username: 'testkonto', accountId: ACCOUNT_ID }]
+  );
+  assert.equal(rows[0]['IG ID'], ACCOUNT_ID);
+  assert.deepEqual(remapped, [{ rowNumber: 1, username: '@Testkonto', originalId: '1.78414E+16', accountId: ACCOUNT_ID }]);
+  assert.deepEqual(unresolved, []);
+});
+
+test('17-siffrigt ID med nollade slutsiffror matchas mot det kända ID:t', () => {
+  const { rows, remapped } = resolveAccountIds(
+    [{ Account: 'testkonto', 'IG ID': '17841412345678900' }],
+    [{ username: 'testkonto', accountId: ACCOUNT_ID }]
+  );
+  assert.equal(rows[0]['IG ID'], ACCOUNT_ID);
+  assert.equal(remapped.length, 1);
+});
+
+test('två kompatibla konton med samma användarnamn lämnas olösta', () => {
+  const { rows, remapped, unresolved } = resolveAccountIds(
+    [{ Account: 'testkonto', 'IG ID': '1.78414E+16' }],
+    [
+      { username: 'testkonto', accountId: ACCOUNT_ID },
+      { username: 'testkonto', accountId: '17841409876543210' }
+    ]
+  );
+  assert.equal(rows[0]['IG ID'], '1.78414E+16');
+  assert.deepEqual(remapped, []);
+  assert.deepEqual(unresolved, [{ rowNumber: 1, username: 'testkonto', originalId: '1.78414E+16', issue: ACCOUNT_ID_ISSUES.SCIENTIFIC }]);
+});
+
+test('känt ID som slutar på nollor behålls oförändrat', () => {
+  const knownId = '17841400000000000';
+  const { rows, remapped, unresolved } = resolveAccountIds(
+    [{ Account: 'nollkonto', 'IG ID': knownId }],
+    [{ username: 'nollkonto', accountId: knownId }, { username: 'nollkonto', accountId: '17841400000000123' }]
+  );
+  assert.equal(rows[0]['IG ID'], knownId);
+  assert.deepEqual(remapped, []);
+  assert.deepEqual(unresolved, []);
+});
+
+test('okänt ID med nollade slutsiffror utan kandidat lämnas olöst', () => {
+  const { unresolved } = resolveAccountIds([{ Account: 'nytt', 'IG ID': '17841400000000000' }], []);
+  assert.equal(unresolved[0].issue, ACCOUNT_ID_ISSUES.PRECISION_LOST);
+});
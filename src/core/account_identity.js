@@ -0,0 +1,125 @@
+/**
+ * Account Identity
+ *
+ * Sammanslagning och uppdelning av konton när samma sida exporterats under två
+ * identiteter (t.ex. efter byte av handle eller ett ID som ändrats i en export).
+ * Månadsrader flyttas mellan IG ID:n - namnen på raderna behålls så att
+ * namnhistoriken per period finns kvar.
+ */
+import { normalizeAccountId } from './account_id.js';
+import { getPeriodKey, parsePeriodKey, rollupPeriod, formatPeriodLabel } from './period_granularity.js';
+
+/**
+ * Periodens fält utan rader - {year, month, granularity, week?, day?}
+ * @param {Object} period - Uppladdad period
+ * @returns {Object} - Period att lagra i en flytt eller konflikt
+ */
+function pickPeriodFields(period) {
+  return {
+    year: period.year,
+    month: period.month,
+    ...(period.granularity && { granularity: period.granularity }),
+    ...(period.week && { week: period.week }),
+    ...(period.day && { day: period.day })
+  };
+}
+
+/**
+ * Kontrollerar om en period eller en grövre period som innehåller den är vald
+ * Vyerna kan visa upprullad data, så en vald månad omfattar månadens veckor och dagar
+ * och ett valt kvartal omfattar kvartalets månader
+ * @param {Set<string>} keys - Valda periodnycklar
+ * @param {Object} period - Uppladdad period
+ * @returns {boolean} - True om perioden ingår i valet
+ */
+function isPeriodSelected(keys, period) {
+  return Array.from(keys).some(key => {
+    const selected = parsePeriodKey(key);
+    const target = selected && rollupPeriod(period, selected.granularity, selected);
+    return Boolean(target) && getPeriodKey(target) === key;
+  });
+}
+
+/**
+ * Hittar ett kontos rad i en period
+ * @param {Object} period - Period {year, month, data}
+ * @param {string} accountId - IG ID
+ * @returns {Object|null} - Rad eller null
+ */
+function findAccountRow(period, accountId) {
+  return (period.data || []).find(row => normalizeAccountId(row['IG ID']) === accountId) || null;
+}
+
+/**
+ * Planerar en flytt av månadsrader från ett konto till ett annat
+ * Perioder där målkontot redan har en rad kan inte flyttas och returneras som konflikter
+ * @param {Array<Object>} periods - Uppladdade perioder {year, month, data}
+ * @param {Object} reassignment - {fromAccountId, toAccountId, periodKeys}
+ *   periodKeys - perioder (se getPeriodKey) som ska flyttas, alla källkontots perioder om det utelämnas (sammanslagning)
+ * @returns {Object} - {moves: [{year, month, fromAccountId, toAccountId}], conflicts: [{year, month}]}
+ */
+export function planAccountReassignment(periods, reassignment) {
+  const fromAccountId = normalizeAccountId(reassignment?.fromAccountId);
+  const toAccountId = normalizeAccountId(reassignment?.toAccountId);
+
+  if (!fromAccountId || !toAccountId) {
+    throw new Error('planAccountReassignment kräver fromAccountId och toAccountId');
+  }
+  if (fromAccountId === toAccountId) {
+    throw new Error('Käll- och målkonto måste vara olika');
+  }
+
+  const selectedKeys = reassignment.periodKeys ? new Set(reassignment.periodKeys) : null;
+  const moves = [];
+  const conflicts = [];
+
+  for (const period of periods || []) {
+    if (selectedKeys && !isPeriodSelected(selectedKeys, period)) continue;
+    if (!findAccountRow(period, fromAccountId)) continue;
+
+    if (findAccountRow(period, toAccountId)) {
+      conflicts.push(pickPeriodFields(period));
+    } else {
+      moves.push({ ...pickPeriodFields(period), fromAccountId, toAccountId });
+    }
+  }
+
+  return { moves, conflicts };
+}
+
+/**
+ * Flyttar månadsrader mellan konton enligt en plan från planAccountReassignment
+ * @param {Array<Object>} periods - Uppladdade perioder {year, month, data}
+ * @param {Array<Object>} moves - Flyttar {year, month, fromAccountId, toAccountId}
+ * @returns {Array<Object>} - Nya perioder med raderna flyttade
+ */
+export function applyAccountReassignment(periods, moves) {
+  if (!Array.isArray(moves)) {
+    throw new Error('applyAccountReassignment kräver en lista med flyttar');
+  }
+
+  const movesByPeriod = new Map();
+  for (const move of moves) {
+    const key = getPeriodKey(move);
+    movesByPeriod.set(key, [...(movesByPeriod.get(key) || []), move]);
+  }
+
+  return (periods || []).map(period => {
+    const periodMoves = movesByPeriod.get(getPeriodKey(period));
+    if (!periodMoves) return period;
+
+    for (const move of periodMoves) {
+      if (findAccountRow(period, move.toAccountId)) {
+        throw new Error(`${move.toAccountId} har redan data för ${formatPeriodLabel(move)}`);
+      }
+    }
+
+    return {
+      ...period,
+      data: period.data.map(row => {
+        const move = periodMoves.find(entry => entry.fromAccountId === normalizeAccountId(row['IG ID']));
+        return move ? { ...row, 'IG ID': move.toAccountId } : row;
+      })
+    };
+  });
+}
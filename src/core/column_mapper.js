@@ -0,0 +1,283 @@
+/**
+ * Column Mapper
+ *
+ * Mappar kolumnrubriker från olika exportverktyg (Meta Business Suite,
+ * tredjepartsverktyg, svenska/engelska rubriker) till applikationens
+ * standardkolumner. Metric-kolumner och deras alias hämtas från METRIC_DEFINITIONS.
+ */
+import { METRIC_DEFINITIONS } from '../utils/metric_categorizer.js';
+
+/**
+ * Värde som markerar att en källkolumn ska ignoreras vid import
+ */
+export const IGNORE_COLUMN = '__ignore__';
+
+/**
+ * Kontokolumner med kända alias
+ */
+const ACCOUNT_FIELDS = [
+  {
+    column: 'Account',
+    label: 'Användarnamn',
+    required: true,
+    aliases: ['Username', 'Användarnamn', 'Instagram account', 'Instagram-konto', 'Konto', 'Handle']
+  },
+  {
+    column: 'Account Name',
+    label: 'Kontonamn',
+    required: false,
+    aliases: ['Name', 'Display name', 'Namn', 'Kontonamn', 'Visningsnamn', 'Page name']
+  },
+  {
+    column: 'IG ID',
+    label: 'Instagram-ID',
+    required: true,
+    aliases: ['Instagram ID', 'IG User ID', 'Instagram user ID', 'Account ID', 'Konto-ID', 'ID']
+  },
+  {
+    column: 'FB Page',
+    label: 'Facebook-sida',
+    required: false,
+    aliases: ['Facebook page', 'Facebook-sida', 'FB-sida', 'Page']
+  }
+];
+
+/**
+ * Statuskolumner med kända alias
+ */
+const STATUS_FIELDS = [
+  {
+    column: 'Status',
+    label: 'Status',
+    required: false,
+    aliases: ['State', 'Tillstånd']
+  },
+  {
+    column: 'Comment',
+    label: 'Kommentar',
+    required: false,
+    aliases: ['Comments', 'Kommentar', 'Note', 'Notering']
+  }
+];
+
+/**
+ * Periodkolumn för filer i långt format (flera månader i samma fil)
+ * Ingår inte i standardkolumnerna - finns den styr den periodindelningen
+ */
+export const PERIOD_COLUMN = 'Period';
+
+const PERIOD_FIELDS = [
+  {
+    column: PERIOD_COLUMN,
+    label: 'Period',
+    required: false,
+    period: true,
+    aliases: ['Month', 'Månad', 'Date', 'Datum', 'Year-Month', 'År-månad', 'Reporting period', 'Rapportperiod']
+  }
+];
+
+/**
+ * Returnerar alla målfält i standardordning (konto, metrics, status, period)
+ * @returns {Array<Object>} - Fält {column, label, required, aliases, metric, period}
+ */
+export function getTargetFields() {
+  const metricFields = Object.entries(METRIC_DEFINITIONS).map(([key, definition]) => ({
+    column: definition.csvColumn,
+    label: definition.displayName,
+    required: false,
+    aliases: definition.csvAliases || [],
+    metric: key
+  }));
+
+  return [...ACCOUNT_FIELDS, ...metricFields, ...STATUS_FIELDS, ...PERIOD_FIELDS];
+}
+
+/**
+ * Returnerar standardkolumnernas namn i förväntad ordning (utan periodkolumn)
+ * @returns {Array<string>} - Kolumnnamn
+ */
+export function getTargetColumns() {
+  return getTargetFields()
+    .filter(field => !field.period)
+    .map(field => field.column);
+}
+
+/**
+ * Kontrollerar om en mappning innehåller en periodkolumn (långt format)
+ * @param {Object} mapping - Mappning {källrubrik: målkolumn}
+ * @returns {boolean} - True om någon kolumn mappas till Period
+ */
+export function hasPeriodColumn(mapping) {
+  return Object.values(mapping || {}).includes(PERIOD_COLUMN);
+}
+
+/**
+ * Normaliserar en kolumnrubrik för jämförelse
+ * Tar bort BOM, skiftläge, extra blanksteg och skiljetecken
+ * @param {string} header - Rubrik att normalisera
+ * @returns {string} - Normaliserad rubrik
+ */
+export function normalizeHeader(header) {
+  return String(header ?? '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[_\-.]+/g, ' ')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Skapar en signatur för en uppsättning rubriker
+ * Används för att känna igen filer med samma header och återanvända profiler
+ * @param {Array<string>} headers - Kolumnrubriker
+ * @returns {string} - Signatur oberoende av kolumnordning
+ */
+export function createHeaderSignature(headers) {
+  return (headers || [])
+    .map(normalizeHeader)
+    .filter(Boolean)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Mappar rubriker automatiskt mot standardkolumner och kända alias
+ * Exakta matchningar prioriteras före alias, och varje målkolumn används högst en gång
+ * @param {Array<string>} headers - Kolumnrubriker från filen
+ * @returns {Object} - Mappning {källrubrik: målkolumn eller IGNORE_COLUMN}
+ */
+export function autoMapColumns(headers) {
+  const fields = getTargetFields();
+  const mapping = {};
+  const usedTargets = new Set();
+
+  const exactLookup = new Map(fields.map(field => [normalizeHeader(field.column), field.column]));
+  const aliasLookup = new Map();
+  for (const field of fields) {
+    for (const alias of field.aliases) {
+      const normalized = normalizeHeader(alias);
+      if (!aliasLookup.has(normalized)) {
+        aliasLookup.set(normalized, field.column);
+      }
+    }
+  }
+
+  // Första passet: exakta kolumnnamn
+  for (const header of headers || []) {
+    const target = exactLookup.get(normalizeHeader(header));
+    if (target && !usedTargets.has(target)) {
+      mapping[header] = target;
+      usedTargets.add(target);
+    }
+  }
+
+  // Andra passet: alias för kolumner som inte redan matchats
+  for (const header of headers || []) {
+    if (mapping[header]) continue;
+
+    const target = aliasLookup.get(normalizeHeader(header));
+    if (target && !usedTargets.has(target)) {
+      mapping[header] = target;
+      usedTargets.add(target);
+    } else {
+      mapping[header] = IGNORE_COLUMN;
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Kontrollerar om en mappning är identisk med standardformatet
+ * Standardkolumnerna måste finnas med exakta namn, en Period-kolumn är tillåten
+ * @param {Array<string>} headers - Kolumnrubriker från filen
+ * @param {Object} mapping - Mappning att kontrollera
+ * @returns {boolean} - True om alla rubriker redan är standardkolumner
+ */
+export function isStandardMapping(headers, mapping) {
+  const targetColumns = getTargetColumns();
+  const allowed = [...targetColumns, PERIOD_COLUMN];
+  return targetColumns.every(column => (headers || []).includes(column)) &&
+    headers.every(header => mapping[header] === header && allowed.includes(header));
+}
+
+/**
+ * Validerar en kolumnmappning
+ * @param {Object} mapping - Mappning {källrubrik: målkolumn}
+ * @returns {Object} - Valideringsresultat {isValid, errors, warnings, missingRequired, duplicates}
+ */
+export function validateColumnMapping(mapping) {
+  const fields = getTargetFields();
+  const errors = [];
+  const warnings = [];
+
+  const targetCounts = new Map();
+  for (const target of Object.values(mapping || {})) {
+    if (target && target !== IGNORE_COLUMN) {
+      targetCounts.set(target, (targetCounts.get(target) || 0) + 1);
+    }
+  }
+
+  const duplicates = Array.from(targetCounts.entries())
+    .filter(([, count]) => count > 1)
+    .map(([target]) => target);
+
+  for (const target of duplicates) {
+    errors.push(`Kolumnen ${target} är mappad från flera källkolumner`);
+  }
+
+  const missingRequired = fields
+    .filter(field => field.required && !targetCounts.has(field.column))
+    .map(field => field.column);
+
+  for (const column of missingRequired) {
+    errors.push(`Obligatorisk kolumn saknas: ${column}`);
+  }
+
+  const metricFields = fields.filter(field => field.metric);
+  const mappedMetrics = metricFields.filter(field => targetCounts.has(field.column));
+
+  if (mappedMetrics.length === 0) {
+    errors.push('Minst en metric-kolumn måste mappas');
+  } else {
+    for (const field of metricFields) {
+      if (!targetCounts.has(field.column)) {
+        warnings.push(`${field.label} (${field.column}) är inte mappad - värdena behandlas som saknade, inte som 0`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    missingRequired,
+    duplicates
+  };
+}
+
+/**
+ * Applicerar en kolumnmappning på parsade rader
+ * Ignorerade kolumner tas bort och rubriker byts mot standardkolumner
+ * @param {Array<Object>} rows - Rader med källrubriker som nycklar
+ * @param {Object} mapping - Mappning {källrubrik: målkolumn}
+ * @returns {Array<Object>} - Rader med standardkolumner som nycklar
+ */
+export function applyColumnMapping(rows, mapping) {
+  if (!Array.isArray(rows)) {
+    throw new Error('applyColumnMapping kräver en lista med rader');
+  }
+
+  const activeEntries = Object.entries(mapping || {})
+    .filter(([, target]) => target && target !== IGNORE_COLUMN);
+
+  return rows.map(row => {
+    const mapped = {};
+    for (const [source, target] of activeEntries) {
+      if (row[source] !== undefined) {
+        mapped[target] = row[source];
+      }
+    }
+    return mapped;
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * CSV Format Detector
+ *
+ * Identifierar teckenkodning och avgränsare för CSV-filer innan de parsas.
+ * Filer sparade från svensk Excel är ofta semikolonseparerade i Windows-1252
+ * eller UTF-16 med BOM, medan exporter från API:t är kommaseparerad UTF-8.
+ */
+
+/**
+ * Teckenkodningar som kan väljas vid import
+ */
+export const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+  { value: 'windows-1252', label: 'Windows-1252 (västeuropeisk)' }
+];
+
+/**
+ * Avgränsare som kan väljas vid import
+ */
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Komma (,)' },
+  { value: ';', label: 'Semikolon (;)' },
+  { value: '\t', label: 'Tabb' }
+];
+
+/**
+ * Byte order marks och deras kodning
+ */
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+/**
+ * Antal rader och bytes som används för detektering
+ */
+const DETECTION_LINES = 10;
+const DETECTION_BYTES = 4096;
+
+/**
+ * Antal bytes från filens början som läses för att identifiera formatet
+ */
+const FORMAT_SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * Identifierar teckenkodning från filens bytes
+ * BOM avgör i första hand, därefter nollbytes (UTF-16 utan BOM) och giltig UTF-8.
+ * Text som inte är giltig UTF-8 tolkas som Windows-1252
+ * @param {ArrayBuffer|Uint8Array} buffer - Filens innehåll
+ * @returns {Object} - {encoding, hasBOM}
+ */
+export function detectEncoding(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  for (const bom of BYTE_ORDER_MARKS) {
+    if (bom.bytes.every((byte, index) => bytes[index] === byte)) {
+      return { encoding: bom.encoding, hasBOM: true };
+    }
+  }
+
+  // UTF-16 utan BOM känns igen på att varannan byte är noll för ASCII-tecken
+  const sample = bytes.subarray(0, DETECTION_BYTES);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > sample.length / 4) return { encoding: 'utf-16le', hasBOM: false };
+  if (evenZeros > sample.length / 4) return { encoding: 'utf-16be', hasBOM: false };
+
+  try {
+    // stream: ett tecken som delats vid slutet av ett urval räknas inte som fel
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return { encoding: 'utf-8', hasBOM: false };
+  } catch {
+    return { encoding: 'windows-1252', hasBOM: false };
+  }
+}
+
+/**
+ * Avkodar filens bytes till text med angiven kodning
+ * @param {ArrayBuffer|Uint8Array} buffer - Filens innehåll
+ * @param {string} encoding - Teckenkodning
+ * @returns {string} - Text utan BOM
+ */
+export function decodeText(buffer, encoding) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch {
+    throw new Error(`Teckenkodningen ${encoding} stöds inte av webbläsaren`);
+  }
+
+  // stream: ett ofullständigt tecken i slutet (t.ex. i ett urval av filen) blir inte ett ersättningstecken
+  return decoder.decode(buffer, { stream: true }).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Räknar en avgränsare i en rad utanför citattecken
+ * @param {string} line - Textrad
+ * @param {string} delimiter - Avgränsare
+ * @returns {number} - Antal förekomster
+ */
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let inQuotes = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === delimiter && !inQuotes) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Identifierar avgränsare från filens första rader
+ * Avgränsaren som förekommer lika många gånger på flest rader som i rubrikraden vinner
+ * @param {string} text - Filens text
+ * @returns {string} - Avgränsare (',' ';' eller tabb), komma om inget kan avgöras
+ */
+export function detectDelimiter(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .slice(0, DETECTION_LINES);
+
+  if (lines.length === 0) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+
+  for (const { value: delimiter } of CSV_DELIMITERS) {
+    const headerCount = countDelimiter(lines[0], delimiter);
+    if (headerCount === 0) continue;
+
+    const consistentLines = lines.filter(line => countDelimiter(line, delimiter) === headerCount).length;
+    const score = consistentLines * 1000 + headerCount;
+
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  }
+
+  return best.delimiter;
+}
+
+/**
+ * Läser en CSV-fil med identifierad eller vald kodning och avgränsare
+ * @param {File} file - CSV-fil
+ * @param {Object} overrides - {encoding, delimiter} som ersätter detekterade värden
+ * @returns {Promise<Object>} - {text, encoding, delimiter, hasBOM, detectedEncoding, detectedDelimiter}
+ */
+export async function readCSVFile(file, overrides = {}) {
+  if (!file) {
+    throw new Error('readCSVFile kräver en fil');
+  }
+
+  const buffer = await file.arrayBuffer();
+  return decodeCSVBuffer(buffer, overrides);
+}
+
+/**
+ * Identifierar teckenkodning och avgränsare från början av en CSV-fil utan att läsa hela filen
+ * @param {File} file - CSV-fil
+ * @param {Object} overrides - {encoding, delimiter} som ersätter detekterade värden
+ * @returns {Promise<Object>} - {sample, encoding, delimiter, hasBOM, detectedEncoding, detectedDelimiter, undecodableCount}
+ *   där sample är den avkodade texten från filens början
+ */
+export async function detectCSVFileFormat(file, overrides = {}) {
+  if (!file) {
+    throw new Error('detectCSVFileFormat kräver en fil');
+  }
+
+  const buffer = await file.slice(0, FORMAT_SAMPLE_BYTES).arrayBuffer();
+  const { text, ...format } = decodeCSVBuffer(buffer, overrides);
+  return { sample: text, ...format };
+}
+
+/**
+ * Avkodar en CSV-fils innehåll med identifierad eller vald kodning och avgränsare
+ * @param {ArrayBuffer} buffer - Filens innehåll
+ * @param {Object} overrides - {encoding, delimiter} som ersätter detekterade värden
+ * @returns {Object} - {text, encoding, delimiter, hasBOM, detectedEncoding, detectedDelimiter, undecodableCount}
+ */
+export function decodeCSVBuffer(buffer, overrides = {}) {
+  const { encoding: detectedEncoding, hasBOM } = detectEncoding(buffer);
+  const encoding = overrides.encoding || detectedEncoding;
+  const text = decodeText(buffer, encoding);
+  const detectedDelimiter = detectDelimiter(text);
+
+  return {
+    text,
+    encoding,
+    delimiter: overrides.delimiter || detectedDelimiter,
+    hasBOM,
+    detectedEncoding,
+    detectedDelimiter,
+    // Ersättningstecken tyder på att fel kodning valts
+    undecodableCount: (text.match(/\uFFFD/g) || []).length
+  };
+}
+
+/**
+ * Returnerar visningsnamn för en kodning eller avgränsare
+ * @param {Array<Object>} options - CSV_ENCODINGS eller CSV_DELIMITERS
+ * @param {string} value - Vald kodning eller avgränsare
+ * @returns {string} - Visningsnamn
+ */
+export function getFormatLabel(options, value) {
+  return options.find(option => option.value === value)?.label || value;
+}
@@ -5,43 +5,48 @@
  * Hanterar validering och transformering av månadsdata
  */
 import Papa from 'papaparse';
-import { MonthlyAccountData, InstagramAccount, TimeseriesDataset } from './timeseries_models.js';
+import { MonthlyAccountData, InstagramAccount, TimeseriesDataset, COMPLETED_STATUS } from './timeseries_models.js';
 import { extractPeriodFromFile } from './period_extractor.js';
+import { METRIC_DEFINITIONS, getMetricCSVColumns } from '../utils/metric_categorizer.js';
+import { getTargetColumns, autoMapColumns, validateColumnMapping, applyColumnMapping } from './column_mapper.js';
+import { normalizeNumericColumns, parseLocaleNumber } from './number_parser.js';
+import { detectCSVFileFormat } from './csv_format_detector.js';
+import { detectAccountIdIssue, ACCOUNT_ID_ISSUES } from './account_id.js';
+import { PERIOD_GRANULARITIES, formatPeriodLabel } from './period_granularity.js';
+import { rollupMonthlyData } from './period_rollup.js';
 
 /**
  * Förväntade CSV-kolumner för Instagram API månadsdata
- * Exakt ordning och namn som förväntas i CSV-filerna
+ * Standardordning och namn som filer mappas till före konvertering
+ * Metric-kolumnerna härleds från METRIC_DEFINITIONS
  */
-export const EXPECTED_COLUMNS = [
-  'Account',
-  'Account Name',
-  'IG ID',
-  'FB Page',
-  'Reach',
-  'Views',
-  'Followers',
-  'Status',
-  'Comment'
-];
+export const EXPECTED_COLUMNS = getTargetColumns();
 
 /**
  * Konfiguration för Papa Parse
+ * Avgränsaren detekteras per fil av csv_format_detector och rubrikraden hanteras av streamCSVFile
  */
 const PAPA_PARSE_CONFIG = {
-  header: true,
+  header: false,
   skipEmptyLines: true,
   dynamicTyping: false, // Håll som strings för bättre kontroll
-  delimiter: ',',
   quoteChar: '"',
   escapeChar: '"'
 };
 
+/**
+ * Antal bytes som läses och parsas åt gången vid strömmande inläsning
+ */
+const STREAM_CHUNK_BYTES = 256 * 1024;
+
 /**
  * Processar en Instagram API CSV-fil
  * @param {File} file - CSV-fil att processera
+ * @param {Object} options - Alternativ {columnMapping, encoding, delimiter, onProgress, signal}
+ *   kodning och avgränsare detekteras om de inte anges, se streamCSVFile för onProgress och signal
  * @returns {Promise<Object>} - Resultat med data och metadata
  */
-export async function processInstagramCSV(file) {
+export async function processInstagramCSV(file, options = {}) {
   if (!file) {
     throw new Error('Ingen fil angiven för processering');
   }
@@ -52,17 +57,22 @@ export async function processInstagramCSV(file) {
     throw new Error(`Kunde inte extrahera period från filnamn: ${file.name}`);
   }
 
-  // Läs filinnehåll
-  const csvContent = await readFileContent(file);
-  
-  // Parsa CSV med Papa Parse
-  const parseResult = await parseCSVContent(csvContent, file.name);
+  // Läs och parsa filen i delar med identifierad eller vald kodning och avgränsare
+  const streamed = await streamCSVFile(file, options);
+  const parseResult = { meta: { fields: streamed.headers }, data: streamed.rows, errors: streamed.errors };
+  if (parseResult.errors.length > 0) {
+    console.warn(`Papa Parse varningar för ${file.name}:`, parseResult.errors);
+  }
   
-  // Validera kolumner
-  validateCSVStructure(parseResult, file.name);
+  // Mappa och validera kolumner
+  const columnMapping = options.columnMapping || autoMapColumns(parseResult.meta?.fields || []);
+  validateCSVStructure(parseResult, file.name, columnMapping);
+  // Tolka talvärden med filens decimal- och tusentalsavgränsare
+  const numeric = normalizeNumericColumns(applyColumnMapping(parseResult.data, columnMapping), getMetricCSVColumns());
+  const rows = numeric.rows;
   
   // Konvertera till våra datastrukturer
-  const monthlyDataList = convertToMonthlyData(parseResult.data, periodInfo.year, periodInfo.month);
+  const monthlyDataList = convertToMonthlyData(rows, periodInfo.year, periodInfo.month);
   
   return {
     period: periodInfo,
@@ -73,6 +83,11 @@ export async function processInstagramCSV(file) {
       rowCount: monthlyDataList.length,
       processedAt: new Date(),
       columns: parseResult.meta.fields,
+      columnMapping,
+      encoding: streamed.encoding,
+      delimiter: streamed.delimiter,
+      numberFormat: numeric.format,
+      invalidNumbers: numeric.invalidValues,
       errors: parseResult.errors,
       hasErrors: parseResult.errors.length > 0
     }
@@ -82,9 +97,10 @@ export async function processInstagramCSV(file) {
 /**
  * Processar flera Instagram API CSV-filer
  * @param {FileList|Array<File>} files - Lista med CSV-filer
+ * @param {Object} options - {onProgress(filename, progress), signal} - förlopp per fil och avbrott
  * @returns {Promise<Object>} - Resultat med kombinerad data och metadata
  */
-export async function processMultipleInstagramCSVs(files) {
+export async function processMultipleInstagramCSVs(files, options = {}) {
   if (!files || files.length === 0) {
     throw new Error('Inga filer angivna för processering');
   }
@@ -98,7 +114,10 @@ export async function processMultipleInstagramCSVs(files) {
   for (const file of filesArray) {
     try {
       console.log(`Processar fil: ${file.name}`);
-      const result = await processInstagramCSV(file);
+      const result = await processInstagramCSV(file, {
+        signal: options.signal,
+        onProgress: (progress) => options.onProgress?.(file.name, progress)
+      });
       
       // Lägg till data i dataset
       for (const monthlyData of result.data) {
@@ -107,6 +126,8 @@ export async function processMultipleInstagramCSVs(files) {
       
       results.push(result);
     } catch (error) {
+      // Ett avbrott stoppar hela batchen
+      if (error.name === 'AbortError') throw error;
       console.error(`Fel vid processering av ${file.name}:`, error);
       errors.push({
         filename: file.name,
@@ -131,88 +152,159 @@ export async function processMultipleInstagramCSVs(files) {
 }
 
 /**
- * Läser filinnehåll som text
- * @param {File} file - Fil att läsa
- * @returns {Promise<string>} - Filinnehåll som string
+ * Avbryter inläsningen om signalen har avbrutits
+ * @param {AbortSignal} signal - Signal från en AbortController
  */
-async function readFileContent(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (event) => {
-      resolve(event.target.result);
-    };
-    
-    reader.onerror = () => {
-      reject(new Error(`Kunde inte läsa fil: ${file.name}`));
-    };
-    
-    reader.readAsText(file, 'UTF-8');
-  });
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Importen avbröts', 'AbortError');
+  }
 }
 
 /**
- * Parsar CSV-innehåll med Papa Parse
- * @param {string} csvContent - CSV-innehåll som string
- * @param {string} filename - Filnamn för felmeddelanden
- * @returns {Promise<Object>} - Papa Parse resultat
+ * Textström för Papa Parse (samma gränssnitt som en Node-ström: on, removeListener, pause, resume)
+ * Filen läses STREAM_CHUNK_BYTES åt gången och avkodas strömmande med TextDecoder - Papa Parse egen
+ * filläsning avkodar varje del för sig och förstör tecken som delas mellan två delar
+ * @param {File} file - CSV-fil
+ * @param {string} encoding - Teckenkodning
+ * @param {Object} options - {onProgress, signal} - se streamCSVFile
+ * @returns {Object} - Ström att skicka till Papa.parse
  */
-async function parseCSVContent(csvContent, filename) {
-  return new Promise((resolve, reject) => {
-    Papa.parse(csvContent, {
+function createTextStream(file, encoding, options) {
+  const listeners = { data: [], end: [], error: [] };
+  const emit = (event, value) => listeners[event].slice().forEach(listener => listener(value));
+
+  const read = async () => {
+    const decoder = new TextDecoder(encoding);
+    let offset = 0;
+
+    try {
+      while (offset < file.size) {
+        throwIfAborted(options.signal);
+        const buffer = await file.slice(offset, offset + STREAM_CHUNK_BYTES).arrayBuffer();
+        offset += buffer.byteLength;
+        emit('data', decoder.decode(buffer, { stream: offset < file.size }));
+        options.onProgress?.(offset / file.size);
+      }
+      throwIfAborted(options.signal);
+      emit('end');
+    } catch (error) {
+      emit('error', error);
+    }
+  };
+
+  // Papa.parse registrerar sina lyssnare direkt - läsningen startar därefter
+  Promise.resolve().then(read);
+
+  return {
+    readable: true,
+    read() {},
+    on(event, listener) {
+      listeners[event]?.push(listener);
+    },
+    removeListener(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(registered => registered !== listener);
+    },
+    // Parsern pausas aldrig - varje del parsas klart innan nästa läses
+    pause() {},
+    resume() {}
+  };
+}
+
+/**
+ * Läser och parsar en CSV-fil i delar med Papa Parse strömmande parsning (chunk)
+ * Endast den del som läses för tillfället och de färdiga raderna hålls i minnet. Rader som
+ * delas mellan två delar sätts ihop av Papa Parse
+ * @param {File} file - CSV-fil
+ * @param {Object} options - {encoding, delimiter, onProgress, signal}
+ *   onProgress - anropas med andel lästa bytes (0-1) efter varje del
+ *   signal - AbortSignal som avbryter inläsningen med ett AbortError
+ * @returns {Promise<Object>} - {headers, rows, errors, encoding, delimiter}
+ */
+export async function streamCSVFile(file, options = {}) {
+  if (!file) {
+    throw new Error('streamCSVFile kräver en fil');
+  }
+
+  const format = await detectCSVFileFormat(file, { encoding: options.encoding, delimiter: options.delimiter });
+  let headers = null;
+  const rows = [];
+  const errors = [];
+
+  const parseChunk = (result) => {
+    for (const error of result.errors) {
+      errors.push({ ...error, row: rows.length + (error.row ?? 0) });
+    }
+
+    for (const cells of result.data) {
+      if (!headers) {
+        headers = cells;
+        continue;
+      }
+
+      if (cells.length !== headers.length) {
+        errors.push({
+          type: 'FieldMismatch',
+          code: cells.length < headers.length ? 'TooFewFields' : 'TooManyFields',
+          message: `Rad ${rows.length + 1}: förväntade ${headers.length} fält men hittade ${cells.length}`,
+          row: rows.length
+        });
+      }
+      rows.push(Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ''])));
+    }
+  };
+
+  await new Promise((resolve, reject) => {
+    Papa.parse(createTextStream(file, format.encoding, options), {
       ...PAPA_PARSE_CONFIG,
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          console.warn(`Papa Parse varningar för ${filename}:`, results.errors);
+      delimiter: format.delimiter,
+      chunk: (result, parser) => {
+        if (options.signal?.aborted) {
+          parser.abort();
+          reject(new DOMException('Importen avbröts', 'AbortError'));
+          return;
         }
-        resolve(results);
+        parseChunk(result);
       },
-      error: (error) => {
-        reject(new Error(`Papa Parse fel för ${filename}: ${error.message}`));
-      }
+      complete: resolve,
+      error: reject
     });
   });
+  options.onProgress?.(1);
+
+  return {
+    headers: headers || [],
+    rows,
+    errors,
+    encoding: format.encoding,
+    delimiter: format.delimiter
+  };
 }
 
 /**
- * Validerar CSV-struktur mot förväntade kolumner
+ * Validerar CSV-struktur mot kolumnmappningen
+ * Kolumnordning och rubriknamn är fria så länge obligatoriska kolumner kan mappas
  * @param {Object} parseResult - Papa Parse resultat
  * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} columnMapping - Mappning {källrubrik: standardkolumn}
  */
-function validateCSVStructure(parseResult, filename) {
+function validateCSVStructure(parseResult, filename, columnMapping) {
   if (!parseResult.meta || !parseResult.meta.fields) {
     throw new Error(`CSV-fil ${filename} har ingen header eller är korrupt`);
   }
 
-  const actualColumns = parseResult.meta.fields;
-  const normalizedActual = actualColumns.map(col => col.trim());
-  const normalizedExpected = EXPECTED_COLUMNS.map(col => col.trim());
+  const actualColumns = parseResult.meta.fields.map(col => col.trim());
+  const mappingValidation = validateColumnMapping(columnMapping);
 
-  // Kontrollera antal kolumner
-  if (normalizedActual.length !== normalizedExpected.length) {
+  if (!mappingValidation.isValid) {
     throw new Error(
-      `CSV-fil ${filename} har ${normalizedActual.length} kolumner, förväntat ${normalizedExpected.length}. ` +
-      `Hittade: [${normalizedActual.join(', ')}]`
+      `CSV-fil ${filename} har kolumner som inte kan mappas: ${mappingValidation.errors.join('; ')}. ` +
+      `Hittade: [${actualColumns.join(', ')}]`
     );
   }
 
-  // Kontrollera kolumnnamn
-  const missingColumns = [];
-  const extraColumns = [];
-
-  for (let i = 0; i < normalizedExpected.length; i++) {
-    if (normalizedActual[i] !== normalizedExpected[i]) {
-      missingColumns.push(normalizedExpected[i]);
-      extraColumns.push(normalizedActual[i]);
-    }
-  }
-
-  if (missingColumns.length > 0) {
-    throw new Error(
-      `CSV-fil ${filename} har felaktiga kolumnnamn. ` +
-      `Förväntat: [${normalizedExpected.join(', ')}]. ` +
-      `Hittade: [${normalizedActual.join(', ')}]`
-    );
+  if (mappingValidation.warnings.length > 0) {
+    console.warn(`Kolumnvarningar för ${filename}:`, mappingValidation.warnings);
   }
 
   // Kontrollera att det finns data
@@ -269,6 +361,80 @@ function convertToMonthlyData(csvRows, year, month) {
   return monthlyDataList;
 }
 
+/**
+ * Konverterar uppladdade perioder till MonthlyAccountData för lagring
+ * Till skillnad från filprocesseringen tolereras inga felaktiga rader här -
+ * en enda rad som inte kan konverteras stoppar hela uppladdningen
+ * @param {Array<Object>} periods - Perioder {year, month, granularity, week, day, data, filename}
+ * @returns {Array<MonthlyAccountData>} - Alla konverterade rader
+ */
+export function convertPeriodsToMonthlyData(periods) {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    throw new Error('Inga perioder att konvertera');
+  }
+
+  const monthlyDataList = [];
+
+  for (const period of periods) {
+    const rows = Array.isArray(period.data) ? period.data : [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+
+      // Hoppa över tomma rader
+      if (!row.Account && !row['IG ID']) {
+        continue;
+      }
+
+      try {
+        monthlyDataList.push(MonthlyAccountData.fromCSVRow(row, period.year, period.month, period.filename, period));
+      } catch (error) {
+        throw new Error(`${period.filename || formatPeriodLabel(period)}, rad ${i + 1}: ${error.message}`);
+      }
+    }
+  }
+
+  return monthlyDataList;
+}
+
+/**
+ * Bygger ett TimeseriesDataset från uppladdade perioder
+ * Rader som inte kan konverteras loggas och hoppas över. Perioder rullas upp till
+ * vald upplösning och grövre perioder utesluts (se rollupMonthlyData)
+ * @param {Array<Object>} periods - Perioder {year, month, granularity, week, day, data}
+ * @param {Object} options - {granularity, fiscalYearStart} - datasetets upplösning (standard månad)
+ *   och räkenskapsårets startmånad för kvartal, halvår och år
+ * @returns {TimeseriesDataset} - Dataset med alla konton och perioder
+ */
+export function createDatasetFromPeriods(periods, options = {}) {
+  const { granularity = PERIOD_GRANULARITIES.MONTH, fiscalYearStart } = options;
+  const dataset = new TimeseriesDataset();
+  const monthlyDataList = [];
+
+  for (const period of periods || []) {
+    const rows = Array.isArray(period.data) ? period.data : [];
+
+    for (const row of rows) {
+      // Hoppa över tomma rader
+      if (!row.Account && !row['IG ID']) {
+        continue;
+      }
+
+      try {
+        monthlyDataList.push(MonthlyAccountData.fromCSVRow(row, period.year, period.month, null, period));
+      } catch (error) {
+        console.warn(`Hoppar över rad i ${formatPeriodLabel(period)}:`, error.message, row);
+      }
+    }
+  }
+
+  for (const monthlyData of rollupMonthlyData(monthlyDataList, granularity, { fiscalYearStart })) {
+    dataset.addMonthlyData(monthlyData);
+  }
+
+  return dataset;
+}
+
 /**
  * Validerar en enskild CSV-rad mot förväntad struktur
  * @param {Object} row - CSV-rad att validera
@@ -289,18 +455,18 @@ export function validateCSVRow(row) {
   if (!row['IG ID'] || row['IG ID'].toString().trim() === '') {
     result.errors.push('Saknar IG ID');
     result.isValid = false;
+  } else if (detectAccountIdIssue(row['IG ID']) === ACCOUNT_ID_ISSUES.SCIENTIFIC) {
+    result.errors.push(`IG ID har avrundats av Excel: ${row['IG ID']}`);
+    result.isValid = false;
   }
 
   // Kontrollera numeriska fält (varning, inte fel)
-  const numericFields = ['Reach', 'Views', 'Followers'];
+  const numericFields = getMetricCSVColumns();
   
   for (const field of numericFields) {
-    const value = row[field];
-    if (value !== undefined && value !== '' && value !== null) {
-      const numValue = parseFloat(String(value).replace(/,/g, ''));
-      if (isNaN(numValue) || numValue < 0) {
-        result.errors.push(`${field} har ogiltigt värde: ${value}`);
-      }
+    const { value: numValue, valid } = parseLocaleNumber(row[field]);
+    if (!valid || (numValue !== null && numValue < 0)) {
+      result.errors.push(`${field} har ogiltigt värde: ${row[field]}`);
     }
   }
 
@@ -312,23 +478,25 @@ export function validateCSVRow(row) {
  * @param {number} year - År
  * @param {number} month - Månad
  * @param {number} accountCount - Antal konton att skapa (default 5)
+ * @param {Object} options - {flaggedCount} - antal sista konton som får status FAILED
  * @returns {string} - CSV-innehåll som string
  */
-export function createSampleCSVData(year, month, accountCount = 5) {
+export function createSampleCSVData(year, month, accountCount = 5, options = {}) {
+  const { flaggedCount = 0 } = options;
   const headers = EXPECTED_COLUMNS;
   const rows = [headers.join(',')];
 
   for (let i = 1; i <= accountCount; i++) {
+    // Flaggade rader efterliknar en misslyckad API-hämtning med nollor
+    const flagged = i > accountCount - flaggedCount;
     const row = [
       `@testaccount${i}`,                  // Account
       `Test Account ${i}`,                 // Account Name
       `ig_id_${i}`,                        // IG ID
       `FB Page ${i}`,                      // FB Page
-      Math.floor(Math.random() * 10000),  // Reach
-      Math.floor(Math.random() * 5000),   // Views
-      Math.floor(Math.random() * 50000),  // Followers
-      'COMPLETED',                         // Status
-      ''                                   // Comment
+      ...Object.keys(METRIC_DEFINITIONS).map(() => flagged ? 0 : Math.floor(Math.random() * 10000)),
+      flagged ? 'FAILED' : COMPLETED_STATUS, // Status
+      flagged ? 'API-hämtning misslyckades' : '' // Comment
     ];
     
     rows.push(row.join(','));
@@ -356,11 +524,9 @@ export function exportToCSV(monthlyDataList) {
       `"${monthlyData.account.displayName}"`,
       monthlyData.account.accountId,
       '', // FB Page (empty för export)
-      monthlyData.metrics.reach,
-      monthlyData.metrics.views,
-      monthlyData.metrics.followers,
-      '', // Status
-      ''  // Comment
+      ...Object.keys(METRIC_DEFINITIONS).map(key => monthlyData.metrics[key]),
+      monthlyData.status,
+      `"${(monthlyData.comment || '').replace(/"/g, '""')}"`
     ];
     
     rows.push(row.join(','));
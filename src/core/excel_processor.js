@@ -0,0 +1,229 @@
+/**
+ * Excel Processor
+ *
+ * Läser Instagram-rapporter i Excel-format (.xlsx/.xls) med SheetJS
+ * Varje blad kan representera en månad - perioden hämtas från filnamn,
+ * bladnamn eller en datumcell ovanför tabellen
+ */
+import * as XLSX from 'xlsx';
+import { extractPeriodFromFilename, parsePeriodValue } from './period_extractor.js';
+import { autoMapColumns, hasPeriodColumn, IGNORE_COLUMN } from './column_mapper.js';
+import { normalizeAccountId } from './account_id.js';
+import { PERIOD_GRANULARITIES, normalizePeriod } from './period_granularity.js';
+
+/**
+ * Filändelser som hanteras som Excel-arbetsböcker
+ */
+export const EXCEL_EXTENSIONS = ['.xlsx', '.xls'];
+
+/**
+ * Antal rader som genomsöks efter rubrikrad och datumcell
+ */
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * Kontrollerar om en fil är en Excel-arbetsbok
+ * @param {File|string} file - Fil eller filnamn
+ * @returns {boolean} - True om filen har en Excel-ändelse
+ */
+export function isExcelFile(file) {
+  const name = typeof file === 'string' ? file : file?.name;
+  if (!name) return false;
+  const lower = name.toLowerCase();
+  return EXCEL_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Läser en Excel-fil till en arbetsbok
+ * @param {File} file - Excel-fil
+ * @returns {Promise<Object>} - SheetJS-arbetsbok
+ */
+export async function readWorkbook(file) {
+  if (!file) {
+    throw new Error('readWorkbook kräver en fil');
+  }
+
+  const buffer = await file.arrayBuffer();
+
+  try {
+    return XLSX.read(buffer, { type: 'array', cellDates: true });
+  } catch (error) {
+    throw new Error(`Kunde inte läsa Excel-fil ${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Konverterar ett cellvärde till text i samma form som en CSV-cell
+ * @param {any} value - Cellvärde från SheetJS
+ * @returns {string} - Cellvärde som text
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const period = parsePeriodValue(value);
+    return period
+      ? `${period.year}-${String(period.month).padStart(2, '0')}-${String(period.day).padStart(2, '0')}`
+      : '';
+  }
+  // Stora heltal (t.ex. IG ID) skrivs ut med Excels 15 siffror så att avrundningen kan upptäckas
+  if (typeof value === 'number' && Number.isInteger(value) && !Number.isSafeInteger(value)) {
+    return normalizeAccountId(value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Hittar rubrikraden i ett blad
+ * Första raden där minst två kolumner kan mappas till standardkolumner,
+ * annars första icke-tomma raden
+ * @param {Array<Array>} matrix - Bladets rader som matris
+ * @returns {number} - Radindex för rubrikraden eller -1 om bladet är tomt
+ */
+function findHeaderRow(matrix) {
+  let firstNonEmpty = -1;
+
+  for (let i = 0; i < Math.min(matrix.length, HEADER_SCAN_ROWS); i++) {
+    const cells = matrix[i].map(cellToString).filter(Boolean);
+    if (cells.length === 0) continue;
+    if (firstNonEmpty === -1) firstNonEmpty = i;
+
+    const mapping = autoMapColumns(cells);
+    const mappedCount = Object.values(mapping).filter(target => target !== IGNORE_COLUMN).length;
+    if (mappedCount >= 2) {
+      return i;
+    }
+  }
+
+  return firstNonEmpty;
+}
+
+/**
+ * Letar efter en period i cellerna ovanför rubrikraden
+ * Datumceller prioriteras före text som "Period: Aug 2025"
+ * @param {Array<Array>} matrix - Bladets rader som matris
+ * @param {number} headerRow - Rubrikradens index
+ * @returns {Object|null} - Period {year, month} eller null
+ */
+function findPeriodAboveHeader(matrix, headerRow) {
+  const cells = matrix.slice(0, Math.max(headerRow, 0)).flat();
+
+  const dateCell = cells.find(cell => cell instanceof Date && parsePeriodValue(cell));
+  if (dateCell) {
+    return parsePeriodValue(dateCell);
+  }
+
+  for (const cell of cells) {
+    if (typeof cell === 'string') {
+      const period = parsePeriodValue(cell);
+      if (period) return period;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Läser ett blad till rubriker och rader i samma form som parsad CSV
+ * @param {Object} workbook - SheetJS-arbetsbok
+ * @param {string} sheetName - Bladets namn
+ * @returns {Object} - {headers, rows, headerRow, periodCell}
+ */
+export function readSheet(workbook, sheetName) {
+  const sheet = workbook?.Sheets?.[sheetName];
+  if (!sheet) {
+    throw new Error(`Bladet "${sheetName}" finns inte i arbetsboken`);
+  }
+
+  const matrix = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: false });
+  const headerRow = findHeaderRow(matrix);
+
+  if (headerRow === -1) {
+    return { headers: [], rows: [], headerRow: -1, periodCell: null };
+  }
+
+  const rawHeaders = matrix[headerRow].map(cellToString);
+  const headers = [];
+  const columnIndexes = [];
+
+  rawHeaders.forEach((header, index) => {
+    if (header && !headers.includes(header)) {
+      headers.push(header);
+      columnIndexes.push(index);
+    }
+  });
+
+  const rows = matrix.slice(headerRow + 1)
+    .filter(cells => cells.some(cell => cellToString(cell) !== ''))
+    .map(cells => Object.fromEntries(
+      headers.map((header, i) => [header, cellToString(cells[columnIndexes[i]])])
+    ));
+
+  return {
+    headers,
+    rows,
+    headerRow,
+    periodCell: findPeriodAboveHeader(matrix, headerRow)
+  };
+}
+
+/**
+ * Bladets period med upplösning - vecka och dag från filnamn eller bladnamn behålls
+ * så att ett vecko- eller dagsblad inte importeras som hela månaden
+ * @param {Object} period - {year, month, granularity?, week?, day?}
+ * @returns {Object|null} - Normaliserad period (se normalizePeriod)
+ */
+function toSheetPeriod(period) {
+  let granularity = period.granularity || PERIOD_GRANULARITIES.MONTH;
+  if (!period.granularity && period.week) granularity = PERIOD_GRANULARITIES.WEEK;
+  if (!period.granularity && period.day) granularity = PERIOD_GRANULARITIES.DAY;
+
+  return normalizePeriod({ granularity, year: period.year, month: period.month, week: period.week, day: period.day });
+}
+
+/**
+ * Sammanfattar alla blad i en arbetsbok med föreslagen period
+ * Perioden tas i ordningen filnamn (IG_YYYY_MM, IG_YYYY_Www, IG_YYYY_MM_DD), bladnamn, datumcell ovanför tabellen.
+ * Blad med en periodkolumn (långt format) delas i stället upp per rad vid import
+ * @param {Object} workbook - SheetJS-arbetsbok
+ * @param {string} filename - Arbetsbokens filnamn
+ * @returns {Array<Object>} - Blad {name, headers, rowCount, period, periodSource, hasPeriodColumn}
+ */
+export function summarizeWorkbook(workbook, filename) {
+  if (!workbook || !Array.isArray(workbook.SheetNames)) {
+    throw new Error('summarizeWorkbook kräver en SheetJS-arbetsbok');
+  }
+
+  const filePeriod = extractPeriodFromFilename(filename, false);
+
+  return workbook.SheetNames.map(name => {
+    const { headers, rows, periodCell } = readSheet(workbook, name);
+    const sheetPeriod = parsePeriodValue(name);
+
+    let period = null;
+    let periodSource = null;
+
+    if (filePeriod && workbook.SheetNames.length === 1) {
+      period = toSheetPeriod(filePeriod);
+      periodSource = 'filnamn';
+    } else if (sheetPeriod) {
+      period = toSheetPeriod(sheetPeriod);
+      periodSource = 'bladnamn';
+    } else if (periodCell) {
+      // En datumcell ovanför tabellen anger rapportens månad, inte en enskild dag
+      period = toSheetPeriod({ year: periodCell.year, month: periodCell.month });
+      periodSource = 'datumcell';
+    } else if (filePeriod) {
+      period = toSheetPeriod(filePeriod);
+      periodSource = 'filnamn';
+    }
+
+    return {
+      name,
+      headers,
+      rowCount: rows.length,
+      period,
+      periodSource,
+      hasPeriodColumn: hasPeriodColumn(autoMapColumns(headers))
+    };
+  });
+}
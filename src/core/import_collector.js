@@ -0,0 +1,214 @@
+/**
+ * Import Collector
+ *
+ * Samlar importfiler från mappar och ZIP-arkiv. Månadsexporter ligger ofta
+ * som dussintals IG_YYYY_MM.csv i en mapp eller ett arkiv - filer som matchar
+ * periodmönstret (även veckor IG_YYYY_Www och dagar IG_YYYY_MM_DD) plockas ut
+ * och övriga rapporteras med orsak.
+ */
+import * as XLSX from 'xlsx';
+import { extractPeriodsFromFiles, PERIOD_FILENAME_PATTERN } from './period_extractor.js';
+import { getPeriodKey } from './period_granularity.js';
+import { isExcelFile } from './excel_processor.js';
+
+/**
+ * Orsaker till att en fil i en mapp eller ett arkiv hoppas över
+ */
+export const SKIP_REASONS = {
+  SYSTEM_FILE: 'Systemfil',
+  UNSUPPORTED_TYPE: 'Filtypen stöds inte (endast .csv, .xlsx och .xls)',
+  NESTED_ARCHIVE: 'ZIP-arkiv inuti arkiv stöds inte',
+  PATTERN_MISMATCH: 'Filnamnet matchar inte IG_YYYY_MM, IG_YYYY_Www eller IG_YYYY_MM_DD',
+  INVALID_PERIOD: 'Ogiltig period i filnamnet',
+  DUPLICATE_PERIOD: 'Samma period finns redan i'
+};
+
+/**
+ * Kontrollerar om en fil är ett ZIP-arkiv
+ * @param {File|string} file - Fil eller filnamn
+ * @returns {boolean} - True om filen har ändelsen .zip
+ */
+export function isZipFile(file) {
+  const name = typeof file === 'string' ? file : file?.name;
+  return Boolean(name) && name.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Kontrollerar om en sökväg pekar på en systemfil (dolda filer och macOS-metadata)
+ * @param {string} path - Relativ sökväg
+ * @returns {boolean} - True om filen ska ignoreras
+ */
+function isSystemPath(path) {
+  return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX' || part === 'Thumbs.db');
+}
+
+/**
+ * Läser alla filer i ett ZIP-arkiv
+ * @param {File} file - ZIP-arkiv
+ * @param {string} basePath - Arkivets sökväg, filnamnet om det utelämnas
+ * @returns {Promise<Array<Object>>} - Filer {file, path} där path är arkivets sökväg följd av sökvägen i arkivet
+ */
+export async function readZipEntries(file, basePath = file?.name) {
+  if (!file) {
+    throw new Error('readZipEntries kräver en fil');
+  }
+
+  const buffer = await file.arrayBuffer();
+  let archive;
+  try {
+    archive = XLSX.CFB.read(new Uint8Array(buffer), { type: 'array' });
+  } catch (error) {
+    throw new Error(`Kunde inte läsa ZIP-arkivet ${file.name}: ${error.message}`);
+  }
+
+  const entries = [];
+  archive.FileIndex.forEach((entry, index) => {
+    // Mappar och SheetJS egen markörfil (namn som börjar med \u0001) är inga filer
+    const fullPath = archive.FullPaths[index];
+    if (entry.type !== 2 || fullPath.endsWith('/') || entry.name.startsWith('\u0001')) return;
+
+    const path = `${basePath}/${fullPath.replace(/^Root Entry\//, '')}`;
+    const content = new Uint8Array(entry.content || []);
+    entries.push({
+      path,
+      file: new File([content], entry.name, {
+        type: entry.name.toLowerCase().endsWith('.csv') ? 'text/csv' : '',
+        lastModified: entry.mt ? entry.mt.getTime() : file.lastModified
+      })
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Läser en mapp från drag-and-drop rekursivt
+ * @param {FileSystemDirectoryEntry} directory - Mapp
+ * @param {string} path - Sökväg till mappen
+ * @returns {Promise<Array<Object>>} - Filer {file, path}
+ */
+async function readDirectoryEntry(directory, path) {
+  const reader = directory.createReader();
+  const children = [];
+
+  // readEntries returnerar mappens innehåll i omgångar tills en tom omgång kommer
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    children.push(...batch);
+  }
+
+  const files = [];
+  for (const child of children) {
+    files.push(...await readFileSystemEntry(child, `${path}/${child.name}`));
+  }
+  return files;
+}
+
+/**
+ * Läser en fil eller mapp från drag-and-drop
+ * @param {FileSystemEntry} entry - Fil- eller mappentry
+ * @param {string} path - Sökväg till entryt
+ * @returns {Promise<Array<Object>>} - Filer {file, path}
+ */
+async function readFileSystemEntry(entry, path) {
+  if (entry.isDirectory) {
+    return readDirectoryEntry(entry, path);
+  }
+
+  const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+  return [{ file, path }];
+}
+
+/**
+ * Läser släppta filer och mappar från en drop-händelse
+ * Entries hämtas direkt eftersom DataTransfer-listan töms när händelsen är klar
+ * @param {DataTransfer} dataTransfer - Från drop-händelsen
+ * @returns {Promise<Object>} - {files: Array<File>, folderEntries: Array<{file, path}>}
+ *   files är enskilda filer, folderEntries är filer som legat i en mapp
+ */
+export async function readDroppedItems(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  // Webbläsare utan stöd för entries - endast enskilda filer
+  if (entries.length === 0) {
+    return { files: Array.from(dataTransfer.files || []), folderEntries: [] };
+  }
+
+  const files = [];
+  const folderEntries = [];
+  for (const entry of entries) {
+    if (entry.isDirectory) {
+      folderEntries.push(...await readDirectoryEntry(entry, entry.name));
+    } else {
+      files.push(...(await readFileSystemEntry(entry, entry.name)).map(({ file }) => file));
+    }
+  }
+
+  return { files, folderEntries };
+}
+
+/**
+ * Väljer ut importfiler bland filer från mappar och arkiv
+ * ZIP-arkiv i en mapp packas upp. Endast filer som matchar periodmönstret plockas ut -
+ * övriga returneras med orsak. Finns samma period flera gånger används den första
+ * @param {Array<Object>} entries - Filer {file, path}
+ * @returns {Promise<Object>} - {files: Array<File>, skipped: Array<{path, reason}>}
+ */
+export async function collectImportFiles(entries) {
+  const skipped = [];
+  const candidates = [];
+
+  const addCandidate = ({ file, path }) => {
+    if (isSystemPath(path)) {
+      skipped.push({ path, reason: SKIP_REASONS.SYSTEM_FILE });
+    } else if (isZipFile(file)) {
+      skipped.push({ path, reason: SKIP_REASONS.NESTED_ARCHIVE });
+    } else if (!file.name.toLowerCase().endsWith('.csv') && !isExcelFile(file)) {
+      skipped.push({ path, reason: SKIP_REASONS.UNSUPPORTED_TYPE });
+    } else if (!PERIOD_FILENAME_PATTERN.test(file.name)) {
+      skipped.push({ path, reason: SKIP_REASONS.PATTERN_MISMATCH });
+    } else {
+      candidates.push({ file, path });
+    }
+  };
+
+  for (const entry of entries) {
+    if (isZipFile(entry.file) && !isSystemPath(entry.path)) {
+      for (const archived of await readZipEntries(entry.file, entry.path)) {
+        addCandidate(archived);
+      }
+    } else {
+      addCandidate(entry);
+    }
+  }
+
+  const pathByFile = new Map(candidates.map(candidate => [candidate.file, candidate.path]));
+  const periods = extractPeriodsFromFiles(candidates.map(candidate => candidate.file), true);
+  const matched = new Set(periods.map(period => period.file));
+
+  for (const candidate of candidates) {
+    if (!matched.has(candidate.file)) {
+      skipped.push({ path: candidate.path, reason: SKIP_REASONS.INVALID_PERIOD });
+    }
+  }
+
+  // En fil per period - extractPeriodsFromFiles sorterar kronologiskt
+  const seen = new Map();
+  const files = [];
+  for (const period of periods) {
+    const key = getPeriodKey(period);
+    const path = pathByFile.get(period.file);
+    if (seen.has(key)) {
+      skipped.push({ path, reason: `${SKIP_REASONS.DUPLICATE_PERIOD} ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, path);
+    files.push(period.file);
+  }
+
+  return { files, skipped };
+}
@@ -0,0 +1,207 @@
+/**
+ * Import Pipeline
+ *
+ * Validerar parsade importenheter (CSV-filer och Excel-blad) och bygger perioder
+ * redo att sparas, med raderna konverterade till lagringsposter. Körs i import-workern
+ * så att stora uppladdningar inte låser gränssnittet, men har inga beroenden till
+ * workern och kan anropas direkt.
+ */
+import { splitRowsByPeriod, validatePeriodSequence, formatPeriodForDisplay } from './period_extractor.js';
+import { applyColumnMapping } from './column_mapper.js';
+import { normalizeNumericColumns } from './number_parser.js';
+import { resolveAccountIds, detectAccountIdIssue } from './account_id.js';
+import { MonthlyAccountData } from './timeseries_models.js';
+import { getPeriodKey, getGranularityLabel } from './period_granularity.js';
+import { validateMultipleFiles, splitQuarantinedRows } from '../utils/period_validator.js';
+import { createStorageObject } from '../utils/timeseries_storage.js';
+import { getMetricCSVColumns } from '../utils/metric_categorizer.js';
+
+/**
+ * Avbryter om signalen har avbrutits
+ * @param {AbortSignal} signal - Signal från en AbortController
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Importen avbröts', 'AbortError');
+  }
+}
+
+/**
+ * Delar upp data i långt format per period och rapporterar dubbletter och luckor
+ * @param {Object} unit - Importenhet
+ * @param {Array<Object>} data - Giltiga rader
+ * @param {Array<number>} rowNumbers - Radnummer i källfilen per rad
+ * @param {Array<string>} warnings - Varningar som fylls på
+ * @returns {Array<Object>} - Perioder
+ */
+function splitLongFormat(unit, data, rowNumbers, warnings) {
+  const split = splitRowsByPeriod(data, { filename: unit.filename, rowNumbers });
+
+  for (const invalid of split.invalidRows) {
+    warnings.push(`${unit.label}: ${invalid.message} - raden hoppas över`);
+  }
+  for (const duplicate of split.duplicateRows) {
+    warnings.push(`${unit.label}: ${duplicate.message} - raden hoppas över`);
+  }
+  if (split.missingPeriods.length > 0) {
+    warnings.push(
+      `${unit.label}: Saknade ${getGranularityLabel(split.granularity, true)} i filen: ${split.missingPeriods.map(formatPeriodForDisplay).join(', ')}`
+    );
+  }
+
+  return split.periods.map(period => ({
+    year: period.year,
+    month: period.month,
+    granularity: period.granularity,
+    ...(period.week && { week: period.week }),
+    ...(period.day && { day: period.day }),
+    displayName: formatPeriodForDisplay(period),
+    data: period.rows,
+    accountCount: period.rows.length,
+    filename: unit.filename,
+    ...(unit.sheetName && { sheetName: unit.sheetName })
+  }));
+}
+
+/**
+ * Behåller första förekomsten av varje period i batchen
+ * @param {Array<Object>} periods - Perioder
+ * @param {Array<string>} warnings - Varningar som fylls på
+ * @returns {Array<Object>} - Perioder utan dubbletter
+ */
+export function removeBatchDuplicates(periods, warnings) {
+  const sequence = validatePeriodSequence(periods);
+  if (sequence.duplicates.length === 0) {
+    return periods;
+  }
+
+  const seen = new Map();
+  return periods.filter(period => {
+    const key = getPeriodKey(period);
+    if (seen.has(key)) {
+      warnings.push(
+        `${formatPeriodForDisplay(period)} finns i både ${seen.get(key)} och ${period.filename} - ${seen.get(key)} används`
+      );
+      return false;
+    }
+    seen.set(key, period.filename);
+    return true;
+  });
+}
+
+/**
+ * Konverterar periodens rader till MonthlyAccountData och lagringsposter
+ * Rader som inte kan konverteras tas bort ur perioden och sätts i karantän
+ * @param {Object} period - Period {year, month, data}
+ * @param {string} label - Importenhetens namn
+ * @param {Array<Object>} quarantined - Karantänrader som fylls på
+ * @returns {Object} - Period med enbart konverterbara rader och deras lagringsposter (records)
+ */
+function convertPeriodRows(period, label, quarantined) {
+  const data = [];
+  const records = [];
+
+  for (const row of period.data) {
+    try {
+      records.push(createStorageObject(
+        MonthlyAccountData.fromCSVRow(row, period.year, period.month, period.filename, period)
+      ));
+      data.push(row);
+    } catch (error) {
+      quarantined.push({ label, rowNumber: null, row, reasons: [error.message] });
+    }
+  }
+
+  return { ...period, data, accountCount: data.length, records };
+}
+
+/**
+ * Validerar importenheter och bygger perioder av giltiga rader
+ * @param {Array<Object>} units - Enheter {unitId, file, label, filename, sheetName, period,
+ *   parsed: {headers, rows, parseErrors}, mapping, hasPeriodColumn}
+ * @param {Object} options - {knownAccounts, onProgress(unitId, progress), signal}
+ *   knownAccounts - tidigare importerade konton som Excel-avrundade IG ID matchas mot
+ * @returns {Promise<Object>} - {report, periods, quarantined, warnings, invalidUnitIds} - varje period har
+ *   lagringsposter (records) så att huvudtråden kan spara utan att konvertera raderna igen
+ */
+export async function processImportUnits(units, options = {}) {
+  if (!Array.isArray(units) || units.length === 0) {
+    throw new Error('processImportUnits kräver minst en importenhet');
+  }
+
+  const { knownAccounts = [], onProgress, signal } = options;
+  const mappedUnits = units.map(unit => ({
+    ...unit,
+    data: applyColumnMapping(unit.parsed.rows, unit.mapping)
+  }));
+
+  // Konton med korrekta IG ID - tidigare importerade och från batchen - som avrundade ID matchas mot
+  const batchAccounts = [
+    ...knownAccounts.map(account => ({ username: account.username, accountId: account.accountId })),
+    ...mappedUnits.flatMap(unit => unit.data
+      .filter(row => row.Account && row['IG ID'] && !detectAccountIdIssue(row['IG ID']))
+      .map(row => ({ username: row.Account, accountId: row['IG ID'] })))
+  ];
+
+  // Validera alla enheter med period_validator (struktur, period, rader)
+  const report = await validateMultipleFiles(mappedUnits.map(unit => ({
+    file: unit.file,
+    options: {
+      parsed: unit.parsed,
+      columnMapping: unit.mapping,
+      period: unit.period,
+      periodFromColumn: unit.hasPeriodColumn,
+      label: unit.label,
+      knownAccounts: batchAccounts
+    }
+  })));
+
+  const processedPeriods = [];
+  const quarantined = [];
+  const warnings = [];
+  const invalidUnitIds = [];
+
+  // Bygg perioder av giltiga rader - rader med fel sätts i karantän
+  mappedUnits.forEach((unit, index) => {
+    throwIfAborted(signal);
+    const fileResult = report.fileResults[index];
+
+    if (!fileResult.isValid) {
+      invalidUnitIds.push(unit.unitId);
+      onProgress?.(unit.unitId, 1);
+      return;
+    }
+
+    const split = splitQuarantinedRows(unit.data, fileResult);
+    quarantined.push(...split.quarantined.map(entry => ({ ...entry, label: unit.label })));
+
+    // Talvärden tolkas med det format som detekterades vid valideringen
+    const { rows: numericRows } = normalizeNumericColumns(
+      split.validRows,
+      getMetricCSVColumns(),
+      fileResult.csvInfo?.numberFormat
+    );
+    // IG ID som Excel avrundat ersätts med det kända kontots ID (rapporteras som varning vid valideringen)
+    const { rows: validRows } = resolveAccountIds(numericRows, batchAccounts);
+
+    const unitPeriods = unit.hasPeriodColumn
+      // Långt format - en period per unikt värde i periodkolumnen
+      ? splitLongFormat(unit, validRows, split.rowNumbers, warnings)
+      : [{
+        ...unit.period,
+        data: validRows,
+        accountCount: validRows.length,
+        filename: unit.filename,
+        ...(unit.sheetName && { sheetName: unit.sheetName })
+      }];
+
+    processedPeriods.push(...unitPeriods.map(period => convertPeriodRows(period, unit.label, quarantined)));
+    onProgress?.(unit.unitId, 1);
+  });
+
+  const periods = processedPeriods.length > 0
+    ? removeBatchDuplicates(processedPeriods, warnings)
+    : processedPeriods;
+
+  return { report, periods, quarantined, warnings, invalidUnitIds };
+}
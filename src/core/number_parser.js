@@ -0,0 +1,259 @@
+/**
+ * Number Parser
+ *
+ * Tolkar talvärden från CSV- och Excel-exporter oberoende av språkinställning.
+ * Filens decimal- och tusentalsavgränsare detekteras från innehållet
+ * (t.ex. svenska "1 234 567" och "12,5" mot engelska "1,234,567" och "12.5")
+ * och förkortningar som "12.3K" eller "1,2 mn" räknas om till hela tal.
+ */
+
+/**
+ * Standardformat - punkt som decimaltecken och komma som tusentalsavgränsare
+ */
+export const DEFAULT_NUMBER_FORMAT = {
+  decimalSeparator: '.',
+  thousandsSeparator: ','
+};
+
+/**
+ * Förkortningar och deras multiplikatorer (jämförs i gemener utan avslutande punkt)
+ */
+const SUFFIX_MULTIPLIERS = {
+  k: 1e3,
+  tn: 1e3,
+  tusen: 1e3,
+  m: 1e6,
+  mn: 1e6,
+  mio: 1e6,
+  milj: 1e6,
+  miljon: 1e6,
+  miljoner: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  md: 1e9,
+  mdr: 1e9,
+  mrd: 1e9,
+  miljard: 1e9,
+  miljarder: 1e9
+};
+
+/**
+ * Tomma markeringar som betyder att värdet saknas
+ */
+const EMPTY_MARKERS = ['', '-', '–', '—', 'n/a', 'na'];
+
+// Blanksteg som används som tusentalsavgränsare (vanligt, hårt och smalt hårt mellanslag)
+const SPACE_CHARS = '\\s\\u00a0\\u202f';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Delar upp ett värde i talets del och eventuell förkortning
+ * @param {string} text - Trimmat värde utan tecken
+ * @returns {Object} - {numberPart, suffix}
+ */
+function splitSuffix(text) {
+  const match = text.match(new RegExp(`^([\\d${SPACE_CHARS}.,]*\\d)[${SPACE_CHARS}]*([a-zåäö]+\\.?)$`, 'i'));
+  if (!match) {
+    return { numberPart: text, suffix: null };
+  }
+  return { numberPart: match[1], suffix: match[2].toLowerCase().replace(/\.$/, '') };
+}
+
+/**
+ * Tolkar talets del enligt filens format
+ * Accepterar tal utan gruppering, gruppering med filens tusentalsavgränsare eller med blanksteg
+ * @param {string} text - Talets del utan tecken
+ * @param {Object} format - Talformat {decimalSeparator, thousandsSeparator}
+ * @returns {number|null} - Tal eller null om texten inte följer formatet
+ */
+function parseWithFormat(text, format) {
+  const decimal = escapeRegExp(format.decimalSeparator);
+  const thousands = format.decimalSeparator === ',' ? '\\.' : ',';
+  const fraction = `(${decimal}\\d+)?`;
+
+  const patterns = [
+    new RegExp(`^\\d+${fraction}$`),
+    new RegExp(`^\\d{1,3}(${thousands}\\d{3})+${fraction}$`),
+    new RegExp(`^\\d{1,3}([${SPACE_CHARS}]\\d{3})+${fraction}$`)
+  ];
+
+  if (!patterns.some(pattern => pattern.test(text))) {
+    return null;
+  }
+
+  const normalized = text
+    .replace(new RegExp(`[${SPACE_CHARS}]`, 'g'), '')
+    .replace(new RegExp(thousands, 'g'), '')
+    .replace(format.decimalSeparator, '.');
+
+  return parseFloat(normalized);
+}
+
+/**
+ * Tolkar talets del i en förkortning som "12.3" eller "1,2"
+ * Ett ensamt skiljetecken är alltid decimaltecken, förekommer båda används filens format
+ * @param {string} text - Talets del
+ * @param {Object} format - Talformat
+ * @returns {number|null} - Tal eller null
+ */
+function parseAbbreviatedNumber(text, format) {
+  const compact = text.replace(new RegExp(`[${SPACE_CHARS}]`, 'g'), '');
+  const separators = compact.match(/[.,]/g) || [];
+
+  if (separators.length === 1) {
+    return /^\d+[.,]\d+$/.test(compact) ? parseFloat(compact.replace(',', '.')) : null;
+  }
+
+  return parseWithFormat(compact, format);
+}
+
+/**
+ * Tolkar ett cellvärde som tal
+ * @param {any} value - Cellvärde (text eller tal)
+ * @param {Object} format - Talformat från detectNumberFormat (standard DEFAULT_NUMBER_FORMAT)
+ * @returns {Object} - {value, valid} - value är null för tomma celler och för värden som inte kunde tolkas
+ */
+export function parseLocaleNumber(value, format = DEFAULT_NUMBER_FORMAT) {
+  if (value === null || value === undefined) {
+    return { value: null, valid: true };
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value, valid: true } : { value: null, valid: false };
+  }
+
+  let text = String(value).trim();
+  if (EMPTY_MARKERS.includes(text.toLowerCase())) {
+    return { value: null, valid: true };
+  }
+
+  // Tecken, även typografiskt minus
+  let sign = 1;
+  if (/^[-−+]/.test(text)) {
+    sign = text[0] === '+' ? 1 : -1;
+    text = text.slice(1).trim();
+  }
+
+  const { numberPart, suffix } = splitSuffix(text);
+  let parsed;
+
+  if (suffix) {
+    const multiplier = SUFFIX_MULTIPLIERS[suffix];
+    const base = multiplier ? parseAbbreviatedNumber(numberPart, format) : null;
+    parsed = base === null ? null : Math.round(base * multiplier * 1e6) / 1e6;
+  } else {
+    parsed = parseWithFormat(numberPart, format);
+  }
+
+  if (parsed === null || isNaN(parsed)) {
+    return { value: null, valid: false };
+  }
+
+  return { value: sign * parsed, valid: true };
+}
+
+/**
+ * Detekterar decimal- och tusentalsavgränsare från en fils värden
+ * Värden med båda skiljetecknen eller med decimaler som inte är tre siffror avgör.
+ * Tvetydiga värden som "1,234" följer standardformatet
+ * @param {Array<any>} values - Cellvärden från filens numeriska kolumner
+ * @returns {Object} - Talformat {decimalSeparator, thousandsSeparator, detected}
+ */
+export function detectNumberFormat(values) {
+  const votes = { commaDecimal: 0, dotDecimal: 0, spaceThousands: 0, dotThousands: 0, commaThousands: 0 };
+
+  for (const value of values || []) {
+    if (typeof value !== 'string') continue;
+
+    // Förkortningar tolkas med egen regel och påverkar inte filens format
+    const { numberPart, suffix } = splitSuffix(value.trim().replace(/^[-−+]/, ''));
+    if (suffix) continue;
+
+    const text = numberPart;
+
+    if (new RegExp(`^\\d{1,3}([${SPACE_CHARS}]\\d{3})+([.,]\\d+)?$`).test(text)) {
+      votes.spaceThousands++;
+      if (text.includes(',')) votes.commaDecimal++;
+      if (text.includes('.')) votes.dotDecimal++;
+    } else if (/^\d{1,3}(\.\d{3})+,\d+$/.test(text) || /^\d{1,3}(\.\d{3}){2,}$/.test(text)) {
+      votes.dotThousands++;
+      votes.commaDecimal++;
+    } else if (/^\d{1,3}(,\d{3})+\.\d+$/.test(text) || /^\d{1,3}(,\d{3}){2,}$/.test(text)) {
+      votes.commaThousands++;
+      votes.dotDecimal++;
+    } else if (/^\d+,\d+$/.test(text) && !/,\d{3}$/.test(text)) {
+      votes.commaDecimal++;
+    } else if (/^\d+\.\d+$/.test(text) && !/\.\d{3}$/.test(text)) {
+      votes.dotDecimal++;
+    }
+  }
+
+  const detected = Object.values(votes).some(count => count > 0);
+
+  if (votes.commaDecimal > votes.dotDecimal) {
+    return {
+      decimalSeparator: ',',
+      thousandsSeparator: votes.dotThousands > votes.spaceThousands ? '.' : ' ',
+      detected
+    };
+  }
+
+  return {
+    decimalSeparator: '.',
+    thousandsSeparator: votes.spaceThousands > votes.commaThousands ? ' ' : ',',
+    detected
+  };
+}
+
+/**
+ * Detekterar talformat för angivna kolumner i en uppsättning rader
+ * @param {Array<Object>} rows - Rader med standardkolumner
+ * @param {Array<string>} columns - Numeriska kolumner
+ * @returns {Object} - Talformat
+ */
+export function detectRowsNumberFormat(rows, columns) {
+  return detectNumberFormat((rows || []).flatMap(row => columns.map(column => row[column])));
+}
+
+/**
+ * Tolkar numeriska kolumner i rader till tal
+ * Tomma celler och värden som inte kan tolkas blir null, de senare rapporteras i invalidValues
+ * @param {Array<Object>} rows - Rader med standardkolumner
+ * @param {Array<string>} columns - Numeriska kolumner
+ * @param {Object} format - Talformat (detekteras från raderna om det inte anges)
+ * @returns {Object} - {rows, format, invalidValues: [{rowNumber, field, value}]}
+ */
+export function normalizeNumericColumns(rows, columns, format = null) {
+  const numberFormat = format || detectRowsNumberFormat(rows, columns);
+  const invalidValues = [];
+
+  const normalizedRows = (rows || []).map((row, index) => {
+    const normalized = { ...row };
+
+    for (const column of columns) {
+      if (!(column in row)) continue;
+
+      const result = parseLocaleNumber(row[column], numberFormat);
+      if (!result.valid) {
+        invalidValues.push({ rowNumber: index + 1, field: column, value: row[column] });
+      }
+      normalized[column] = result.value;
+    }
+
+    return normalized;
+  });
+
+  return { rows: normalizedRows, format: numberFormat, invalidValues };
+}
+
+/**
+ * Beskriver ett talformat för rapporter och UI
+ * @param {Object} format - Talformat
+ * @returns {string} - T.ex. "decimaltecken komma, tusental mellanslag"
+ */
+export function describeNumberFormat(format) {
+  const names = { ',': 'komma', '.': 'punkt', ' ': 'mellanslag' };
+  const resolved = format || DEFAULT_NUMBER_FORMAT;
+  return `decimaltecken ${names[resolved.decimalSeparator]}, tusental ${names[resolved.thousandsSeparator]}`;
+}
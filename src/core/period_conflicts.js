@@ -0,0 +1,249 @@
+/**
+ * Period Conflicts
+ *
+ * Jämför lagrade och inkommande rader när en månad som redan finns laddas upp igen
+ * (t.ex. när Meta reviderat siffrorna). Konton matchas på IG ID och varje konto
+ * löses med ett av valen behåll, ersätt eller slå ihop. Källfilen för varje värde
+ * följer med raderna i SOURCES_FIELD.
+ */
+import { METRIC_DEFINITIONS } from '../utils/metric_categorizer.js';
+import { SOURCES_FIELD, normalizeStatus } from './timeseries_models.js';
+import { parseLocaleNumber } from './number_parser.js';
+import { getPeriodKey } from './period_granularity.js';
+
+/**
+ * Val som kan göras per konto vid en konflikt
+ */
+export const CONFLICT_RESOLUTIONS = {
+  KEEP: 'keep',
+  REPLACE: 'replace',
+  MERGE: 'merge'
+};
+
+/**
+ * Kontots status i jämförelsen
+ */
+export const ACCOUNT_DIFF_STATUS = {
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged',
+  ADDED: 'added',
+  ONLY_STORED: 'only_stored'
+};
+
+/**
+ * Tolkar ett cellvärde till tal för jämförelse
+ * @param {any} value - Cellvärde
+ * @returns {number|null} - Tal eller null om cellen är tom
+ */
+function toComparable(value) {
+  return parseLocaleNumber(value).value;
+}
+
+/**
+ * Returnerar källfil per metric för en rad
+ * @param {Object} row - CSV-rad
+ * @param {string} fallbackFile - Filnamn för metrics som saknar källa
+ * @returns {Object} - Källor {metricKey: filnamn}
+ */
+function getRowSources(row, fallbackFile) {
+  const sources = { ...(row?.[SOURCES_FIELD] || {}) };
+  for (const key of Object.keys(METRIC_DEFINITIONS)) {
+    if (!sources[key] && fallbackFile) sources[key] = fallbackFile;
+  }
+  return sources;
+}
+
+/**
+ * Jämför en lagrad och en inkommande rad metric för metric
+ * @param {Object} storedRow - Lagrad rad (eller null)
+ * @param {Object} incomingRow - Inkommande rad (eller null)
+ * @returns {Array<Object>} - Skillnader {metric, csvColumn, stored, incoming, changed}
+ */
+function diffRowMetrics(storedRow, incomingRow) {
+  return Object.entries(METRIC_DEFINITIONS).map(([key, definition]) => {
+    const stored = toComparable(storedRow?.[definition.csvColumn]);
+    const incoming = toComparable(incomingRow?.[definition.csvColumn]);
+    return {
+      metric: key,
+      csvColumn: definition.csvColumn,
+      stored,
+      incoming,
+      changed: incoming !== null && stored !== incoming
+    };
+  });
+}
+
+/**
+ * Jämför en lagrad period med en inkommande period av samma månad
+ * @param {Object} storedPeriod - Lagrad period {year, month, data, filename}
+ * @param {Object} incomingPeriod - Inkommande period {year, month, data, filename}
+ * Ändrad radstatus (t.ex. FAILED → COMPLETED) räknas som en skillnad
+ * @returns {Object} - Konflikt {year, month, granularity, week?, day?, storedPeriod, incomingPeriod, accounts, hasChanges}
+ */
+export function diffPeriods(storedPeriod, incomingPeriod) {
+  if (!storedPeriod || !incomingPeriod) {
+    throw new Error('diffPeriods kräver både lagrad och inkommande period');
+  }
+
+  const storedById = new Map(
+    (storedPeriod.data || []).filter(row => row['IG ID']).map(row => [String(row['IG ID']), row])
+  );
+  const incomingById = new Map(
+    (incomingPeriod.data || []).filter(row => row['IG ID']).map(row => [String(row['IG ID']), row])
+  );
+
+  const accountIds = [...new Set([...incomingById.keys(), ...storedById.keys()])];
+
+  const accounts = accountIds.map(accountId => {
+    const storedRow = storedById.get(accountId) || null;
+    const incomingRow = incomingById.get(accountId) || null;
+    const metrics = diffRowMetrics(storedRow, incomingRow);
+    const storedStatus = storedRow ? normalizeStatus(storedRow.Status) : null;
+    const incomingStatus = incomingRow ? normalizeStatus(incomingRow.Status) : null;
+    const statusChanged = Boolean(storedRow && incomingRow && storedStatus !== incomingStatus);
+
+    let status;
+    if (!storedRow) {
+      status = ACCOUNT_DIFF_STATUS.ADDED;
+    } else if (!incomingRow) {
+      status = ACCOUNT_DIFF_STATUS.ONLY_STORED;
+    } else {
+      status = metrics.some(diff => diff.changed) || statusChanged
+        ? ACCOUNT_DIFF_STATUS.CHANGED
+        : ACCOUNT_DIFF_STATUS.UNCHANGED;
+    }
+
+    return {
+      accountId,
+      username: (incomingRow || storedRow).Account,
+      displayName: (incomingRow || storedRow)['Account Name'],
+      status,
+      storedRow,
+      incomingRow,
+      storedSources: storedRow ? getRowSources(storedRow, storedPeriod.filename) : {},
+      storedStatus,
+      incomingStatus,
+      statusChanged,
+      metrics
+    };
+  });
+
+  return {
+    year: incomingPeriod.year,
+    month: incomingPeriod.month,
+    ...(incomingPeriod.granularity && { granularity: incomingPeriod.granularity }),
+    ...(incomingPeriod.week && { week: incomingPeriod.week }),
+    ...(incomingPeriod.day && { day: incomingPeriod.day }),
+    storedPeriod,
+    incomingPeriod,
+    accounts,
+    hasChanges: accounts.some(account =>
+      account.status === ACCOUNT_DIFF_STATUS.CHANGED || account.status === ACCOUNT_DIFF_STATUS.ADDED
+    )
+  };
+}
+
+/**
+ * Delar upp inkommande perioder i nya perioder och konflikter mot lagrade perioder
+ * @param {Array<Object>} storedPeriods - Redan lagrade perioder
+ * @param {Array<Object>} incomingPeriods - Uppladdade perioder
+ * @returns {Object} - {newPeriods, conflicts}
+ */
+export function findPeriodConflicts(storedPeriods, incomingPeriods) {
+  const newPeriods = [];
+  const conflicts = [];
+
+  for (const incoming of incomingPeriods || []) {
+    const stored = (storedPeriods || []).find(period => getPeriodKey(period) === getPeriodKey(incoming));
+
+    if (stored) {
+      conflicts.push(diffPeriods(stored, incoming));
+    } else {
+      newPeriods.push(incoming);
+    }
+  }
+
+  return { newPeriods, conflicts };
+}
+
+/**
+ * Standardval för ett konto - nya konton läggs till, övriga behålls tills användaren väljer
+ * @param {Object} account - Konto från diffPeriods
+ * @returns {string} - Val från CONFLICT_RESOLUTIONS
+ */
+export function getDefaultResolution(account) {
+  return account.status === ACCOUNT_DIFF_STATUS.ADDED
+    ? CONFLICT_RESOLUTIONS.REPLACE
+    : CONFLICT_RESOLUTIONS.KEEP;
+}
+
+/**
+ * Skapar en rad med källa per metric
+ * @param {Object} baseRow - Rad som kontoinformationen hämtas från
+ * @param {Object} sources - Källor {metricKey: filnamn}
+ * @returns {Object} - Rad med SOURCES_FIELD satt
+ */
+function withSources(baseRow, sources) {
+  return { ...baseRow, [SOURCES_FIELD]: sources };
+}
+
+/**
+ * Slår ihop en lagrad och en inkommande rad
+ * Inkommande värden ersätter lagrade, tomma inkommande celler behåller lagrat värde
+ * @param {Object} account - Konto från diffPeriods
+ * @param {string} incomingFile - Inkommande filnamn
+ * @returns {Object} - Sammanslagen rad
+ */
+function mergeRows(account, incomingFile) {
+  const merged = { ...account.storedRow, ...account.incomingRow };
+  const sources = { ...account.storedSources };
+
+  for (const diff of account.metrics) {
+    if (diff.incoming === null) {
+      merged[diff.csvColumn] = account.storedRow[diff.csvColumn];
+    } else {
+      sources[diff.metric] = incomingFile;
+    }
+  }
+
+  return withSources(merged, sources);
+}
+
+/**
+ * Löser en konflikt till en komplett period
+ * Konton som bara finns lagrade behålls alltid oförändrade
+ * @param {Object} conflict - Konflikt från diffPeriods
+ * @param {Object} resolutions - Val per konto {accountId: CONFLICT_RESOLUTIONS-värde}
+ * @returns {Object} - Period {year, month, data, filename, ...} redo att sparas
+ */
+export function resolvePeriodConflict(conflict, resolutions = {}) {
+  if (!conflict || !Array.isArray(conflict.accounts)) {
+    throw new Error('resolvePeriodConflict kräver en konflikt från diffPeriods');
+  }
+
+  const incomingFile = conflict.incomingPeriod.filename;
+  const incomingSources = Object.fromEntries(
+    Object.keys(METRIC_DEFINITIONS).map(key => [key, incomingFile])
+  );
+
+  const data = conflict.accounts.map(account => {
+    const resolution = resolutions[account.accountId] || getDefaultResolution(account);
+
+    // Behåll betyder lagrat läge - ett nytt konto läggs då inte till
+    if (!account.incomingRow || resolution === CONFLICT_RESOLUTIONS.KEEP) {
+      return account.storedRow ? withSources(account.storedRow, account.storedSources) : null;
+    }
+
+    if (!account.storedRow || resolution === CONFLICT_RESOLUTIONS.REPLACE) {
+      return withSources(account.incomingRow, incomingSources);
+    }
+
+    return mergeRows(account, incomingFile);
+  }).filter(Boolean);
+
+  return {
+    ...conflict.storedPeriod,
+    data,
+    accountCount: data.length
+  };
+}
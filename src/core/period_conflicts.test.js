@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SOURCES_FIELD } from './timeseries_models.js';
+import { CONFLICT_RESOLUTIONS, ACCOUNT_DIFF_STATUS, diffPeriods, findPeriodConflicts, resolvePeriodConflict } from './period_conflicts.js';
+
+const ACCOUNT_ID = '17841400000000001';
+
+/**
+ * Period för augusti 2025 med en rad för testkontot
+ * @param {string} filename - Källfil
+ * @param {Object} metrics - CSV-kolumner för raden
+ * @returns {Object} - Period {year, month, data, filename}
+ */
+function period(filename, metrics) {
+  return {
+    year: 2025,
+    month: 8,
+    filename,
+    data: [{ Account: 'testkonto', 'IG ID': ACCOUNT_ID, Status: 'COMPLETED', ...metrics }]
+  };
+}
+
+const stored = period('IG_2025_8.csv', { Reach: '1000', Views: '5000', Followers: '300' });
+
+test('sammanslagning behåller lagrat värde och källa när inkommande cell är tom', () => {
+  const conflict = diffPeriods(stored, period('IG_2025_8_rev.csv', { Reach: '1100', Views: '', Followers: '310' }));
+  const [row] = resolvePeriodConflict(conflict, { [ACCOUNT_ID]: CONFLICT_RESOLUTIONS.MERGE }).data;
+
+  assert.equal(row.Reach, '1100');
+  assert.equal(row.Views, '5000');
+  assert.equal(row.Followers, '310');
+  assert.equal(row[SOURCES_FIELD].reach, 'IG_2025_8_rev.csv');
+  assert.equal(row[SOURCES_FIELD].views, 'IG_2025_8.csv');
+  assert.equal(row[SOURCES_FIELD].followers, 'IG_2025_8_rev.csv');
+});
+
+test('sammanslagning behåller källa från en tidigare sammanslagning', () => {
+  const merged = {
+    ...stored,
+    data: [{ ...stored.data[0], [SOURCES_FIELD]: { reach: 'IG_2025_8.csv', views: 'IG_2025_8_tillagg.csv', followers: 'IG_2025_8.csv' } }]
+  };
+  const conflict = diffPeriods(merged, period('IG_2025_8_rev.csv', { Reach: '1100', Views: '', Followers: '' }));
+  const [row] = resolvePeriodConflict(conflict, { [ACCOUNT_ID]: CONFLICT_RESOLUTIONS.MERGE }).data;
+
+  assert.equal(row[SOURCES_FIELD].views, 'IG_2025_8_tillagg.csv');
+  assert.equal(row[SOURCES_FIELD].followers, 'IG_2025_8.csv');
+});
+
+test('standardvalet behåller lagrade konton och lägger till nya', () => {
+  const incoming = period('IG_2025_8_rev.csv', { Reach: '1100', Views: '5000', Followers: '300' });
+  incoming.data.push({ Account: 'nyttkonto', 'IG ID': '17841400000000002', Status: 'COMPLETED', Reach: '50' });
+
+  const { newPeriods, conflicts } = findPeriodConflicts([stored], [incoming]);
+  assert.deepEqual(newPeriods, []);
+  assert.deepEqual(conflicts[0].accounts.map(account => account.status), [ACCOUNT_DIFF_STATUS.CHANGED, ACCOUNT_DIFF_STATUS.ADDED]);
+
+  const resolved = resolvePeriodConflict(conflicts[0]);
+  assert.equal(resolved.accountCount, 2);
+  assert.equal(resolved.data[0].Reach, '1000');
+  assert.equal(resolved.data[1].Reach, '50');
+});
@@ -1,27 +1,94 @@
 /**
  * Period Extractor
  * 
- * Extraherar år och månad från Instagram API CSV-filnamn
- * Hanterar format: IG_YYYY_MM.csv (t.ex. IG_2025_10.csv)
+ * Extraherar perioder (månad, ISO-vecka eller dag) från Instagram API-filnamn, bladnamn och datumvärden
+ * Hanterar format: IG_YYYY_MM.csv/.xlsx (t.ex. IG_2025_10.csv), IG_YYYY_Www.csv (vecka),
+ * IG_YYYY_MM_DD.csv (dag), 2025-08, 2025-08-01, Aug 2025, 2025-W12 och v12 2025
  */
+import {
+  PERIOD_GRANULARITIES,
+  normalizePeriod,
+  getPeriodKey,
+  getPeriodForDate,
+  getNextPeriod,
+  getGranularityLabel,
+  comparePeriodOrder,
+  formatPeriodLabel
+} from './period_granularity.js';
+
+/**
+ * Filnamn med en period - månad (IG_YYYY_MM), vecka (IG_YYYY_Www) eller dag (IG_YYYY_MM_DD)
+ * Samma mönster används av uppladdaren och när filer plockas ut ur mappar och ZIP-arkiv.
+ * Om perioden är giltig avgör extractPeriodFromFilename
+ */
+export const PERIOD_FILENAME_PATTERN = /^IG_\d{4}_(?:W\d{1,2}|\d{1,2}(?:_\d{1,2})?)\.(?:csv|xlsx|xls)$/i;
 
 /**
  * Regex för att matcha Instagram API filnamnsformat
- * Format: IG_YYYY_MM.csv
+ * Format: IG_YYYY_MM.csv (eller .xlsx/.xls)
  */
-const IG_FILENAME_PATTERN = /^IG_(\d{4})_(\d{1,2})\.csv$/i;
+const IG_FILENAME_PATTERN = /^IG_(\d{4})_(\d{1,2})\.(?:csv|xlsx|xls)$/i;
 
 /**
  * Alternativt regex för flexibilitet (med eller utan IG_ prefix)
- * Format: [IG_]YYYY_MM.csv
+ * Format: [IG_]YYYY_MM.csv (eller .xlsx/.xls)
+ */
+const FLEXIBLE_FILENAME_PATTERN = /^(?:IG_)?(\d{4})_(\d{1,2})\.(?:csv|xlsx|xls)$/i;
+
+/**
+ * Filnamn för vecko- och dagsexporter
+ * Format: IG_YYYY_Www.csv (ISO-vecka, t.ex. IG_2025_W12.csv) och IG_YYYY_MM_DD.csv (t.ex. IG_2025_03_05.csv)
+ * Den flexibla varianten tillåter att IG_ saknas
+ */
+const IG_WEEK_FILENAME_PATTERN = /^IG_(\d{4})_W(\d{1,2})\.(?:csv|xlsx|xls)$/i;
+const FLEXIBLE_WEEK_FILENAME_PATTERN = /^(?:IG_)?(\d{4})_W(\d{1,2})\.(?:csv|xlsx|xls)$/i;
+const IG_DAY_FILENAME_PATTERN = /^IG_(\d{4})_(\d{1,2})_(\d{1,2})\.(?:csv|xlsx|xls)$/i;
+const FLEXIBLE_DAY_FILENAME_PATTERN = /^(?:IG_)?(\d{4})_(\d{1,2})_(\d{1,2})\.(?:csv|xlsx|xls)$/i;
+
+/**
+ * Fullständiga månadsnamn (svenska och engelska) per månadsnummer
+ * Förkortningar matchas som prefix, t.ex. "aug" eller "sept"
+ */
+const MONTH_NAMES = [
+  ['januari', 'january'],
+  ['februari', 'february'],
+  ['mars', 'march'],
+  ['april'],
+  ['maj', 'may'],
+  ['juni', 'june'],
+  ['juli', 'july'],
+  ['augusti', 'august'],
+  ['september'],
+  ['oktober', 'october'],
+  ['november'],
+  ['december']
+];
+
+/**
+ * Mönster för perioder i fri text (bladnamn, periodkolumner, datumceller)
  */
-const FLEXIBLE_FILENAME_PATTERN = /^(?:IG_)?(\d{4})_(\d{1,2})\.csv$/i;
+const TEXT_PERIOD_PATTERNS = {
+  // 2025-08, 2025_08, 2025/08, 2025-08-01, 2025-08-01T00:00:00
+  yearFirst: /(?:^|[^\d])(\d{4})[-_/. ](\d{1,2})(?:[-_/. ](\d{1,2}))?(?!\d)/,
+  // 08/2025, 08-2025
+  monthFirst: /(?:^|[^\d])(\d{1,2})[-_/.](\d{4})(?!\d)/,
+  // Aug 2025, augusti 2025, Aug-25 hanteras inte (tvetydigt år)
+  monthNameFirst: /([a-zåäö]{3,})\.?[\s_-]+(\d{4})(?!\d)/i,
+  // 2025 aug, 2025 augusti
+  yearFirstMonthName: /(?:^|[^\d])(\d{4})[\s_-]+([a-zåäö]{3,})/i,
+  // 202508
+  compact: /^(\d{4})(\d{2})$/,
+  // 2025-W12, 2025W12, 2025 v12, 2025 vecka 12
+  yearFirstWeek: /(?:^|[^\d])(\d{4})[-_\s]*(?:W|v|vecka|week)[\s.]*(\d{1,2})(?!\d)/i,
+  // W12 2025, v12 2025, vecka 12, 2025, week 12-2025
+  weekFirst: /(?:^|[^a-zåäö])(?:W|v|vecka|week)[\s.]*(\d{1,2})[\s,_-]+(\d{4})(?!\d)/i
+};
 
 /**
  * Extraherar period från Instagram API filnamn
  * @param {string} filename - Filnamn att analysera
- * @param {boolean} strict - Om true, kräv exakt IG_YYYY_MM.csv format
- * @returns {Object|null} - Period objekt {year, month, filename} eller null vid fel
+ * @param {boolean} strict - Om true, kräv exakt IG_YYYY_MM.csv, IG_YYYY_Www.csv eller IG_YYYY_MM_DD.csv format
+ * @returns {Object|null} - Period objekt {year, month, granularity, week?, day?, filename} eller null vid fel
  */
 export function extractPeriodFromFilename(filename, strict = true) {
   if (!filename || typeof filename !== 'string') {
@@ -30,26 +97,35 @@ export function extractPeriodFromFilename(filename, strict = true) {
   }
 
   // Använd strict eller flexibelt pattern
-  const pattern = strict ? IG_FILENAME_PATTERN : FLEXIBLE_FILENAME_PATTERN;
-  const match = filename.match(pattern);
-
-  if (!match) {
+  const weekMatch = filename.match(strict ? IG_WEEK_FILENAME_PATTERN : FLEXIBLE_WEEK_FILENAME_PATTERN);
+  const dayMatch = filename.match(strict ? IG_DAY_FILENAME_PATTERN : FLEXIBLE_DAY_FILENAME_PATTERN);
+  const monthMatch = filename.match(strict ? IG_FILENAME_PATTERN : FLEXIBLE_FILENAME_PATTERN);
+
+  let period = null;
+  if (weekMatch) {
+    period = normalizePeriod({ granularity: PERIOD_GRANULARITIES.WEEK, year: weekMatch[1], week: weekMatch[2] });
+  } else if (dayMatch) {
+    period = normalizePeriod({
+      granularity: PERIOD_GRANULARITIES.DAY,
+      year: dayMatch[1],
+      month: dayMatch[2],
+      day: dayMatch[3]
+    });
+  } else if (monthMatch) {
+    period = normalizePeriod({ granularity: PERIOD_GRANULARITIES.MONTH, year: monthMatch[1], month: monthMatch[2] });
+  } else {
     console.warn(`extractPeriodFromFilename: Filnamn matchar inte förväntat format: ${filename}`);
     return null;
   }
 
-  const year = parseInt(match[1], 10);
-  const month = parseInt(match[2], 10);
-
-  // Validera år och månad
-  if (!isValidYear(year) || !isValidMonth(month)) {
-    console.warn(`extractPeriodFromFilename: Ogiltigt år (${year}) eller månad (${month}) i ${filename}`);
+  // Validera år och period (månad 1-12, vecka som finns det året, dag som finns i månaden)
+  if (!period || !isValidYear(period.year)) {
+    console.warn(`extractPeriodFromFilename: Ogiltig period i ${filename}`);
     return null;
   }
 
   return {
-    year,
-    month,
+    ...period,
     filename,
     isValid: true
   };
@@ -77,6 +153,85 @@ export function extractPeriodFromFile(file, strict = true) {
   return result;
 }
 
+/**
+ * Tolkar ett månadsnamn (svenska eller engelska, fullt eller förkortat)
+ * @param {string} name - Månadsnamn, t.ex. "Aug", "augusti", "October"
+ * @returns {number|null} - Månad 1-12 eller null
+ */
+export function parseMonthName(name) {
+  if (!name || typeof name !== 'string') return null;
+
+  const normalized = name.trim().toLowerCase().replace(/\.$/, '');
+  if (normalized.length < 3) return null;
+
+  const index = MONTH_NAMES.findIndex(names => names.some(full => full.startsWith(normalized)));
+  return index >= 0 ? index + 1 : null;
+}
+
+/**
+ * Tolkar ett period- eller datumvärde
+ * Hanterar Date-objekt, Excel-serienummer, YYYYMM och text som
+ * "2025-08", "2025-08-01", "08/2025", "Aug 2025", "augusti 2025", "2025-W12" eller "v12 2025"
+ * @param {Date|number|string} value - Värde att tolka
+ * @returns {Object|null} - Period {year, month, day} (day null om okänd) eller null.
+ *   ISO-veckor får även week, med year som ISO-veckoår och month som veckans torsdagsmånad
+ */
+export function parsePeriodValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let result = null;
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    // Justera en halv dag för att undvika tidszonsförskjutning vid midnatt
+    const adjusted = new Date(value.getTime() + 12 * 60 * 60 * 1000);
+    result = { year: adjusted.getUTCFullYear(), month: adjusted.getUTCMonth() + 1, day: adjusted.getUTCDate() };
+  } else if (typeof value === 'number') {
+    if (/^\d{6}$/.test(String(value))) {
+      return parsePeriodValue(String(value));
+    }
+    // Excel-serienummer (dagar sedan 1899-12-30) för rimliga datum
+    if (value > 36000 && value < 75000) {
+      result = parsePeriodValue(new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 24 * 60 * 60 * 1000));
+    }
+  } else {
+    const text = String(value).trim();
+    let match;
+
+    const weekMatch = text.match(TEXT_PERIOD_PATTERNS.yearFirstWeek);
+    const weekFirstMatch = !weekMatch && text.match(TEXT_PERIOD_PATTERNS.weekFirst);
+
+    if (weekMatch || weekFirstMatch) {
+      const week = normalizePeriod({
+        granularity: PERIOD_GRANULARITIES.WEEK,
+        year: weekMatch ? weekMatch[1] : weekFirstMatch[2],
+        week: weekMatch ? weekMatch[2] : weekFirstMatch[1]
+      });
+      result = week && { year: week.year, month: week.month, day: null, week: week.week };
+    } else if ((match = text.match(TEXT_PERIOD_PATTERNS.compact))) {
+      result = { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: null };
+    } else if ((match = text.match(TEXT_PERIOD_PATTERNS.yearFirst))) {
+      result = {
+        year: parseInt(match[1], 10),
+        month: parseInt(match[2], 10),
+        day: match[3] ? parseInt(match[3], 10) : null
+      };
+    } else if ((match = text.match(TEXT_PERIOD_PATTERNS.monthFirst))) {
+      result = { year: parseInt(match[2], 10), month: parseInt(match[1], 10), day: null };
+    } else if ((match = text.match(TEXT_PERIOD_PATTERNS.monthNameFirst)) && parseMonthName(match[1])) {
+      result = { year: parseInt(match[2], 10), month: parseMonthName(match[1]), day: null };
+    } else if ((match = text.match(TEXT_PERIOD_PATTERNS.yearFirstMonthName)) && parseMonthName(match[2])) {
+      result = { year: parseInt(match[1], 10), month: parseMonthName(match[2]), day: null };
+    }
+  }
+
+  if (!result || !isValidPeriod(result.year, result.month)) {
+    return null;
+  }
+
+  return result;
+}
+
 /**
  * Validerar om ett år är rimligt för Instagram API data
  * @param {number} year - År att validera
@@ -123,6 +278,27 @@ export function createStandardFilename(year, month) {
   return `IG_${year}_${paddedMonth}.csv`;
 }
 
+/**
+ * Skapar standardiserat filnamn för en period med valfri upplösning
+ * @param {Object} period - Period {year, month, granularity, week, day}
+ * @returns {string} - IG_YYYY_MM.csv, IG_YYYY_Www.csv eller IG_YYYY_MM_DD.csv
+ */
+export function createPeriodFilename(period) {
+  const normalized = normalizePeriod(period);
+  if (!normalized || !isValidYear(normalized.year)) {
+    throw new Error(`Ogiltig period: ${JSON.stringify(period)}`);
+  }
+
+  const pad = (value) => value.toString().padStart(2, '0');
+  if (normalized.granularity === PERIOD_GRANULARITIES.WEEK) {
+    return `IG_${normalized.year}_W${pad(normalized.week)}.csv`;
+  }
+  if (normalized.granularity === PERIOD_GRANULARITIES.DAY) {
+    return `IG_${normalized.year}_${pad(normalized.month)}_${pad(normalized.day)}.csv`;
+  }
+  return createStandardFilename(normalized.year, normalized.month);
+}
+
 /**
  * Extraherar perioder från flera filer
  * @param {FileList|Array<File>} files - Lista med filer
@@ -146,10 +322,7 @@ export function extractPeriodsFromFiles(files, strict = true) {
   }
 
   // Sortera kronologiskt
-  return periods.sort((a, b) => {
-    if (a.year !== b.year) return a.year - b.year;
-    return a.month - b.month;
-  });
+  return periods.sort(comparePeriodOrder);
 }
 
 /**
@@ -167,57 +340,42 @@ export function groupPeriodsByYear(periods) {
     grouped[period.year].push(period);
   }
 
-  // Sortera månader inom varje år
+  // Sortera perioder inom varje år
   for (const year in grouped) {
-    grouped[year].sort((a, b) => a.month - b.month);
+    grouped[year].sort(comparePeriodOrder);
   }
 
   return grouped;
 }
 
 /**
- * Hittar saknade månader i en sekvens
+ * Hittar saknade perioder i en sekvens
+ * Sekvensen följer den första periodens upplösning - perioder med annan upplösning ignoreras
  * @param {Array<Object>} periods - Lista med period-objekt
- * @returns {Array<Object>} - Lista med saknade perioder {year, month}
+ * @returns {Array<Object>} - Lista med saknade perioder {year, month, granularity, week?, day?, filename}
  */
 export function findMissingPeriods(periods) {
   if (periods.length === 0) return [];
 
-  const sortedPeriods = [...periods].sort((a, b) => {
-    if (a.year !== b.year) return a.year - b.year;
-    return a.month - b.month;
-  });
+  const sortedPeriods = [...periods].sort(comparePeriodOrder);
+  const granularity = sortedPeriods[0].granularity || PERIOD_GRANULARITIES.MONTH;
+  const sameGranularity = sortedPeriods.filter(p => (p.granularity || PERIOD_GRANULARITIES.MONTH) === granularity);
 
-  const first = sortedPeriods[0];
-  const last = sortedPeriods[sortedPeriods.length - 1];
+  const first = normalizePeriod({ ...sameGranularity[0], granularity });
+  const last = sameGranularity[sameGranularity.length - 1];
   const missing = [];
 
   // Skapa set av befintliga perioder för snabb lookup
-  const existingPeriods = new Set(
-    periods.map(p => `${p.year}_${p.month}`)
-  );
-
-  // Gå igenom alla månader från första till sista
-  let currentYear = first.year;
-  let currentMonth = first.month;
-
-  while (currentYear < last.year || (currentYear === last.year && currentMonth <= last.month)) {
-    const periodKey = `${currentYear}_${currentMonth}`;
-    
-    if (!existingPeriods.has(periodKey)) {
+  const existingPeriods = new Set(sameGranularity.map(getPeriodKey));
+
+  // Gå igenom alla perioder från första till sista
+  for (let current = first; comparePeriodOrder(current, last) <= 0; current = getNextPeriod(current)) {
+    if (!existingPeriods.has(getPeriodKey(current))) {
       missing.push({
-        year: currentYear,
-        month: currentMonth,
-        filename: createStandardFilename(currentYear, currentMonth)
+        ...current,
+        filename: createPeriodFilename(current)
       });
     }
-
-    // Gå till nästa månad
-    currentMonth++;
-    if (currentMonth > 12) {
-      currentMonth = 1;
-      currentYear++;
-    }
   }
 
   return missing;
@@ -252,7 +410,7 @@ export function validatePeriodSequence(periods) {
     }
 
     // Kontrollera dubletter
-    const periodKey = `${period.year}_${period.month}`;
+    const periodKey = getPeriodKey(period);
     if (seenPeriods.has(periodKey)) {
       result.duplicates.push(period);
       result.errors.push(`Dublett hittad: ${period.filename || periodKey}`);
@@ -262,8 +420,8 @@ export function validatePeriodSequence(periods) {
     }
 
     // Validera individuell period
-    if (!isValidPeriod(period.year, period.month)) {
-      result.errors.push(`Ogiltig period: år=${period.year}, månad=${period.month}`);
+    if (!isValidPeriod(period.year, period.month) || !normalizePeriod(period)) {
+      result.errors.push(`Ogiltig period: ${formatPeriodForDisplay(period)} (år=${period.year}, månad=${period.month})`);
       result.isValid = false;
     }
   }
@@ -273,19 +431,159 @@ export function validatePeriodSequence(periods) {
 
 /**
  * Formaterar period för visning
- * @param {Object} period - Period objekt {year, month}
- * @returns {string} - Formaterad period (t.ex. "Oktober 2025")
+ * @param {Object} period - Period objekt {year, month, granularity, week, day}
+ * @returns {string} - Formaterad period (t.ex. "Oktober 2025" eller "Vecka 12, 2025")
  */
 export function formatPeriodForDisplay(period) {
-  const months = [
-    'Januari', 'Februari', 'Mars', 'April', 'Maj', 'Juni',
-    'Juli', 'Augusti', 'September', 'Oktober', 'November', 'December'
-  ];
-
-  if (!period || !period.year || !period.month) {
+  if (!period || !period.year || !normalizePeriod(period)) {
     return 'Ogiltig period';
   }
 
-  const monthName = months[period.month - 1] || 'Okänd månad';
-  return `${monthName} ${period.year}`;
+  return formatPeriodLabel(period);
+}
+
+/**
+ * Väljer upplösning för långt format utifrån periodvärdena
+ * Vecka om något värde är en ISO-vecka, dag om alla värden är datum och något konto
+ * förekommer flera dagar samma månad, annars månad
+ * @param {Array<Object>} parsedRows - Tolkade rader {period, accountId}
+ * @returns {string} - PERIOD_GRANULARITIES-värde
+ */
+function detectRowGranularity(parsedRows) {
+  const periods = parsedRows.map(({ period }) => period).filter(Boolean);
+  if (periods.some(period => period.week)) {
+    return PERIOD_GRANULARITIES.WEEK;
+  }
+  if (periods.length === 0 || periods.some(period => !period.day)) {
+    return PERIOD_GRANULARITIES.MONTH;
+  }
+
+  const daysByAccountMonth = new Map();
+  for (const { period, accountId } of parsedRows) {
+    if (!period || !accountId) continue;
+    const key = `${accountId}_${period.year}_${period.month}`;
+    const days = daysByAccountMonth.get(key) || new Set();
+    days.add(period.day);
+    if (days.size > 1) return PERIOD_GRANULARITIES.DAY;
+    daysByAccountMonth.set(key, days);
+  }
+  return PERIOD_GRANULARITIES.MONTH;
+}
+
+/**
+ * Placerar ett tolkat periodvärde i en period med angiven upplösning
+ * @param {Object} value - Tolkat värde från parsePeriodValue
+ * @param {string} granularity - Upplösning
+ * @returns {Object|null} - Period eller null om värdet inte räcker för upplösningen
+ */
+function toGranularPeriod(value, granularity) {
+  if (value.week) {
+    return granularity === PERIOD_GRANULARITIES.WEEK
+      ? normalizePeriod({ granularity, year: value.year, week: value.week })
+      : null;
+  }
+  if (granularity === PERIOD_GRANULARITIES.MONTH) {
+    return { granularity, year: value.year, month: value.month };
+  }
+  if (!value.day) return null;
+
+  const date = new Date(Date.UTC(value.year, value.month - 1, value.day));
+  return getPeriodForDate(date, granularity);
+}
+
+/**
+ * Delar upp rader i långt format (en Period-kolumn) i en grupp per period
+ * Upplösningen (månad, ISO-vecka eller dag) detekteras från periodvärdena om den inte anges.
+ * Kontrollerar dubbletter (samma konto flera gånger i samma period) och luckor
+ * med validatePeriodSequence och findMissingPeriods över hela filen
+ * @param {Array<Object>} rows - Rader med standardkolumner och periodkolumn
+ * @param {Object} options - {periodColumn, idColumn, filename, rowNumbers, granularity} - rowNumbers anger
+ *   ursprungliga radnummer när rader redan filtrerats bort (annars index + 1), granularity är
+ *   ett PERIOD_GRANULARITIES-värde eller 'auto'
+ * @returns {Object} - {periods, granularity, invalidRows, duplicateRows, missingPeriods, sequence}
+ */
+export function splitRowsByPeriod(rows, options = {}) {
+  const {
+    periodColumn = 'Period',
+    idColumn = 'IG ID',
+    filename = null,
+    rowNumbers = null,
+    granularity: requestedGranularity = 'auto'
+  } = options;
+
+  if (!Array.isArray(rows)) {
+    throw new Error('splitRowsByPeriod kräver en lista med rader');
+  }
+
+  const parsedRows = rows.map(row => ({
+    period: parsePeriodValue(row[periodColumn]),
+    accountId: String(row[idColumn] ?? '').trim()
+  }));
+  const granularity = requestedGranularity === 'auto' ? detectRowGranularity(parsedRows) : requestedGranularity;
+
+  const groups = new Map();
+  const invalidRows = [];
+  const duplicateRows = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = rowNumbers?.[index] ?? index + 1;
+    const value = parsedRows[index].period;
+    const period = value && toGranularPeriod(value, granularity);
+
+    if (!period) {
+      invalidRows.push({
+        row: rowNumber,
+        value: row[periodColumn] ?? '',
+        message: value
+          ? `Rad ${rowNumber}: Perioden "${row[periodColumn]}" kan inte delas in per ${getGranularityLabel(granularity).toLowerCase()}`
+          : `Rad ${rowNumber}: Kunde inte tolka period "${row[periodColumn] ?? ''}"`
+      });
+      return;
+    }
+
+    const key = getPeriodKey(period);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ...period,
+        filename,
+        rows: [],
+        rowNumbers: [],
+        accountIds: new Map()
+      });
+    }
+
+    const group = groups.get(key);
+    const { accountId } = parsedRows[index];
+
+    // Samma konto två gånger i samma period - behåll första förekomsten
+    if (accountId && group.accountIds.has(accountId)) {
+      duplicateRows.push({
+        row: rowNumber,
+        firstRow: group.accountIds.get(accountId),
+        accountId,
+        ...period,
+        message: `Rad ${rowNumber}: ${accountId} finns redan för ${formatPeriodForDisplay(period)} (rad ${group.accountIds.get(accountId)})`
+      });
+      return;
+    }
+
+    if (accountId) {
+      group.accountIds.set(accountId, rowNumber);
+    }
+    group.rows.push(row);
+    group.rowNumbers.push(rowNumber);
+  });
+
+  const periods = Array.from(groups.values())
+    .map(({ accountIds, ...group }) => group)
+    .sort(comparePeriodOrder);
+
+  return {
+    periods,
+    granularity,
+    invalidRows,
+    duplicateRows,
+    missingPeriods: findMissingPeriods(periods),
+    sequence: periods.length > 0 ? validatePeriodSequence(periods) : { isValid: true, errors: [], duplicates: [] }
+  };
 }
@@ -0,0 +1,548 @@
+/**
+ * Period Granularity
+ *
+ * Periodtyp med upplösning dag, ISO-vecka eller månad. Månadsperioder har samma
+ * form och nyckel som tidigare ({year, month}, "YYYY_M") så att befintlig data och
+ * lagring fungerar oförändrat - vecko- och dagsperioder får egna nycklar.
+ *
+ * En vecka hör till den månad och det år där veckans torsdag ligger (ISO 8601),
+ * vilket gör att year alltid är ISO-veckoåret och month alltid är en giltig månad.
+ *
+ * Kvartal, halvår och år följer räkenskapsåret (fiscalYearStart, startmånad 1-12).
+ * För dem är year och month periodens första kalendermånad, så att start- och
+ * slutdatum fungerar som för månader, medan etiketter och nycklar använder
+ * räkenskapsåret - det år då räkenskapsåret börjar.
+ */
+
+/**
+ * Tillgängliga upplösningar
+ */
+export const PERIOD_GRANULARITIES = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  QUARTER: 'quarter',
+  HALF_YEAR: 'half_year',
+  YEAR: 'year'
+};
+
+/**
+ * Räkenskapsårets startmånad när inget annat är inställt (kalenderår)
+ */
+export const DEFAULT_FISCAL_YEAR_START = 1;
+
+/**
+ * Upplösningar med visningsnamn, från grövsta till finaste
+ */
+export const GRANULARITY_OPTIONS = [
+  { value: PERIOD_GRANULARITIES.YEAR, label: 'År', plural: 'år' },
+  { value: PERIOD_GRANULARITIES.HALF_YEAR, label: 'Halvår', plural: 'halvår' },
+  { value: PERIOD_GRANULARITIES.QUARTER, label: 'Kvartal', plural: 'kvartal' },
+  { value: PERIOD_GRANULARITIES.MONTH, label: 'Månad', plural: 'månader' },
+  { value: PERIOD_GRANULARITIES.WEEK, label: 'Vecka', plural: 'veckor' },
+  { value: PERIOD_GRANULARITIES.DAY, label: 'Dag', plural: 'dagar' }
+];
+
+// Ordning från finaste till grövsta - används för att avgöra vad som kan rullas upp
+const GRANULARITY_RANK = {
+  [PERIOD_GRANULARITIES.DAY]: 0,
+  [PERIOD_GRANULARITIES.WEEK]: 1,
+  [PERIOD_GRANULARITIES.MONTH]: 2,
+  [PERIOD_GRANULARITIES.QUARTER]: 3,
+  [PERIOD_GRANULARITIES.HALF_YEAR]: 4,
+  [PERIOD_GRANULARITIES.YEAR]: 5
+};
+
+// Antal månader i perioder som följer räkenskapsåret
+const MONTHS_PER_FISCAL_PERIOD = {
+  [PERIOD_GRANULARITIES.QUARTER]: 3,
+  [PERIOD_GRANULARITIES.HALF_YEAR]: 6,
+  [PERIOD_GRANULARITIES.YEAR]: 12
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Månadsnamn på svenska (januari först)
+ */
+export const MONTH_NAMES = [
+  'Januari', 'Februari', 'Mars', 'April', 'Maj', 'Juni',
+  'Juli', 'Augusti', 'September', 'Oktober', 'November', 'December'
+];
+
+const SHORT_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'Maj', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dec'];
+
+/**
+ * Returnerar periodens upplösning - perioder utan upplösning är månader
+ * @param {Object} period - Period
+ * @returns {string} - PERIOD_GRANULARITIES-värde
+ */
+export function getPeriodGranularity(period) {
+  return period?.granularity || PERIOD_GRANULARITIES.MONTH;
+}
+
+/**
+ * Kontrollerar om en upplösning är känd
+ * @param {string} granularity - Upplösning
+ * @returns {boolean} - True om upplösningen stöds
+ */
+export function isValidGranularity(granularity) {
+  return Object.prototype.hasOwnProperty.call(GRANULARITY_RANK, granularity);
+}
+
+/**
+ * Kontrollerar om en upplösning är finare än en annan (t.ex. vecka är finare än månad)
+ * @param {string} granularity - Upplösning att jämföra
+ * @param {string} other - Upplösning att jämföra mot
+ * @returns {boolean} - True om granularity är finare än other
+ */
+export function isFinerGranularity(granularity, other) {
+  return GRANULARITY_RANK[granularity] < GRANULARITY_RANK[other];
+}
+
+/**
+ * Kontrollerar om en upplösning följer räkenskapsåret (kvartal, halvår eller år)
+ * @param {string} granularity - Upplösning
+ * @returns {boolean} - True för kvartal, halvår och år
+ */
+export function isFiscalGranularity(granularity) {
+  return Object.prototype.hasOwnProperty.call(MONTHS_PER_FISCAL_PERIOD, granularity);
+}
+
+/**
+ * Antal hela månader som en period med given upplösning omfattar
+ * @param {string} granularity - Upplösning
+ * @returns {number|null} - Antal månader, null för veckor och dagar som inte följer månadsgränser
+ */
+export function getMonthsPerPeriod(granularity) {
+  if (granularity === PERIOD_GRANULARITIES.MONTH) return 1;
+  return MONTHS_PER_FISCAL_PERIOD[granularity] ?? null;
+}
+
+/**
+ * Tolkar räkenskapsårets startmånad
+ * @param {number|string} month - Startmånad (1-12)
+ * @returns {number} - Giltig startmånad, kalenderår om värdet är ogiltigt
+ */
+export function normalizeFiscalYearStart(month) {
+  const value = parseInt(month, 10);
+  return Number.isInteger(value) && value >= 1 && value <= 12 ? value : DEFAULT_FISCAL_YEAR_START;
+}
+
+/**
+ * Räkenskapsåret som en period hör till
+ * Räkenskapsåret namnges efter det kalenderår då det börjar
+ * @param {Object} period - Period med year och month
+ * @param {number} fiscalYearStart - Startmånad (standard periodens egen eller januari)
+ * @returns {number} - Räkenskapsår
+ */
+export function getFiscalYear(period, fiscalYearStart = period.fiscalYearStart) {
+  const start = normalizeFiscalYearStart(fiscalYearStart);
+  return period.month >= start ? period.year : period.year - 1;
+}
+
+/**
+ * Flyttar en månad framåt eller bakåt
+ * @param {number} year - År
+ * @param {number} month - Månad (1-12)
+ * @param {number} offset - Antal månader
+ * @returns {Object} - {year, month}
+ */
+function addMonths(year, month, offset) {
+  const index = year * 12 + (month - 1) + offset;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+/**
+ * Returnerar visningsnamn för en upplösning
+ * @param {string} granularity - Upplösning
+ * @param {boolean} plural - True för pluralform ("veckor")
+ * @returns {string} - Visningsnamn
+ */
+export function getGranularityLabel(granularity, plural = false) {
+  const option = GRANULARITY_OPTIONS.find(o => o.value === granularity);
+  if (!option) return granularity;
+  return plural ? option.plural : option.label;
+}
+
+/**
+ * Antal dagar i en månad
+ * @param {number} year - År
+ * @param {number} month - Månad (1-12)
+ * @returns {number} - Antal dagar
+ */
+export function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Beräknar ISO-vecka för ett datum
+ * @param {Date} date - Datum (UTC)
+ * @returns {Object} - {year, week, month} där year är ISO-veckoåret och month torsdagens månad
+ */
+export function getISOWeek(date) {
+  const weekday = (date.getUTCDay() + 6) % 7; // Måndag = 0
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - weekday + 3));
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+
+  return { year, week, month: thursday.getUTCMonth() + 1 };
+}
+
+/**
+ * Returnerar måndagen i en ISO-vecka
+ * @param {number} year - ISO-veckoår
+ * @param {number} week - Veckonummer (1-53)
+ * @returns {Date} - Veckans första dag (UTC)
+ */
+export function getISOWeekStart(year, week) {
+  const january4 = new Date(Date.UTC(year, 0, 4));
+  const weekday = (january4.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(year, 0, 4 - weekday + (week - 1) * 7));
+}
+
+/**
+ * Antal ISO-veckor i ett år (52 eller 53)
+ * @param {number} year - ISO-veckoår
+ * @returns {number} - Antal veckor
+ */
+export function getISOWeeksInYear(year) {
+  return getISOWeek(new Date(Date.UTC(year, 11, 28))).week;
+}
+
+/**
+ * Skapar en giltig period i standardform
+ * Månaden i en veckoperiod räknas fram från veckans torsdag. Kvartal, halvår och år
+ * flyttas till sin första kalendermånad så att vilken månad som helst i perioden kan anges
+ * @param {Object} period - {granularity, year, month, week, day, fiscalYearStart}
+ * @returns {Object|null} - Period {granularity, year, month, week?, day?, quarter?, half?, fiscalYearStart?} eller null om ogiltig
+ */
+export function normalizePeriod(period) {
+  if (!period) return null;
+
+  const granularity = getPeriodGranularity(period);
+  const year = parseInt(period.year, 10);
+  if (!Number.isInteger(year)) return null;
+
+  if (granularity === PERIOD_GRANULARITIES.WEEK) {
+    const week = parseInt(period.week, 10);
+    if (!Number.isInteger(week) || week < 1 || week > getISOWeeksInYear(year)) return null;
+
+    const thursday = new Date(getISOWeekStart(year, week).getTime() + 3 * DAY_MS);
+    return { granularity, year, month: thursday.getUTCMonth() + 1, week };
+  }
+
+  const month = parseInt(period.month, 10);
+  if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+
+  if (granularity === PERIOD_GRANULARITIES.DAY) {
+    const day = parseInt(period.day, 10);
+    if (!Number.isInteger(day) || day < 1 || day > getDaysInMonth(year, month)) return null;
+    return { granularity, year, month, day };
+  }
+
+  if (isFiscalGranularity(granularity)) {
+    const fiscalYearStart = normalizeFiscalYearStart(period.fiscalYearStart);
+    const length = MONTHS_PER_FISCAL_PERIOD[granularity];
+    const index = Math.floor(((month - fiscalYearStart + 12) % 12) / length);
+    const start = addMonths(getFiscalYear({ year, month }, fiscalYearStart), fiscalYearStart, index * length);
+
+    return {
+      granularity,
+      ...start,
+      ...(granularity === PERIOD_GRANULARITIES.QUARTER && { quarter: index + 1 }),
+      ...(granularity === PERIOD_GRANULARITIES.HALF_YEAR && { half: index + 1 }),
+      fiscalYearStart
+    };
+  }
+
+  if (granularity !== PERIOD_GRANULARITIES.MONTH) return null;
+  return { granularity, year, month };
+}
+
+/**
+ * Tolkar periodargument till funktioner som tar antingen en period eller år och månad
+ * Äldre anrop skickar (year, month) och avser då en månad
+ * @param {Object|number} periodOrYear - Period eller år
+ * @param {number} month - Månad när första argumentet är ett år
+ * @returns {Object} - Period
+ */
+export function toPeriod(periodOrYear, month) {
+  if (periodOrYear !== null && typeof periodOrYear === 'object') {
+    return periodOrYear;
+  }
+  return { granularity: PERIOD_GRANULARITIES.MONTH, year: periodOrYear, month };
+}
+
+/**
+ * Unik nyckel för en period
+ * Månader behåller formatet "YYYY_M", veckor blir "YYYY_Www" och dagar "YYYY_M_D".
+ * Kvartal, halvår och år blir "YYYY_Qn", "YYYY_Hn" och "YYYY_Y" med räkenskapsåret
+ * och får suffixet "_F{startmånad}" när räkenskapsåret inte följer kalenderåret
+ * @param {Object} period - Period
+ * @returns {string} - Periodnyckel
+ */
+export function getPeriodKey(period) {
+  const granularity = getPeriodGranularity(period);
+
+  if (isFiscalGranularity(granularity)) {
+    const fiscalYearStart = normalizeFiscalYearStart(period.fiscalYearStart);
+    const suffix = fiscalYearStart === DEFAULT_FISCAL_YEAR_START ? '' : `_F${fiscalYearStart}`;
+    const part = {
+      [PERIOD_GRANULARITIES.QUARTER]: `Q${period.quarter}`,
+      [PERIOD_GRANULARITIES.HALF_YEAR]: `H${period.half}`,
+      [PERIOD_GRANULARITIES.YEAR]: 'Y'
+    }[granularity];
+    return `${getFiscalYear(period, fiscalYearStart)}_${part}${suffix}`;
+  }
+
+  if (granularity === PERIOD_GRANULARITIES.WEEK) {
+    return `${period.year}_W${String(period.week).padStart(2, '0')}`;
+  }
+  if (granularity === PERIOD_GRANULARITIES.DAY) {
+    return `${period.year}_${period.month}_${period.day}`;
+  }
+  return `${period.year}_${period.month}`;
+}
+
+/**
+ * Tolkar en periodnyckel från getPeriodKey
+ * @param {string} key - Periodnyckel
+ * @returns {Object|null} - Period eller null om nyckeln är ogiltig
+ */
+export function parsePeriodKey(key) {
+  const text = String(key ?? '');
+  let match;
+
+  if ((match = text.match(/^(\d{4})_(?:([QH])(\d)|Y)(?:_F(\d{1,2}))?$/))) {
+    const fiscalYearStart = normalizeFiscalYearStart(match[4]);
+    const granularity = { Q: PERIOD_GRANULARITIES.QUARTER, H: PERIOD_GRANULARITIES.HALF_YEAR }[match[2]] || PERIOD_GRANULARITIES.YEAR;
+    const index = match[3] ? parseInt(match[3], 10) - 1 : 0;
+    if (index >= 12 / MONTHS_PER_FISCAL_PERIOD[granularity]) return null;
+
+    const start = addMonths(parseInt(match[1], 10), fiscalYearStart, index * MONTHS_PER_FISCAL_PERIOD[granularity]);
+    return normalizePeriod({ granularity, ...start, fiscalYearStart });
+  }
+  if ((match = text.match(/^(\d{4})_W(\d{1,2})$/))) {
+    return normalizePeriod({ granularity: PERIOD_GRANULARITIES.WEEK, year: match[1], week: match[2] });
+  }
+  if ((match = text.match(/^(\d{4})_(\d{1,2})_(\d{1,2})$/))) {
+    return normalizePeriod({ granularity: PERIOD_GRANULARITIES.DAY, year: match[1], month: match[2], day: match[3] });
+  }
+  if ((match = text.match(/^(\d{4})_(\d{1,2})$/))) {
+    return normalizePeriod({ granularity: PERIOD_GRANULARITIES.MONTH, year: match[1], month: match[2] });
+  }
+  return null;
+}
+
+/**
+ * Första dagen i en period
+ * @param {Object} period - Period
+ * @returns {Date} - Startdatum (UTC)
+ */
+export function getPeriodStartDate(period) {
+  const granularity = getPeriodGranularity(period);
+
+  if (granularity === PERIOD_GRANULARITIES.WEEK) {
+    return getISOWeekStart(period.year, period.week);
+  }
+  return new Date(Date.UTC(period.year, period.month - 1, granularity === PERIOD_GRANULARITIES.DAY ? period.day : 1));
+}
+
+/**
+ * Sista dagen i en period
+ * @param {Object} period - Period
+ * @returns {Date} - Slutdatum (UTC)
+ */
+export function getPeriodEndDate(period) {
+  const granularity = getPeriodGranularity(period);
+
+  if (granularity === PERIOD_GRANULARITIES.WEEK) {
+    return new Date(getISOWeekStart(period.year, period.week).getTime() + 6 * DAY_MS);
+  }
+  if (granularity === PERIOD_GRANULARITIES.DAY) {
+    return getPeriodStartDate(period);
+  }
+  const length = MONTHS_PER_FISCAL_PERIOD[granularity] || 1;
+  return new Date(Date.UTC(period.year, period.month - 1 + length, 0));
+}
+
+/**
+ * Jämför två perioder kronologiskt (för sortering)
+ * Perioder som börjar samma dag sorteras med den grövsta först
+ * @param {Object} a - Period
+ * @param {Object} b - Period
+ * @returns {number} - Negativt om a kommer före b
+ */
+export function comparePeriodOrder(a, b) {
+  const difference = getPeriodStartDate(a).getTime() - getPeriodStartDate(b).getTime();
+  if (difference !== 0) return difference;
+  return GRANULARITY_RANK[getPeriodGranularity(b)] - GRANULARITY_RANK[getPeriodGranularity(a)];
+}
+
+/**
+ * Perioden med angiven upplösning som innehåller ett datum
+ * @param {Date} date - Datum (UTC)
+ * @param {string} granularity - Upplösning
+ * @param {Object} options - {fiscalYearStart} - räkenskapsårets startmånad för kvartal, halvår och år
+ * @returns {Object} - Period
+ */
+export function getPeriodForDate(date, granularity, options = {}) {
+  if (isFiscalGranularity(granularity)) {
+    return normalizePeriod({
+      granularity,
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      fiscalYearStart: options.fiscalYearStart
+    });
+  }
+  if (granularity === PERIOD_GRANULARITIES.WEEK) {
+    const { year, week } = getISOWeek(date);
+    return normalizePeriod({ granularity, year, week });
+  }
+  if (granularity === PERIOD_GRANULARITIES.DAY) {
+    return { granularity, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  }
+  return { granularity: PERIOD_GRANULARITIES.MONTH, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+}
+
+/**
+ * Nästa period med samma upplösning
+ * @param {Object} period - Period
+ * @returns {Object} - Följande period
+ */
+export function getNextPeriod(period) {
+  const granularity = getPeriodGranularity(period);
+  const start = getPeriodStartDate(period);
+
+  if (granularity === PERIOD_GRANULARITIES.WEEK) {
+    return getPeriodForDate(new Date(start.getTime() + 7 * DAY_MS), granularity);
+  }
+  if (granularity === PERIOD_GRANULARITIES.DAY) {
+    return getPeriodForDate(new Date(start.getTime() + DAY_MS), granularity);
+  }
+  if (isFiscalGranularity(granularity)) {
+    const next = addMonths(period.year, period.month, MONTHS_PER_FISCAL_PERIOD[granularity]);
+    return normalizePeriod({ granularity, ...next, fiscalYearStart: period.fiscalYearStart });
+  }
+  return period.month === 12
+    ? { granularity, year: period.year + 1, month: 1 }
+    : { granularity, year: period.year, month: period.month + 1 };
+}
+
+/**
+ * Samma period föregående år
+ * Veckor jämförs med samma ISO-veckonummer och dagar med samma datum
+ * @param {Object} period - Period
+ * @returns {Object|null} - Perioden ett år tidigare, null om den inte finns (vecka 53 eller 29 februari)
+ */
+export function getSamePeriodLastYear(period) {
+  if (!period) return null;
+  return normalizePeriod({ ...period, year: period.year - 1 });
+}
+
+/**
+ * Perioden med grövre upplösning som en period rullas upp till
+ * Dagar hör till sin vecka och månad, veckor till torsdagens månad och
+ * månader till kvartal, halvår och år enligt räkenskapsåret
+ * @param {Object} period - Period
+ * @param {string} granularity - Målupplösning
+ * @param {Object} options - {fiscalYearStart} - räkenskapsårets startmånad (standard periodens egen)
+ * @returns {Object|null} - Målperiod eller null om målet är finare än perioden
+ */
+export function rollupPeriod(period, granularity, options = {}) {
+  const source = getPeriodGranularity(period);
+  if (source === granularity) return normalizePeriod(period);
+  if (isFinerGranularity(granularity, source)) return null;
+
+  if (granularity === PERIOD_GRANULARITIES.MONTH) {
+    return { granularity, year: period.year, month: period.month };
+  }
+  if (isFiscalGranularity(granularity)) {
+    return normalizePeriod({
+      granularity,
+      year: period.year,
+      month: period.month,
+      fiscalYearStart: options.fiscalYearStart ?? period.fiscalYearStart
+    });
+  }
+  return getPeriodForDate(getPeriodStartDate(period), granularity);
+}
+
+/**
+ * Antal perioder med finare upplösning som en period består av
+ * Används för att avgöra om en upprullad period är komplett
+ * @param {Object} period - Målperiod
+ * @param {string} granularity - Källornas upplösning
+ * @returns {number} - Förväntat antal källperioder
+ */
+export function countSubPeriods(period, granularity) {
+  const target = getPeriodGranularity(period);
+  if (target === granularity) return 1;
+
+  if (isFiscalGranularity(target)) {
+    const length = MONTHS_PER_FISCAL_PERIOD[target];
+    if (isFiscalGranularity(granularity)) {
+      return length / MONTHS_PER_FISCAL_PERIOD[granularity];
+    }
+
+    let count = 0;
+    for (let offset = 0; offset < length; offset++) {
+      const month = addMonths(period.year, period.month, offset);
+      count += countSubPeriods({ granularity: PERIOD_GRANULARITIES.MONTH, ...month }, granularity);
+    }
+    return count;
+  }
+
+  if (granularity === PERIOD_GRANULARITIES.DAY) {
+    return target === PERIOD_GRANULARITIES.WEEK ? 7 : getDaysInMonth(period.year, period.month);
+  }
+
+  // Veckor per månad = antal torsdagar i månaden
+  const firstWeekday = (new Date(Date.UTC(period.year, period.month - 1, 1)).getUTCDay() + 6) % 7;
+  const firstThursday = 1 + ((3 - firstWeekday + 7) % 7);
+  return Math.floor((getDaysInMonth(period.year, period.month) - firstThursday) / 7) + 1;
+}
+
+/**
+ * Formaterar ett räkenskapsår för visning
+ * Brutna räkenskapsår visas med båda kalenderåren ("2024/25")
+ * @param {number} fiscalYear - Räkenskapsår
+ * @param {number} fiscalYearStart - Startmånad
+ * @returns {string} - T.ex. "2025" eller "2024/25"
+ */
+export function formatFiscalYear(fiscalYear, fiscalYearStart) {
+  return normalizeFiscalYearStart(fiscalYearStart) === DEFAULT_FISCAL_YEAR_START
+    ? String(fiscalYear)
+    : `${fiscalYear}/${String(fiscalYear + 1).slice(-2)}`;
+}
+
+/**
+ * Formaterar en period för visning
+ * @param {Object} period - Period
+ * @param {Object} options - {short} - kort form för diagramaxlar
+ * @returns {string} - T.ex. "Mars 2025", "Vecka 12, 2025", "5 mars 2025" eller "Q1 2024/25"
+ */
+export function formatPeriodLabel(period, options = {}) {
+  if (!period || !period.year) return 'Ogiltig period';
+  const granularity = getPeriodGranularity(period);
+
+  if (isFiscalGranularity(granularity)) {
+    const fiscalYear = formatFiscalYear(getFiscalYear(period), period.fiscalYearStart);
+    if (granularity === PERIOD_GRANULARITIES.YEAR) {
+      return options.short ? fiscalYear : `${period.fiscalYearStart > 1 ? 'Räkenskapsår' : 'År'} ${fiscalYear}`;
+    }
+    const part = granularity === PERIOD_GRANULARITIES.QUARTER ? `Q${period.quarter}` : `H${period.half}`;
+    return options.short ? part : `${part} ${fiscalYear}`;
+  }
+
+  if (granularity === PERIOD_GRANULARITIES.WEEK) {
+    return options.short ? `v${period.week}` : `Vecka ${period.week}, ${period.year}`;
+  }
+  if (granularity === PERIOD_GRANULARITIES.DAY) {
+    return options.short
+      ? `${period.day}/${period.month}`
+      : `${period.day} ${MONTH_NAMES[period.month - 1].toLowerCase()} ${period.year}`;
+  }
+  return options.short ? SHORT_MONTH_NAMES[period.month - 1] : `${MONTH_NAMES[period.month - 1]} ${period.year}`;
+}
@@ -0,0 +1,209 @@
+/**
+ * Period Rollup
+ *
+ * Rullar upp dags- och veckodata till grövre upplösning per konto.
+ * Summerbara metrics (händelser) adderas, ögonblicksvärden tar det senaste värdet
+ * och unika personer (räckvidd) lämnas tomma - samma person kan ha nåtts flera
+ * veckor och räckvidden för en månad går därför inte att räkna fram från veckor.
+ *
+ * Kvartal, halvår och år byggs alltid från månader. Räckvidden blir då ett snitt av
+ * månadernas räckvidd (samma regel som för NON_SUMMABLE_METRICS i aggregation_service),
+ * följare tas från periodens slut och perioder som saknar månader markeras som ofullständiga.
+ *
+ * Flaggade delperioder räknas inte in i värdena - de är inga riktiga värden (se isFlagged).
+ * Ofullständighet markeras med ett eget fält och inte med status, eftersom flaggade rader
+ * utesluts från analysen och t.ex. innevarande kvartal annars skulle försvinna.
+ *
+ * Veckor hör till den månad där veckans torsdag ligger (ISO 8601), så en månad
+ * räknas som komplett när alla dess torsdagsveckor finns även om första och sista
+ * veckan delvis ligger i grannmånaderna.
+ */
+import { MonthlyAccountData, COMPLETED_STATUS, isMissingValue } from './timeseries_models.js';
+import {
+  PERIOD_GRANULARITIES,
+  GRANULARITY_OPTIONS,
+  getPeriodGranularity,
+  getPeriodKey,
+  getGranularityLabel,
+  isFinerGranularity,
+  isFiscalGranularity,
+  isValidGranularity,
+  rollupPeriod,
+  countSubPeriods,
+  comparePeriodOrder,
+  getPeriodEndDate,
+  getPeriodForDate,
+  formatPeriodLabel
+} from './period_granularity.js';
+import { findMissingPeriods } from './period_extractor.js';
+import { METRIC_DEFINITIONS, canSumAcrossTime, isSnapshotMetric } from '../utils/metric_categorizer.js';
+
+/**
+ * Returnerar de upplösningar som data kan visas i
+ * Data kan alltid rullas upp till grövre upplösning men aldrig delas upp
+ * @param {Array<Object>} periods - Perioder med granularity (saknas = månad)
+ * @returns {Array<string>} - Upplösningar från grövsta till finaste
+ */
+export function getAvailableGranularities(periods) {
+  const present = new Set((periods || []).map(getPeriodGranularity));
+  if (present.size === 0) return [PERIOD_GRANULARITIES.MONTH];
+
+  const finest = GRANULARITY_OPTIONS
+    .map(option => option.value)
+    .filter(granularity => present.has(granularity))
+    .pop();
+
+  return GRANULARITY_OPTIONS
+    .map(option => option.value)
+    .filter(granularity => granularity === finest || isFinerGranularity(finest, granularity));
+}
+
+/**
+ * Månader som saknas i ett kvartal, halvår eller år
+ * Periodens första och sista månad läggs till som gränser så att findMissingPeriods
+ * även hittar luckor i början och slutet av perioden
+ * @param {Array<MonthlyAccountData>} parts - Månader med data
+ * @param {Object} target - Målperiod
+ * @returns {Array<Object>} - Saknade månader
+ */
+function findMissingMonths(parts, target) {
+  const first = { granularity: PERIOD_GRANULARITIES.MONTH, year: target.year, month: target.month };
+  const last = getPeriodForDate(getPeriodEndDate(target), PERIOD_GRANULARITIES.MONTH);
+  const presentKeys = new Set(parts.map(part => part.getPeriodKey()));
+  const bounds = [first, last].filter(period => !presentKeys.has(getPeriodKey(period)));
+
+  return [...findMissingPeriods([...parts.map(part => part.getPeriod()), first, last]), ...bounds]
+    .sort(comparePeriodOrder);
+}
+
+/**
+ * Slår ihop ett kontos delperioder till en period
+ * Flaggade delperioder utelämnas ur värdena och räknas som saknade. Är alla delperioder
+ * flaggade får den upprullade perioden den senastes status och blir själv flaggad
+ * @param {Array<MonthlyAccountData>} parts - Delperioder sorterade kronologiskt
+ * @param {Object} target - Målperiod
+ * @returns {MonthlyAccountData} - Upprullad periodsdata
+ */
+function combineParts(parts, target) {
+  const latest = parts[parts.length - 1];
+  const sourceGranularity = parts[0].granularity;
+  const expected = countSubPeriods(target, sourceGranularity);
+  const usable = parts.filter(part => !part.isFlagged());
+  const flagged = parts.length - usable.length;
+  // Snitt av unika personer är bara meningsfullt när källan är hela månader
+  const averageUniquePersons = sourceGranularity === PERIOD_GRANULARITIES.MONTH;
+  const metrics = {};
+  const sources = {};
+
+  for (const key of Object.keys(METRIC_DEFINITIONS)) {
+    const present = usable.filter(part => !isMissingValue(part.metrics[key]));
+    const uniquePersons = !canSumAcrossTime(key) && !isSnapshotMetric(key);
+    if (present.length === 0 || (uniquePersons && !averageUniquePersons)) {
+      metrics[key] = null;
+      continue;
+    }
+
+    const last = present[present.length - 1];
+    const total = present.reduce((sum, part) => sum + part.metrics[key], 0);
+    if (isSnapshotMetric(key)) {
+      metrics[key] = last.metrics[key];
+    } else {
+      metrics[key] = uniquePersons ? Math.round(total / present.length) : total;
+    }
+    if (last.sources[key]) {
+      sources[key] = last.sources[key];
+    }
+  }
+
+  const notes = [`Sammanställd från ${usable.length} av ${expected} ${getGranularityLabel(sourceGranularity, true)}`];
+  if (isFiscalGranularity(target.granularity) && parts.length < expected) {
+    notes.push(`saknar ${findMissingMonths(parts, target).map(period => formatPeriodLabel(period)).join(', ')}`);
+  }
+  if (flagged > 0) {
+    notes.push(`${flagged} flaggade utelämnade`);
+  }
+
+  return new MonthlyAccountData(latest.getPeriodAccount(), target.year, target.month, metrics, {
+    sources,
+    status: usable.length > 0 ? COMPLETED_STATUS : latest.status,
+    comment: notes.join(', '),
+    incomplete: usable.length < expected,
+    granularity: target.granularity,
+    week: target.week,
+    day: target.day,
+    fiscalYearStart: target.fiscalYearStart
+  });
+}
+
+/**
+ * Anpassar periodsdata till en upplösning
+ * Data med målupplösningen används som den är och har företräde framför upprullad data
+ * för samma konto och period. Finare data rullas upp, grövre data utesluts.
+ * Finns både dags- och veckodata för samma målperiod används den grövsta.
+ * Kvartal, halvår och år rullas upp från månader - veckor och dagar blir först månader
+ * @param {Array<MonthlyAccountData>} monthlyDataList - Periodsdata i valfri upplösning
+ * @param {string} granularity - Målupplösning
+ * @param {Object} options - {fiscalYearStart} - räkenskapsårets startmånad för kvartal, halvår och år
+ * @returns {Array<MonthlyAccountData>} - Periodsdata med målupplösningen
+ */
+export function rollupMonthlyData(monthlyDataList, granularity = PERIOD_GRANULARITIES.MONTH, options = {}) {
+  if (!isValidGranularity(granularity)) {
+    throw new Error(`rollupMonthlyData kräver en giltig upplösning, fick ${granularity}`);
+  }
+
+  if (isFiscalGranularity(granularity)) {
+    const months = rollupMonthlyData(
+      (monthlyDataList || []).filter(data => !isFiscalGranularity(data.granularity)),
+      PERIOD_GRANULARITIES.MONTH
+    );
+    const fiscalGroups = new Map();
+
+    for (const data of months) {
+      const target = rollupPeriod(data.getPeriod(), granularity, options);
+      const key = `${data.account.getKey()}_${getPeriodKey(target)}`;
+      if (!fiscalGroups.has(key)) {
+        fiscalGroups.set(key, { target, parts: [] });
+      }
+      fiscalGroups.get(key).parts.push(data);
+    }
+
+    return Array.from(fiscalGroups.values())
+      .map(({ target, parts }) => combineParts(parts.sort(comparePeriodOrder), target));
+  }
+
+  const native = new Map();
+  const groups = new Map();
+
+  for (const data of monthlyDataList || []) {
+    if (data.granularity === granularity) {
+      native.set(data.getKey(), data);
+      continue;
+    }
+
+    const target = rollupPeriod(data.getPeriod(), granularity);
+    if (!target) continue;
+
+    const key = `${data.account.getKey()}_${getPeriodKey(target)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { target, parts: [] });
+    }
+    groups.get(key).parts.push(data);
+  }
+
+  const result = Array.from(native.values());
+
+  for (const [key, { target, parts }] of groups) {
+    if (native.has(key)) continue;
+
+    // Veckor före dagar - att blanda dem skulle räkna samma dagar två gånger
+    const coarsest = parts.reduce((best, part) =>
+      (isFinerGranularity(best, part.granularity) ? part.granularity : best), parts[0].granularity);
+    const selected = parts
+      .filter(part => part.granularity === coarsest)
+      .sort(comparePeriodOrder);
+
+    result.push(combineParts(selected, target));
+  }
+
+  return result;
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InstagramAccount, MonthlyAccountData, COMPLETED_STATUS, filterFlaggedData } from './timeseries_models.js';
+import { PERIOD_GRANULARITIES } from './period_granularity.js';
+import { rollupMonthlyData } from './period_rollup.js';
+
+const account = new InstagramAccount('testkonto', '17841400000000001');
+
+/**
+ * Månadsrad för testkontot
+ * @param {number} month - Månad 2025
+ * @param {number} views - Visningar
+ * @param {string} status - Radens status
+ * @returns {MonthlyAccountData} - Månadsdata
+ */
+function month(month, views, status = COMPLETED_STATUS) {
+  return new MonthlyAccountData(account, 2025, month, { views, followers: 100 * month }, { status });
+}
+
+test('flaggade månader räknas inte in i kvartalet', () => {
+  const [quarter] = rollupMonthlyData([month(1, 10), month(2, 0, 'FAILED'), month(3, 30)], PERIOD_GRANULARITIES.QUARTER);
+  assert.equal(quarter.metrics.views, 40);
+  assert.equal(quarter.metrics.followers, 300);
+  assert.equal(quarter.isFlagged(), false);
+  assert.equal(quarter.incomplete, true);
+});
+
+test('ofullständigt kvartal flaggas inte och finns kvar i analysen', () => {
+  const quarters = rollupMonthlyData([month(1, 10), month(2, 20)], PERIOD_GRANULARITIES.QUARTER);
+  assert.equal(quarters[0].incomplete, true);
+  assert.equal(quarters[0].status, COMPLETED_STATUS);
+  assert.equal(filterFlaggedData(quarters).length, 1);
+});
+
+test('komplett kvartal är inte ofullständigt', () => {
+  const [quarter] = rollupMonthlyData([month(1, 10), month(2, 20), month(3, 30)], PERIOD_GRANULARITIES.QUARTER);
+  assert.equal(quarter.metrics.views, 60);
+  assert.equal(quarter.incomplete, false);
+});
+
+test('kvartal med bara flaggade månader blir flaggat', () => {
+  const [quarter] = rollupMonthlyData([month(1, 0, 'FAILED')], PERIOD_GRANULARITIES.QUARTER);
+  assert.equal(quarter.metrics.views, null);
+  assert.equal(quarter.status, 'FAILED');
+});
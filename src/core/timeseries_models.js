@@ -2,8 +2,59 @@
  * Timeseries Models
  * 
  * Datastrukturer för Instagram API tidserie-analys
- * Hanterar Instagram-konton och månadsdata med korrekt typning och validering
+ * Hanterar Instagram-konton och periodsdata med korrekt typning och validering.
+ * Periodsdata är som standard månadsdata men kan även gälla en ISO-vecka, en dag eller
+ * ett upprullat kvartal, halvår eller år (se period_granularity) - månadsperioder har
+ * oförändrade nycklar "YYYY_M"
  */
+import { METRIC_DEFINITIONS, getSummerableMetrics, getSnapshotMetrics, getMetricsByCategory } from '../utils/metric_categorizer.js';
+import { parseLocaleNumber } from './number_parser.js';
+import { normalizeAccountId } from './account_id.js';
+import { PERIOD_GRANULARITIES, normalizePeriod, getPeriodKey, comparePeriodOrder, toPeriod } from './period_granularity.js';
+
+/**
+ * Fält på en CSV-rad som anger källfil per metric {metricKey: filnamn}
+ * Sätts när lagrad data läses in eller när perioder slås ihop vid konflikter
+ */
+export const SOURCES_FIELD = '_sources';
+
+/**
+ * Status för en komplett rad - alla andra värden (t.ex. FAILED, PARTIAL) flaggar raden
+ * Flaggade rader visas men utesluts som standard från aggregering och avvikelsedetektering
+ */
+export const COMPLETED_STATUS = 'COMPLETED';
+
+/**
+ * Normaliserar ett statusvärde från CSV
+ * Tom status tolkas som komplett eftersom äldre filer och lagrad data saknar kolumnen
+ * @param {any} status - Statusvärde
+ * @returns {string} - Status i versaler
+ */
+export function normalizeStatus(status) {
+  const normalized = String(status ?? '').trim().toUpperCase();
+  return normalized || COMPLETED_STATUS;
+}
+
+/**
+ * Filtrerar bort flaggade månadsdata om de inte uttryckligen ska inkluderas
+ * @param {Array<MonthlyAccountData>} monthlyDataList - Månadsdata
+ * @param {Object} options - {includeFlagged} - true för att behålla flaggade rader
+ * @returns {Array<MonthlyAccountData>} - Månadsdata för analys
+ */
+export function filterFlaggedData(monthlyDataList, options = {}) {
+  if (options.includeFlagged) return monthlyDataList;
+  return monthlyDataList.filter(data => !data.isFlagged());
+}
+
+/**
+ * Kontrollerar om ett metric-värde saknas
+ * Saknade värden (tom cell, ogiltigt värde) lagras som null och skiljs från riktiga nollor
+ * @param {any} value - Metric-värde
+ * @returns {boolean} - True om värdet saknas
+ */
+export function isMissingValue(value) {
+  return value === null || value === undefined || (typeof value === 'number' && isNaN(value));
+}
 
 /**
  * Instagram-konto datastruktur
@@ -14,9 +65,14 @@ export class InstagramAccount {
     if (!username || !accountId) {
       throw new Error('InstagramAccount kräver både username och accountId');
     }
+
+    // IG ID har 17 siffror och kan inte lagras exakt som tal
+    if (typeof accountId === 'number' && !Number.isSafeInteger(accountId)) {
+      throw new Error(`InstagramAccount kräver IG ID som text - talet ${accountId} har tappat precision`);
+    }
     
     this.username = username.trim(); // Account (handle)
-    this.accountId = String(accountId).trim(); // IG ID
+    this.accountId = normalizeAccountId(accountId); // IG ID
     this.displayName = displayName ? displayName.trim() : username.trim(); // Account Name
     this.createdAt = new Date();
   }
@@ -56,23 +112,55 @@ export class InstagramAccount {
 }
 
 /**
- * Månadsdata för ett specifikt Instagram-konto
- * Innehåller alla metrics för ett konto under en månad
+ * Periodsdata för ett specifikt Instagram-konto
+ * Innehåller alla metrics för ett konto under en månad, en ISO-vecka eller en dag.
+ * Vecko- och dagsdata har year och month som för månadsdata (veckans torsdag) samt week eller day
  */
 export class MonthlyAccountData {
-  constructor(account, year, month, metrics) {
+  /**
+   * @param {InstagramAccount} account - Konto
+   * @param {number} year - År (ISO-veckoår för veckodata)
+   * @param {number} month - Månad (1-12)
+   * @param {Object} metrics - Rå metrics
+   * @param {Object} details - {sources, status, comment, incomplete, granularity, week, day, fiscalYearStart} -
+   *   källfil per metric, radens status och kommentar, om en upprullad period saknar delperioder samt
+   *   upplösning (standard månad) med veckonummer, dag eller räkenskapsårets startmånad för kvartal, halvår och år
+   */
+  constructor(account, year, month, metrics, details = {}) {
     if (!(account instanceof InstagramAccount)) {
       throw new Error('MonthlyAccountData kräver en InstagramAccount instans');
     }
-    
-    if (!year || !month || month < 1 || month > 12) {
-      throw new Error('MonthlyAccountData kräver giltigt år och månad (1-12)');
+
+    const granularity = details.granularity || PERIOD_GRANULARITIES.MONTH;
+    const period = normalizePeriod({
+      granularity,
+      year,
+      month,
+      week: details.week,
+      day: details.day,
+      fiscalYearStart: details.fiscalYearStart
+    });
+    if (!year || !period) {
+      throw new Error(granularity === PERIOD_GRANULARITIES.MONTH
+        ? 'MonthlyAccountData kräver giltigt år och månad (1-12)'
+        : `MonthlyAccountData kräver en giltig period (${granularity})`);
     }
 
     this.account = account;
-    this.year = parseInt(year);
-    this.month = parseInt(month);
+    this.periodAccount = null; // Kontot med periodens namn när account delas av en tidserie (se withAccount)
+    this.year = period.year;
+    this.month = period.month;
+    this.granularity = period.granularity;
+    if (period.week) this.week = period.week;
+    if (period.day) this.day = period.day;
+    if (period.quarter) this.quarter = period.quarter;
+    if (period.half) this.half = period.half;
+    if (period.fiscalYearStart) this.fiscalYearStart = period.fiscalYearStart;
     this.metrics = this.validateMetrics(metrics || {});
+    this.sources = { ...(details.sources || {}) }; // Källfil per metric {metricKey: filnamn}
+    this.status = normalizeStatus(details.status);
+    this.comment = String(details.comment ?? '').trim();
+    this.incomplete = Boolean(details.incomplete); // Upprullad period som saknar delperioder - flaggar inte raden
     this.createdAt = new Date();
   }
 
@@ -82,27 +170,42 @@ export class MonthlyAccountData {
    * @returns {Object} - Validerade metrics
    */
   validateMetrics(rawMetrics) {
-    const metrics = {
-      // Icke-summerbar metric (unika personer per månad)
-      reach: this.parseNumeric(rawMetrics.reach || rawMetrics.Reach),
-      
-      // Summerbara metrics
-      followers: this.parseNumeric(rawMetrics.followers || rawMetrics.Followers),
-      views: this.parseNumeric(rawMetrics.views || rawMetrics.Views)
-    };
+    const metrics = {};
+
+    // Alla metrics i registret läses både från intern nyckel och CSV-kolumn
+    for (const [key, definition] of Object.entries(METRIC_DEFINITIONS)) {
+      metrics[key] = this.parseNumeric(rawMetrics[key] ?? rawMetrics[definition.csvColumn]);
+    }
 
     return metrics;
   }
 
   /**
    * Parsar numeriska värden säkert
+   * Tomma och ogiltiga celler blir null så att de inte räknas som nollor.
+   * Importerade rader har redan tolkats med filens talformat (se number_parser)
    * @param {any} value - Värde att parsa
-   * @returns {number} - Parsad numerisk värde eller 0
+   * @returns {number|null} - Parsad numerisk värde eller null om värdet saknas
    */
   parseNumeric(value) {
-    if (value === null || value === undefined || value === '') return 0;
-    const parsed = parseFloat(String(value).replace(/,/g, ''));
-    return isNaN(parsed) ? 0 : parsed;
+    return parseLocaleNumber(value).value;
+  }
+
+  /**
+   * Kontrollerar om en metric har ett värde denna månad
+   * @param {string} metric - Metric-nyckel
+   * @returns {boolean} - True om värdet finns (även 0)
+   */
+  hasMetric(metric) {
+    return !isMissingValue(this.metrics[metric]);
+  }
+
+  /**
+   * Returnerar metrics som saknar värde denna månad
+   * @returns {Array<string>} - Metric-nycklar utan värde
+   */
+  getMissingMetrics() {
+    return Object.keys(this.metrics).filter(metric => !this.hasMetric(metric));
   }
 
   /**
@@ -110,40 +213,100 @@ export class MonthlyAccountData {
    * @param {Object} csvRow - Rad från parsad CSV
    * @param {number} year - År för denna data
    * @param {number} month - Månad för denna data
+   * @param {string} sourceFile - Filnamn som värdena kommer från (om raden saknar källor)
+   * @param {Object} period - Periodens {granularity, week, day} för vecko- och dagsdata
    * @returns {MonthlyAccountData} - Ny MonthlyAccountData instans
    */
-  static fromCSVRow(csvRow, year, month) {
+  static fromCSVRow(csvRow, year, month, sourceFile = null, period = null) {
     const account = InstagramAccount.fromCSVRow(csvRow);
-    return new MonthlyAccountData(account, year, month, csvRow);
+    const sources = { ...(csvRow[SOURCES_FIELD] || {}) };
+
+    if (sourceFile) {
+      for (const key of Object.keys(METRIC_DEFINITIONS)) {
+        if (!sources[key]) sources[key] = sourceFile;
+      }
+    }
+
+    return new MonthlyAccountData(account, year, month, csvRow, {
+      sources,
+      status: csvRow.Status,
+      comment: csvRow.Comment,
+      granularity: period?.granularity,
+      week: period?.week,
+      day: period?.day
+    });
   }
 
   /**
-   * Returnerar unik nyckel för denna månadsdata
+   * Returnerar unik nyckel för denna periodsdata
    * @returns {string} - Unik identifierare
    */
   getKey() {
-    return `${this.account.getKey()}_${this.year}_${this.month}`;
+    return `${this.account.getKey()}_${this.getPeriodKey()}`;
+  }
+
+  /**
+   * Returnerar kontot med det användarnamn och visningsnamn som raden hade för perioden
+   * @returns {InstagramAccount} - Periodens konto
+   */
+  getPeriodAccount() {
+    return this.periodAccount || this.account;
+  }
+
+  /**
+   * Skapar en kopia kopplad till ett annat kontoobjekt med samma IG ID
+   * Den här instansen ändras inte och periodens namn följer med kopian
+   * @param {InstagramAccount} account - Konto som kopian ska dela
+   * @returns {MonthlyAccountData} - Kopia med account satt
+   */
+  withAccount(account) {
+    return Object.assign(Object.create(MonthlyAccountData.prototype), this, {
+      account,
+      periodAccount: this.getPeriodAccount()
+    });
+  }
+
+  /**
+   * Returnerar periodens nyckel (se getPeriodKey i period_granularity)
+   * @returns {string} - Periodnyckel
+   */
+  getPeriodKey() {
+    return getPeriodKey(this);
   }
 
   /**
    * Returnerar period som objekt
-   * @returns {Object} - Period objekt {year, month}
+   * @returns {Object} - Period objekt {year, month, granularity} samt week eller day
    */
   getPeriod() {
     return {
       year: this.year,
-      month: this.month
+      month: this.month,
+      granularity: this.granularity,
+      ...(this.week && { week: this.week }),
+      ...(this.day && { day: this.day }),
+      ...(this.quarter && { quarter: this.quarter }),
+      ...(this.half && { half: this.half }),
+      ...(this.fiscalYearStart && { fiscalYearStart: this.fiscalYearStart })
     };
   }
 
+  /**
+   * Kontrollerar om raden är flaggad (status annan än COMPLETED, t.ex. misslyckad hämtning)
+   * @returns {boolean} - True om värdena inte ska räknas som riktiga värden
+   */
+  isFlagged() {
+    return this.status !== COMPLETED_STATUS;
+  }
+
   /**
    * Kontrollerar om detta är samma period som angiven
-   * @param {number} year - År att jämföra
+   * @param {Object|number} periodOrYear - Period eller år att jämföra (år och månad avser månadsdata)
    * @param {number} month - Månad att jämföra
    * @returns {boolean} - True om samma period
    */
-  isSamePeriod(year, month) {
-    return this.year === year && this.month === month;
+  isSamePeriod(periodOrYear, month) {
+    return this.getPeriodKey() === getPeriodKey(toPeriod(periodOrYear, month));
   }
 
   /**
@@ -151,10 +314,15 @@ export class MonthlyAccountData {
    * @returns {Object} - Summerbara metrics
    */
   getSummerableMetrics() {
-    return {
-      followers: this.metrics.followers,
-      views: this.metrics.views
-    };
+    return this.pickMetrics(getSummerableMetrics());
+  }
+
+  /**
+   * Returnerar ögonblicksvärden (gäller vid månadens slut, summeras ej över månader)
+   * @returns {Object} - Ögonblicksvärden
+   */
+  getSnapshotMetrics() {
+    return this.pickMetrics(getSnapshotMetrics());
   }
 
   /**
@@ -162,15 +330,24 @@ export class MonthlyAccountData {
    * @returns {Object} - Icke-summerbara metrics
    */
   getNonSummerableMetrics() {
-    return {
-      reach: this.metrics.reach
-    };
+    return this.pickMetrics(getMetricsByCategory('unique_persons'));
+  }
+
+  /**
+   * Plockar ut angivna metrics från denna månadsdata
+   * @param {Array<string>} keys - Metric-nycklar att plocka ut
+   * @returns {Object} - Metrics för angivna nycklar
+   */
+  pickMetrics(keys) {
+    return Object.fromEntries(keys.map(key => [key, this.metrics[key]]));
   }
 }
 
 /**
  * Tidserie-container för ett Instagram-konto
  * Innehåller all månadsdata för ett konto över tid
+ * Användarnamn och visningsnamn sparas per period eftersom konton byter handle -
+ * kontots etikett är alltid namnet från den senaste perioden
  */
 export class AccountTimeseries {
   constructor(account) {
@@ -178,13 +355,16 @@ export class AccountTimeseries {
       throw new Error('AccountTimeseries kräver en InstagramAccount instans');
     }
     
-    this.account = account;
+    this.account = new InstagramAccount(account.username, account.accountId, account.displayName);
     this.monthlyData = new Map(); // Map<string, MonthlyAccountData>
+    this.identities = new Map(); // Map<string, {username, displayName}> - namn per period
     this.createdAt = new Date();
   }
 
   /**
    * Lägger till månadsdata för detta konto
+   * Månadens namn sparas i historiken och tidserien lagrar en kopia som delar kontots instans,
+   * så att alla vyer visar senaste namnet utan att den inlagda instansen ändras
    * @param {MonthlyAccountData} monthlyData - Månadsdata att lägga till
    */
   addMonthlyData(monthlyData) {
@@ -196,54 +376,113 @@ export class AccountTimeseries {
       throw new Error('MonthlyData måste tillhöra samma konto');
     }
 
-    const key = `${monthlyData.year}_${monthlyData.month}`;
-    this.monthlyData.set(key, monthlyData);
+    const key = monthlyData.getPeriodKey();
+    const { username, displayName } = monthlyData.getPeriodAccount();
+    this.identities.set(key, { username, displayName });
+    this.monthlyData.set(key, monthlyData.account === this.account ? monthlyData : monthlyData.withAccount(this.account));
+    this.updateLabel();
+  }
+
+  /**
+   * Sätter kontots användarnamn och visningsnamn till den senaste periodens
+   */
+  updateLabel() {
+    const latest = this.getAvailablePeriods().pop();
+    const identity = latest && this.identities.get(getPeriodKey(latest));
+    if (identity) {
+      this.account.username = identity.username;
+      this.account.displayName = identity.displayName;
+    }
+  }
+
+  /**
+   * Hämtar användarnamn och visningsnamn som kontot hade en viss period
+   * @param {Object|number} periodOrYear - Period eller år
+   * @param {number} month - Månad när första argumentet är ett år
+   * @returns {Object|null} - {username, displayName} eller null om perioden saknas
+   */
+  getIdentityForPeriod(periodOrYear, month) {
+    return this.identities.get(getPeriodKey(toPeriod(periodOrYear, month))) || null;
   }
 
   /**
-   * Hämtar månadsdata för specifik period
-   * @param {number} year - År
-   * @param {number} month - Månad
-   * @returns {MonthlyAccountData|null} - Månadsdata eller null om inte finns
+   * Returnerar kontots namnhistorik i kronologisk ordning
+   * Månader i följd med samma namn slås ihop till en post
+   * @returns {Array<Object>} - [{username, displayName, firstPeriod, lastPeriod, periodCount}]
    */
-  getMonthlyData(year, month) {
-    const key = `${year}_${month}`;
-    return this.monthlyData.get(key) || null;
+  getIdentityHistory() {
+    const history = [];
+
+    for (const period of this.getAvailablePeriods()) {
+      const identity = this.getIdentityForPeriod(period);
+      if (!identity) continue;
+
+      const current = history[history.length - 1];
+      if (current && current.username === identity.username && current.displayName === identity.displayName) {
+        current.lastPeriod = period;
+        current.periodCount++;
+      } else {
+        history.push({ ...identity, firstPeriod: period, lastPeriod: period, periodCount: 1 });
+      }
+    }
+
+    return history;
   }
 
   /**
-   * Returnerar alla månader som har data
-   * @returns {Array<{year: number, month: number}>} - Lista med perioder
+   * Kontrollerar om kontot har bytt användarnamn eller visningsnamn
+   * @returns {boolean} - True om historiken har mer än ett namn
+   */
+  hasIdentityChanges() {
+    return this.getIdentityHistory().length > 1;
+  }
+
+  /**
+   * Hämtar periodsdata för specifik period
+   * @param {Object|number} periodOrYear - Period eller år
+   * @param {number} month - Månad när första argumentet är ett år
+   * @returns {MonthlyAccountData|null} - Periodsdata eller null om inte finns
+   */
+  getMonthlyData(periodOrYear, month) {
+    return this.monthlyData.get(getPeriodKey(toPeriod(periodOrYear, month))) || null;
+  }
+
+  /**
+   * Returnerar alla perioder som har data
+   * @returns {Array<Object>} - Lista med perioder {year, month, granularity, week?, day?}
    */
   getAvailablePeriods() {
     return Array.from(this.monthlyData.values())
       .map(data => data.getPeriod())
-      .sort((a, b) => {
-        if (a.year !== b.year) return a.year - b.year;
-        return a.month - b.month;
-      });
+      .sort(comparePeriodOrder);
   }
 
   /**
-   * Returnerar alla månadsdata sorterat kronologiskt
-   * @returns {Array<MonthlyAccountData>} - Sorterad lista med månadsdata
+   * Returnerar alla periodsdata sorterat kronologiskt
+   * @returns {Array<MonthlyAccountData>} - Sorterad lista med periodsdata
    */
   getAllMonthlyData() {
-    return Array.from(this.monthlyData.values())
-      .sort((a, b) => {
-        if (a.year !== b.year) return a.year - b.year;
-        return a.month - b.month;
-      });
+    return Array.from(this.monthlyData.values()).sort(comparePeriodOrder);
+  }
+
+  /**
+   * Returnerar månadsdata för analys sorterat kronologiskt
+   * Flaggade månader utesluts om inte options.includeFlagged anges
+   * @param {Object} options - {includeFlagged}
+   * @returns {Array<MonthlyAccountData>} - Månadsdata att aggregera eller analysera
+   */
+  getAnalysisData(options = {}) {
+    return filterFlaggedData(this.getAllMonthlyData(), options);
   }
 
   /**
    * Kontrollerar om kontot har data för specifik period
-   * @param {number} year - År
-   * @param {number} month - Månad
+   * @param {Object|number} periodOrYear - Period eller år
+   * @param {number} month - Månad när första argumentet är ett år
    * @returns {boolean} - True om data finns
    */
-  hasDataForPeriod(year, month) {
-    return this.getMonthlyData(year, month) !== null;
+  hasDataForPeriod(periodOrYear, month) {
+    return this.getMonthlyData(periodOrYear, month) !== null;
   }
 
   /**
@@ -289,7 +528,7 @@ export class TimeseriesDataset {
    * @returns {AccountTimeseries|null} - Kontotidserie eller null
    */
   getAccountTimeseries(accountId) {
-    const accountKey = `account_${accountId}`;
+    const accountKey = `account_${normalizeAccountId(accountId)}`;
     return this.accountTimeseries.get(accountKey) || null;
   }
 
@@ -305,39 +544,31 @@ export class TimeseriesDataset {
 
   /**
    * Returnerar alla unika perioder i datasetet
-   * @returns {Array<{year: number, month: number}>} - Lista med perioder
+   * @returns {Array<Object>} - Lista med perioder {year, month, granularity, week?, day?}
    */
   getAllPeriods() {
-    const periodsSet = new Set();
+    const periods = new Map();
     
     for (const timeseries of this.accountTimeseries.values()) {
       for (const period of timeseries.getAvailablePeriods()) {
-        periodsSet.add(`${period.year}_${period.month}`);
+        periods.set(getPeriodKey(period), period);
       }
     }
 
-    return Array.from(periodsSet)
-      .map(key => {
-        const [year, month] = key.split('_');
-        return { year: parseInt(year), month: parseInt(month) };
-      })
-      .sort((a, b) => {
-        if (a.year !== b.year) return a.year - b.year;
-        return a.month - b.month;
-      });
+    return Array.from(periods.values()).sort(comparePeriodOrder);
   }
 
   /**
    * Returnerar alla konton för en specifik period
-   * @param {number} year - År
-   * @param {number} month - Månad
-   * @returns {Array<MonthlyAccountData>} - Lista med månadsdata
+   * @param {Object|number} periodOrYear - Period eller år
+   * @param {number} month - Månad när första argumentet är ett år
+   * @returns {Array<MonthlyAccountData>} - Lista med periodsdata
    */
-  getDataForPeriod(year, month) {
+  getDataForPeriod(periodOrYear, month) {
     const result = [];
     
     for (const timeseries of this.accountTimeseries.values()) {
-      const monthlyData = timeseries.getMonthlyData(year, month);
+      const monthlyData = timeseries.getMonthlyData(periodOrYear, month);
       if (monthlyData) {
         result.push(monthlyData);
       }
@@ -355,7 +586,12 @@ export class TimeseriesDataset {
       totalAccounts: this.accountTimeseries.size,
       totalPeriods: this.getAllPeriods().length,
       totalDataPoints: Array.from(this.accountTimeseries.values())
-        .reduce((sum, timeseries) => sum + timeseries.getMonthCount(), 0)
+        .reduce((sum, timeseries) => sum + timeseries.getMonthCount(), 0),
+      flaggedDataPoints: Array.from(this.accountTimeseries.values())
+        .reduce((sum, timeseries) => sum + timeseries.getAllMonthlyData().filter(data => data.isFlagged()).length, 0),
+      missingValues: Array.from(this.accountTimeseries.values())
+        .reduce((sum, timeseries) => sum + timeseries.getAllMonthlyData()
+          .reduce((count, data) => count + data.getMissingMetrics().length, 0), 0)
     };
   }
 
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InstagramAccount, MonthlyAccountData, TimeseriesDataset } from './timeseries_models.js';
+import { PERIOD_GRANULARITIES } from './period_granularity.js';
+import { rollupMonthlyData } from './period_rollup.js';
+
+const ACCOUNT_ID = '17841400000000001';
+
+/**
+ * Månadsrad 2025 med kontots namn för perioden
+ * @param {number} month - Månad
+ * @param {string} username - Användarnamn för perioden
+ * @returns {MonthlyAccountData} - Månadsdata
+ */
+function month(month, username) {
+  return new MonthlyAccountData(new InstagramAccount(username, ACCOUNT_ID), 2025, month, { views: 100 * month });
+}
+
+/**
+ * Lägger rader i ett nytt dataset
+ * @param {Array<MonthlyAccountData>} rows - Månadsdata
+ * @returns {TimeseriesDataset} - Dataset
+ */
+function buildDataset(rows) {
+  const dataset = new TimeseriesDataset();
+  rows.forEach(row => dataset.addMonthlyData(row));
+  return dataset;
+}
+
+test('kontot får senaste namnet utan att inlagda rader ändras', () => {
+  const rows = [month(1, 'gammalt'), month(2, 'nytt')];
+  const timeseries = buildDataset(rows).getAccountTimeseries(ACCOUNT_ID);
+
+  assert.equal(timeseries.account.username, 'nytt');
+  assert.equal(timeseries.getMonthlyData(2025, 1).account.username, 'nytt');
+  assert.equal(rows[0].account.username, 'gammalt');
+  assert.notEqual(rows[0].account, timeseries.account);
+});
+
+test('namnhistoriken finns kvar när samma rader läggs i ett andra dataset', () => {
+  const rows = [month(1, 'gammalt'), month(2, 'gammalt'), month(3, 'nytt')];
+  buildDataset(rows);
+  const second = buildDataset(rows).getAccountTimeseries(ACCOUNT_ID);
+
+  assert.deepEqual(second.getIdentityHistory().map(entry => [entry.username, entry.periodCount]), [['gammalt', 2], ['nytt', 1]]);
+});
+
+test('rader från ett dataset behåller periodens namn i nästa dataset', () => {
+  const first = buildDataset([month(1, 'gammalt'), month(4, 'nytt')]).getAccountTimeseries(ACCOUNT_ID);
+  const second = buildDataset(first.getAllMonthlyData()).getAccountTimeseries(ACCOUNT_ID);
+
+  assert.equal(second.getIdentityForPeriod(2025, 1).username, 'gammalt');
+  assert.equal(second.account.username, 'nytt');
+});
+
+test('upprullade perioder får namnet från periodens sista månad', () => {
+  const first = buildDataset([month(1, 'gammalt'), month(4, 'nytt')]).getAccountTimeseries(ACCOUNT_ID);
+  const quarters = rollupMonthlyData(first.getAllMonthlyData(), PERIOD_GRANULARITIES.QUARTER);
+  const rolled = buildDataset(quarters).getAccountTimeseries(ACCOUNT_ID);
+
+  assert.deepEqual(rolled.getIdentityHistory().map(entry => entry.username), ['gammalt', 'nytt']);
+});
@@ -45,6 +45,26 @@ export function isValidCSVFile(file) {
   )
 }
 
+/**
+ * Validerar en Excel-fil (.xlsx eller .xls)
+ * @param {File} file - Filen att validera
+ * @returns {boolean} - true om filen är en Excel-arbetsbok
+ */
+export function isValidExcelFile(file) {
+  if (!file) return false
+  const name = file.name.toLowerCase()
+  return name.endsWith('.xlsx') || name.endsWith('.xls')
+}
+
+/**
+ * Validerar att en fil kan importeras (CSV eller Excel)
+ * @param {File} file - Filen att validera
+ * @returns {boolean} - true om filen kan importeras
+ */
+export function isSupportedImportFile(file) {
+  return isValidCSVFile(file) || isValidExcelFile(file)
+}
+
 /**
  * Genererar en unik ID-sträng
  * @returns {string} - Unik ID
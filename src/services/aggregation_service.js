@@ -1,36 +1,50 @@
 /**
  * Aggregation Service
  * 
- * Hanterar korrekt aggregering av Instagram API data över månader och konton
+ * Hanterar korrekt aggregering av Instagram API data över perioder (månader, veckor eller dagar) och konton
+ * Periodfunktioner tar en period {year, month, granularity, week, day} eller år och månad
  * Säkerställer att summerbara och icke-summerbara metrics behandlas korrekt
  */
-import { calculateAverageReach, safeMetricAggregation, SUMMABLE_METRICS, NON_SUMMABLE_METRICS } from './reach_calculator.js';
-import { calculateMetricTotal, calculateMetricAverage } from './timeseries_analytics.js';
+import { calculateAverageReach, safeMetricAggregation, SUMMABLE_METRICS, NON_SUMMABLE_METRICS, SNAPSHOT_METRICS } from './reach_calculator.js';
+import {
+  calculateMetricTotal,
+  calculateMetricAverage,
+  calculateMetricCoverage,
+  calculateYearToDateComparison,
+  calculateTrailingTwelveComparison,
+  getYearOverYearWindows,
+  YOY_WINDOWS
+} from './timeseries_analytics.js';
+import { METRIC_DEFINITIONS, getAllMetricKeys } from '../utils/metric_categorizer.js';
+import { filterFlaggedData, isMissingValue } from '../core/timeseries_models.js';
+import { getPeriodKey, toPeriod, getSamePeriodLastYear } from '../core/period_granularity.js';
 
 /**
  * Aggregerar data för ett konto över en tidsperiod
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
- * @param {Array<{year: number, month: number}>} periods - Perioder att inkludera (optional, alla om ej angiven)
+ * @param {Array<Object>} periods - Perioder att inkludera (optional, alla om ej angiven)
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Object} - Aggregerad data för kontot
  */
-export function aggregateAccountData(accountTimeseries, periods = null) {
+export function aggregateAccountData(accountTimeseries, periods = null, options = {}) {
   if (!accountTimeseries) {
     throw new Error('aggregateAccountData kräver AccountTimeseries');
   }
 
-  let monthlyData = accountTimeseries.getAllMonthlyData();
+  const allData = accountTimeseries.getAllMonthlyData();
+  let monthlyData = filterFlaggedData(allData, options);
+  const flaggedExcluded = allData.length - monthlyData.length;
   
   // Filtrera på specifika perioder om angivet
   if (periods && periods.length > 0) {
-    const periodKeys = new Set(periods.map(p => `${p.year}_${p.month}`));
-    monthlyData = monthlyData.filter(data => {
-      const key = `${data.year}_${data.month}`;
-      return periodKeys.has(key);
-    });
+    const periodKeys = new Set(periods.map(getPeriodKey));
+    monthlyData = monthlyData.filter(data => periodKeys.has(data.getPeriodKey()));
   }
 
   if (monthlyData.length === 0) {
-    return createEmptyAggregation(accountTimeseries.account);
+    const empty = createEmptyAggregation(accountTimeseries.account);
+    empty.periods.flaggedExcluded = flaggedExcluded;
+    return empty;
   }
 
   // Beräkna aggregerade värden för alla metrics
@@ -44,30 +58,51 @@ export function aggregateAccountData(accountTimeseries, periods = null) {
       total: monthlyData.length,
       first: monthlyData[0].getPeriod(),
       last: monthlyData[monthlyData.length - 1].getPeriod(),
-      included: monthlyData.map(data => data.getPeriod())
+      included: monthlyData.map(data => data.getPeriod()),
+      flaggedExcluded
     },
     metrics: {}
   };
 
   // Aggregera varje metric korrekt
-  const allMetrics = ['reach', 'followers', 'views'];
+  const allMetrics = getAllMetricKeys();
   
   for (const metric of allMetrics) {
+    // Månader utan värde ingår inte i aggregeringen och redovisas som missing
+    const { missingPeriods } = calculateMetricCoverage(accountTimeseries, metric, options);
+
     if (NON_SUMMABLE_METRICS.includes(metric)) {
       // För icke-summerbara metrics: beräkna genomsnitt, min, max
       aggregated.metrics[metric] = {
         type: 'average',
-        average: safeMetricAggregation(accountTimeseries, metric, 'average'),
-        min: safeMetricAggregation(accountTimeseries, metric, 'min'),
-        max: safeMetricAggregation(accountTimeseries, metric, 'max'),
+        average: safeMetricAggregation(accountTimeseries, metric, 'average', options),
+        min: safeMetricAggregation(accountTimeseries, metric, 'min', options),
+        max: safeMetricAggregation(accountTimeseries, metric, 'max', options),
+        missing: missingPeriods,
         note: 'Genomsnitt - kan ej summeras över månader (unika personer)'
       };
+    } else if (SNAPSHOT_METRICS.includes(metric)) {
+      // För ögonblicksvärden: start mot slut och nettoförändring
+      const start = safeMetricAggregation(accountTimeseries, metric, 'first', options);
+      const end = safeMetricAggregation(accountTimeseries, metric, 'last', options);
+      aggregated.metrics[metric] = {
+        type: 'snapshot',
+        start,
+        end,
+        last: end,
+        netChange: safeMetricAggregation(accountTimeseries, metric, 'change', options),
+        min: safeMetricAggregation(accountTimeseries, metric, 'min', options),
+        max: safeMetricAggregation(accountTimeseries, metric, 'max', options),
+        missing: missingPeriods,
+        note: 'Värde vid periodens slut - kan ej summeras över månader'
+      };
     } else {
       // För summerbara metrics: beräkna total och genomsnitt
       aggregated.metrics[metric] = {
         type: 'total',
-        total: safeMetricAggregation(accountTimeseries, metric, 'sum'),
-        average: safeMetricAggregation(accountTimeseries, metric, 'average'),
+        total: safeMetricAggregation(accountTimeseries, metric, 'sum', options),
+        average: safeMetricAggregation(accountTimeseries, metric, 'average', options),
+        missing: missingPeriods,
         note: 'Total - kan summeras över månader'
       };
     }
@@ -79,16 +114,16 @@ export function aggregateAccountData(accountTimeseries, periods = null) {
 /**
  * Aggregerar data för flera konton för en specifik period
  * @param {TimeseriesDataset} dataset - Dataset med alla konton
- * @param {number} year - År
- * @param {number} month - Månad
+ * @param {Object|number} periodOrYear - Period eller år
+ * @param {number} month - Månad när periodOrYear är ett år
  * @returns {Array<Object>} - Aggregerad data för alla konton i perioden
  */
-export function aggregateMultipleAccountsPeriod(dataset, year, month) {
+export function aggregateMultipleAccountsPeriod(dataset, periodOrYear, month) {
   if (!dataset) {
     throw new Error('aggregateMultipleAccountsPeriod kräver TimeseriesDataset');
   }
 
-  const periodData = dataset.getDataForPeriod(year, month);
+  const periodData = dataset.getDataForPeriod(periodOrYear, month);
   if (periodData.length === 0) {
     return [];
   }
@@ -99,72 +134,71 @@ export function aggregateMultipleAccountsPeriod(dataset, year, month) {
       accountId: monthlyData.account.accountId,
       displayName: monthlyData.account.displayName
     },
-    period: {
-      year: monthlyData.year,
-      month: monthlyData.month
-    },
-    metrics: {
-      reach: {
-        value: monthlyData.metrics.reach,
-        type: 'unique_persons',
-        note: 'Unika personer för denna månad'
-      },
-      followers: {
-        value: monthlyData.metrics.followers,
-        type: 'countable_metric',
-        note: 'Antal followers för denna månad'
-      },
-      views: {
-        value: monthlyData.metrics.views,
-        type: 'countable_events',
-        note: 'Antal views för denna månad'
-      }
-    }
+    period: monthlyData.getPeriod(),
+    status: monthlyData.status,
+    comment: monthlyData.comment,
+    flagged: monthlyData.isFlagged(),
+    metrics: Object.fromEntries(
+      Object.entries(METRIC_DEFINITIONS).map(([key, definition]) => [key, {
+        value: monthlyData.metrics[key],
+        type: definition.category,
+        note: definition.description
+      }])
+    )
   }));
 }
 
 /**
  * Beräknar kombinerad statistik över alla konton för en period
  * @param {TimeseriesDataset} dataset - Dataset med alla konton
- * @param {number} year - År
- * @param {number} month - Månad
+ * @param {Object|number} periodOrYear - Period eller år
+ * @param {number} month - Månad när periodOrYear är ett år
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Object} - Kombinerad statistik för perioden
  */
-export function calculatePeriodSummary(dataset, year, month) {
+export function calculatePeriodSummary(dataset, periodOrYear, month, options = {}) {
   if (!dataset) {
     throw new Error('calculatePeriodSummary kräver TimeseriesDataset');
   }
 
-  const periodData = dataset.getDataForPeriod(year, month);
+  const period = toPeriod(periodOrYear, month);
+  const allPeriodData = dataset.getDataForPeriod(period);
+  const periodData = filterFlaggedData(allPeriodData, options);
+  const flaggedAccounts = allPeriodData.length - periodData.length;
+
   if (periodData.length === 0) {
     return {
-      period: { year, month },
+      period,
       totalAccounts: 0,
+      flaggedAccounts,
       metrics: {}
     };
   }
 
   const summary = {
-    period: { year, month },
+    period,
     totalAccounts: periodData.length,
+    flaggedAccounts,
     metrics: {}
   };
 
-  const allMetrics = ['reach', 'followers', 'views'];
+  const allMetrics = getAllMetricKeys();
   
   for (const metric of allMetrics) {
     const values = periodData
       .map(data => data.metrics[metric])
-      .filter(value => value !== null && value !== undefined && !isNaN(value) && value >= 0);
+      .filter(value => !isMissingValue(value) && value >= 0);
+    const missingAccounts = periodData.length - values.length;
 
     if (values.length === 0) {
       summary.metrics[metric] = {
-        total: 0,
-        average: 0,
-        min: 0,
-        max: 0,
+        total: null,
+        average: null,
+        min: null,
+        max: null,
         validAccounts: 0,
-        type: NON_SUMMABLE_METRICS.includes(metric) ? 'unique_persons' : 'countable'
+        missingAccounts,
+        type: getSummaryType(metric)
       };
       continue;
     }
@@ -176,11 +210,13 @@ export function calculatePeriodSummary(dataset, year, month) {
         min: Math.min(...values),
         max: Math.max(...values),
         validAccounts: values.length,
+        missingAccounts,
         type: 'unique_persons',
         note: 'Genomsnitt över konton - total reach kan inte beräknas (överlappning okänd)'
       };
     } else {
-      // För summerbara metrics: både total och genomsnitt
+      // För summerbara metrics och ögonblicksvärden: både total och genomsnitt
+      // Ögonblicksvärden får summeras över konton eftersom alla gäller samma månad
       const total = values.reduce((sum, val) => sum + val, 0);
       summary.metrics[metric] = {
         total,
@@ -188,8 +224,13 @@ export function calculatePeriodSummary(dataset, year, month) {
         min: Math.min(...values),
         max: Math.max(...values),
         validAccounts: values.length,
-        type: 'countable'
+        missingAccounts,
+        type: getSummaryType(metric)
       };
+
+      if (SNAPSHOT_METRICS.includes(metric)) {
+        summary.metrics[metric].note = 'Summa över konton vid periodens slut - kan ej summeras över perioder';
+      }
     }
   }
 
@@ -198,86 +239,204 @@ export function calculatePeriodSummary(dataset, year, month) {
 
 /**
  * Jämför prestanda mellan olika perioder över alla konton
+ * Saknas värden i någon av perioderna blir förändringen null
  * @param {TimeseriesDataset} dataset - Dataset med alla konton
- * @param {Array<{year: number, month: number}>} periods - Perioder att jämföra
+ * @param {Array<Object>} periods - Perioder att jämföra
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Array<Object>} - Jämförelse mellan perioder
  */
-export function comparePeriods(dataset, periods) {
+export function comparePeriods(dataset, periods, options = {}) {
   if (!dataset || !periods || periods.length < 2) {
     throw new Error('comparePeriods kräver TimeseriesDataset och minst 2 perioder');
   }
 
   const periodSummaries = periods.map(period => 
-    calculatePeriodSummary(dataset, period.year, period.month)
+    calculatePeriodSummary(dataset, period, undefined, options)
   );
 
   const comparisons = [];
 
   for (let i = 1; i < periodSummaries.length; i++) {
-    const current = periodSummaries[i];
-    const previous = periodSummaries[i - 1];
+    comparisons.push(compareSummaries(periodSummaries[i], periodSummaries[i - 1]));
+  }
 
-    const comparison = {
-      currentPeriod: current.period,
-      previousPeriod: previous.period,
-      accountCountChange: current.totalAccounts - previous.totalAccounts,
-      metrics: {}
-    };
+  return comparisons;
+}
 
-    const allMetrics = ['reach', 'followers', 'views'];
-
-    for (const metric of allMetrics) {
-      const currentMetric = current.metrics[metric];
-      const previousMetric = previous.metrics[metric];
-
-      if (NON_SUMMABLE_METRICS.includes(metric)) {
-        // Jämför genomsnitt för reach
-        const currentVal = currentMetric.average;
-        const previousVal = previousMetric.average;
-        
-        comparison.metrics[metric] = {
-          currentAverage: currentVal,
-          previousAverage: previousVal,
-          absoluteChange: currentVal - previousVal,
-          percentageChange: previousVal > 0 ? ((currentVal - previousVal) / previousVal) * 100 : null,
-          type: 'average_comparison'
-        };
-      } else {
-        // Jämför totaler för summerbara metrics
-        const currentVal = currentMetric.total;
-        const previousVal = previousMetric.total;
-        
-        comparison.metrics[metric] = {
-          currentTotal: currentVal,
-          previousTotal: previousVal,
-          absoluteChange: currentVal - previousVal,
-          percentageChange: previousVal > 0 ? ((currentVal - previousVal) / previousVal) * 100 : null,
-          type: 'total_comparison'
-        };
-      }
+/**
+ * Jämför två periodsammandrag från calculatePeriodSummary
+ * Reach jämförs som genomsnitt, övriga metrics som totaler
+ * @param {Object} current - Sammandrag för nuvarande period
+ * @param {Object} previous - Sammandrag för jämförelseperioden
+ * @returns {Object} - Jämförelse {currentPeriod, previousPeriod, accountCountChange, metrics}
+ */
+function compareSummaries(current, previous) {
+  const comparison = {
+    currentPeriod: current.period,
+    previousPeriod: previous.period,
+    accountCountChange: current.totalAccounts - previous.totalAccounts,
+    metrics: {}
+  };
+
+  const allMetrics = getAllMetricKeys();
+
+  for (const metric of allMetrics) {
+    // Perioder utan data har inga metrics i sammandraget
+    const currentMetric = current.metrics[metric] || {};
+    const previousMetric = previous.metrics[metric] || {};
+
+    if (NON_SUMMABLE_METRICS.includes(metric)) {
+      // Jämför genomsnitt för reach
+      const currentVal = currentMetric.average ?? null;
+      const previousVal = previousMetric.average ?? null;
+      
+      comparison.metrics[metric] = {
+        currentAverage: currentVal,
+        previousAverage: previousVal,
+        ...calculateChange(currentVal, previousVal),
+        type: 'average_comparison'
+      };
+    } else {
+      // Jämför totaler för summerbara metrics
+      const currentVal = currentMetric.total ?? null;
+      const previousVal = previousMetric.total ?? null;
+      
+      comparison.metrics[metric] = {
+        currentTotal: currentVal,
+        previousTotal: previousVal,
+        ...calculateChange(currentVal, previousVal),
+        type: 'total_comparison'
+      };
     }
+  }
 
-    comparisons.push(comparison);
+  return comparison;
+}
+
+/**
+ * Jämför en period med samma period föregående år över alla konton
+ * Instagram är säsongsberoende, så t.ex. augusti jämförs med augusti i stället för juli
+ * @param {TimeseriesDataset} dataset - Dataset med alla konton
+ * @param {Object|number} periodOrYear - Period eller år
+ * @param {number} month - Månad när periodOrYear är ett år
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {Object} - Jämförelse i samma form som comparePeriods, previousPeriod null om perioden saknas föregående år
+ */
+export function calculatePortfolioYearOverYear(dataset, periodOrYear, month, options = {}) {
+  if (!dataset) {
+    throw new Error('calculatePortfolioYearOverYear kräver TimeseriesDataset');
   }
 
-  return comparisons;
+  const period = toPeriod(periodOrYear, month);
+  const previousPeriod = getSamePeriodLastYear(period);
+  const previous = previousPeriod
+    ? calculatePeriodSummary(dataset, previousPeriod, undefined, options)
+    : { period: null, totalAccounts: 0, flaggedAccounts: 0, metrics: {} };
+
+  return compareSummaries(calculatePeriodSummary(dataset, period, undefined, options), previous);
+}
+
+/**
+ * Jämför ett fönster med samma fönster föregående år över alla konton
+ * Endast konton med värde i båda fönstren ingår så att nya konton inte ser ut som tillväxt.
+ * Reach jämförs som genomsnitt över konton, övriga metrics som totaler
+ * @param {TimeseriesDataset} dataset - Dataset med alla konton
+ * @param {string} type - YOY_WINDOWS-värde
+ * @param {Object} options - {includeFlagged, period, fiscalYearStart} - referensperiod (standard datasetets senaste)
+ * @returns {Object|null} - Jämförelse {type, period, current, previous, metrics} eller null utan data
+ */
+function comparePortfolioWindows(dataset, type, options) {
+  const periods = dataset.getAllPeriods();
+  const period = options.period || periods[periods.length - 1];
+  if (!period) return null;
+
+  const compareAccount = type === YOY_WINDOWS.YEAR_TO_DATE
+    ? calculateYearToDateComparison
+    : calculateTrailingTwelveComparison;
+  const timeseriesList = dataset.getAllAccounts()
+    .map(account => dataset.getAccountTimeseries(account.accountId))
+    .filter(Boolean);
+  const windows = getYearOverYearWindows(period, type, options);
+
+  const result = {
+    type,
+    period,
+    current: windows.current,
+    previous: windows.previous,
+    metrics: {}
+  };
+
+  for (const metric of getAllMetricKeys()) {
+    const comparisons = timeseriesList
+      .map(timeseries => compareAccount(timeseries, metric, { ...options, period }))
+      .filter(Boolean);
+    const comparable = comparisons.filter(comparison => !comparison.missing);
+    const combine = (values) => {
+      if (values.length === 0) return null;
+      const total = values.reduce((sum, value) => sum + value, 0);
+      return NON_SUMMABLE_METRICS.includes(metric) ? Math.round(total / values.length) : total;
+    };
+    const currentVal = combine(comparable.map(comparison => comparison.current.value));
+    const previousVal = combine(comparable.map(comparison => comparison.previous.value));
+
+    result.metrics[metric] = {
+      current: currentVal,
+      previous: previousVal,
+      ...calculateChange(currentVal, previousVal),
+      comparableAccounts: comparable.length,
+      missingAccounts: comparisons.length - comparable.length,
+      incompleteAccounts: comparable.filter(comparison => !comparison.comparable).length,
+      type: NON_SUMMABLE_METRICS.includes(metric) ? 'average_comparison' : 'total_comparison'
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Jämför hittills i år med samma del av föregående år över alla konton
+ * @param {TimeseriesDataset} dataset - Dataset med alla konton
+ * @param {Object} options - {includeFlagged, period, fiscalYearStart} - referensperiod (standard datasetets senaste)
+ *   och räkenskapsårets startmånad
+ * @returns {Object|null} - Jämförelse per metric eller null utan data
+ */
+export function calculatePortfolioYearToDate(dataset, options = {}) {
+  if (!dataset) {
+    throw new Error('calculatePortfolioYearToDate kräver TimeseriesDataset');
+  }
+  return comparePortfolioWindows(dataset, YOY_WINDOWS.YEAR_TO_DATE, options);
+}
+
+/**
+ * Jämför de senaste tolv månaderna med de tolv månaderna innan över alla konton
+ * @param {TimeseriesDataset} dataset - Dataset med alla konton
+ * @param {Object} options - {includeFlagged, period} - referensperiod (standard datasetets senaste)
+ * @returns {Object|null} - Jämförelse per metric eller null utan data
+ */
+export function calculatePortfolioTrailingTwelve(dataset, options = {}) {
+  if (!dataset) {
+    throw new Error('calculatePortfolioTrailingTwelve kräver TimeseriesDataset');
+  }
+  return comparePortfolioWindows(dataset, YOY_WINDOWS.TRAILING_TWELVE, options);
 }
 
 /**
  * Identifierar topppresterande konton för en specifik metric och period
  * @param {TimeseriesDataset} dataset - Dataset med alla konton
- * @param {number} year - År
- * @param {number} month - Månad
+ * @param {Object|number} periodOrYear - Period eller år
+ * @param {number} month - Månad när periodOrYear är ett år
  * @param {string} metric - Metric att rangordna efter
  * @param {number} topCount - Antal top-performers att returnera (default 5)
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Array<Object>} - Rankad lista med topppresterare
  */
-export function getTopPerformers(dataset, year, month, metric, topCount = 5) {
+export function getTopPerformers(dataset, periodOrYear, month, metric, topCount = 5, options = {}) {
   if (!dataset || !metric) {
     throw new Error('getTopPerformers kräver TimeseriesDataset och metric');
   }
 
-  const periodData = dataset.getDataForPeriod(year, month);
+  const period = toPeriod(periodOrYear, month);
+  const periodData = filterFlaggedData(dataset.getDataForPeriod(period), options);
   if (periodData.length === 0) {
     return [];
   }
@@ -286,7 +445,7 @@ export function getTopPerformers(dataset, year, month, metric, topCount = 5) {
   const sorted = periodData
     .filter(data => {
       const value = data.metrics[metric];
-      return value !== null && value !== undefined && !isNaN(value) && value >= 0;
+      return !isMissingValue(value) && value >= 0;
     })
     .sort((a, b) => b.metrics[metric] - a.metrics[metric])
     .slice(0, topCount);
@@ -298,7 +457,7 @@ export function getTopPerformers(dataset, year, month, metric, topCount = 5) {
       accountId: data.account.accountId,
       displayName: data.account.displayName
     },
-    period: { year, month },
+    period,
     metric,
     value: data.metrics[metric],
     allMetrics: data.metrics
@@ -308,12 +467,13 @@ export function getTopPerformers(dataset, year, month, metric, topCount = 5) {
 /**
  * Beräknar marknadsandel för varje konto för summerbara metrics
  * @param {TimeseriesDataset} dataset - Dataset med alla konton
- * @param {number} year - År
- * @param {number} month - Månad
+ * @param {Object|number} periodOrYear - Period eller år
+ * @param {number} month - Månad när periodOrYear är ett år
  * @param {string} metric - Metric att beräkna marknadsandel för (måste vara summerbar)
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Array<Object>} - Marknadsandel per konto
  */
-export function calculateMarketShare(dataset, year, month, metric) {
+export function calculateMarketShare(dataset, periodOrYear, month, metric, options = {}) {
   if (!dataset || !metric) {
     throw new Error('calculateMarketShare kräver TimeseriesDataset och metric');
   }
@@ -322,15 +482,16 @@ export function calculateMarketShare(dataset, year, month, metric) {
     throw new Error(`Marknadsandel kan inte beräknas för ${metric} eftersom det representerar unika personer som kan överlappa mellan konton`);
   }
 
-  const periodData = dataset.getDataForPeriod(year, month);
+  const period = toPeriod(periodOrYear, month);
+  const periodData = dataset.getDataForPeriod(period);
   if (periodData.length === 0) {
     return [];
   }
 
-  // Beräkna total för alla konton
-  const validData = periodData.filter(data => {
+  // Beräkna total för alla konton (flaggade rader utesluts som standard)
+  const validData = filterFlaggedData(periodData, options).filter(data => {
     const value = data.metrics[metric];
-    return value !== null && value !== undefined && !isNaN(value) && value >= 0;
+    return !isMissingValue(value) && value >= 0;
   });
 
   if (validData.length === 0) {
@@ -350,7 +511,7 @@ export function calculateMarketShare(dataset, year, month, metric) {
         accountId: data.account.accountId,
         displayName: data.account.displayName
       },
-      period: { year, month },
+      period,
       metric,
       value: data.metrics[metric],
       marketShare: Math.round((data.metrics[metric] / totalMarket) * 10000) / 100, // 2 decimaler
@@ -359,29 +520,68 @@ export function calculateMarketShare(dataset, year, month, metric) {
     .sort((a, b) => b.marketShare - a.marketShare);
 }
 
+/**
+ * Beräknar absolut och procentuell förändring mellan två aggregerade värden
+ * @param {number|null} currentVal - Nuvarande värde
+ * @param {number|null} previousVal - Föregående värde
+ * @returns {Object} - {absoluteChange, percentageChange}, null om något värde saknas
+ */
+function calculateChange(currentVal, previousVal) {
+  if (isMissingValue(currentVal) || isMissingValue(previousVal)) {
+    return { absoluteChange: null, percentageChange: null };
+  }
+
+  return {
+    absoluteChange: currentVal - previousVal,
+    percentageChange: previousVal > 0 ? ((currentVal - previousVal) / previousVal) * 100 : null
+  };
+}
+
+/**
+ * Returnerar sammandragstyp för en metric i en enskild period
+ * @param {string} metric - Metric att klassificera
+ * @returns {string} - 'unique_persons', 'point_in_time' eller 'countable'
+ */
+function getSummaryType(metric) {
+  if (NON_SUMMABLE_METRICS.includes(metric)) return 'unique_persons';
+  if (SNAPSHOT_METRICS.includes(metric)) return 'point_in_time';
+  return 'countable';
+}
+
 /**
  * Skapar tom aggregering för ett konto utan data
  * @param {InstagramAccount} account - Konto att skapa tom aggregering för
  * @returns {Object} - Tom aggregering
  */
 function createEmptyAggregation(account) {
-  const allMetrics = ['reach', 'followers', 'views'];
+  const allMetrics = getAllMetricKeys();
   const metrics = {};
 
   for (const metric of allMetrics) {
     if (NON_SUMMABLE_METRICS.includes(metric)) {
       metrics[metric] = {
         type: 'average',
-        average: 0,
-        min: 0,
-        max: 0,
+        average: null,
+        min: null,
+        max: null,
+        note: 'Inga data tillgängliga'
+      };
+    } else if (SNAPSHOT_METRICS.includes(metric)) {
+      metrics[metric] = {
+        type: 'snapshot',
+        start: null,
+        end: null,
+        last: null,
+        netChange: null,
+        min: null,
+        max: null,
         note: 'Inga data tillgängliga'
       };
     } else {
       metrics[metric] = {
         type: 'total',
-        total: 0,
-        average: 0,
+        total: null,
+        average: null,
         note: 'Inga data tillgängliga'
       };
     }
@@ -397,7 +597,8 @@ function createEmptyAggregation(account) {
       total: 0,
       first: null,
       last: null,
-      included: []
+      included: [],
+      flaggedExcluded: 0
     },
     metrics
   };
@@ -424,6 +625,11 @@ export function validateAggregationParams(params) {
     errors.push(`Metric '${params.metric}' kan inte summeras över månader - använd genomsnitt istället`);
   }
 
+  // Ögonblicksvärden får endast summeras över konton inom samma månad
+  if (params.metric && SNAPSHOT_METRICS.includes(params.metric) && params.operation === 'sum' && params.scope !== 'pages') {
+    errors.push(`Metric '${params.metric}' är ett ögonblicksvärde och kan inte summeras över månader - använd sista värdet eller nettoförändring`);
+  }
+
   if (params.periods && params.periods.length === 0) {
     warnings.push('Tom periods-array angiven');
   }
@@ -0,0 +1,348 @@
+/**
+ * Anomaly Detection
+ *
+ * Hittar perioder med avvikande värden för valfri metric och för alla konton
+ * Metoderna är robusta mot enstaka extremvärden: median/MAD, kvartilavstånd (IQR)
+ * och rester från en säsongsmodell när kontot har minst två års historik
+ */
+import { getAllMetricKeys } from '../utils/metric_categorizer.js';
+import { isMissingValue } from '../core/timeseries_models.js';
+import { getPeriodKey, getPeriodGranularity } from '../core/period_granularity.js';
+import { getSeasonLength, getForecastHistory } from './forecasting.js';
+
+/**
+ * Tillgängliga metoder
+ */
+export const ANOMALY_METHODS = {
+  MAD: 'mad',
+  IQR: 'iqr',
+  SEASONAL_RESIDUAL: 'seasonal_residual'
+};
+
+/**
+ * Metoder med visningsnamn
+ */
+export const ANOMALY_METHOD_OPTIONS = [
+  { value: ANOMALY_METHODS.MAD, label: 'Median/MAD' },
+  { value: ANOMALY_METHODS.IQR, label: 'Kvartilavstånd (IQR)' },
+  { value: ANOMALY_METHODS.SEASONAL_RESIDUAL, label: 'Säsongsrest' }
+];
+
+/**
+ * Allvarlighetsgrad, från mest till minst allvarlig
+ */
+export const ANOMALY_SEVERITIES = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+/**
+ * Allvarlighetsgrader med visningsnamn
+ */
+export const ANOMALY_SEVERITY_OPTIONS = [
+  { value: ANOMALY_SEVERITIES.HIGH, label: 'Hög' },
+  { value: ANOMALY_SEVERITIES.MEDIUM, label: 'Medel' },
+  { value: ANOMALY_SEVERITIES.LOW, label: 'Låg' }
+];
+
+// Standardtrösklar - robust z-värde 3,5 (Iglewicz & Hoaglin) och 1,5 kvartilavstånd (Tukey)
+const DEFAULT_THRESHOLDS = {
+  [ANOMALY_METHODS.MAD]: 3.5,
+  [ANOMALY_METHODS.IQR]: 1.5,
+  [ANOMALY_METHODS.SEASONAL_RESIDUAL]: 3.5
+};
+
+// Minsta antal värden för att en avvikelse ska betyda något
+const MIN_SAMPLE_SIZE = 4;
+
+// Minsta skala för kvoter mot säsongsmodellen - en nästan brusfri serie ska inte göra
+// avrundningsfel på några tiondels procent till avvikelser
+const MIN_RATIO_SCALE = 0.02;
+
+// Säsongsfaktorer från färre år än så kan inte skilja en engångstopp från säsong
+const ROBUST_SEASON_YEARS = 3;
+
+// Poäng (avvikelse delat med tröskel) som ger medel respektive hög allvarlighet
+const SEVERITY_SCORES = {
+  [ANOMALY_SEVERITIES.HIGH]: 2,
+  [ANOMALY_SEVERITIES.MEDIUM]: 1.5
+};
+
+/**
+ * Kvantil med linjär interpolation
+ * @param {Array<number>} sorted - Sorterade värden
+ * @param {number} q - Kvantil 0-1
+ * @returns {number} - Kvantilvärde
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Skala för avvikelser när MAD eller IQR är 0 (t.ex. många identiska värden)
+ * Medelabsolutavvikelsen omräknad till samma skala som en standardavvikelse
+ * @param {Array<number>} values - Värden
+ * @param {number} center - Median
+ * @returns {number} - Skala, 0 om alla värden är lika
+ */
+function meanAbsoluteScale(values, center) {
+  return 1.2533 * values.reduce((sum, value) => sum + Math.abs(value - center), 0) / values.length;
+}
+
+/**
+ * Avvikelsemått per värde - robust z-värde för MAD, antal kvartilavstånd utanför kvartilerna för IQR
+ * @param {Array<number>} values - Värden
+ * @param {string} method - ANOMALY_METHODS.MAD eller ANOMALY_METHODS.IQR
+ * @param {number} minScale - Lägsta skala (standard 0)
+ * @returns {Object} - {center, scale, statistics: Array<number>} - statistics med tecken (negativt = lågt)
+ */
+function measureDeviations(values, method, minScale = 0) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const center = quantile(sorted, 0.5);
+
+  if (method === ANOMALY_METHODS.IQR) {
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    // 1,349 standardavvikelser motsvarar kvartilavståndet i en normalfördelning
+    const scale = Math.max(q3 - q1 || 1.349 * meanAbsoluteScale(values, center), minScale);
+    return {
+      center,
+      scale,
+      statistics: values.map(value => {
+        if (scale === 0) return 0;
+        if (value > q3) return (value - q3) / scale;
+        if (value < q1) return (value - q1) / scale;
+        return 0;
+      })
+    };
+  }
+
+  const mad = quantile(sorted.map(value => Math.abs(value - center)).sort((a, b) => a - b), 0.5);
+  // MAD/0,6745 motsvarar en standardavvikelse i en normalfördelning
+  const scale = Math.max(mad > 0 ? mad / 0.6745 : meanAbsoluteScale(values, center), minScale);
+  return {
+    center,
+    scale,
+    statistics: values.map(value => (scale === 0 ? 0 : (value - center) / scale))
+  };
+}
+
+/**
+ * Allvarlighetsgrad för en poäng
+ * @param {number} score - Avvikelse delat med tröskel (minst 1 för en avvikelse)
+ * @returns {string} - ANOMALY_SEVERITIES-värde
+ */
+function getSeverity(score) {
+  if (score >= SEVERITY_SCORES[ANOMALY_SEVERITIES.HIGH]) return ANOMALY_SEVERITIES.HIGH;
+  if (score >= SEVERITY_SCORES[ANOMALY_SEVERITIES.MEDIUM]) return ANOMALY_SEVERITIES.MEDIUM;
+  return ANOMALY_SEVERITIES.LOW;
+}
+
+/**
+ * Median av de värden som finns
+ * @param {Array<number|null>} values - Värden
+ * @returns {number|null} - Median eller null
+ */
+function median(values) {
+  const present = values.filter(value => value !== null).sort((a, b) => a - b);
+  return present.length > 0 ? quantile(present, 0.5) : null;
+}
+
+/**
+ * Centrerad glidande median över ett år
+ * @param {Array<number|null>} values - Värden i periodordning
+ * @param {number} index - Position att räkna trend för
+ * @param {number} seasonLength - Perioder per år
+ * @returns {number|null} - Trend, null i seriens ändar där hela fönstret saknas
+ */
+function centeredMovingMedian(values, index, seasonLength) {
+  const half = Math.floor(seasonLength / 2);
+  if (index - half < 0 || index + half >= values.length) return null;
+  return median(values.slice(index - half, index + half + 1));
+}
+
+/**
+ * Robust säsongsmodell för ett kontos serie
+ * Trenden är en centrerad glidande median över ett år och säsongsfaktorn medianen av kvoten
+ * värde/trend för samma position i året, så att en enstaka topp varken drar med sig trenden
+ * eller säsongen. Perioder utan helt trendfönster får ingen förväntan och bedöms inte
+ * @param {Array<Object>} history - Serie från getForecastHistory
+ * @param {number} seasonLength - Perioder per år
+ * @returns {Map<string, Object>} - periodnyckel → {expected, ratio, trendRatio, seasonYears}
+ */
+function getSeasonalExpectations(history, seasonLength) {
+  const values = history.map(point => point.value);
+  const trend = values.map((value, index) => centeredMovingMedian(values, index, seasonLength));
+  const trendRatios = values.map((value, index) => (
+    value !== null && trend[index] !== null && trend[index] > 0 ? value / trend[index] : null
+  ));
+
+  const positions = Array.from({ length: seasonLength }, (unused, position) => (
+    trendRatios.filter((ratio, index) => index % seasonLength === position && ratio !== null)
+  ));
+  const factors = positions.map(ratios => median(ratios) ?? 1);
+
+  const expectations = new Map();
+  history.forEach(({ period, value }, index) => {
+    if (trendRatios[index] === null) return;
+    const expected = trend[index] * factors[index % seasonLength];
+    if (expected > 0) {
+      expectations.set(getPeriodKey(period), {
+        expected,
+        ratio: value / expected,
+        trendRatio: trendRatios[index],
+        seasonYears: positions[index % seasonLength].length
+      });
+    }
+  });
+
+  return expectations;
+}
+
+/**
+ * Hittar avvikande perioder för en metric för ett konto
+ * Utan metod används säsongsrest när kontot har två års historik, annars median/MAD
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att granska
+ * @param {Object} options - {method, threshold, includeFlagged} - metod, tröskel (standard per metod)
+ *   och flaggade rader (standard false)
+ * @returns {Object} - {method, metric, anomalies, statistics} - statistics null om underlaget är för litet
+ */
+export function detectAccountAnomalies(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('detectAccountAnomalies kräver AccountTimeseries och metric');
+  }
+  if (options.method && !Object.values(ANOMALY_METHODS).includes(options.method)) {
+    throw new Error(`detectAccountAnomalies kräver en giltig metod, fick ${options.method}`);
+  }
+
+  const monthlyData = accountTimeseries.getAnalysisData(options);
+  const withValues = monthlyData.filter(data => !isMissingValue(data.metrics[metric]));
+
+  const history = getForecastHistory(accountTimeseries, metric, options);
+  const seasonLength = history.length > 0 ? getSeasonLength(getPeriodGranularity(history[0].period)) : null;
+  const hasSeasonalModel = seasonLength !== null && history.length >= 2 * seasonLength;
+  const method = options.method || (hasSeasonalModel ? ANOMALY_METHODS.SEASONAL_RESIDUAL : ANOMALY_METHODS.MAD);
+  const threshold = options.threshold ?? DEFAULT_THRESHOLDS[method];
+  const empty = { method, metric, anomalies: [], statistics: null };
+
+  // Säsongsrest jämför kvoten mot säsongsmodellen, övriga metoder värdena direkt
+  let candidates;
+  if (method === ANOMALY_METHODS.SEASONAL_RESIDUAL) {
+    if (!hasSeasonalModel) return empty;
+    const expectations = getSeasonalExpectations(history, seasonLength);
+    candidates = withValues
+      .filter(data => expectations.has(data.getPeriodKey()))
+      .map(data => ({ data, ...expectations.get(data.getPeriodKey()) }));
+  } else {
+    candidates = withValues.map(data => ({ data }));
+  }
+
+  if (candidates.length < MIN_SAMPLE_SIZE) return empty;
+
+  const measured = method === ANOMALY_METHODS.SEASONAL_RESIDUAL
+    ? measureDeviations(candidates.map(candidate => candidate.ratio), ANOMALY_METHODS.MAD, MIN_RATIO_SCALE)
+    : measureDeviations(candidates.map(candidate => candidate.data.metrics[metric]), method);
+
+  // Med få år kan en topp ena året lika gärna se ut som en svacka andra året - då krävs att
+  // perioden även avviker från trenden åt samma håll, och den mindre avvikelsen räknas
+  const trendDeviations = method === ANOMALY_METHODS.SEASONAL_RESIDUAL
+    ? measureDeviations(candidates.map(candidate => candidate.trendRatio), ANOMALY_METHODS.MAD, MIN_RATIO_SCALE).statistics
+    : null;
+
+  const anomalies = [];
+  candidates.forEach((candidate, index) => {
+    let statistic = measured.statistics[index];
+    if (trendDeviations && candidate.seasonYears < ROBUST_SEASON_YEARS) {
+      const trendStatistic = trendDeviations[index];
+      statistic = Math.sign(statistic) === Math.sign(trendStatistic)
+        ? Math.sign(statistic) * Math.min(Math.abs(statistic), Math.abs(trendStatistic))
+        : 0;
+    }
+    const score = Math.abs(statistic) / threshold;
+    if (score < 1) return;
+
+    const { data } = candidate;
+    anomalies.push({
+      period: data.getPeriod(),
+      value: data.metrics[metric],
+      expected: Math.round(candidate.expected ?? measured.center),
+      direction: statistic > 0 ? 'high' : 'low',
+      statistic,
+      score,
+      severity: getSeverity(score),
+      method,
+      metric,
+      flagged: data.isFlagged(),
+      username: data.account.username,
+      accountId: data.account.accountId
+    });
+  });
+
+  return {
+    method,
+    metric,
+    anomalies,
+    statistics: {
+      center: measured.center,
+      scale: measured.scale,
+      threshold,
+      sampleSize: candidates.length,
+      missingValues: monthlyData.length - withValues.length
+    }
+  };
+}
+
+/**
+ * Går igenom alla konton och metrics och rangordnar avvikelserna, allvarligast först
+ * @param {TimeseriesDataset} dataset - Dataset med alla konton
+ * @param {Object} options - {metrics, method, threshold, includeFlagged} - metrics (standard alla),
+ *   övriga alternativ som för detectAccountAnomalies
+ * @returns {Array<Object>} - Avvikelser sorterade efter poäng
+ */
+export function scanPortfolioAnomalies(dataset, options = {}) {
+  if (!dataset) {
+    throw new Error('scanPortfolioAnomalies kräver TimeseriesDataset');
+  }
+
+  const metrics = options.metrics || getAllMetricKeys();
+  const anomalies = [];
+
+  for (const account of dataset.getAllAccounts()) {
+    const accountTimeseries = dataset.getAccountTimeseries(account.accountId);
+    if (!accountTimeseries) continue;
+
+    for (const metric of metrics) {
+      anomalies.push(...detectAccountAnomalies(accountTimeseries, metric, options).anomalies);
+    }
+  }
+
+  return anomalies.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Nyckel för att slå upp en avvikelse per konto, period och metric
+ * @param {string} accountId - Konto-ID
+ * @param {Object} period - Period
+ * @param {string} metric - Metric
+ * @returns {string} - Uppslagsnyckel
+ */
+export function getAnomalyKey(accountId, period, metric) {
+  return `${accountId}|${getPeriodKey(period)}|${metric}`;
+}
+
+/**
+ * Indexerar avvikelser för uppslag i tabeller och diagram
+ * @param {Array<Object>} anomalies - Avvikelser från scanPortfolioAnomalies
+ * @returns {Map<string, Object>} - getAnomalyKey → avvikelse
+ */
+export function indexAnomalies(anomalies) {
+  return new Map(anomalies.map(anomaly => [
+    getAnomalyKey(anomaly.accountId, anomaly.period, anomaly.metric),
+    anomaly
+  ]));
+}
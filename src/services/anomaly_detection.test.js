@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InstagramAccount, MonthlyAccountData, AccountTimeseries } from '../core/timeseries_models.js';
+import { detectAccountAnomalies, ANOMALY_METHODS } from './anomaly_detection.js';
+
+const FIRST_YEAR = 2022;
+
+/**
+ * Bygger en månadsserie för ett konto
+ * @param {Function} getValue - (index, month) → värde för views
+ * @param {number} years - Antal hela år
+ * @returns {AccountTimeseries} - Tidserie från januari FIRST_YEAR
+ */
+function buildTimeseries(getValue, years = 4) {
+  const account = new InstagramAccount('testkonto', '17841400000000001');
+  const timeseries = new AccountTimeseries(account);
+  for (let index = 0; index < years * 12; index++) {
+    const month = (index % 12) + 1;
+    const year = FIRST_YEAR + Math.floor(index / 12);
+    timeseries.addMonthlyData(new MonthlyAccountData(account, year, month, { views: getValue(index, month) }));
+  }
+  return timeseries;
+}
+
+const SEASON = [80, 70, 90, 100, 110, 120, 100, 95, 105, 115, 130, 160];
+
+test('ren säsongsserie ger inga avvikelser', () => {
+  for (const years of [2, 3, 4]) {
+    const result = detectAccountAnomalies(buildTimeseries((index, month) => 1000 * SEASON[month - 1], years), 'views');
+    assert.equal(result.method, ANOMALY_METHODS.SEASONAL_RESIDUAL);
+    assert.deepEqual(result.anomalies, [], `${years} år`);
+  }
+});
+
+test('ren linjär trend ger inga avvikelser', () => {
+  const result = detectAccountAnomalies(buildTimeseries(index => 1000 + 50 * index), 'views');
+  assert.deepEqual(result.anomalies, []);
+});
+
+test('tillväxt med decembertopp ger inga avvikelser', () => {
+  const timeseries = buildTimeseries((index, month) => Math.round((1000 + 20 * index) * (month === 12 ? 1.6 : 1)));
+  assert.deepEqual(detectAccountAnomalies(timeseries, 'views').anomalies, []);
+});
+
+test('seriens ändar bedöms inte med säsongsrest', () => {
+  const timeseries = buildTimeseries((index, month) => (index === 0 ? 5000 : 1000 * SEASON[month - 1] / 100));
+  assert.deepEqual(detectAccountAnomalies(timeseries, 'views').anomalies, []);
+});
+
+test('enstaka topp mitt i serien hittas', () => {
+  const timeseries = buildTimeseries((index, month) => 10 * SEASON[month - 1] * (index === 20 ? 4 : 1) + index);
+  const { anomalies } = detectAccountAnomalies(timeseries, 'views');
+  assert.equal(anomalies.length, 1);
+  assert.equal(anomalies[0].period.year, FIRST_YEAR + 1);
+  assert.equal(anomalies[0].period.month, 9);
+  assert.equal(anomalies[0].direction, 'high');
+});
@@ -0,0 +1,438 @@
+/**
+ * Forecasting
+ *
+ * Prognoser för ett kontos metrics (reach, visningar, följare m.fl.) framåt i tiden
+ * Linjär trend, exponentiell utjämning med trend (Holt) och säsongsberoende Holt-Winters
+ * när mer än två hela år finns. Varje prognos har prediktionsintervall och ett backtest-fel
+ */
+import { isMissingValue } from '../core/timeseries_models.js';
+import {
+  PERIOD_GRANULARITIES,
+  getPeriodGranularity,
+  getPeriodKey,
+  getNextPeriod
+} from '../core/period_granularity.js';
+
+/**
+ * Tillgängliga prognosmetoder
+ */
+export const FORECAST_METHODS = {
+  LINEAR: 'linear',
+  EXPONENTIAL_SMOOTHING: 'exponential_smoothing',
+  HOLT_WINTERS: 'holt_winters'
+};
+
+/**
+ * Prognosmetoder med visningsnamn
+ */
+export const FORECAST_METHOD_OPTIONS = [
+  { value: FORECAST_METHODS.LINEAR, label: 'Linjär trend' },
+  { value: FORECAST_METHODS.EXPONENTIAL_SMOOTHING, label: 'Exponentiell utjämning' },
+  { value: FORECAST_METHODS.HOLT_WINTERS, label: 'Holt-Winters (säsong)' }
+];
+
+// Perioder per år - säsongslängd för Holt-Winters. Dagar och år saknar användbar årssäsong
+const SEASON_LENGTHS = {
+  [PERIOD_GRANULARITIES.WEEK]: 52,
+  [PERIOD_GRANULARITIES.MONTH]: 12,
+  [PERIOD_GRANULARITIES.QUARTER]: 4,
+  [PERIOD_GRANULARITIES.HALF_YEAR]: 2
+};
+
+// Minsta antal perioder med värde per metod (Holt-Winters kräver dessutom två hela säsonger)
+const MIN_VALUES = {
+  [FORECAST_METHODS.LINEAR]: 3,
+  [FORECAST_METHODS.EXPONENTIAL_SMOOTHING]: 4,
+  [FORECAST_METHODS.HOLT_WINTERS]: 4
+};
+
+// z-värden för tvåsidiga prediktionsintervall
+const INTERVAL_Z = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96
+};
+
+const DEFAULT_CONFIDENCE = 0.95;
+const DEFAULT_HORIZON = 6;
+
+// Parametervärden som prövas för utjämningsmetoderna
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+/**
+ * Säsongslängd för Holt-Winters
+ * @param {string} granularity - Seriens upplösning
+ * @returns {number|null} - Perioder per år, null om upplösningen saknar säsong
+ */
+export function getSeasonLength(granularity) {
+  return SEASON_LENGTHS[granularity] ?? null;
+}
+
+/**
+ * Prognosmetoder som går att använda för en serie
+ * Holt-Winters kräver två hela år (24 månader) för att kunna skatta säsongen och minst en period
+ * till så att backtestet kan pröva samma modell
+ * @param {string} granularity - Seriens upplösning
+ * @param {number} periodCount - Antal perioder i serien, från första till sista värdet
+ * @returns {Array<string>} - FORECAST_METHODS-värden
+ */
+export function getAvailableForecastMethods(granularity, periodCount) {
+  const seasonLength = getSeasonLength(granularity);
+
+  return Object.values(FORECAST_METHODS).filter(method => {
+    if (periodCount < MIN_VALUES[method]) return false;
+    if (method !== FORECAST_METHODS.HOLT_WINTERS) return true;
+    return seasonLength !== null && periodCount > getMinLength(method, seasonLength);
+  });
+}
+
+/**
+ * Medelvärde av de värden som finns
+ * @param {Array<number|null>} values - Värden
+ * @returns {number|null} - Medelvärde eller null
+ */
+function mean(values) {
+  const present = values.filter(value => value !== null);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+/**
+ * Linjär trend med minsta kvadrat-metoden
+ * @param {Array<number|null>} values - Serie med null för saknade värden
+ * @returns {Object} - {predict(h), sigma, intervalFactor(h), parameters}
+ */
+function fitLinear(values) {
+  const points = values
+    .map((value, index) => ({ x: index, y: value }))
+    .filter(point => point.y !== null);
+  const n = points.length;
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const slope = sxx === 0 ? 0 : points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / sxx;
+  const intercept = meanY - slope * meanX;
+  const sse = points.reduce((sum, point) => sum + (point.y - (intercept + slope * point.x)) ** 2, 0);
+  const last = values.length - 1;
+
+  return {
+    predict: (h) => intercept + slope * (last + h),
+    sigma: Math.sqrt(sse / Math.max(1, n - 2)),
+    intervalFactor: (h) => Math.sqrt(1 + 1 / n + (sxx === 0 ? 0 : (last + h - meanX) ** 2 / sxx)),
+    parameters: { slope, intercept }
+  };
+}
+
+/**
+ * Kör additiv exponentiell utjämning med trend och valfri säsong med givna parametrar
+ * Saknade värden ersätts med prognosen för perioden så att tillstånden ändå förs framåt
+ * @param {Array<number|null>} values - Serie som börjar med ett värde
+ * @param {Object} params - {alpha, beta, gamma}
+ * @param {number|null} seasonLength - Säsongslängd, null för Holt utan säsong
+ * @returns {Object} - {level, trend, seasonals, sse, errors}
+ */
+function runSmoothing(values, { alpha, beta, gamma }, seasonLength) {
+  let level;
+  let trend;
+  let seasonals = [];
+  let start;
+
+  if (seasonLength) {
+    // Nivå och trend från de två första säsongerna, nivån placerad i första säsongens sista period
+    const first = mean(values.slice(0, seasonLength));
+    const second = mean(values.slice(seasonLength, 2 * seasonLength));
+    trend = second === null ? 0 : (second - first) / seasonLength;
+    level = first + trend * (seasonLength - 1) / 2;
+    seasonals = values.slice(0, seasonLength).map((value, index) => (
+      value === null ? 0 : value - (first + trend * (index - (seasonLength - 1) / 2))
+    ));
+    start = seasonLength;
+  } else {
+    level = values[0];
+    trend = values[1] === null ? 0 : values[1] - values[0];
+    start = 1;
+  }
+
+  let sse = 0;
+  let errors = 0;
+
+  for (let t = start; t < values.length; t++) {
+    const season = seasonLength ? seasonals[t % seasonLength] : 0;
+    const forecast = level + trend + season;
+    const actual = values[t] === null ? forecast : values[t];
+
+    if (values[t] !== null) {
+      sse += (actual - forecast) ** 2;
+      errors++;
+    }
+
+    const previousLevel = level;
+    level = alpha * (actual - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (seasonLength) {
+      seasonals[t % seasonLength] = gamma * (actual - level) + (1 - gamma) * season;
+    }
+  }
+
+  return { level, trend, seasonals, sse, errors };
+}
+
+/**
+ * Exponentiell utjämning (Holt) eller Holt-Winters med parametrar valda efter minsta enstegsfel
+ * Intervallen växer med horisonten enligt Holts varians - för Holt-Winters en approximation
+ * @param {Array<number|null>} values - Serie som börjar med ett värde
+ * @param {number|null} seasonLength - Säsongslängd, null för Holt utan säsong
+ * @returns {Object} - {predict(h), sigma, intervalFactor(h), parameters}
+ */
+function fitSmoothing(values, seasonLength) {
+  let best = null;
+
+  for (const alpha of SMOOTHING_GRID) {
+    for (const beta of SMOOTHING_GRID) {
+      for (const gamma of seasonLength ? SMOOTHING_GRID : [0]) {
+        const result = runSmoothing(values, { alpha, beta, gamma }, seasonLength);
+        if (!best || result.sse < best.result.sse) {
+          best = { params: { alpha, beta, gamma }, result };
+        }
+      }
+    }
+  }
+
+  const { params, result } = best;
+  const last = values.length - 1;
+
+  return {
+    predict: (h) => result.level + h * result.trend + (seasonLength ? result.seasonals[(last + h) % seasonLength] : 0),
+    sigma: Math.sqrt(result.sse / Math.max(1, result.errors)),
+    intervalFactor: (h) => {
+      let variance = 1;
+      for (let j = 1; j < h; j++) {
+        variance += params.alpha ** 2 * (1 + j * params.beta) ** 2;
+      }
+      return Math.sqrt(variance);
+    },
+    parameters: seasonLength ? { ...params, seasonLength } : { alpha: params.alpha, beta: params.beta }
+  };
+}
+
+/**
+ * Anpassar en prognosmodell till en serie
+ * @param {Array<number|null>} values - Serie som börjar och slutar med ett värde
+ * @param {string} method - FORECAST_METHODS-värde
+ * @param {number|null} seasonLength - Säsongslängd för Holt-Winters
+ * @returns {Object} - Anpassad modell
+ */
+function fitModel(values, method, seasonLength) {
+  if (method === FORECAST_METHODS.LINEAR) return fitLinear(values);
+  return fitSmoothing(values, method === FORECAST_METHODS.HOLT_WINTERS ? seasonLength : null);
+}
+
+/**
+ * Kontrollerar om en serie räcker för en metod
+ * @param {Array<number|null>} values - Serie
+ * @param {string} method - FORECAST_METHODS-värde
+ * @param {number|null} seasonLength - Säsongslängd för Holt-Winters
+ * @returns {boolean} - True om modellen kan anpassas
+ */
+function hasEnoughData(values, method, seasonLength) {
+  const valueCount = values.filter(value => value !== null).length;
+  if (valueCount < MIN_VALUES[method]) return false;
+  if (method !== FORECAST_METHODS.HOLT_WINTERS) return true;
+  return seasonLength !== null && values.length >= 2 * seasonLength;
+}
+
+/**
+ * Prognos för en serie med jämnt avstånd mellan perioderna
+ * Värdena avrundas och kan inte bli negativa eftersom alla metrics är antal
+ * @param {Array<number|null>} values - Serie med null för saknade värden, första och sista värdet måste finnas
+ * @param {string} method - FORECAST_METHODS-värde
+ * @param {Object} options - {horizon, seasonLength, confidence} - antal perioder framåt (standard 6),
+ *   säsongslängd för Holt-Winters och intervallets konfidensnivå 0.8, 0.9 eller 0.95 (standard 0.95)
+ * @returns {Object} - {values: [{step, value, lower, upper}], sigma, parameters}
+ */
+export function forecastSeries(values, method, options = {}) {
+  if (!Array.isArray(values) || !Object.values(FORECAST_METHODS).includes(method)) {
+    throw new Error('forecastSeries kräver en serie och en giltig prognosmetod');
+  }
+
+  const horizon = options.horizon ?? DEFAULT_HORIZON;
+  const confidence = options.confidence ?? DEFAULT_CONFIDENCE;
+  const z = INTERVAL_Z[confidence];
+  if (!z) {
+    throw new Error(`forecastSeries kräver konfidensnivå ${Object.keys(INTERVAL_Z).join(', ')}, fick ${confidence}`);
+  }
+
+  const seasonLength = options.seasonLength ?? null;
+  if (!hasEnoughData(values, method, seasonLength)) {
+    throw new Error(`forecastSeries har för få värden för ${method}`);
+  }
+
+  const model = fitModel(values, method, seasonLength);
+  const forecast = [];
+  for (let step = 1; step <= horizon; step++) {
+    const value = model.predict(step);
+    const margin = z * model.sigma * model.intervalFactor(step);
+    forecast.push({
+      step,
+      value: Math.max(0, Math.round(value)),
+      lower: Math.max(0, Math.round(value - margin)),
+      upper: Math.max(0, Math.round(value + margin))
+    });
+  }
+
+  return { values: forecast, sigma: model.sigma, parameters: model.parameters };
+}
+
+/**
+ * Minsta serielängd för att kunna anpassa en metod
+ * @param {string} method - FORECAST_METHODS-värde
+ * @param {number|null} seasonLength - Säsongslängd för Holt-Winters
+ * @returns {number} - Antal perioder
+ */
+function getMinLength(method, seasonLength) {
+  if (method !== FORECAST_METHODS.HOLT_WINTERS) return MIN_VALUES[method];
+  return Math.max(MIN_VALUES[method], 2 * seasonLength);
+}
+
+/**
+ * Medelfel för prognoser mot faktiska värden
+ * @param {Array<Object>} errors - [{actual, predicted}] med faktiska värden
+ * @returns {Object} - {periods, mae, mape}
+ */
+function summarizeErrors(errors) {
+  const percentageErrors = errors.filter(({ actual }) => actual !== 0);
+
+  return {
+    periods: errors.length,
+    mae: Math.round(errors.reduce((sum, { actual, predicted }) => sum + Math.abs(actual - predicted), 0) / errors.length),
+    mape: percentageErrors.length > 0
+      ? percentageErrors.reduce((sum, { actual, predicted }) => sum + Math.abs(actual - predicted) / actual, 0) / percentageErrors.length * 100
+      : null
+  };
+}
+
+/**
+ * Backtest från en fast startpunkt - anpassar modellen utan de sista perioderna och mäter felet mot dem
+ * @param {Array<number|null>} values - Hela serien
+ * @param {string} method - FORECAST_METHODS-värde
+ * @param {number|null} seasonLength - Säsongslängd för Holt-Winters
+ * @param {number} holdout - Antal testperioder
+ * @returns {Array<Object>|null} - [{actual, predicted}] eller null om träningsdelen är för kort
+ */
+function holdoutErrors(values, method, seasonLength, holdout) {
+  const training = values.slice(0, values.length - holdout);
+  while (training.length > 0 && training[training.length - 1] === null) training.pop();
+  if (!hasEnoughData(training, method, seasonLength)) return null;
+
+  const model = fitModel(training, method, seasonLength);
+  return values.slice(training.length)
+    .map((actual, index) => ({ actual, predicted: Math.max(0, model.predict(index + 1)) }))
+    .filter(({ actual }) => actual !== null);
+}
+
+/**
+ * Backtest - mäter prognosfelet för den valda metoden på seriens sista perioder
+ * Testperioden blir högst lika lång som horisonten och kortas så att träningsdelen räcker för
+ * metoden. Räcker serien inte ens då (t.ex. Holt-Winters med exakt två år) görs inget backtest
+ * @param {Array<number|null>} values - Hela serien
+ * @param {string} method - FORECAST_METHODS-värde
+ * @param {number|null} seasonLength - Säsongslängd för Holt-Winters
+ * @param {number} horizon - Prognoshorisont
+ * @returns {Object} - {periods, mae, mape, reason} - mae och mape null och reason satt när
+ *   inget backtest gick att göra
+ */
+function backtest(values, method, seasonLength, horizon) {
+  const holdout = Math.min(horizon, Math.max(1, Math.floor(values.length / 4)));
+  const fitted = Math.min(holdout, values.length - getMinLength(method, seasonLength));
+
+  if (fitted >= 1) {
+    const errors = holdoutErrors(values, method, seasonLength, fitted);
+    if (errors && errors.length > 0) {
+      return { ...summarizeErrors(errors), reason: null };
+    }
+  }
+
+  const required = method === FORECAST_METHODS.HOLT_WINTERS
+    ? `${getMinLength(method, seasonLength) + 1} perioder`
+    : `${MIN_VALUES[method] + 1} perioder med värden`;
+
+  return {
+    periods: 0,
+    mae: null,
+    mape: null,
+    reason: `för kort historik - backtest kräver minst ${required}`
+  };
+}
+
+/**
+ * Bygger ett kontos serie för en metric med jämnt avstånd mellan perioderna
+ * Perioder som saknas, flaggas bort eller saknar värde blir null. Serien börjar och slutar med ett värde
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {Array<Object>} - [{period, value}] kronologiskt
+ */
+export function getForecastHistory(accountTimeseries, metric, options = {}) {
+  const withValues = accountTimeseries.getAnalysisData(options)
+    .filter(data => !isMissingValue(data.metrics[metric]));
+  if (withValues.length === 0) return [];
+
+  const byPeriod = new Map(withValues.map(data => [data.getPeriodKey(), data.metrics[metric]]));
+  const lastKey = withValues[withValues.length - 1].getPeriodKey();
+  const history = [];
+
+  for (let period = withValues[0].getPeriod(); ; period = getNextPeriod(period)) {
+    const key = getPeriodKey(period);
+    history.push({ period, value: byPeriod.has(key) ? byPeriod.get(key) : null });
+    if (key === lastKey) break;
+  }
+
+  return history;
+}
+
+/**
+ * Prognos för en metric för ett konto
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att prognostisera
+ * @param {Object} options - {method, horizon, confidence, includeFlagged} - metod (standard linjär),
+ *   antal perioder framåt (standard 6), konfidensnivå (standard 0.95) och flaggade rader (standard false)
+ * @returns {Object|null} - {method, history, forecast: [{period, value, lower, upper}], backtest, parameters}
+ *   eller null om kontot har för lite data för metoden
+ */
+export function forecastAccountMetric(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('forecastAccountMetric kräver AccountTimeseries och metric');
+  }
+
+  const method = options.method ?? FORECAST_METHODS.LINEAR;
+  const horizon = options.horizon ?? DEFAULT_HORIZON;
+  const confidence = options.confidence ?? DEFAULT_CONFIDENCE;
+
+  const history = getForecastHistory(accountTimeseries, metric, options);
+  if (history.length === 0) return null;
+
+  const granularity = getPeriodGranularity(history[0].period);
+  const seasonLength = getSeasonLength(granularity);
+  const values = history.map(point => point.value);
+  if (!hasEnoughData(values, method, seasonLength)) return null;
+
+  const result = forecastSeries(values, method, { horizon, confidence, seasonLength });
+  let period = history[history.length - 1].period;
+  const forecast = result.values.map(point => {
+    period = getNextPeriod(period);
+    return { period, ...point };
+  });
+
+  return {
+    method,
+    horizon,
+    confidence,
+    history,
+    forecast,
+    backtest: backtest(values, method, seasonLength, horizon),
+    sigma: result.sigma,
+    parameters: result.parameters,
+    metric,
+    username: accountTimeseries.account.username,
+    accountId: accountTimeseries.account.accountId
+  };
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InstagramAccount, MonthlyAccountData, AccountTimeseries } from '../core/timeseries_models.js';
+import { PERIOD_GRANULARITIES } from '../core/period_granularity.js';
+import { forecastAccountMetric, getAvailableForecastMethods, FORECAST_METHODS } from './forecasting.js';
+
+const SEASON = [80, 70, 90, 100, 110, 120, 100, 95, 105, 115, 130, 160];
+
+/**
+ * Bygger en månadsserie med säsong och tillväxt
+ * @param {number} months - Antal månader från januari 2023
+ * @returns {AccountTimeseries} - Tidserie
+ */
+function buildTimeseries(months) {
+  const account = new InstagramAccount('testkonto', '17841400000000001');
+  const timeseries = new AccountTimeseries(account);
+  for (let index = 0; index < months; index++) {
+    const views = Math.round(10 * SEASON[index % 12] + 5 * index + (index % 5) * 7);
+    timeseries.addMonthlyData(new MonthlyAccountData(account, 2023 + Math.floor(index / 12), (index % 12) + 1, { views }));
+  }
+  return timeseries;
+}
+
+test('Holt-Winters kan väljas först när serien är längre än två år', () => {
+  assert.ok(!getAvailableForecastMethods(PERIOD_GRANULARITIES.MONTH, 24).includes(FORECAST_METHODS.HOLT_WINTERS));
+  assert.ok(getAvailableForecastMethods(PERIOD_GRANULARITIES.MONTH, 25).includes(FORECAST_METHODS.HOLT_WINTERS));
+});
+
+test('Holt-Winters backtestas med samma modell för alla valbara historiklängder', () => {
+  for (let months = 25; months <= 32; months++) {
+    const { backtest } = forecastAccountMetric(buildTimeseries(months), 'views', { method: FORECAST_METHODS.HOLT_WINTERS });
+    assert.ok(backtest.periods > 0, `${months} månader`);
+    assert.equal(typeof backtest.mae, 'number');
+    assert.equal(backtest.reason, null);
+  }
+});
+
+test('Holt-Winters med exakt två år får inget backtest från en annan modell', () => {
+  const { backtest } = forecastAccountMetric(buildTimeseries(24), 'views', { method: FORECAST_METHODS.HOLT_WINTERS });
+  assert.equal(backtest.mae, null);
+  assert.match(backtest.reason, /minst 25 perioder/);
+});
+
+test('Holt-Winters behåller två år i träningsdelen', () => {
+  const { backtest } = forecastAccountMetric(buildTimeseries(27), 'views', { method: FORECAST_METHODS.HOLT_WINTERS });
+  assert.equal(backtest.periods, 3);
+});
+
+test('för kort serie ger en förklaring i stället för backtest', () => {
+  const { backtest } = forecastAccountMetric(buildTimeseries(3), 'views', { method: FORECAST_METHODS.LINEAR });
+  assert.equal(backtest.mae, null);
+  assert.match(backtest.reason, /för kort historik/);
+});
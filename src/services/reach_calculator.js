@@ -4,17 +4,26 @@
  * Hanterar korrekt beräkning av Reach som ALDRIG kan summeras över månader
  * eftersom det representerar unika personer per månad, inte kumulativa värden.
  */
+import { getMetricsByCategory, getSummerableMetrics, getSnapshotMetrics } from '../utils/metric_categorizer.js';
+import { isMissingValue } from '../core/timeseries_models.js';
 
 /**
  * Lista över metrics som representerar unika personer per månad
- * Dessa kan ALDRIG summeras över tid
+ * Dessa kan ALDRIG summeras över tid (härleds från METRIC_DEFINITIONS)
  */
-export const NON_SUMMABLE_METRICS = ['reach'];
+export const NON_SUMMABLE_METRICS = getMetricsByCategory('unique_persons');
 
 /**
- * Lista över metrics som kan summeras över tid
+ * Lista över metrics som kan summeras över tid (härleds från METRIC_DEFINITIONS)
  */
-export const SUMMABLE_METRICS = ['followers', 'views'];
+export const SUMMABLE_METRICS = getSummerableMetrics();
+
+/**
+ * Lista över ögonblicksvärden (lagervärde vid månadens slut)
+ * Aggregeras över tid som sista värde, start mot slut eller nettoförändring
+ * och kan endast summeras över konton inom samma månad (härleds från METRIC_DEFINITIONS)
+ */
+export const SNAPSHOT_METRICS = getSnapshotMetrics();
 
 /**
  * Kontrollerar om en metric kan summeras över månader
@@ -34,25 +43,37 @@ export function isMetricUniquePersons(metric) {
   return NON_SUMMABLE_METRICS.includes(metric);
 }
 
+/**
+ * Kontrollerar om en metric är ett ögonblicksvärde
+ * @param {string} metric - Metric att kontrollera
+ * @returns {boolean} - True om metric är ett lagervärde vid månadens slut
+ */
+export function isMetricSnapshot(metric) {
+  return SNAPSHOT_METRICS.includes(metric);
+}
+
 /**
  * Beräknar genomsnittlig reach över en period för ett konto
  * Detta är den ENDA korrekta sättet att aggregera reach över månader
+ * Månader utan reach-värde räknas inte som noll utan redovisas i missingPeriods
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Object} - Reach-statistik
  */
-export function calculateAverageReach(accountTimeseries) {
+export function calculateAverageReach(accountTimeseries, options = {}) {
   if (!accountTimeseries) {
     throw new Error('calculateAverageReach kräver AccountTimeseries');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
+  const monthlyData = accountTimeseries.getAnalysisData(options);
   if (monthlyData.length === 0) {
     return {
-      averageReach: 0,
-      minReach: 0,
-      maxReach: 0,
+      averageReach: null,
+      minReach: null,
+      maxReach: null,
       totalPeriods: 0,
-      validPeriods: 0
+      validPeriods: 0,
+      missingPeriods: 0
     };
   }
 
@@ -64,7 +85,7 @@ export function calculateAverageReach(accountTimeseries) {
   for (const data of monthlyData) {
     const reach = data.metrics.reach;
     
-    if (reach !== null && reach !== undefined && !isNaN(reach) && reach >= 0) {
+    if (!isMissingValue(reach) && reach >= 0) {
       totalReach += reach;
       validCount++;
       minReach = Math.min(minReach, reach);
@@ -75,34 +96,37 @@ export function calculateAverageReach(accountTimeseries) {
   // Hantera fall där ingen giltig data finns
   if (validCount === 0) {
     return {
-      averageReach: 0,
-      minReach: 0,
-      maxReach: 0,
+      averageReach: null,
+      minReach: null,
+      maxReach: null,
       totalPeriods: monthlyData.length,
-      validPeriods: 0
+      validPeriods: 0,
+      missingPeriods: monthlyData.length
     };
   }
 
   return {
     averageReach: Math.round(totalReach / validCount),
-    minReach: minReach === Infinity ? 0 : minReach,
-    maxReach: maxReach === -Infinity ? 0 : maxReach,
+    minReach,
+    maxReach,
     totalPeriods: monthlyData.length,
-    validPeriods: validCount
+    validPeriods: validCount,
+    missingPeriods: monthlyData.length - validCount
   };
 }
 
 /**
  * Beräknar engagement rate (reach / followers) för varje månad
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Array<Object>} - Månadsvis engagement rate
  */
-export function calculateMonthlyEngagementRates(accountTimeseries) {
+export function calculateMonthlyEngagementRates(accountTimeseries, options = {}) {
   if (!accountTimeseries) {
     throw new Error('calculateMonthlyEngagementRates kräver AccountTimeseries');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
+  const monthlyData = accountTimeseries.getAnalysisData(options);
   const engagementRates = [];
 
   for (const data of monthlyData) {
@@ -110,7 +134,7 @@ export function calculateMonthlyEngagementRates(accountTimeseries) {
     const followers = data.metrics.followers;
     
     let engagementRate = null;
-    if (followers && followers > 0 && reach !== null && reach !== undefined) {
+    if (!isMissingValue(followers) && followers > 0 && !isMissingValue(reach)) {
       engagementRate = (reach / followers) * 100;
     }
 
@@ -118,7 +142,7 @@ export function calculateMonthlyEngagementRates(accountTimeseries) {
       period: data.getPeriod(),
       reach,
       followers,
-      engagementRate: engagementRate ? Math.round(engagementRate * 100) / 100 : null, // 2 decimaler
+      engagementRate: engagementRate !== null ? Math.round(engagementRate * 100) / 100 : null, // 2 decimaler
       username: data.account.username,
       accountId: data.account.accountId
     });
@@ -130,23 +154,25 @@ export function calculateMonthlyEngagementRates(accountTimeseries) {
 /**
  * Beräknar genomsnittlig engagement rate över en period
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Object} - Genomsnittlig engagement rate statistik
  */
-export function calculateAverageEngagementRate(accountTimeseries) {
+export function calculateAverageEngagementRate(accountTimeseries, options = {}) {
   if (!accountTimeseries) {
     throw new Error('calculateAverageEngagementRate kräver AccountTimeseries');
   }
 
-  const monthlyRates = calculateMonthlyEngagementRates(accountTimeseries);
+  const monthlyRates = calculateMonthlyEngagementRates(accountTimeseries, options);
   const validRates = monthlyRates.filter(rate => rate.engagementRate !== null);
 
   if (validRates.length === 0) {
     return {
-      averageEngagementRate: 0,
-      minEngagementRate: 0,
-      maxEngagementRate: 0,
+      averageEngagementRate: null,
+      minEngagementRate: null,
+      maxEngagementRate: null,
       validPeriods: 0,
-      totalPeriods: monthlyRates.length
+      totalPeriods: monthlyRates.length,
+      missingPeriods: monthlyRates.length
     };
   }
 
@@ -161,21 +187,24 @@ export function calculateAverageEngagementRate(accountTimeseries) {
     maxEngagementRate: Math.round(maxRate * 100) / 100,
     validPeriods: validRates.length,
     totalPeriods: monthlyRates.length,
+    missingPeriods: monthlyRates.length - validRates.length,
     monthlyRates: validRates
   };
 }
 
 /**
  * Jämför reach-prestanda mellan månader för ett konto
+ * Om någon av månaderna saknar reach blir förändringen null och jämförelsen markeras med missing
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Array<Object>} - Månad-för-månad reach-jämförelse
  */
-export function compareMonthlyReach(accountTimeseries) {
+export function compareMonthlyReach(accountTimeseries, options = {}) {
   if (!accountTimeseries) {
     throw new Error('compareMonthlyReach kräver AccountTimeseries');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
+  const monthlyData = accountTimeseries.getAnalysisData(options);
   if (monthlyData.length < 2) {
     return []; // Behöver minst 2 månader för jämförelse
   }
@@ -186,8 +215,23 @@ export function compareMonthlyReach(accountTimeseries) {
     const current = monthlyData[i];
     const previous = monthlyData[i - 1];
 
-    const currentReach = current.metrics.reach || 0;
-    const previousReach = previous.metrics.reach || 0;
+    const currentReach = current.metrics.reach;
+    const previousReach = previous.metrics.reach;
+
+    if (isMissingValue(currentReach) || isMissingValue(previousReach)) {
+      comparisons.push({
+        currentPeriod: current.getPeriod(),
+        previousPeriod: previous.getPeriod(),
+        currentReach: isMissingValue(currentReach) ? null : currentReach,
+        previousReach: isMissingValue(previousReach) ? null : previousReach,
+        absoluteChange: null,
+        percentageChange: null,
+        missing: true,
+        username: current.account.username,
+        accountId: current.account.accountId
+      });
+      continue;
+    }
 
     let percentageChange = null;
     if (previousReach > 0) {
@@ -202,7 +246,8 @@ export function compareMonthlyReach(accountTimeseries) {
       currentReach,
       previousReach,
       absoluteChange: currentReach - previousReach,
-      percentageChange: percentageChange ? Math.round(percentageChange * 100) / 100 : null,
+      percentageChange: percentageChange !== null ? Math.round(percentageChange * 100) / 100 : null,
+      missing: false,
       username: current.account.username,
       accountId: current.account.accountId
     });
@@ -211,79 +256,15 @@ export function compareMonthlyReach(accountTimeseries) {
   return comparisons;
 }
 
-/**
- * Identifierar månader med exceptionellt hög eller låg reach
- * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
- * @param {number} threshold - Tröskelvärde för vad som räknas som exceptionellt (standard 2 = 2 standardavvikelser)
- * @returns {Object} - Exceptionella månader
- */
-export function findReachAnomalies(accountTimeseries, threshold = 2) {
-  if (!accountTimeseries) {
-    throw new Error('findReachAnomalies kräver AccountTimeseries');
-  }
-
-  const monthlyData = accountTimeseries.getAllMonthlyData();
-  if (monthlyData.length < 3) {
-    return { outliers: [], statistics: null }; // Behöver minst 3 datapunkter
-  }
-
-  // Samla alla reach-värden
-  const reachValues = monthlyData
-    .map(data => data.metrics.reach)
-    .filter(reach => reach !== null && reach !== undefined && !isNaN(reach));
-
-  if (reachValues.length < 3) {
-    return { outliers: [], statistics: null };
-  }
-
-  // Beräkna genomsnitt och standardavvikelse
-  const mean = reachValues.reduce((sum, val) => sum + val, 0) / reachValues.length;
-  const variance = reachValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / reachValues.length;
-  const stdDev = Math.sqrt(variance);
-
-  const lowerBound = mean - (threshold * stdDev);
-  const upperBound = mean + (threshold * stdDev);
-
-  // Hitta outliers
-  const outliers = [];
-  for (const data of monthlyData) {
-    const reach = data.metrics.reach;
-    if (reach !== null && reach !== undefined && !isNaN(reach)) {
-      if (reach < lowerBound || reach > upperBound) {
-        outliers.push({
-          period: data.getPeriod(),
-          reach,
-          deviation: reach < lowerBound ? 'låg' : 'hög',
-          deviationFromMean: reach - mean,
-          standardDeviations: Math.abs((reach - mean) / stdDev),
-          username: data.account.username,
-          accountId: data.account.accountId
-        });
-      }
-    }
-  }
-
-  return {
-    outliers,
-    statistics: {
-      mean: Math.round(mean),
-      standardDeviation: Math.round(stdDev),
-      lowerBound: Math.round(lowerBound),
-      upperBound: Math.round(upperBound),
-      threshold,
-      sampleSize: reachValues.length
-    }
-  };
-}
-
 /**
  * Validerar att en operation är tillåten för given metric
- * Kastar fel om man försöker summera reach
- * @param {string} operation - Operation som ska utföras ('sum', 'average', etc.)
+ * Kastar fel om man försöker summera reach, eller summera följare över månader
+ * @param {string} operation - Operation som ska utföras ('sum', 'average', 'last', etc.)
  * @param {string} metric - Metric som operationen ska utföras på
+ * @param {string} scope - 'time' för aggregering över månader, 'pages' för konton inom samma månad
  * @throws {Error} - Om operationen inte är tillåten för denna metric
  */
-export function validateMetricOperation(operation, metric) {
+export function validateMetricOperation(operation, metric, scope = 'time') {
   if (operation === 'sum' || operation === 'total') {
     if (NON_SUMMABLE_METRICS.includes(metric)) {
       throw new Error(
@@ -291,6 +272,13 @@ export function validateMetricOperation(operation, metric) {
         `Använd genomsnitt istället. Tillåtna operationer för ${metric}: average, min, max`
       );
     }
+
+    if (SNAPSHOT_METRICS.includes(metric) && scope === 'time') {
+      throw new Error(
+        `KRITISKT FEL: ${metric} är ett ögonblicksvärde vid månadens slut och kan inte summeras över månader. ` +
+        `Använd sista värdet eller nettoförändring. Tillåtna operationer för ${metric}: last, first, change, average, min, max`
+      );
+    }
   }
 
   if ((operation === 'average' || operation === 'mean') && SUMMABLE_METRICS.includes(metric)) {
@@ -305,10 +293,11 @@ export function validateMetricOperation(operation, metric) {
  * Säker aggregering av en metric med automatisk validering
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
  * @param {string} metric - Metric att aggregera
- * @param {string} operation - Operation att utföra ('sum', 'average', 'min', 'max')
- * @returns {number} - Aggregerat värde
+ * @param {string} operation - Operation att utföra ('sum', 'average', 'min', 'max', 'first', 'last', 'change')
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {number|null} - Aggregerat värde eller null om inga värden finns
  */
-export function safeMetricAggregation(accountTimeseries, metric, operation) {
+export function safeMetricAggregation(accountTimeseries, metric, operation, options = {}) {
   if (!accountTimeseries || !metric || !operation) {
     throw new Error('safeMetricAggregation kräver AccountTimeseries, metric och operation');
   }
@@ -316,17 +305,12 @@ export function safeMetricAggregation(accountTimeseries, metric, operation) {
   // Validera operation mot metric-typ
   validateMetricOperation(operation, metric);
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
-  if (monthlyData.length === 0) {
-    return 0;
-  }
-
-  const values = monthlyData
+  const values = accountTimeseries.getAnalysisData(options)
     .map(data => data.metrics[metric])
-    .filter(value => value !== null && value !== undefined && !isNaN(value) && value >= 0);
+    .filter(value => !isMissingValue(value) && value >= 0);
 
   if (values.length === 0) {
-    return 0;
+    return null;
   }
 
   switch (operation.toLowerCase()) {
@@ -346,7 +330,17 @@ export function safeMetricAggregation(accountTimeseries, metric, operation) {
     case 'maximum':
       return Math.max(...values);
     
+    // Värdena är i kronologisk ordning eftersom getAnalysisData sorterar
+    case 'first':
+      return values[0];
+    
+    case 'last':
+      return values[values.length - 1];
+    
+    case 'change':
+      return values[values.length - 1] - values[0];
+    
     default:
-      throw new Error(`Okänd operation: ${operation}. Tillåtna: sum, average, min, max`);
+      throw new Error(`Okänd operation: ${operation}. Tillåtna: sum, average, min, max, first, last, change`);
   }
 }
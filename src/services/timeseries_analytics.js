@@ -3,59 +3,94 @@
  * 
  * Grundläggande analysverktyg och trend-beräkningar för Instagram API tidserie-data
  * Hanterar korrekt beräkning av trends med hänsyn till summerbara vs icke-summerbara metrics
+ * Trender finns både mot föregående period och mot samma period föregående år
+ * Rullande fönster jämnar ut brusiga serier över 3, 6 eller 12 månader och
+ * säsongsuppdelning skiljer verklig tillväxt från kalenderns variationer
  */
+import { isMetricSummable, isMetricSnapshot, SUMMABLE_METRICS } from './reach_calculator.js';
+import { getAllMetricKeys } from '../utils/metric_categorizer.js';
+import { isMissingValue } from '../core/timeseries_models.js';
+import {
+  PERIOD_GRANULARITIES,
+  getPeriodGranularity,
+  getPeriodKey,
+  getPeriodStartDate,
+  getPeriodEndDate,
+  getPeriodForDate,
+  getNextPeriod,
+  getDaysInMonth,
+  getMonthsPerPeriod,
+  getGranularityLabel,
+  getSamePeriodLastYear
+} from '../core/period_granularity.js';
+import { getSeasonLength, getForecastHistory } from './forecasting.js';
 
 /**
  * Beräknar procentuell förändring mellan två värden
  * @param {number} currentValue - Nuvarande värde
  * @param {number} previousValue - Föregående värde
- * @returns {number|null} - Procentuell förändring eller null om beräkning inte möjlig
+ * @returns {number|null} - Procentuell förändring eller null om något av värdena saknas
  */
 export function calculatePercentageChange(currentValue, previousValue) {
-  if (previousValue === 0 || previousValue === null || previousValue === undefined) {
-    return currentValue > 0 ? 100 : 0; // 100% ökning från 0, annars ingen förändring
-  }
-  
-  if (currentValue === null || currentValue === undefined) {
+  if (isMissingValue(currentValue) || isMissingValue(previousValue)) {
     return null;
   }
 
+  if (previousValue === 0) {
+    return currentValue > 0 ? 100 : 0; // 100% ökning från 0, annars ingen förändring
+  }
+
   return ((currentValue - previousValue) / previousValue) * 100;
 }
 
 /**
  * Beräknar månad-för-månad trend för ett konto
+ * Månader där något av värdena saknas får förändring null och missing satt.
+ * Med seasonallyAdjusted jämförs säsongsrensade värden när kontot har minst två års historik,
+ * annars råvärden (seasonallyAdjusted i resultatet visar vilket som användes)
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
  * @param {string} metric - Metric att analysera
+ * @param {Object} options - {includeFlagged, seasonallyAdjusted} - ta med flaggade rader och säsongsrensa (standard false)
  * @returns {Array<Object>} - Lista med trend-data
  */
-export function calculateMonthToMonthTrend(accountTimeseries, metric) {
+export function calculateMonthToMonthTrend(accountTimeseries, metric, options = {}) {
   if (!accountTimeseries || !metric) {
     throw new Error('calculateMonthToMonthTrend kräver AccountTimeseries och metric');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
+  const monthlyData = accountTimeseries.getAnalysisData(options);
   if (monthlyData.length < 2) {
     return []; // Behöver minst 2 månader för att beräkna trend
   }
 
+  const decomposition = options.seasonallyAdjusted
+    ? calculateSeasonalDecomposition(accountTimeseries, metric, options)
+    : null;
+  const adjustedValues = decomposition
+    ? new Map(decomposition.components.map(component => [getPeriodKey(component.period), component.adjusted]))
+    : null;
+  const valueOf = (data) => (adjustedValues ? adjustedValues.get(data.getPeriodKey()) ?? null : data.metrics[metric]);
+
   const trendData = [];
 
   for (let i = 1; i < monthlyData.length; i++) {
     const current = monthlyData[i];
     const previous = monthlyData[i - 1];
 
-    const currentValue = current.metrics[metric];
-    const previousValue = previous.metrics[metric];
+    const currentValue = valueOf(current);
+    const previousValue = valueOf(previous);
     const percentageChange = calculatePercentageChange(currentValue, previousValue);
+    const missing = isMissingValue(currentValue) || isMissingValue(previousValue);
 
     trendData.push({
       period: current.getPeriod(),
       previousPeriod: previous.getPeriod(),
       currentValue,
       previousValue,
-      absoluteChange: currentValue - previousValue,
+      absoluteChange: missing ? null : currentValue - previousValue,
       percentageChange,
+      missing,
+      seasonallyAdjusted: adjustedValues !== null,
       metric,
       username: current.account.username,
       accountId: current.account.accountId
@@ -78,11 +113,13 @@ export function calculateAverageTrend(trendData) {
       totalPeriods: 0,
       positiveMonths: 0,
       negativeMonths: 0,
-      stableMonths: 0
+      stableMonths: 0,
+      missingPeriods: 0
     };
   }
 
   let totalAbsolute = 0;
+  let validAbsoluteCount = 0;
   let totalPercentage = 0;
   let validPercentageCount = 0;
   let positiveMonths = 0;
@@ -90,7 +127,10 @@ export function calculateAverageTrend(trendData) {
   let stableMonths = 0;
 
   for (const trend of trendData) {
-    totalAbsolute += trend.absoluteChange;
+    if (trend.absoluteChange !== null) {
+      totalAbsolute += trend.absoluteChange;
+      validAbsoluteCount++;
+    }
 
     if (trend.percentageChange !== null && !isNaN(trend.percentageChange)) {
       totalPercentage += trend.percentageChange;
@@ -107,49 +147,54 @@ export function calculateAverageTrend(trendData) {
   }
 
   return {
-    averageAbsoluteChange: totalAbsolute / trendData.length,
-    averagePercentageChange: validPercentageCount > 0 ? totalPercentage / validPercentageCount : 0,
+    averageAbsoluteChange: validAbsoluteCount > 0 ? totalAbsolute / validAbsoluteCount : null,
+    averagePercentageChange: validPercentageCount > 0 ? totalPercentage / validPercentageCount : null,
     totalPeriods: trendData.length,
     positiveMonths,
     negativeMonths,
-    stableMonths
+    stableMonths,
+    missingPeriods: trendData.length - validAbsoluteCount
   };
 }
 
 /**
  * Identifierar bäst och sämst presterande månader för ett konto
+ * Månader utan värde kan aldrig bli bästa eller sämsta månad
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
  * @param {string} metric - Metric att analysera
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Object} - Bästa och sämsta prestationer
  */
-export function findPerformanceExtremes(accountTimeseries, metric) {
+export function findPerformanceExtremes(accountTimeseries, metric, options = {}) {
   if (!accountTimeseries || !metric) {
     throw new Error('findPerformanceExtremes kräver AccountTimeseries och metric');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
-  if (monthlyData.length === 0) {
-    return { best: null, worst: null };
+  const monthlyData = accountTimeseries.getAnalysisData(options);
+  const validData = monthlyData.filter(data => !isMissingValue(data.metrics[metric]));
+  const missingValues = monthlyData.length - validData.length;
+
+  if (validData.length === 0) {
+    return { best: null, worst: null, missingValues };
   }
 
-  let best = monthlyData[0];
-  let worst = monthlyData[0];
+  let best = validData[0];
+  let worst = validData[0];
 
-  for (const data of monthlyData) {
+  for (const data of validData) {
     const value = data.metrics[metric];
-    
-    if (value !== null && value !== undefined) {
-      if (best.metrics[metric] === null || value > best.metrics[metric]) {
-        best = data;
-      }
-      
-      if (worst.metrics[metric] === null || value < worst.metrics[metric]) {
-        worst = data;
-      }
+
+    if (value > best.metrics[metric]) {
+      best = data;
+    }
+
+    if (value < worst.metrics[metric]) {
+      worst = data;
     }
   }
 
   return {
+    missingValues,
     best: {
       period: best.getPeriod(),
       value: best.metrics[metric],
@@ -167,77 +212,538 @@ export function findPerformanceExtremes(accountTimeseries, metric) {
  * Beräknar genomsnitt för en metric över en period
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
  * @param {string} metric - Metric att beräkna genomsnitt för
- * @returns {number} - Genomsnittsvärde
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {number|null} - Genomsnittsvärde eller null om inga värden finns
  */
-export function calculateMetricAverage(accountTimeseries, metric) {
+export function calculateMetricAverage(accountTimeseries, metric, options = {}) {
   if (!accountTimeseries || !metric) {
     throw new Error('calculateMetricAverage kräver AccountTimeseries och metric');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
-  if (monthlyData.length === 0) {
-    return 0;
-  }
-
   let total = 0;
   let validCount = 0;
 
-  for (const data of monthlyData) {
+  for (const data of accountTimeseries.getAnalysisData(options)) {
     const value = data.metrics[metric];
-    if (value !== null && value !== undefined && !isNaN(value)) {
+    if (!isMissingValue(value)) {
       total += value;
       validCount++;
     }
   }
 
-  return validCount > 0 ? total / validCount : 0;
+  return validCount > 0 ? total / validCount : null;
 }
 
 /**
  * Beräknar total för summerbara metrics över en period
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
  * @param {string} metric - Metric att summera (måste vara summerbar)
- * @returns {number} - Totalsumma
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {number|null} - Totalsumma eller null om inga värden finns
  */
-export function calculateMetricTotal(accountTimeseries, metric) {
+export function calculateMetricTotal(accountTimeseries, metric, options = {}) {
   if (!accountTimeseries || !metric) {
     throw new Error('calculateMetricTotal kräver AccountTimeseries och metric');
   }
 
   // Kontrollera att metric är summerbar
-  const summerableMetrics = ['followers', 'views'];
-  if (!summerableMetrics.includes(metric)) {
-    throw new Error(`Metric '${metric}' kan inte summeras över månader. Summerbara metrics: ${summerableMetrics.join(', ')}`);
-  }
-
-  const monthlyData = accountTimeseries.getAllMonthlyData();
-  if (monthlyData.length === 0) {
-    return 0;
+  if (!isMetricSummable(metric)) {
+    throw new Error(`Metric '${metric}' kan inte summeras över månader. Summerbara metrics: ${SUMMABLE_METRICS.join(', ')}`);
   }
 
   let total = 0;
+  let validCount = 0;
 
-  for (const data of monthlyData) {
+  for (const data of accountTimeseries.getAnalysisData(options)) {
     const value = data.metrics[metric];
-    if (value !== null && value !== undefined && !isNaN(value)) {
+    if (!isMissingValue(value)) {
       total += value;
+      validCount++;
     }
   }
 
-  return total;
+  return validCount > 0 ? total : null;
+}
+
+/**
+ * Räknar hur många månader som har respektive saknar värde för en metric
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att räkna
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {Object} - {totalPeriods, validPeriods, missingPeriods}
+ */
+export function calculateMetricCoverage(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('calculateMetricCoverage kräver AccountTimeseries och metric');
+  }
+
+  const monthlyData = accountTimeseries.getAnalysisData(options);
+  const validPeriods = monthlyData.filter(data => !isMissingValue(data.metrics[metric])).length;
+
+  return {
+    totalPeriods: monthlyData.length,
+    validPeriods,
+    missingPeriods: monthlyData.length - validPeriods
+  };
+}
+
+/**
+ * Beräknar start- och slutvärde samt nettoförändring för ett ögonblicksvärde
+ * Används för metrics som följare där värdet gäller vid månadens slut
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att analysera (måste vara ett ögonblicksvärde)
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {Object} - Start, slut och nettoförändring
+ */
+export function calculateSnapshotChange(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('calculateSnapshotChange kräver AccountTimeseries och metric');
+  }
+
+  if (!isMetricSnapshot(metric)) {
+    throw new Error(`Metric '${metric}' är inte ett ögonblicksvärde`);
+  }
+
+  const monthlyData = accountTimeseries.getAnalysisData(options);
+  const validData = monthlyData.filter(data => !isMissingValue(data.metrics[metric]));
+  const missingValues = monthlyData.length - validData.length;
+
+  if (validData.length === 0) {
+    return {
+      start: null,
+      end: null,
+      netChange: null,
+      percentageChange: null,
+      startPeriod: null,
+      endPeriod: null,
+      missingValues
+    };
+  }
+
+  const first = validData[0];
+  const last = validData[validData.length - 1];
+  const start = first.metrics[metric];
+  const end = last.metrics[metric];
+
+  return {
+    start,
+    end,
+    netChange: end - start,
+    percentageChange: validData.length > 1 ? calculatePercentageChange(end, start) : null,
+    startPeriod: first.getPeriod(),
+    endPeriod: last.getPeriod(),
+    missingValues
+  };
+}
+
+/**
+ * Fönster för jämförelse mot föregående år
+ * YEAR_TO_DATE löper från räkenskapsårets start till referensperioden,
+ * TRAILING_TWELVE omfattar de senaste tolv månaderna till och med referensperioden
+ */
+export const YOY_WINDOWS = {
+  YEAR_TO_DATE: 'year_to_date',
+  TRAILING_TWELVE: 'trailing_twelve'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tidpunkt som avgör vilket fönster en period hör till
+ * Veckor räknas från torsdagen (samma regel som när veckor rullas upp till månader)
+ * @param {Object} period - Period
+ * @returns {number} - Tidpunkt i millisekunder (UTC)
+ */
+function getAnchorTime(period) {
+  const start = getPeriodStartDate(period).getTime();
+  return getPeriodGranularity(period) === PERIOD_GRANULARITIES.WEEK ? start + 3 * DAY_MS : start;
+}
+
+/**
+ * Flyttar ett datum ett antal månader - dagar som inte finns i målmånaden blir månadens sista dag
+ * (t.ex. blir 29 februari 28 februari ett år bakåt)
+ * @param {Date} date - Datum (UTC)
+ * @param {number} months - Antal månader (negativt bakåt)
+ * @returns {Date} - Flyttat datum (UTC)
+ */
+function shiftMonths(date, months) {
+  const index = date.getUTCFullYear() * 12 + date.getUTCMonth() + months;
+  const year = Math.floor(index / 12);
+  const month = index - year * 12;
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), getDaysInMonth(year, month + 1))));
+}
+
+/**
+ * Räknar fram innevarande och föregående års fönster för en referensperiod
+ * @param {Object} period - Referensperiod (fönstrets sista period)
+ * @param {string} type - YOY_WINDOWS-värde
+ * @param {Object} options - {fiscalYearStart} - räkenskapsårets startmånad för YEAR_TO_DATE
+ * @returns {Object} - {current: {start, end}, previous: {start, end}} med datum (UTC)
+ */
+export function getYearOverYearWindows(period, type, options = {}) {
+  if (!period || !Object.values(YOY_WINDOWS).includes(type)) {
+    throw new Error('getYearOverYearWindows kräver en period och en giltig fönstertyp');
+  }
+
+  const end = getPeriodEndDate(period);
+  const start = type === YOY_WINDOWS.YEAR_TO_DATE
+    ? getPeriodStartDate(getPeriodForDate(end, PERIOD_GRANULARITIES.YEAR, {
+      fiscalYearStart: options.fiscalYearStart ?? period.fiscalYearStart
+    }))
+    : new Date(shiftMonths(end, -12).getTime() + DAY_MS);
+
+  return {
+    current: { start, end },
+    previous: { start: shiftMonths(start, -12), end: shiftMonths(end, -12) }
+  };
+}
+
+/**
+ * Hur en metric slås ihop över flera perioder
+ * Händelser summeras, ögonblicksvärden tas från sista perioden och
+ * unika personer blir ett snitt eftersom de inte kan summeras över tid
+ */
+export const TIME_AGGREGATIONS = {
+  SUM: 'sum',
+  AVERAGE: 'average',
+  LAST: 'last'
+};
+
+/**
+ * Returnerar hur en metric slås ihop över flera perioder
+ * @param {string} metric - Metric
+ * @returns {string} - TIME_AGGREGATIONS-värde
+ */
+export function getTimeAggregation(metric) {
+  if (isMetricSnapshot(metric)) return TIME_AGGREGATIONS.LAST;
+  return isMetricSummable(metric) ? TIME_AGGREGATIONS.SUM : TIME_AGGREGATIONS.AVERAGE;
+}
+
+/**
+ * Aggregerar en metric över flera perioder enligt metricens typ
+ * @param {Array<MonthlyAccountData>} monthlyData - Perioder med värde, kronologiskt sorterade
+ * @param {string} metric - Metric att aggregera
+ * @returns {number|null} - Aggregerat värde eller null om inga värden finns
+ */
+function aggregateOverTime(monthlyData, metric) {
+  if (monthlyData.length === 0) return null;
+
+  const aggregation = getTimeAggregation(metric);
+  if (aggregation === TIME_AGGREGATIONS.LAST) {
+    return monthlyData[monthlyData.length - 1].metrics[metric];
+  }
+
+  const total = monthlyData.reduce((sum, data) => sum + data.metrics[metric], 0);
+  return aggregation === TIME_AGGREGATIONS.SUM ? total : Math.round(total / monthlyData.length);
+}
+
+/**
+ * Sammanfattar ett kontos värden inom ett fönster
+ * @param {Array<MonthlyAccountData>} monthlyData - Kontots analysdata
+ * @param {string} metric - Metric
+ * @param {Object} window - {start, end}
+ * @param {Object} period - Referensperiod (bestämmer upplösning för förväntat antal perioder)
+ * @returns {Object} - {start, end, value, periods, validPeriods, expectedPeriods, complete}
+ */
+function summarizeWindow(monthlyData, metric, window, period) {
+  const start = window.start.getTime();
+  const end = window.end.getTime();
+  const inWindow = monthlyData.filter(data => {
+    const time = getAnchorTime(data);
+    return time >= start && time <= end;
+  });
+  const valid = inWindow.filter(data => !isMissingValue(data.metrics[metric]));
+
+  let expectedPeriods = 0;
+  for (
+    let current = getPeriodForDate(window.start, getPeriodGranularity(period), { fiscalYearStart: period.fiscalYearStart });
+    getAnchorTime(current) <= end;
+    current = getNextPeriod(current)
+  ) {
+    if (getAnchorTime(current) >= start) expectedPeriods++;
+  }
+
+  return {
+    start: window.start,
+    end: window.end,
+    value: aggregateOverTime(valid, metric),
+    periods: inWindow.length,
+    validPeriods: valid.length,
+    expectedPeriods,
+    complete: valid.length >= expectedPeriods
+  };
+}
+
+/**
+ * Beräknar förändring mot samma period föregående år för ett konto
+ * Perioder utan data samma period föregående år hoppas över, saknas värdet i någon
+ * av perioderna blir förändringen null och missing satt
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att analysera
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {Array<Object>} - Lista med trend-data i samma form som calculateMonthToMonthTrend
+ */
+export function calculateYearOverYearTrend(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('calculateYearOverYearTrend kräver AccountTimeseries och metric');
+  }
+
+  const monthlyData = accountTimeseries.getAnalysisData(options);
+  const byPeriod = new Map(monthlyData.map(data => [data.getPeriodKey(), data]));
+  const trendData = [];
+
+  for (const current of monthlyData) {
+    const previousPeriod = getSamePeriodLastYear(current.getPeriod());
+    const previous = previousPeriod && byPeriod.get(getPeriodKey(previousPeriod));
+    if (!previous) continue;
+
+    const currentValue = current.metrics[metric];
+    const previousValue = previous.metrics[metric];
+    const missing = isMissingValue(currentValue) || isMissingValue(previousValue);
+
+    trendData.push({
+      period: current.getPeriod(),
+      previousPeriod: previous.getPeriod(),
+      currentValue,
+      previousValue,
+      absoluteChange: missing ? null : currentValue - previousValue,
+      percentageChange: calculatePercentageChange(currentValue, previousValue),
+      missing,
+      metric,
+      username: current.account.username,
+      accountId: current.account.accountId
+    });
+  }
+
+  return trendData;
+}
+
+/**
+ * Jämför ett fönster med samma fönster föregående år för ett konto
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att analysera
+ * @param {string} type - YOY_WINDOWS-värde
+ * @param {Object} options - {includeFlagged, period, fiscalYearStart} - referensperiod (standard kontots senaste)
+ * @returns {Object|null} - Jämförelse eller null om kontot saknar data
+ */
+function compareYearOverYearWindows(accountTimeseries, metric, type, options) {
+  const monthlyData = accountTimeseries.getAnalysisData(options);
+  if (monthlyData.length === 0) return null;
+
+  const period = options.period || monthlyData[monthlyData.length - 1].getPeriod();
+  const windows = getYearOverYearWindows(period, type, options);
+  const current = summarizeWindow(monthlyData, metric, windows.current, period);
+  const previous = summarizeWindow(monthlyData, metric, windows.previous, period);
+  const missing = isMissingValue(current.value) || isMissingValue(previous.value);
+
+  return {
+    type,
+    period,
+    current,
+    previous,
+    absoluteChange: missing ? null : current.value - previous.value,
+    percentageChange: calculatePercentageChange(current.value, previous.value),
+    missing,
+    comparable: current.complete && previous.complete,
+    metric,
+    username: accountTimeseries.account.username,
+    accountId: accountTimeseries.account.accountId
+  };
+}
+
+/**
+ * Jämför hittills i år med samma del av föregående år för ett konto
+ * Året följer räkenskapsåret när fiscalYearStart anges
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att analysera
+ * @param {Object} options - {includeFlagged, period, fiscalYearStart} - referensperiod (standard kontots senaste)
+ * @returns {Object|null} - Jämförelse {current, previous, absoluteChange, percentageChange, missing, comparable}
+ */
+export function calculateYearToDateComparison(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('calculateYearToDateComparison kräver AccountTimeseries och metric');
+  }
+  return compareYearOverYearWindows(accountTimeseries, metric, YOY_WINDOWS.YEAR_TO_DATE, options);
+}
+
+/**
+ * Jämför de senaste tolv månaderna med de tolv månaderna innan för ett konto
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att analysera
+ * @param {Object} options - {includeFlagged, period} - referensperiod (standard kontots senaste)
+ * @returns {Object|null} - Jämförelse {current, previous, absoluteChange, percentageChange, missing, comparable}
+ */
+export function calculateTrailingTwelveComparison(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('calculateTrailingTwelveComparison kräver AccountTimeseries och metric');
+  }
+  return compareYearOverYearWindows(accountTimeseries, metric, YOY_WINDOWS.TRAILING_TWELVE, options);
+}
+
+/**
+ * Fönsterstorlekar i månader för rullande fönster
+ */
+export const ROLLING_WINDOW_SIZES = [3, 6, 12];
+
+/**
+ * Fönsterstorlekar som går att använda för en upplösning
+ * Fönstret måste bestå av minst två hela perioder, så kvartal kan rulla 6 och 12 månader men år inget
+ * @param {string} granularity - Seriens upplösning
+ * @returns {Array<number>} - Användbara fönsterstorlekar i månader
+ */
+export function getRollingWindowSizes(granularity) {
+  const monthsPerPeriod = getMonthsPerPeriod(granularity);
+  if (monthsPerPeriod === null) return ROLLING_WINDOW_SIZES;
+  return ROLLING_WINDOW_SIZES.filter(size => size > monthsPerPeriod && size % monthsPerPeriod === 0);
+}
+
+/**
+ * Beräknar rullande fönster för ett konto - ett fönster per period som slutar med perioden
+ * Reach blir ett rullande snitt, händelser en rullande summa och följare värdet vid fönstrets slut.
+ * Perioder som saknas eller saknar värde hoppas över; validPeriods och expectedPeriods visar
+ * hur stor del av fönstret som faktiskt täcktes (i seriens egen upplösning)
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att jämna ut
+ * @param {Object} options - {size, includeFlagged} - fönsterstorlek i månader (standard 3)
+ * @returns {Array<Object>} - Fönster {period, start, end, value, periods, validPeriods, expectedPeriods, complete, size, aggregation}
+ */
+export function calculateRollingWindows(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('calculateRollingWindows kräver AccountTimeseries och metric');
+  }
+
+  const size = options.size ?? ROLLING_WINDOW_SIZES[0];
+  if (!ROLLING_WINDOW_SIZES.includes(size)) {
+    throw new Error(`calculateRollingWindows kräver fönsterstorlek ${ROLLING_WINDOW_SIZES.join(', ')} månader, fick ${size}`);
+  }
+
+  const monthlyData = accountTimeseries.getAnalysisData(options);
+  if (monthlyData.length === 0) return [];
+
+  const granularity = getPeriodGranularity(monthlyData[0].getPeriod());
+  if (!getRollingWindowSizes(granularity).includes(size)) {
+    throw new Error(`calculateRollingWindows kan inte rulla ${size} månader över ${getGranularityLabel(granularity, true)}`);
+  }
+
+  const aggregation = getTimeAggregation(metric);
+
+  return monthlyData.map(data => {
+    const period = data.getPeriod();
+    const end = getPeriodEndDate(period);
+    const window = { start: shiftMonths(new Date(end.getTime() + DAY_MS), -size), end };
+
+    return {
+      period,
+      ...summarizeWindow(monthlyData, metric, window, period),
+      size,
+      aggregation,
+      metric,
+      username: accountTimeseries.account.username,
+      accountId: accountTimeseries.account.accountId
+    };
+  });
+}
+
+/**
+ * Centrerat glidande medelvärde över en säsong (2×m för jämn säsongslängd)
+ * @param {Array<number|null>} values - Serie med jämnt avstånd
+ * @param {number} index - Position i serien
+ * @param {number} seasonLength - Säsongslängd
+ * @returns {number|null} - Trendvärde, null nära seriens kanter eller om värden saknas i fönstret
+ */
+function centeredMovingAverage(values, index, seasonLength) {
+  const half = Math.floor(seasonLength / 2);
+  if (index - half < 0 || index + half >= values.length) return null;
+
+  let total = 0;
+  for (let offset = -half; offset <= half; offset++) {
+    const value = values[index + offset];
+    if (value === null) return null;
+    // Jämn säsongslängd ger ett fönster med halv vikt i båda ändarna
+    const weight = seasonLength % 2 === 0 && Math.abs(offset) === half ? 0.5 : 1;
+    total += weight * value;
+  }
+  return total / seasonLength;
+}
+
+/**
+ * Delar upp ett kontos serie i trend, säsong och rest (klassisk multiplikativ uppdelning)
+ * Trenden är ett centrerat glidande medelvärde över ett år, säsongsfaktorn snittet av
+ * värde/trend per position i året (normerat till snitt 1) och resten det som återstår.
+ * Kräver minst två hela år så att varje position i året har ett trendvärde
+ * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {string} metric - Metric att dela upp
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
+ * @returns {Object|null} - {seasonLength, seasonalFactors, components: [{period, value, trend, seasonal, residual, adjusted}]}
+ *   eller null om historiken är för kort eller upplösningen saknar årssäsong
+ */
+export function calculateSeasonalDecomposition(accountTimeseries, metric, options = {}) {
+  if (!accountTimeseries || !metric) {
+    throw new Error('calculateSeasonalDecomposition kräver AccountTimeseries och metric');
+  }
+
+  const history = getForecastHistory(accountTimeseries, metric, options);
+  if (history.length === 0) return null;
+
+  const seasonLength = getSeasonLength(getPeriodGranularity(history[0].period));
+  if (seasonLength === null || history.length < 2 * seasonLength) return null;
+
+  const values = history.map(point => point.value);
+  const trend = values.map((value, index) => centeredMovingAverage(values, index, seasonLength));
+
+  // Kvot mellan värde och trend per position i året
+  const ratios = Array.from({ length: seasonLength }, () => []);
+  values.forEach((value, index) => {
+    if (value !== null && trend[index] !== null && trend[index] > 0) {
+      ratios[index % seasonLength].push(value / trend[index]);
+    }
+  });
+
+  const rawFactors = ratios.map(list => (
+    list.length > 0 ? list.reduce((sum, ratio) => sum + ratio, 0) / list.length : 1
+  ));
+  const factorMean = rawFactors.reduce((sum, factor) => sum + factor, 0) / seasonLength;
+  const factors = rawFactors.map(factor => (factorMean > 0 ? factor / factorMean : 1));
+
+  const components = history.map(({ period, value }, index) => {
+    const seasonal = factors[index % seasonLength];
+    const hasValue = value !== null;
+    return {
+      period,
+      value,
+      trend: trend[index],
+      seasonal,
+      residual: hasValue && trend[index] ? value / (trend[index] * seasonal) : null,
+      adjusted: hasValue && seasonal > 0 ? value / seasonal : null
+    };
+  });
+
+  return {
+    seasonLength,
+    seasonalFactors: factors.map((factor, position) => ({
+      position,
+      period: history[position].period,
+      factor
+    })),
+    components,
+    metric,
+    username: accountTimeseries.account.username,
+    accountId: accountTimeseries.account.accountId
+  };
 }
 
 /**
  * Beräknar omfattande trend-analys för alla metrics för ett konto
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Object} - Omfattande trend-analys
  */
-export function calculateComprehensiveTrendAnalysis(accountTimeseries) {
+export function calculateComprehensiveTrendAnalysis(accountTimeseries, options = {}) {
   if (!accountTimeseries) {
     throw new Error('calculateComprehensiveTrendAnalysis kräver AccountTimeseries');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
+  const monthlyData = accountTimeseries.getAnalysisData(options);
   if (monthlyData.length === 0) {
     return {
       username: accountTimeseries.account.username,
@@ -248,32 +754,41 @@ export function calculateComprehensiveTrendAnalysis(accountTimeseries) {
   }
 
   // Alla tillgängliga metrics
-  const allMetrics = ['reach', 'followers', 'views'];
+  const allMetrics = getAllMetricKeys();
   const metricsAnalysis = {};
 
   for (const metric of allMetrics) {
-    const trendData = calculateMonthToMonthTrend(accountTimeseries, metric);
+    const trendData = calculateMonthToMonthTrend(accountTimeseries, metric, options);
     const averageTrend = calculateAverageTrend(trendData);
-    const extremes = findPerformanceExtremes(accountTimeseries, metric);
+    const extremes = findPerformanceExtremes(accountTimeseries, metric, options);
     
-    // Beräkna total eller genomsnitt beroende på metric-typ
+    // Beräkna total, slutvärde eller genomsnitt beroende på metric-typ
     let aggregatedValue;
-    const summerableMetrics = ['followers', 'views'];
     
-    if (summerableMetrics.includes(metric)) {
+    if (isMetricSummable(metric)) {
       aggregatedValue = {
         type: 'total',
-        value: calculateMetricTotal(accountTimeseries, metric)
+        value: calculateMetricTotal(accountTimeseries, metric, options)
+      };
+    } else if (isMetricSnapshot(metric)) {
+      const snapshot = calculateSnapshotChange(accountTimeseries, metric, options);
+      aggregatedValue = {
+        type: 'snapshot',
+        value: snapshot.end,
+        start: snapshot.start,
+        end: snapshot.end,
+        netChange: snapshot.netChange
       };
     } else {
       aggregatedValue = {
         type: 'average',
-        value: calculateMetricAverage(accountTimeseries, metric)
+        value: calculateMetricAverage(accountTimeseries, metric, options)
       };
     }
 
     metricsAnalysis[metric] = {
       aggregated: aggregatedValue,
+      coverage: calculateMetricCoverage(accountTimeseries, metric, options),
       trend: averageTrend,
       extremes,
       monthlyTrends: trendData
@@ -294,9 +809,10 @@ export function calculateComprehensiveTrendAnalysis(accountTimeseries) {
  * Jämför prestanda mellan flera konton för en specifik metric
  * @param {Array<AccountTimeseries>} accountTimeseriesList - Lista med kontotidsserier
  * @param {string} metric - Metric att jämföra
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Array<Object>} - Rankad lista med kontoprestanda
  */
-export function compareAccountPerformance(accountTimeseriesList, metric) {
+export function compareAccountPerformance(accountTimeseriesList, metric, options = {}) {
   if (!accountTimeseriesList || accountTimeseriesList.length === 0 || !metric) {
     throw new Error('compareAccountPerformance kräver lista med AccountTimeseries och metric');
   }
@@ -308,7 +824,7 @@ export function compareAccountPerformance(accountTimeseriesList, metric) {
       continue; // Hoppa över konton utan data
     }
 
-    const analysis = calculateComprehensiveTrendAnalysis(accountTimeseries);
+    const analysis = calculateComprehensiveTrendAnalysis(accountTimeseries, options);
     const metricAnalysis = analysis.metrics[metric];
 
     if (metricAnalysis) {
@@ -318,6 +834,7 @@ export function compareAccountPerformance(accountTimeseriesList, metric) {
         totalPeriods: analysis.totalPeriods,
         aggregatedValue: metricAnalysis.aggregated.value,
         aggregationType: metricAnalysis.aggregated.type,
+        missingPeriods: metricAnalysis.coverage.missingPeriods,
         averageTrend: metricAnalysis.trend.averagePercentageChange,
         bestPerformance: metricAnalysis.extremes.best,
         worstPerformance: metricAnalysis.extremes.worst
@@ -325,8 +842,12 @@ export function compareAccountPerformance(accountTimeseriesList, metric) {
     }
   }
 
-  // Sortera efter aggregerat värde (högst först)
-  return performances.sort((a, b) => b.aggregatedValue - a.aggregatedValue);
+  // Sortera efter aggregerat värde (högst först), konton utan värden sist
+  return performances.sort((a, b) => {
+    if (a.aggregatedValue === null) return b.aggregatedValue === null ? 0 : 1;
+    if (b.aggregatedValue === null) return -1;
+    return b.aggregatedValue - a.aggregatedValue;
+  });
 }
 
 /**
@@ -334,14 +855,15 @@ export function compareAccountPerformance(accountTimeseriesList, metric) {
  * @param {AccountTimeseries} accountTimeseries - Tidserie för ett konto
  * @param {string} metric1 - Första metric
  * @param {string} metric2 - Andra metric
+ * @param {Object} options - {includeFlagged} - ta med flaggade rader (standard false)
  * @returns {Object} - Korrelationsanalys
  */
-export function calculateMetricCorrelation(accountTimeseries, metric1, metric2) {
+export function calculateMetricCorrelation(accountTimeseries, metric1, metric2, options = {}) {
   if (!accountTimeseries || !metric1 || !metric2) {
     throw new Error('calculateMetricCorrelation kräver AccountTimeseries och två metrics');
   }
 
-  const monthlyData = accountTimeseries.getAllMonthlyData();
+  const monthlyData = accountTimeseries.getAnalysisData(options);
   if (monthlyData.length < 3) {
     return {
       correlation: null,
@@ -356,8 +878,7 @@ export function calculateMetricCorrelation(accountTimeseries, metric1, metric2)
     const val1 = data.metrics[metric1];
     const val2 = data.metrics[metric2];
     
-    if (val1 !== null && val1 !== undefined && !isNaN(val1) &&
-        val2 !== null && val2 !== undefined && !isNaN(val2)) {
+    if (!isMissingValue(val1) && !isMissingValue(val2)) {
       values1.push(val1);
       values2.push(val2);
     }
@@ -392,6 +913,7 @@ export function calculateMetricCorrelation(accountTimeseries, metric1, metric2)
   return {
     correlation: isNaN(correlation) ? 0 : correlation,
     sampleSize: values1.length,
+    excludedPeriods: monthlyData.length - values1.length,
     metric1,
     metric2,
     mean1,
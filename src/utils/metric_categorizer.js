@@ -3,13 +3,15 @@
  * 
  * Definierar och kategoriserar Instagram API metrics enligt deras egenskaper
  * Säkerställer korrekt hantering av summerbara vs icke-summerbara metrics
+ *
+ * METRIC_DEFINITIONS är det enda registret över metrics i applikationen.
+ * Parsning, lagring, aggregering, tabeller, diagram och export läser härifrån,
+ * så en ny metric läggs till med en enda definition nedan.
  */
 
-// Import från reach_calculator för konsistens
-import { SUMMABLE_METRICS, NON_SUMMABLE_METRICS } from '../services/reach_calculator.js';
-
 /**
  * Komplett definition av alla Instagram API metrics med egenskaper
+ * Ordningen styr kolumnordningen i CSV-filer och visningsordningen i vyerna
  */
 export const METRIC_DEFINITIONS = {
   // ICKE-SUMMERBARA METRICS (Unika personer per månad)
@@ -24,28 +26,13 @@ export const METRIC_DEFINITIONS = {
     validAggregations: ['average', 'min', 'max'],
     dataType: 'integer',
     csvColumn: 'Reach',
+    csvAliases: ['Räckvidd', 'Accounts reached', 'Nådda konton', 'Reach (unique)', 'Instagram reach'],
     icon: '👁️',
     color: '#E1306C', // Instagram rosa
     warningNote: 'Kan ALDRIG summeras över månader - representerar unika personer'
   },
 
-  // SUMMERBARA METRICS (Räknbara händelser/metrics)
-  followers: {
-    category: 'countable_metric',
-    displayName: 'Följare',
-    description: 'Antal följare vid månadens slut',
-    unit: 'följare',
-    canSumAcrossTime: true,
-    canSumAcrossPages: true,
-    preferredAggregation: 'sum',
-    validAggregations: ['sum', 'average', 'min', 'max'],
-    dataType: 'integer',
-    csvColumn: 'Followers',
-    icon: '👥',
-    color: '#833AB4', // Instagram lila
-    warningNote: null
-  },
-
+  // SUMMERBARA METRICS (Räknbara händelser)
   views: {
     category: 'countable_events',
     displayName: 'Visningar',
@@ -57,9 +44,28 @@ export const METRIC_DEFINITIONS = {
     validAggregations: ['sum', 'average', 'min', 'max'],
     dataType: 'integer',
     csvColumn: 'Views',
+    csvAliases: ['Visningar', 'Impressions', 'Exponeringar', 'Total views', 'Instagram views'],
     icon: '📺',
     color: '#F56040', // Instagram orange
     warningNote: null
+  },
+
+  // ÖGONBLICKSVÄRDEN (Lagervärde vid periodens slut)
+  followers: {
+    category: 'point_in_time',
+    displayName: 'Följare',
+    description: 'Antal följare vid månadens slut',
+    unit: 'följare',
+    canSumAcrossTime: false,
+    canSumAcrossPages: true, // Endast inom samma månad
+    preferredAggregation: 'last',
+    validAggregations: ['last', 'first', 'change', 'average', 'min', 'max'],
+    dataType: 'integer',
+    csvColumn: 'Followers',
+    csvAliases: ['Följare', 'Follower count', 'Followers count', 'Antal följare', 'Instagram followers'],
+    icon: '👥',
+    color: '#833AB4', // Instagram lila
+    warningNote: 'Ögonblicksvärde - använd sista värdet eller nettoförändring över tid, summera endast över konton inom samma månad'
   }
 };
 
@@ -80,17 +86,18 @@ export const METRIC_CATEGORIES = {
     warningMessage: 'Dessa metrics kan ALDRIG summeras över månader eftersom de representerar unika personer'
   },
   
-  countable_metric: {
-    name: 'Räknbara metrics',
-    description: 'Metrics som representerar snapshot-värden och kan summeras',
+  point_in_time: {
+    name: 'Ögonblicksvärden',
+    description: 'Metrics som representerar ett lagervärde vid periodens slut (t.ex. antal följare)',
     aggregationRules: {
-      acrossTime: 'sum',
-      acrossPages: 'sum',
-      allowed: ['sum', 'total', 'average', 'min', 'max']
+      acrossTime: 'last', // Sista värdet, start mot slut eller nettoförändring
+      acrossPages: 'sum', // Endast inom samma månad
+      allowed: ['last', 'first', 'change', 'average', 'min', 'max'],
+      forbidden: ['sum', 'total']
     },
     color: '#833AB4',
     icon: '📊',
-    warningMessage: null
+    warningMessage: 'Dessa metrics kan inte summeras över månader - endast över konton inom samma månad'
   },
   
   countable_events: {
@@ -116,6 +123,36 @@ export function getMetricDefinition(metricKey) {
   return METRIC_DEFINITIONS[metricKey] || null;
 }
 
+/**
+ * Returnerar alla registrerade metric-nycklar i registrets ordning
+ * @returns {Array<string>} - Lista med metric-nycklar
+ */
+export function getAllMetricKeys() {
+  return Object.keys(METRIC_DEFINITIONS);
+}
+
+/**
+ * Returnerar CSV-kolumnnamnen för alla metrics i registrets ordning
+ * @returns {Array<string>} - Lista med CSV-kolumnnamn
+ */
+export function getMetricCSVColumns() {
+  return Object.values(METRIC_DEFINITIONS).map(def => def.csvColumn);
+}
+
+/**
+ * Hittar metric-nyckel för ett CSV-kolumnnamn (skiftlägesokänsligt)
+ * @param {string} column - Kolumnnamn från CSV
+ * @returns {string|null} - Metric-nyckel eller null om kolumnen inte är en metric
+ */
+export function getMetricKeyForColumn(column) {
+  if (!column) return null;
+  const normalized = String(column).trim().toLowerCase();
+
+  return Object.keys(METRIC_DEFINITIONS).find(key =>
+    METRIC_DEFINITIONS[key].csvColumn.toLowerCase() === normalized
+  ) || null;
+}
+
 /**
  * Kontrollerar om en metric kan summeras över tid
  * @param {string} metricKey - Metric att kontrollera
@@ -198,14 +235,33 @@ export function getNonSummerableMetrics() {
   );
 }
 
+/**
+ * Hämtar alla ögonblicksvärden (lagervärden vid periodens slut)
+ * @returns {Array<string>} - Lista med snapshot-metric-nycklar
+ */
+export function getSnapshotMetrics() {
+  return getMetricsByCategory('point_in_time');
+}
+
+/**
+ * Kontrollerar om en metric är ett ögonblicksvärde
+ * @param {string} metricKey - Metric att kontrollera
+ * @returns {boolean} - True om metric är ett lagervärde vid periodens slut
+ */
+export function isSnapshotMetric(metricKey) {
+  const definition = getMetricDefinition(metricKey);
+  return definition ? definition.category === 'point_in_time' : false;
+}
+
 /**
  * Validerar att en operation är tillåten för given metric
  * Kastar fel om man försöker summera reach
  * @param {string} operation - Operation som ska utföras
  * @param {string} metricKey - Metric som operationen ska utföras på
+ * @param {string} scope - 'time' för aggregering över månader, 'pages' för konton inom samma månad
  * @returns {Object} - Valideringsresultat med feedback
  */
-export function validateMetricOperation(operation, metricKey) {
+export function validateMetricOperation(operation, metricKey, scope = 'time') {
   const definition = getMetricDefinition(metricKey);
   
   if (!definition) {
@@ -216,6 +272,18 @@ export function validateMetricOperation(operation, metricKey) {
     };
   }
 
+  // Summering över konton inom samma månad styrs av canSumAcrossPages
+  if (scope === 'pages' && (operation === 'sum' || operation === 'total')) {
+    return definition.canSumAcrossPages
+      ? { isValid: true, error: null, suggestion: null }
+      : {
+        isValid: false,
+        error: `${definition.displayName} kan inte summeras över konton`,
+        suggestion: `Använd istället: average`,
+        warningNote: definition.warningNote
+      };
+  }
+
   const isValidOp = isValidAggregation(metricKey, operation);
   
   if (!isValidOp) {
@@ -236,7 +304,7 @@ export function validateMetricOperation(operation, metricKey) {
       return {
         isValid: false,
         error: `${definition.displayName} kan ALDRIG summeras över månader`,
-        suggestion: `Använd genomsnitt istället: ${definition.preferredAggregation}`,
+        suggestion: `Använd istället: ${definition.preferredAggregation}`,
         warningNote: definition.warningNote
       };
     }
@@ -284,7 +352,8 @@ export function getMetricsDocumentation() {
     overview: {
       totalMetrics: Object.keys(METRIC_DEFINITIONS).length,
       summerableCount: getSummerableMetrics().length,
-      nonSummerableCount: getNonSummerableMetrics().length
+      nonSummerableCount: getNonSummerableMetrics().length,
+      snapshotCount: getSnapshotMetrics().length
     },
     categories: METRIC_CATEGORIES,
     metrics: METRIC_DEFINITIONS,
@@ -295,10 +364,16 @@ export function getMetricsDocumentation() {
         operations: ['sum', 'average', 'min', 'max']
       },
       ickeSummerbara: {
-        metrics: getNonSummerableMetrics(),
+        metrics: getMetricsByCategory('unique_persons'),
         description: 'Dessa metrics kan ALDRIG summeras - endast genomsnitt är meningsfullt',
         operations: ['average', 'min', 'max'],
         warning: 'Summering över tid eller konton ger felaktiga resultat'
+      },
+      ogonblicksvarden: {
+        metrics: getSnapshotMetrics(),
+        description: 'Dessa metrics är lagervärden vid periodens slut - sista värdet eller nettoförändring över tid',
+        operations: ['last', 'first', 'change', 'average', 'min', 'max'],
+        warning: 'Kan endast summeras över konton inom samma månad, aldrig över månader'
       }
     },
     csvMapping: Object.fromEntries(
@@ -308,43 +383,50 @@ export function getMetricsDocumentation() {
 }
 
 /**
- * Validerar konsistens med reach_calculator.js definitioner
- * @returns {Object} - Konsistensrapport
+ * Validerar att registret är komplett och internt konsistent
+ * @returns {Object} - Valideringsrapport {isConsistent, errors, warnings}
  */
-export function validateConsistencyWithReachCalculator() {
+export function validateMetricRegistry() {
   const errors = [];
   const warnings = [];
-  
-  // Kontrollera att våra summerbara metrics matchar reach_calculator.js
-  const ourSummerable = getSummerableMetrics();
-  const reachCalcSummerable = SUMMABLE_METRICS;
-  
-  const missingSummerable = reachCalcSummerable.filter(m => !ourSummerable.includes(m));
-  const extraSummerable = ourSummerable.filter(m => !reachCalcSummerable.includes(m));
-  
-  if (missingSummerable.length > 0) {
-    errors.push(`Saknade summerbara metrics: ${missingSummerable.join(', ')}`);
-  }
-  
-  if (extraSummerable.length > 0) {
-    errors.push(`Extra summerbara metrics: ${extraSummerable.join(', ')}`);
-  }
-  
-  // Kontrollera icke-summerbara metrics
-  const ourNonSummerable = getNonSummerableMetrics();
-  const reachCalcNonSummerable = NON_SUMMABLE_METRICS;
-  
-  const missingNonSummerable = reachCalcNonSummerable.filter(m => !ourNonSummerable.includes(m));
-  const extraNonSummerable = ourNonSummerable.filter(m => !reachCalcNonSummerable.includes(m));
-  
-  if (missingNonSummerable.length > 0) {
-    errors.push(`Saknade icke-summerbara metrics: ${missingNonSummerable.join(', ')}`);
-  }
-  
-  if (extraNonSummerable.length > 0) {
-    errors.push(`Extra icke-summerbara metrics: ${extraNonSummerable.join(', ')}`);
+  const requiredFields = ['category', 'displayName', 'unit', 'preferredAggregation', 'validAggregations', 'dataType', 'csvColumn'];
+  const seenColumns = new Map();
+
+  for (const [key, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    const missingFields = requiredFields.filter(field => definition[field] === undefined || definition[field] === null);
+    if (missingFields.length > 0) {
+      errors.push(`${key} saknar fält: ${missingFields.join(', ')}`);
+      continue;
+    }
+
+    const category = METRIC_CATEGORIES[definition.category];
+    if (!category) {
+      errors.push(`${key} har okänd kategori: ${definition.category}`);
+      continue;
+    }
+
+    if (!definition.validAggregations.includes(definition.preferredAggregation)) {
+      errors.push(`${key}: föredragen aggregering '${definition.preferredAggregation}' finns inte bland giltiga aggregeringar`);
+    }
+
+    // Summering över tid måste stämma med kategorins regler
+    const forbidden = category.aggregationRules.forbidden || [];
+    if (definition.canSumAcrossTime && forbidden.includes('sum')) {
+      errors.push(`${key} är markerad som summerbar över tid men kategorin ${definition.category} förbjuder summering`);
+    }
+
+    const column = definition.csvColumn.toLowerCase();
+    if (seenColumns.has(column)) {
+      errors.push(`CSV-kolumnen '${definition.csvColumn}' används av både ${seenColumns.get(column)} och ${key}`);
+    } else {
+      seenColumns.set(column, key);
+    }
+
+    if (definition.category !== 'countable_events' && !definition.warningNote) {
+      warnings.push(`${key} saknar warningNote trots att den inte kan summeras fritt`);
+    }
   }
-  
+
   return {
     isConsistent: errors.length === 0,
     errors,
@@ -352,8 +434,8 @@ export function validateConsistencyWithReachCalculator() {
   };
 }
 
-// Validera konsistens vid modul-load
-const consistencyCheck = validateConsistencyWithReachCalculator();
-if (!consistencyCheck.isConsistent) {
-  console.error('KRITISK: metric_categorizer.js är inte konsistent med reach_calculator.js:', consistencyCheck.errors);
+// Validera registret vid modul-load
+const registryCheck = validateMetricRegistry();
+if (!registryCheck.isConsistent) {
+  console.error('KRITISK: METRIC_DEFINITIONS är inte konsistent:', registryCheck.errors);
 }
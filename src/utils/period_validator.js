@@ -1,20 +1,32 @@
 /**
  * Period Validator
  * 
- * Validerar IG_YYYY_MM.csv filformat och CSV-innehåll för Instagram API data
- * Säkerställer korrekt struktur med 9 kolumner och giltigt datum-format
+ * Validerar IG_YYYY_MM.csv filformat (samt veckor IG_YYYY_Www och dagar IG_YYYY_MM_DD)
+ * och CSV-innehåll för Instagram API data
+ * Säkerställer att kolumnerna kan mappas till standardformatet och giltigt datum-format.
+ * Rader med fel rapporteras med radnummer och kan sättas i karantän vid import.
  */
-import { extractPeriodFromFile, isValidPeriod, validatePeriodSequence } from '../core/period_extractor.js';
-import { EXPECTED_COLUMNS } from '../core/csv_processor.js';
+import { extractPeriodFromFile, isValidPeriod, validatePeriodSequence, formatPeriodForDisplay } from '../core/period_extractor.js';
+import { normalizePeriod, getPeriodKey } from '../core/period_granularity.js';
+import { autoMapColumns, validateColumnMapping, applyColumnMapping } from '../core/column_mapper.js';
+import { getMetricCSVColumns } from './metric_categorizer.js';
+import { normalizeStatus, COMPLETED_STATUS } from '../core/timeseries_models.js';
+import { detectRowsNumberFormat, parseLocaleNumber } from '../core/number_parser.js';
+import { readCSVFile, detectDelimiter } from '../core/csv_format_detector.js';
+import { resolveAccountIds, ACCOUNT_ID_ISSUES } from '../core/account_id.js';
 
 // Validerings-konstanter
 const VALIDATION_CONFIG = {
-  REQUIRED_FILE_EXTENSION: '.csv',
-  REQUIRED_COLUMNS_COUNT: 9,
+  SUPPORTED_FILE_EXTENSIONS: ['.csv', '.xlsx', '.xls'],
+  SUPPORTED_MIME_TYPES: [
+    'text/csv',
+    'application/csv',
+    'application/vnd.ms-excel', // Används även för CSV i Windows
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
   MIN_ROWS: 1,
   MAX_ROWS: 200, // Rimlig gräns för antal Instagram-konton
-  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB max filstorlek
-  REQUIRED_ENCODING: 'UTF-8'
+  MAX_FILE_SIZE: 5 * 1024 * 1024 // 5MB max filstorlek
 };
 
 // Felkategorier
@@ -30,21 +42,31 @@ const ERROR_TYPES = {
  * Validerar en enskild fil komplett
  * @param {File} file - Fil att validera
  * @param {Array<Object>} existingPeriods - Befintliga perioder för dublettskontroll
- * @returns {Promise<Object>} - Valideringsresultat
+ * @param {Object} options - Alternativ:
+ *   columnMapping - kolumnmappning (auto-mappning om ej angiven)
+ *   parsed - redan parsat innehåll {headers, rows, parseErrors}, t.ex. ett Excel-blad
+ *   period - period {year, month} som ersätter perioden i filnamnet
+ *   periodFromColumn - perioden läses per rad från en Period-kolumn
+ *   label - namn i rapporten (t.ex. "fil.xlsx – Blad1")
+ *   knownAccounts - kända konton {username, accountId} som Excel-avrundade IG ID matchas mot
+ * @returns {Promise<Object>} - Valideringsresultat med radproblem och karantänrader
  */
-export async function validateFile(file, existingPeriods = []) {
+export async function validateFile(file, existingPeriods = [], options = {}) {
   const result = {
     isValid: true,
     errors: [],
     warnings: [],
     fileInfo: {
       name: file.name,
+      label: options.label || file.name,
       size: file.size,
       type: file.type,
       lastModified: file.lastModified
     },
     period: null,
-    csvInfo: null
+    csvInfo: null,
+    rowIssues: [],
+    quarantinedRows: []
   };
 
   try {
@@ -56,8 +78,10 @@ export async function validateFile(file, existingPeriods = []) {
       return result;
     }
 
-    // 2. Filnamnsvalidering och period-extrahering
-    const periodValidation = validateFilenameAndExtractPeriod(file);
+    // 2. Filnamnsvalidering och period-extrahering (hoppas över för långt format)
+    const periodValidation = options.periodFromColumn
+      ? { isValid: true, errors: [], period: null }
+      : validateFilenameAndExtractPeriod(file, options.period);
     if (!periodValidation.isValid) {
       result.isValid = false;
       result.errors.push(...periodValidation.errors);
@@ -72,17 +96,20 @@ export async function validateFile(file, existingPeriods = []) {
       result.warnings.push(...duplicateCheck.warnings);
     }
 
-    // 4. CSV-innehållsvalidering
-    const csvContent = await readFileContent(file);
-    const csvValidation = await validateCSVContent(csvContent, file.name);
+    // 4. Innehållsvalidering - parsat innehåll används direkt, annars läses CSV-filen
+    const csvValidation = options.parsed
+      ? validateParsedContent(options.parsed, file.name, options.columnMapping, options.knownAccounts)
+      : await validateFileContent(file, options);
     
     if (!csvValidation.isValid) {
       result.isValid = false;
       result.errors.push(...csvValidation.errors);
     } else {
       result.csvInfo = csvValidation.csvInfo;
-      result.warnings.push(...csvValidation.warnings);
     }
+    result.warnings.push(...csvValidation.warnings);
+    result.rowIssues = csvValidation.rowIssues || [];
+    result.quarantinedRows = csvValidation.invalidRows || [];
 
     return result;
 
@@ -100,7 +127,9 @@ export async function validateFile(file, existingPeriods = []) {
 
 /**
  * Validerar flera filer samtidigt
- * @param {FileList|Array<File>} files - Filer att validera
+ * Varje post kan vara en fil eller {file, options} med samma alternativ som validateFile,
+ * vilket gör att flera blad i samma arbetsbok kan valideras var för sig
+ * @param {FileList|Array<File|Object>} files - Filer att validera
  * @returns {Promise<Object>} - Sammanlagt valideringsresultat
  */
 export async function validateMultipleFiles(files) {
@@ -124,8 +153,9 @@ export async function validateMultipleFiles(files) {
   const filesArray = Array.from(files);
 
   // Validera varje fil individuellt
-  for (const file of filesArray) {
-    const fileResult = await validateFile(file, detectedPeriods);
+  for (const entry of filesArray) {
+    const { file, options = {} } = entry?.file ? entry : { file: entry };
+    const fileResult = await validateFile(file, detectedPeriods, options);
     fileResults.push(fileResult);
     
     if (!fileResult.isValid) {
@@ -159,7 +189,8 @@ export async function validateMultipleFiles(files) {
       validFiles: fileResults.filter(r => r.isValid).length,
       invalidFiles: fileResults.filter(r => !r.isValid).length,
       periodsDetected: detectedPeriods.length,
-      duplicatePeriods: sequenceValidation.duplicates.length
+      duplicatePeriods: sequenceValidation.duplicates.length,
+      quarantinedRows: fileResults.reduce((sum, r) => sum + r.quarantinedRows.length, 0)
     }
   };
 }
@@ -200,10 +231,10 @@ function validateBasicFileProperties(file) {
   }
 
   // Kontrollera filtyp
-  if (file.type && file.type !== 'text/csv' && file.type !== 'application/csv') {
+  if (file.type && !VALIDATION_CONFIG.SUPPORTED_MIME_TYPES.includes(file.type)) {
     errors.push({
       type: ERROR_TYPES.FILE_FORMAT,
-      message: `Fel filtyp: ${file.type} (förväntat: text/csv)`,
+      message: `Fel filtyp: ${file.type} (förväntat: CSV eller Excel)`,
       severity: 'warning'
     });
   }
@@ -217,27 +248,31 @@ function validateBasicFileProperties(file) {
 /**
  * Validerar filnamn och extraherar period
  * @param {File} file - Fil att validera
+ * @param {Object} presetPeriod - Period {year, month, granularity, week, day} som används i stället för filnamnet
  * @returns {Object} - Valideringsresultat med period
  */
-function validateFilenameAndExtractPeriod(file) {
+function validateFilenameAndExtractPeriod(file, presetPeriod = null) {
   const errors = [];
 
   // Kontrollera filextension
-  if (!file.name.toLowerCase().endsWith(VALIDATION_CONFIG.REQUIRED_FILE_EXTENSION)) {
+  const lowerName = file.name.toLowerCase();
+  if (!VALIDATION_CONFIG.SUPPORTED_FILE_EXTENSIONS.some(ext => lowerName.endsWith(ext))) {
     errors.push({
       type: ERROR_TYPES.FILENAME,
-      message: `Fel filextension (förväntat: ${VALIDATION_CONFIG.REQUIRED_FILE_EXTENSION})`,
+      message: `Fel filextension (förväntat: ${VALIDATION_CONFIG.SUPPORTED_FILE_EXTENSIONS.join(', ')})`,
       severity: 'error'
     });
   }
 
-  // Extrahera period från filnamn
-  const period = extractPeriodFromFile(file, true); // Strict mode
+  // Extrahera period från filnamn om den inte angetts (t.ex. från bladnamn)
+  const period = presetPeriod
+    ? { ...normalizePeriod(presetPeriod), year: presetPeriod.year, month: presetPeriod.month, filename: file.name, isValid: true }
+    : extractPeriodFromFile(file, true); // Strict mode
   
   if (!period) {
     errors.push({
       type: ERROR_TYPES.FILENAME,
-      message: `Filnamnet följer inte formatet IG_YYYY_MM.csv (t.ex. IG_2025_10.csv)`,
+      message: `Filnamnet följer inte formatet IG_YYYY_MM.csv (t.ex. IG_2025_10.csv), IG_YYYY_Www.csv (vecka) eller IG_YYYY_MM_DD.csv (dag)`,
       severity: 'error'
     });
     
@@ -273,14 +308,12 @@ function checkForPeriodDuplicate(period, existingPeriods) {
     return { isValid: true, warnings };
   }
 
-  const duplicate = existingPeriods.find(p => 
-    p.year === period.year && p.month === period.month
-  );
+  const duplicate = existingPeriods.find(p => getPeriodKey(p) === getPeriodKey(period));
 
   if (duplicate) {
     warnings.push({
       type: ERROR_TYPES.PERIOD_CONFLICT,
-      message: `Period ${period.year}-${period.month} finns redan i denna batch`,
+      message: `Period ${formatPeriodForDisplay(period)} finns redan i denna batch`,
       severity: 'warning',
       conflictingPeriod: duplicate
     });
@@ -293,12 +326,12 @@ function checkForPeriodDuplicate(period, existingPeriods) {
  * Validerar CSV-innehåll
  * @param {string} csvContent - CSV-innehåll som string
  * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} columnMapping - Kolumnmappning (auto-mappning om ej angiven)
+ * @param {string} delimiter - Avgränsare (detekteras om ej angiven)
+ * @param {Array<Object>} knownAccounts - Kända konton för Excel-avrundade IG ID
  * @returns {Promise<Object>} - Valideringsresultat
  */
-async function validateCSVContent(csvContent, filename) {
-  const errors = [];
-  const warnings = [];
-
+async function validateCSVContent(csvContent, filename, columnMapping = null, delimiter = null, knownAccounts = []) {
   if (!csvContent || csvContent.trim().length === 0) {
     return {
       isValid: false,
@@ -317,37 +350,15 @@ async function validateCSVContent(csvContent, filename) {
     const parseResult = Papa.default.parse(csvContent, {
       header: true,
       skipEmptyLines: true,
-      delimiter: ',',
+      delimiter: delimiter || detectDelimiter(csvContent),
       quoteChar: '"'
     });
 
-    // Validera CSV-struktur
-    const structureValidation = validateCSVStructure(parseResult, filename);
-    if (!structureValidation.isValid) {
-      errors.push(...structureValidation.errors);
-    }
-    warnings.push(...structureValidation.warnings);
-
-    // Validera CSV-innehåll om strukturen är OK
-    let contentValidation = { isValid: true, errors: [], warnings: [] };
-    if (structureValidation.isValid && parseResult.data) {
-      contentValidation = validateCSVDataContent(parseResult.data, filename);
-      if (!contentValidation.isValid) {
-        errors.push(...contentValidation.errors);
-      }
-      warnings.push(...contentValidation.warnings);
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors,
-      warnings,
-      csvInfo: {
-        columns: parseResult.meta?.fields || [],
-        rowCount: parseResult.data?.length || 0,
-        parseErrors: parseResult.errors || []
-      }
-    };
+    return validateParsedContent({
+      headers: parseResult.meta?.fields,
+      rows: parseResult.data,
+      parseErrors: parseResult.errors
+    }, filename, columnMapping, knownAccounts);
 
   } catch (error) {
     return {
@@ -362,13 +373,71 @@ async function validateCSVContent(csvContent, filename) {
   }
 }
 
+/**
+ * Validerar redan parsat innehåll (CSV eller Excel-blad)
+ * @param {Object} parsed - Parsat innehåll {headers, rows, parseErrors}
+ * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} columnMapping - Kolumnmappning (auto-mappning om ej angiven)
+ * @param {Array<Object>} knownAccounts - Kända konton {username, accountId} för Excel-avrundade IG ID
+ * @returns {Object} - Valideringsresultat med rowIssues och invalidRows (karantän)
+ */
+export function validateParsedContent(parsed, filename, columnMapping = null, knownAccounts = []) {
+  const errors = [];
+  const warnings = [];
+
+  // Samma form som ett Papa Parse-resultat så att strukturvalideringen kan återanvändas
+  const parseResult = {
+    meta: { fields: parsed?.headers },
+    data: parsed?.rows || [],
+    errors: parsed?.parseErrors || []
+  };
+
+  // Validera struktur
+  const mapping = columnMapping || autoMapColumns(parseResult.meta.fields || []);
+  const structureValidation = validateCSVStructure(parseResult, filename, mapping);
+  if (!structureValidation.isValid) {
+    errors.push(...structureValidation.errors);
+  }
+  warnings.push(...structureValidation.warnings);
+
+  // Validera innehåll om strukturen är OK
+  let contentValidation = { isValid: true, errors: [], warnings: [], rowIssues: [], invalidRows: [] };
+  let numberFormat = null;
+  if (structureValidation.isValid) {
+    const mappedRows = applyColumnMapping(parseResult.data, mapping);
+    // Filens decimal- och tusentalsavgränsare detekteras från metric-kolumnerna
+    numberFormat = detectRowsNumberFormat(mappedRows, getMetricCSVColumns());
+    contentValidation = validateCSVDataContent(mappedRows, filename, numberFormat, knownAccounts);
+    if (!contentValidation.isValid) {
+      errors.push(...contentValidation.errors);
+    }
+    warnings.push(...contentValidation.warnings);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    rowIssues: contentValidation.rowIssues,
+    invalidRows: contentValidation.invalidRows,
+    csvInfo: {
+      columns: parseResult.meta.fields || [],
+      rowCount: parseResult.data.length,
+      validRowCount: parseResult.data.length - contentValidation.invalidRows.length,
+      numberFormat,
+      parseErrors: parseResult.errors
+    }
+  };
+}
+
 /**
  * Validerar CSV-struktur (kolumner, headers)
  * @param {Object} parseResult - Papa Parse resultat
  * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} columnMapping - Mappning {källrubrik: standardkolumn}
  * @returns {Object} - Valideringsresultat
  */
-function validateCSVStructure(parseResult, filename) {
+function validateCSVStructure(parseResult, filename, columnMapping) {
   const errors = [];
   const warnings = [];
 
@@ -382,46 +451,26 @@ function validateCSVStructure(parseResult, filename) {
     return { isValid: false, errors, warnings };
   }
 
-  // Kontrollera antal kolumner
-  const actualColumns = parseResult.meta.fields;
-  if (actualColumns.length !== VALIDATION_CONFIG.REQUIRED_COLUMNS_COUNT) {
+  // Kontrollera att kolumnerna kan mappas till standardformatet
+  const normalizedActual = parseResult.meta.fields.map(col => col.trim());
+  const mappingValidation = validateColumnMapping(columnMapping);
+
+  if (!mappingValidation.isValid) {
     errors.push({
       type: ERROR_TYPES.CSV_STRUCTURE,
-      message: `Fel antal kolumner: ${actualColumns.length} (förväntat: ${VALIDATION_CONFIG.REQUIRED_COLUMNS_COUNT})`,
-      severity: 'error'
+      message: `Kolumnerna kan inte mappas: ${mappingValidation.errors.join('; ')}. Hittade: [${normalizedActual.join(', ')}]`,
+      severity: 'error',
+      missingRequired: mappingValidation.missingRequired,
+      duplicates: mappingValidation.duplicates,
+      actual: normalizedActual
     });
   }
 
-  // Kontrollera kolumnnamn mot förväntade
-  const normalizedActual = actualColumns.map(col => col.trim());
-  const normalizedExpected = EXPECTED_COLUMNS.map(col => col.trim());
-  
-  const missingColumns = [];
-  const extraColumns = [];
-
-  for (let i = 0; i < Math.max(normalizedActual.length, normalizedExpected.length); i++) {
-    const actual = normalizedActual[i];
-    const expected = normalizedExpected[i];
-    
-    if (actual !== expected) {
-      if (expected && !actual) {
-        missingColumns.push(expected);
-      } else if (actual && !expected) {
-        extraColumns.push(actual);
-      } else {
-        missingColumns.push(expected);
-        extraColumns.push(actual);
-      }
-    }
-  }
-
-  if (missingColumns.length > 0 || extraColumns.length > 0) {
-    errors.push({
+  for (const message of mappingValidation.warnings) {
+    warnings.push({
       type: ERROR_TYPES.CSV_STRUCTURE,
-      message: `Felaktiga kolumnnamn. Förväntat: [${normalizedExpected.join(', ')}]. Hittade: [${normalizedActual.join(', ')}]`,
-      severity: 'error',
-      expected: normalizedExpected,
-      actual: normalizedActual
+      message,
+      severity: 'warning'
     });
   }
 
@@ -460,11 +509,15 @@ function validateCSVStructure(parseResult, filename) {
  * Validerar CSV-datainnehåll
  * @param {Array<Object>} csvData - Parsade CSV-rader
  * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} numberFormat - Filens talformat från detectRowsNumberFormat
+ * @param {Array<Object>} knownAccounts - Kända konton för Excel-avrundade IG ID
  * @returns {Object} - Valideringsresultat
  */
-function validateCSVDataContent(csvData, filename) {
+function validateCSVDataContent(csvData, filename, numberFormat, knownAccounts = []) {
   const errors = [];
   const warnings = [];
+  const rowIssues = [];
+  const invalidRows = [];
 
   if (!csvData || csvData.length === 0) {
     errors.push({
@@ -472,26 +525,27 @@ function validateCSVDataContent(csvData, filename) {
       message: 'CSV-filen innehåller ingen data',
       severity: 'error'
     });
-    return { isValid: false, errors, warnings };
+    return { isValid: false, errors, warnings, rowIssues, invalidRows };
   }
 
-  let validRows = 0;
-  const rowErrors = [];
+  // IG ID som Excel avrundat matchas mot kända konton via användarnamn
+  const accountIdIssues = validateAccountIds(csvData, knownAccounts);
 
-  // Validera varje rad
+  // Validera varje rad - rader med fel sätts i karantän, radvarningar importeras
   for (let i = 0; i < csvData.length; i++) {
     const row = csvData[i];
-    const rowValidation = validateDataRow(row, i + 1);
+    const rowValidation = validateDataRow(row, i + 1, numberFormat);
+    const idIssues = accountIdIssues.get(i + 1) || [];
     
-    if (rowValidation.isValid) {
-      validRows++;
-    } else {
-      rowErrors.push(...rowValidation.errors);
+    if (!rowValidation.isValid || idIssues.some(issue => issue.severity === 'error')) {
+      invalidRows.push(i + 1);
     }
     
-    warnings.push(...rowValidation.warnings);
+    rowIssues.push(...rowValidation.errors, ...idIssues, ...rowValidation.warnings);
   }
 
+  const validRows = csvData.length - invalidRows.length;
+
   // Kontrollera att vi har tillräckligt med giltiga rader
   if (validRows === 0) {
     errors.push({
@@ -507,32 +561,77 @@ function validateCSVDataContent(csvData, filename) {
     });
   }
 
-  // Lägg till rad-specifika fel som varningar (inte kritiska fel)
-  if (rowErrors.length > 0 && rowErrors.length < csvData.length * 0.5) {
+  // Enstaka felaktiga rader kan sättas i karantän, är hälften felaktiga stoppas filen
+  if (invalidRows.length > 0 && invalidRows.length < csvData.length * 0.5) {
     warnings.push({
       type: ERROR_TYPES.DATA_CONTENT,
-      message: `${rowErrors.length} rader har datafel men kan eventuellt processeras`,
-      severity: 'warning',
-      rowErrors: rowErrors.slice(0, 10) // Visa max 10 första felen
+      message: `${invalidRows.length} rader har datafel och sätts i karantän`,
+      severity: 'warning'
     });
-  } else if (rowErrors.length >= csvData.length * 0.5) {
+  } else if (invalidRows.length >= csvData.length * 0.5) {
     errors.push({
       type: ERROR_TYPES.DATA_CONTENT,
-      message: `För många datafel: ${rowErrors.length}/${csvData.length} rader har problem`,
+      message: `För många datafel: ${invalidRows.length}/${csvData.length} rader har problem`,
       severity: 'error'
     });
   }
 
-  return { isValid: errors.length === 0, errors, warnings };
+  return { isValid: errors.length === 0, errors, warnings, rowIssues, invalidRows };
+}
+
+/**
+ * Kontrollerar IG ID som Excel kan ha avrundat (exponentform eller nollade siffror)
+ * Matchade ID:n ger en varning, ID i exponentform utan matchning sätts i karantän
+ * eftersom de annars skulle dela upp ett konto i två
+ * @param {Array<Object>} csvData - Rader med standardkolumner
+ * @param {Array<Object>} knownAccounts - Kända konton {username, accountId}
+ * @returns {Map<number, Array<Object>>} - Problem per radnummer
+ */
+function validateAccountIds(csvData, knownAccounts) {
+  const { remapped, unresolved } = resolveAccountIds(csvData, knownAccounts);
+  const issuesByRow = new Map();
+
+  const addIssue = (rowNumber, message, severity) => {
+    const issues = issuesByRow.get(rowNumber) || [];
+    issues.push({ type: ERROR_TYPES.DATA_CONTENT, message, severity, rowNumber, field: 'IG ID' });
+    issuesByRow.set(rowNumber, issues);
+  };
+
+  for (const match of remapped) {
+    addIssue(
+      match.rowNumber,
+      `Rad ${match.rowNumber}: IG ID "${match.originalId}" har avrundats av Excel - matchas till ${match.username} (${match.accountId})`,
+      'warning'
+    );
+  }
+
+  for (const entry of unresolved) {
+    if (entry.issue === ACCOUNT_ID_ISSUES.SCIENTIFIC) {
+      addIssue(
+        entry.rowNumber,
+        `Rad ${entry.rowNumber}: IG ID "${entry.originalId}" har avrundats av Excel och kunde inte matchas mot ett känt konto`,
+        'error'
+      );
+    } else {
+      addIssue(
+        entry.rowNumber,
+        `Rad ${entry.rowNumber}: IG ID "${entry.originalId}" kan ha avrundats av Excel (nollor efter 15:e siffran) - importeras som det är`,
+        'warning'
+      );
+    }
+  }
+
+  return issuesByRow;
 }
 
 /**
  * Validerar en enskild datarad
  * @param {Object} row - CSV-rad att validera
  * @param {number} rowNumber - Radnummer för felmeddelanden
+ * @param {Object} numberFormat - Filens talformat
  * @returns {Object} - Valideringsresultat
  */
-function validateDataRow(row, rowNumber) {
+function validateDataRow(row, rowNumber, numberFormat) {
   const errors = [];
   const warnings = [];
 
@@ -541,7 +640,9 @@ function validateDataRow(row, rowNumber) {
     errors.push({
       type: ERROR_TYPES.DATA_CONTENT,
       message: `Rad ${rowNumber}: Saknar Account (användarnamn)`,
-      severity: 'error'
+      severity: 'error',
+      rowNumber,
+      field: 'Account'
     });
   }
 
@@ -549,32 +650,47 @@ function validateDataRow(row, rowNumber) {
     errors.push({
       type: ERROR_TYPES.DATA_CONTENT,
       message: `Rad ${rowNumber}: Saknar IG ID`,
-      severity: 'error'
+      severity: 'error',
+      rowNumber,
+      field: 'IG ID'
+    });
+  }
+
+  // Flaggade rader importeras men utesluts som standard från aggregering
+  if (normalizeStatus(row.Status) !== COMPLETED_STATUS) {
+    warnings.push({
+      type: ERROR_TYPES.DATA_CONTENT,
+      message: `Rad ${rowNumber}: Status ${normalizeStatus(row.Status)}${row.Comment ? ` (${row.Comment})` : ''} - raden flaggas`,
+      severity: 'warning',
+      rowNumber,
+      field: 'Status'
     });
   }
 
   // Kontrollera numeriska fält
-  const numericFields = ['Reach', 'Views', 'Followers', 'Status', 'Comment'];
+  const numericFields = getMetricCSVColumns();
   
   for (const field of numericFields) {
     const value = row[field];
+    const { value: numValue, valid } = parseLocaleNumber(value, numberFormat);
     
-    if (value !== undefined && value !== '' && value !== null) {
-      const numValue = parseFloat(String(value).replace(/,/g, ''));
-      
-      if (isNaN(numValue)) {
-        warnings.push({
-          type: ERROR_TYPES.DATA_CONTENT,
-          message: `Rad ${rowNumber}: ${field} är inte numeriskt: "${value}"`,
-          severity: 'warning'
-        });
-      } else if (numValue < 0) {
-        warnings.push({
-          type: ERROR_TYPES.DATA_CONTENT,
-          message: `Rad ${rowNumber}: ${field} är negativt: ${numValue}`,
-          severity: 'warning'
-        });
-      }
+    if (!valid) {
+      // Värdet importeras som saknat i stället för 0
+      warnings.push({
+        type: ERROR_TYPES.DATA_CONTENT,
+        message: `Rad ${rowNumber}: ${field} kunde inte tolkas som tal: "${value}" - värdet lämnas tomt`,
+        severity: 'warning',
+        rowNumber,
+        field
+      });
+    } else if (numValue !== null && numValue < 0) {
+      warnings.push({
+        type: ERROR_TYPES.DATA_CONTENT,
+        message: `Rad ${rowNumber}: ${field} är negativt: ${numValue}`,
+        severity: 'warning',
+        rowNumber,
+        field
+      });
     }
   }
 
@@ -582,24 +698,35 @@ function validateDataRow(row, rowNumber) {
 }
 
 /**
- * Läser filinnehåll som text
+ * Läser och validerar en CSV-fils innehåll
+ * Teckenkodning och avgränsare detekteras om de inte anges i options
  * @param {File} file - Fil att läsa
- * @returns {Promise<string>} - Filinnehåll
+ * @param {Object} options - {columnMapping, encoding, delimiter}
+ * @returns {Promise<Object>} - Valideringsresultat från validateCSVContent
  */
-async function readFileContent(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (event) => {
-      resolve(event.target.result);
-    };
-    
-    reader.onerror = () => {
-      reject(new Error(`Kunde inte läsa fil: ${file.name}`));
+async function validateFileContent(file, options) {
+  let textFormat;
+  try {
+    textFormat = await readCSVFile(file, { encoding: options.encoding, delimiter: options.delimiter });
+  } catch (error) {
+    return {
+      isValid: false,
+      errors: [{
+        type: ERROR_TYPES.CSV_STRUCTURE,
+        message: `Kunde inte läsa fil: ${file.name} (${error.message})`,
+        severity: 'error'
+      }],
+      warnings: []
     };
-    
-    reader.readAsText(file, VALIDATION_CONFIG.REQUIRED_ENCODING);
-  });
+  }
+
+  return validateCSVContent(
+    textFormat.text,
+    file.name,
+    options.columnMapping,
+    textFormat.delimiter,
+    options.knownAccounts
+  );
 }
 
 /**
@@ -639,7 +766,7 @@ export function formatValidationSummary(validationResult) {
     // Enskild fil
     if (validationResult.isValid) {
       const periodStr = validationResult.period 
-        ? `Period: ${validationResult.period.year}-${String(validationResult.period.month).padStart(2, '0')}`
+        ? `Period: ${formatPeriodForDisplay(validationResult.period)}`
         : '';
       
       return {
@@ -656,3 +783,85 @@ export function formatValidationSummary(validationResult) {
     }
   }
 }
+
+/**
+ * Delar upp rader i giltiga rader och karantän enligt ett valideringsresultat
+ * @param {Array<Object>} rows - Rader i samma ordning som vid valideringen
+ * @param {Object} fileResult - Resultat från validateFile
+ * @returns {Object} - {validRows, rowNumbers, quarantined: [{rowNumber, row, reasons}]}
+ */
+export function splitQuarantinedRows(rows, fileResult) {
+  if (!Array.isArray(rows)) {
+    throw new Error('splitQuarantinedRows kräver en lista med rader');
+  }
+
+  const quarantinedSet = new Set(fileResult?.quarantinedRows || []);
+  const validRows = [];
+  const rowNumbers = [];
+  const quarantined = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    if (quarantinedSet.has(rowNumber)) {
+      quarantined.push({
+        rowNumber,
+        row,
+        reasons: (fileResult.rowIssues || [])
+          .filter(issue => issue.rowNumber === rowNumber && issue.severity === 'error')
+          .map(issue => issue.message)
+      });
+    } else {
+      validRows.push(row);
+      rowNumbers.push(rowNumber);
+    }
+  });
+
+  return { validRows, rowNumbers, quarantined };
+}
+
+/**
+ * Citerar ett värde för CSV-rapporten
+ * @param {any} value - Värde att citera
+ * @returns {string} - CSV-säkert värde
+ */
+function escapeReportValue(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Skapar en nedladdningsbar valideringsrapport i CSV-format
+ * En rad per fel eller varning, radnummer räknas från första dataraden
+ * @param {Object} validationResult - Resultat från validateMultipleFiles
+ * @returns {string} - Rapport som CSV-text
+ */
+export function createValidationReport(validationResult) {
+  const lines = [['Fil', 'Rad', 'Fält', 'Allvarlighet', 'Meddelande', 'Karantän'].join(',')];
+
+  for (const fileResult of validationResult?.fileResults || []) {
+    const label = fileResult.fileInfo.label || fileResult.fileInfo.name;
+    const quarantined = new Set(fileResult.quarantinedRows);
+
+    const fileIssues = [...fileResult.errors, ...fileResult.warnings];
+    for (const issue of fileIssues) {
+      lines.push([label, '', '', issue.severity, issue.message, ''].map(escapeReportValue).join(','));
+    }
+
+    for (const issue of fileResult.rowIssues) {
+      lines.push([
+        label,
+        issue.rowNumber,
+        issue.field || '',
+        issue.severity,
+        issue.message,
+        quarantined.has(issue.rowNumber) ? 'ja' : 'nej'
+      ].map(escapeReportValue).join(','));
+    }
+
+    if (fileIssues.length === 0 && fileResult.rowIssues.length === 0) {
+      lines.push([label, '', '', 'ok', 'Inga problem hittades', ''].map(escapeReportValue).join(','));
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -4,7 +4,17 @@
  * Hanterar lagring av Instagram API månadsdata i webbläsaren
  * Använder localStorage för metadata och IndexedDB för stora datamängder
  * Anpassad för tidserie-data istället för post-baserad data
+ * Poster nycklas med periodnyckel (se period_granularity) - månader behåller "YYYY_M"
+ * så att poster sparade före vecko- och dagsstödet har samma id
  */
+import {
+  PERIOD_GRANULARITIES,
+  getPeriodKey,
+  parsePeriodKey,
+  comparePeriodOrder,
+  toPeriod,
+  normalizeFiscalYearStart
+} from '../core/period_granularity.js';
 
 // Lagringskonfiguration
 const STORAGE_CONFIG = {
@@ -16,7 +26,7 @@ const STORAGE_CONFIG = {
   },
   INDEXEDDB: {
     NAME: 'InstagramAnalyzerDB',
-    VERSION: 1,
+    VERSION: 2,
     STORES: {
       MONTHLY_DATA: 'monthlyData',
       TIMESERIES: 'timeseries'
@@ -45,7 +55,7 @@ async function initializeIndexedDB() {
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
       
-      // Store för månadsdata
+      // Store för periodsdata (månad, vecka eller dag)
       if (!db.objectStoreNames.contains(STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA)) {
         const monthlyStore = db.createObjectStore(STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA, {
           keyPath: 'id'
@@ -53,10 +63,12 @@ async function initializeIndexedDB() {
         
         // Index för snabbare sökningar
         monthlyStore.createIndex('accountId', 'accountId', { unique: false });
-        monthlyStore.createIndex('period', ['year', 'month'], { unique: false });
-        monthlyStore.createIndex('accountPeriod', ['accountId', 'year', 'month'], { unique: true });
+        monthlyStore.createIndex('period', 'periodKey', { unique: false });
+        monthlyStore.createIndex('accountPeriod', ['accountId', 'periodKey'], { unique: true });
         
         console.log('Created monthlyData store with indexes');
+      } else if (event.oldVersion < 2) {
+        migratePeriodIndexes(event.target.transaction);
       }
       
       // Store för tidsserier (aggregerad data per konto)
@@ -77,6 +89,65 @@ async function initializeIndexedDB() {
   });
 }
 
+/**
+ * Migrerar version 1 (endast månader, index på [year, month]) till periodnycklar
+ * Befintliga poster är månadsdata och får granularity och periodKey - id ändras inte
+ * @param {IDBTransaction} transaction - Uppgraderingstransaktionen
+ */
+function migratePeriodIndexes(transaction) {
+  const store = transaction.objectStore(STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA);
+
+  store.deleteIndex('period');
+  store.deleteIndex('accountPeriod');
+  store.createIndex('period', 'periodKey', { unique: false });
+  store.createIndex('accountPeriod', ['accountId', 'periodKey'], { unique: true });
+
+  store.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      console.log('Migrated monthlyData to period keys');
+      return;
+    }
+
+    if (!cursor.value.periodKey) {
+      cursor.update({
+        ...cursor.value,
+        granularity: PERIOD_GRANULARITIES.MONTH,
+        periodKey: getPeriodKey(cursor.value)
+      });
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Skapar storage-objekt från MonthlyAccountData
+ * Används även av import-workern så att huvudtråden kan spara färdiga poster
+ * @param {MonthlyAccountData} monthlyData - Periodsdata att konvertera
+ * @returns {Object} - Objekt redo att sparas i monthlyData-store
+ */
+export function createStorageObject(monthlyData) {
+  const periodKey = monthlyData.getPeriodKey();
+  return {
+    id: `${monthlyData.account.accountId}_${periodKey}`,
+    accountId: monthlyData.account.accountId,
+    username: monthlyData.account.username,
+    displayName: monthlyData.account.displayName,
+    year: monthlyData.year,
+    month: monthlyData.month,
+    granularity: monthlyData.granularity,
+    ...(monthlyData.week && { week: monthlyData.week }),
+    ...(monthlyData.day && { day: monthlyData.day }),
+    periodKey,
+    metrics: monthlyData.metrics,
+    sources: monthlyData.sources || {},
+    status: monthlyData.status,
+    comment: monthlyData.comment || '',
+    createdAt: monthlyData.createdAt || new Date(),
+    updatedAt: new Date()
+  };
+}
+
 /**
  * Sparar månadsdata för ett konto i IndexedDB
  * @param {MonthlyAccountData} monthlyData - Månadsdata att spara
@@ -91,17 +162,7 @@ export async function saveMonthlyData(monthlyData) {
     const db = await initializeIndexedDB();
     
     // Skapa storage-objekt
-    const storageObject = {
-      id: `${monthlyData.account.accountId}_${monthlyData.year}_${monthlyData.month}`,
-      accountId: monthlyData.account.accountId,
-      username: monthlyData.account.username,
-      displayName: monthlyData.account.displayName,
-      year: monthlyData.year,
-      month: monthlyData.month,
-      metrics: monthlyData.metrics,
-      createdAt: monthlyData.createdAt || new Date(),
-      updatedAt: new Date()
-    };
+    const storageObject = createStorageObject(monthlyData);
     
     return new Promise((resolve, reject) => {
       const transaction = db.transaction([STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA], 'readwrite');
@@ -127,21 +188,39 @@ export async function saveMonthlyData(monthlyData) {
 }
 
 /**
- * Sparar flera månadsdata i batch
+ * Sparar flera månadsdata i en atomisk batch (se saveStorageObjectsBatch)
  * @param {Array<MonthlyAccountData>} monthlyDataList - Lista med månadsdata
- * @returns {Promise<Object>} - Resultat med antal sparade och fel
+ * @returns {Promise<Object>} - Resultat med antal sparade poster
  */
 export async function saveMonthlyDataBatch(monthlyDataList) {
   if (!Array.isArray(monthlyDataList) || monthlyDataList.length === 0) {
     throw new Error('Tom eller ogiltig månadsdata-lista');
   }
   
-  const results = {
-    saved: 0,
-    failed: 0,
-    errors: []
-  };
-  
+  // Bygg alla storage-objekt innan transaktionen öppnas så att
+  // en ogiltig rad stoppar hela batchen innan något skrivs
+  const storageObjects = monthlyDataList.map((monthlyData, index) => {
+    if (!monthlyData || !monthlyData.account || !monthlyData.year || !monthlyData.month) {
+      throw new Error(`Ogiltig månadsdata för lagring (rad ${index + 1})`);
+    }
+    return createStorageObject(monthlyData);
+  });
+
+  return saveStorageObjectsBatch(storageObjects);
+}
+
+/**
+ * Sparar färdiga storage-objekt (se createStorageObject) i en atomisk batch
+ * Alla poster skrivs i en och samma transaktion - misslyckas någon rad
+ * avbryts transaktionen och inget av batchen sparas (rollback)
+ * @param {Array<Object>} storageObjects - Storage-objekt
+ * @returns {Promise<Object>} - Resultat med antal sparade poster
+ */
+export async function saveStorageObjectsBatch(storageObjects) {
+  if (!Array.isArray(storageObjects) || storageObjects.length === 0) {
+    throw new Error('Tom eller ogiltig lista med storage-objekt');
+  }
+
   try {
     const db = await initializeIndexedDB();
     
@@ -149,59 +228,46 @@ export async function saveMonthlyDataBatch(monthlyDataList) {
       const transaction = db.transaction([STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA], 'readwrite');
       const store = transaction.objectStore(STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA);
       
-      let completed = 0;
+      let failure = null;
+      
+      transaction.oncomplete = () => {
+        console.log(`Batch save completed: ${storageObjects.length} saved`);
+        resolve({
+          saved: storageObjects.length,
+          failed: 0,
+          errors: []
+        });
+      };
+      
+      transaction.onabort = () => {
+        const error = failure || transaction.error || new Error('Transaktionen avbröts');
+        console.error('Batch save rolled back:', error);
+        reject(error);
+      };
+      
+      const fail = (message) => {
+        if (!failure) {
+          failure = new Error(message);
+          transaction.abort();
+        }
+      };
       
-      for (const monthlyData of monthlyDataList) {
+      for (const storageObject of storageObjects) {
+        // put() kan kasta direkt (t.ex. DataCloneError) - då avbryts transaktionen så att
+        // redan köade poster inte sparas, och onabort avvisar
+        let request;
         try {
-          const storageObject = {
-            id: `${monthlyData.account.accountId}_${monthlyData.year}_${monthlyData.month}`,
-            accountId: monthlyData.account.accountId,
-            username: monthlyData.account.username,
-            displayName: monthlyData.account.displayName,
-            year: monthlyData.year,
-            month: monthlyData.month,
-            metrics: monthlyData.metrics,
-            createdAt: monthlyData.createdAt || new Date(),
-            updatedAt: new Date()
-          };
-          
-          const request = store.put(storageObject);
-          
-          request.onsuccess = () => {
-            results.saved++;
-            completed++;
-            
-            if (completed === monthlyDataList.length) {
-              console.log(`Batch save completed: ${results.saved} saved, ${results.failed} failed`);
-              resolve(results);
-            }
-          };
-          
-          request.onerror = () => {
-            results.failed++;
-            results.errors.push({
-              id: storageObject.id,
-              error: request.error.message
-            });
-            completed++;
-            
-            if (completed === monthlyDataList.length) {
-              resolve(results);
-            }
-          };
-          
+          request = store.put(storageObject);
         } catch (error) {
-          results.failed++;
-          results.errors.push({
-            data: monthlyData,
-            error: error.message
-          });
-          completed++;
-          
-          if (completed === monthlyDataList.length) {
-            resolve(results);
-          }
+          fail(`Kunde inte spara ${storageObject.id}: ${error.message}`);
+          return;
         }
+        
+        request.onerror = (event) => {
+          // Förhindra att felet bubblar vidare och avbryt hela batchen
+          event.preventDefault();
+          fail(`Kunde inte spara ${storageObject.id}: ${request.error?.message || 'okänt fel'}`);
+        };
       }
     });
     
@@ -212,15 +278,99 @@ export async function saveMonthlyDataBatch(monthlyDataList) {
 }
 
 /**
- * Hämtar månadsdata för ett specifikt konto och period
+ * Flyttar lagrade månadsposter mellan konton (sammanslagning eller uppdelning)
+ * Alla flyttar görs i en transaktion - saknas en post eller finns målposten redan
+ * avbryts transaktionen och ingenting ändras
+ * @param {Array<Object>} moves - Flyttar {year, month, granularity, week, day, fromAccountId, toAccountId}
+ * @returns {Promise<Object>} - Resultat med antal flyttade poster
+ */
+export async function reassignMonthlyData(moves) {
+  if (!Array.isArray(moves) || moves.length === 0) {
+    throw new Error('Tom eller ogiltig lista med flyttar');
+  }
+
+  try {
+    const db = await initializeIndexedDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA], 'readwrite');
+      const store = transaction.objectStore(STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA);
+
+      let failure = null;
+      const fail = (message) => {
+        if (!failure) {
+          failure = new Error(message);
+          transaction.abort();
+        }
+      };
+
+      transaction.oncomplete = () => {
+        console.log(`Reassign completed: ${moves.length} moved`);
+        resolve({ moved: moves.length });
+      };
+
+      transaction.onabort = () => {
+        const error = failure || transaction.error || new Error('Transaktionen avbröts');
+        console.error('Reassign rolled back:', error);
+        reject(error);
+      };
+
+      for (const move of moves) {
+        const periodKey = getPeriodKey(move);
+        const fromId = `${move.fromAccountId}_${periodKey}`;
+        const toId = `${move.toAccountId}_${periodKey}`;
+        let request;
+        try {
+          request = store.get(fromId);
+        } catch (error) {
+          fail(`Kunde inte flytta ${fromId}: ${error.message}`);
+          return;
+        }
+
+        request.onsuccess = () => {
+          if (!request.result) {
+            fail(`Kunde inte flytta ${fromId}: posten finns inte`);
+            return;
+          }
+
+          // add() misslyckas om målkontot redan har en post för perioden
+          // Kastar anropet direkt avbryts transaktionen så att inga flyttar sparas
+          try {
+            const addRequest = store.add({
+              ...request.result,
+              id: toId,
+              accountId: move.toAccountId,
+              updatedAt: new Date()
+            });
+            addRequest.onerror = (event) => {
+              event.preventDefault();
+              fail(`Kunde inte flytta ${fromId} till ${toId}: ${addRequest.error?.message || 'okänt fel'}`);
+            };
+            store.delete(fromId);
+          } catch (error) {
+            fail(`Kunde inte flytta ${fromId} till ${toId}: ${error.message}`);
+          }
+        };
+      }
+    });
+
+  } catch (error) {
+    console.error('Reassign failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Hämtar periodsdata för ett specifikt konto och period
  * @param {string} accountId - Konto-ID
- * @param {number} year - År
- * @param {number} month - Månad
- * @returns {Promise<Object|null>} - Månadsdata eller null
+ * @param {Object|number} periodOrYear - Period {year, month, granularity, week, day} eller år
+ * @param {number} month - Månad när andra argumentet är ett år
+ * @returns {Promise<Object|null>} - Periodsdata eller null
  */
-export async function getMonthlyData(accountId, year, month) {
-  if (!accountId || !year || !month) {
-    throw new Error('accountId, year och month krävs');
+export async function getMonthlyData(accountId, periodOrYear, month) {
+  const period = toPeriod(periodOrYear, month);
+  if (!accountId || !period.year || !period.month) {
+    throw new Error('accountId och period (eller year och month) krävs');
   }
   
   try {
@@ -231,7 +381,7 @@ export async function getMonthlyData(accountId, year, month) {
       const store = transaction.objectStore(STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA);
       const index = store.index('accountPeriod');
       
-      const request = index.get([accountId, year, month]);
+      const request = index.get([accountId, getPeriodKey(period)]);
       
       request.onsuccess = () => {
         resolve(request.result || null);
@@ -270,10 +420,7 @@ export async function getAccountTimeseries(accountId) {
       
       request.onsuccess = () => {
         // Sortera kronologiskt
-        const data = request.result.sort((a, b) => {
-          if (a.year !== b.year) return a.year - b.year;
-          return a.month - b.month;
-        });
+        const data = request.result.sort(comparePeriodOrder);
         
         resolve(data);
       };
@@ -291,13 +438,14 @@ export async function getAccountTimeseries(accountId) {
 
 /**
  * Hämtar data för alla konton för en specifik period
- * @param {number} year - År
- * @param {number} month - Månad
- * @returns {Promise<Array<Object>>} - Lista med månadsdata för alla konton
+ * @param {Object|number} periodOrYear - Period {year, month, granularity, week, day} eller år
+ * @param {number} month - Månad när första argumentet är ett år
+ * @returns {Promise<Array<Object>>} - Lista med periodsdata för alla konton
  */
-export async function getPeriodData(year, month) {
-  if (!year || !month) {
-    throw new Error('year och month krävs');
+export async function getPeriodData(periodOrYear, month) {
+  const period = toPeriod(periodOrYear, month);
+  if (!period.year || !period.month) {
+    throw new Error('period (eller year och month) krävs');
   }
   
   try {
@@ -308,7 +456,7 @@ export async function getPeriodData(year, month) {
       const store = transaction.objectStore(STORAGE_CONFIG.INDEXEDDB.STORES.MONTHLY_DATA);
       const index = store.index('period');
       
-      const request = index.getAll([year, month]);
+      const request = index.getAll(getPeriodKey(period));
       
       request.onsuccess = () => {
         // Sortera efter användarnamn
@@ -332,7 +480,7 @@ export async function getPeriodData(year, month) {
 
 /**
  * Hämtar alla unika perioder i databasen
- * @returns {Promise<Array<Object>>} - Lista med perioder {year, month}
+ * @returns {Promise<Array<Object>>} - Lista med perioder {year, month, granularity, week?, day?}
  */
 export async function getAllPeriods() {
   try {
@@ -348,18 +496,13 @@ export async function getAllPeriods() {
         const periodsSet = new Set();
         
         for (const item of request.result) {
-          periodsSet.add(`${item.year}_${item.month}`);
+          periodsSet.add(item.periodKey || getPeriodKey(item));
         }
         
         const periods = Array.from(periodsSet)
-          .map(key => {
-            const [year, month] = key.split('_');
-            return { year: parseInt(year), month: parseInt(month) };
-          })
-          .sort((a, b) => {
-            if (a.year !== b.year) return a.year - b.year;
-            return a.month - b.month;
-          });
+          .map(parsePeriodKey)
+          .filter(Boolean)
+          .sort(comparePeriodOrder);
         
         resolve(periods);
       };
@@ -458,6 +601,137 @@ export function getMetadata() {
   }
 }
 
+/**
+ * Hämtar användarinställningar från localStorage
+ * @returns {Object} - Inställningar (tomt objekt om inga finns)
+ */
+export function getSettings() {
+  try {
+    const stored = localStorage.getItem(STORAGE_CONFIG.LOCALSTORAGE_KEYS.SETTINGS);
+    return stored ? JSON.parse(stored) : {};
+    
+  } catch (error) {
+    console.error('Failed to get settings:', error);
+    return {};
+  }
+}
+
+/**
+ * Uppdaterar användarinställningar i localStorage
+ * Angivna nycklar slås ihop med befintliga inställningar
+ * @param {Object} updates - Inställningar att spara
+ * @returns {Object} - De sparade inställningarna
+ */
+export function saveSettings(updates) {
+  try {
+    const settings = {
+      ...getSettings(),
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+    
+    localStorage.setItem(
+      STORAGE_CONFIG.LOCALSTORAGE_KEYS.SETTINGS,
+      JSON.stringify(settings)
+    );
+    
+    return settings;
+    
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Hämtar räkenskapsårets startmånad för kvartal, halvår och år
+ * @returns {number} - Startmånad (1-12), januari om inget är inställt
+ */
+export function getFiscalYearStart() {
+  return normalizeFiscalYearStart(getSettings().fiscalYearStart);
+}
+
+/**
+ * Sparar räkenskapsårets startmånad
+ * @param {number} month - Startmånad (1-12)
+ * @returns {number} - Den sparade startmånaden
+ */
+export function saveFiscalYearStart(month) {
+  const value = parseInt(month, 10);
+  if (!Number.isInteger(value) || value < 1 || value > 12) {
+    throw new Error(`saveFiscalYearStart kräver en månad 1-12, fick ${month}`);
+  }
+
+  saveSettings({ fiscalYearStart: value });
+  return value;
+}
+
+/**
+ * Hämtar sparade importprofiler (kolumnmappningar)
+ * @returns {Array<Object>} - Profiler {name, headerSignature, headers, mapping, createdAt, updatedAt}
+ */
+export function getImportProfiles() {
+  const profiles = getSettings().importProfiles;
+  return Array.isArray(profiles) ? profiles : [];
+}
+
+/**
+ * Sparar en namngiven importprofil
+ * En profil med samma namn eller samma header-signatur ersätts
+ * @param {Object} profile - Profil {name, headerSignature, headers, mapping}
+ * @returns {Object} - Den sparade profilen
+ */
+export function saveImportProfile(profile) {
+  if (!profile || !profile.name || !profile.headerSignature || !profile.mapping) {
+    throw new Error('saveImportProfile kräver name, headerSignature och mapping');
+  }
+
+  const now = new Date().toISOString();
+  const existing = getImportProfiles();
+  const previous = existing.find(p => p.name === profile.name || p.headerSignature === profile.headerSignature);
+
+  const savedProfile = {
+    name: profile.name.trim(),
+    headerSignature: profile.headerSignature,
+    headers: profile.headers || [],
+    mapping: profile.mapping,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now
+  };
+
+  const remaining = existing.filter(p => p !== previous);
+  saveSettings({ importProfiles: [...remaining, savedProfile] });
+
+  console.log(`Import profile saved: ${savedProfile.name}`);
+  return savedProfile;
+}
+
+/**
+ * Tar bort en importprofil
+ * @param {string} name - Profilens namn
+ * @returns {boolean} - True om profilen fanns och togs bort
+ */
+export function deleteImportProfile(name) {
+  const existing = getImportProfiles();
+  const remaining = existing.filter(p => p.name !== name);
+
+  if (remaining.length === existing.length) {
+    return false;
+  }
+
+  saveSettings({ importProfiles: remaining });
+  return true;
+}
+
+/**
+ * Hittar en importprofil vars header-signatur matchar
+ * @param {string} headerSignature - Signatur från createHeaderSignature
+ * @returns {Object|null} - Matchande profil eller null
+ */
+export function findImportProfile(headerSignature) {
+  return getImportProfiles().find(p => p.headerSignature === headerSignature) || null;
+}
+
 /**
  * Beräknar lagringsstorlek och använd kapacitet
  * @returns {Promise<Object>} - Lagringsstatistik
@@ -530,8 +804,9 @@ export async function getStorageStats() {
  */
 export async function clearAllData() {
   try {
-    // Rensa localStorage
+    // Rensa localStorage (inställningar och importprofiler behålls)
     for (const key of Object.values(STORAGE_CONFIG.LOCALSTORAGE_KEYS)) {
+      if (key === STORAGE_CONFIG.LOCALSTORAGE_KEYS.SETTINGS) continue;
       localStorage.removeItem(key);
     }
     
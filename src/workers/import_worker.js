@@ -0,0 +1,134 @@
+/**
+ * Import Worker
+ *
+ * Parsar, validerar och konverterar uppladdade filer utanför huvudtråden.
+ * Parsade rader sparas i workern mellan stegen så att stora filer bara
+ * skickas tillbaka till gränssnittet som färdiga perioder med lagringsposter.
+ * Excel-arbetsböcker läses här när de väljs och ligger kvar tills filen tas bort.
+ *
+ * Meddelanden in: {type, requestId, batchId, payload}
+ *   workbook - {fileId, file} läser en arbetsbok och sammanfattar bladen (utan batch)
+ *   release  - {fileId} släpper en inläst arbetsbok (utan batch)
+ *   parse    - {unitId, file, encoding, delimiter} strömmar en CSV-fil
+ *   sheet    - {unitId, fileId, sheetName} läser ett blad ur en inläst arbetsbok
+ *   process  - {units, knownAccounts} validerar enheterna och bygger perioder
+ *   cancel   - avbryter batchen och släpper sparade rader
+ * Meddelanden ut: {type: 'progress'|'result'|'error', requestId, ...}
+ */
+import { streamCSVFile } from '../core/csv_processor.js';
+import { readWorkbook, readSheet, summarizeWorkbook } from '../core/excel_processor.js';
+import { processImportUnits } from '../core/import_pipeline.js';
+
+// Aktuell batch - en uppladdning åt gången
+let batch = null;
+
+// Inlästa arbetsböcker per fil-ID
+const workbooks = new Map();
+
+/**
+ * Hämtar batchen för ett meddelande, en ny batch ersätter och avbryter den gamla
+ * @param {string} batchId - Batchens ID
+ * @returns {Object} - {id, controller, parsed: Map}
+ */
+function getBatch(batchId) {
+  if (!batch || batch.id !== batchId) {
+    batch?.controller.abort();
+    batch = { id: batchId, controller: new AbortController(), parsed: new Map() };
+  }
+  return batch;
+}
+
+async function handleParse(current, payload, reportProgress) {
+  const { unitId, file, encoding, delimiter } = payload;
+  const result = await streamCSVFile(file, {
+    encoding,
+    delimiter,
+    signal: current.controller.signal,
+    onProgress: (progress) => reportProgress(unitId, progress)
+  });
+
+  current.parsed.set(unitId, { headers: result.headers, rows: result.rows, parseErrors: result.errors });
+
+  return {
+    headers: result.headers,
+    sampleRow: result.rows[0] || null,
+    rowCount: result.rows.length,
+    parseErrors: result.errors.slice(0, 1)
+  };
+}
+
+async function handleWorkbook(payload) {
+  const workbook = await readWorkbook(payload.file);
+  workbooks.set(payload.fileId, workbook);
+  return { sheets: summarizeWorkbook(workbook, payload.file.name) };
+}
+
+function handleSheet(current, payload) {
+  const workbook = workbooks.get(payload.fileId);
+  if (!workbook) {
+    throw new Error(`Bladet "${payload.sheetName}": arbetsboken har inte lästs in`);
+  }
+
+  const { headers, rows } = readSheet(workbook, payload.sheetName);
+  current.parsed.set(payload.unitId, { headers, rows, parseErrors: [] });
+
+  return { headers, sampleRow: rows[0] || null, rowCount: rows.length };
+}
+
+async function handleProcess(current, payload, reportProgress) {
+  const units = payload.units.map(unit => {
+    const parsed = current.parsed.get(unit.unitId);
+    if (!parsed) {
+      throw new Error(`${unit.label}: filen har inte lästs in`);
+    }
+    return { ...unit, parsed };
+  });
+
+  const result = await processImportUnits(units, {
+    knownAccounts: payload.knownAccounts,
+    signal: current.controller.signal,
+    onProgress: reportProgress
+  });
+
+  // Raderna behövs inte efter att perioderna byggts
+  current.parsed.clear();
+  return result;
+}
+
+self.onmessage = async (event) => {
+  const { type, requestId, batchId, payload } = event.data;
+
+  if (type === 'cancel') {
+    if (batch?.id === batchId) {
+      batch.controller.abort();
+      batch = null;
+    }
+    return;
+  }
+
+  const reportProgress = (unitId, progress) => {
+    self.postMessage({ type: 'progress', requestId, unitId, progress });
+  };
+
+  try {
+    let result;
+    if (type === 'workbook') {
+      result = await handleWorkbook(payload);
+    } else if (type === 'release') {
+      workbooks.delete(payload.fileId);
+      result = null;
+    } else if (type === 'parse') {
+      result = await handleParse(getBatch(batchId), payload, reportProgress);
+    } else if (type === 'sheet') {
+      result = handleSheet(getBatch(batchId), payload);
+    } else if (type === 'process') {
+      result = await handleProcess(getBatch(batchId), payload, reportProgress);
+    } else {
+      throw new Error(`Okänd meddelandetyp: ${type}`);
+    }
+
+    self.postMessage({ type: 'result', requestId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, error: { name: error.name, message: error.message } });
+  }
+};
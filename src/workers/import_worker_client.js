@@ -0,0 +1,167 @@
+/**
+ * Import Worker Client
+ *
+ * Promise-baserat gränssnitt mot import-workern. Varje uppladdning är en batch -
+ * parsade rader ligger kvar i workern tills batchen behandlats eller avbrutits.
+ * Inlästa arbetsböcker hör inte till någon batch och ligger kvar tills de släpps.
+ */
+
+/**
+ * Skapar ett AbortError för avbruten import
+ * @returns {DOMException} - Fel med namnet AbortError
+ */
+function createAbortError() {
+  return new DOMException('Importen avbröts', 'AbortError');
+}
+
+/**
+ * Återskapar ett fel som skickats från workern
+ * @param {Object} error - {name, message}
+ * @returns {Error} - Fel med samma namn och meddelande
+ */
+function restoreError(error) {
+  if (error.name === 'AbortError') {
+    return createAbortError();
+  }
+  const restored = new Error(error.message);
+  restored.name = error.name;
+  return restored;
+}
+
+/**
+ * Skapar en klient för import-workern
+ * @returns {Object} - {loadWorkbook, releaseWorkbook, startBatch, parseFile, parseSheet, processUnits, cancel, terminate}
+ */
+export function createImportWorkerClient() {
+  const worker = new Worker(new URL('./import_worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextRequestId = 1;
+  let batchId = null;
+
+  worker.onmessage = (event) => {
+    const { type, requestId } = event.data;
+    const request = pending.get(requestId);
+    if (!request) return;
+
+    if (type === 'progress') {
+      request.onProgress?.(event.data.unitId, event.data.progress);
+      return;
+    }
+
+    pending.delete(requestId);
+    if (type === 'result') {
+      request.resolve(event.data.result);
+    } else {
+      request.reject(restoreError(event.data.error));
+    }
+  };
+
+  worker.onerror = (event) => {
+    const error = new Error(`Importen kunde inte köras: ${event.message || 'okänt fel i workern'}`);
+    for (const request of pending.values()) {
+      request.reject(error);
+    }
+    pending.clear();
+  };
+
+  const request = (type, payload, onProgress, inBatch) => {
+    const requestId = nextRequestId++;
+    return new Promise((resolve, reject) => {
+      pending.set(requestId, { resolve, reject, onProgress, inBatch });
+      worker.postMessage({ type, requestId, batchId: inBatch ? batchId : null, payload });
+    });
+  };
+
+  const send = (type, payload, onProgress) => {
+    if (!batchId) {
+      return Promise.reject(new Error(`${type} kräver en startad batch`));
+    }
+    return request(type, payload, onProgress, true);
+  };
+
+  // Avbryter batchen - väntande anrop i batchen avvisas med AbortError
+  const cancel = () => {
+    if (!batchId) return;
+
+    worker.postMessage({ type: 'cancel', batchId });
+    batchId = null;
+    for (const [requestId, pendingRequest] of pending) {
+      if (!pendingRequest.inBatch) continue;
+      pendingRequest.reject(createAbortError());
+      pending.delete(requestId);
+    }
+  };
+
+  return {
+    /**
+     * Läser en Excel-arbetsbok i workern och sammanfattar bladen (se summarizeWorkbook)
+     * @param {string} fileId - Filens ID
+     * @param {File} file - Excel-fil
+     * @returns {Promise<Object>} - {sheets}
+     */
+    loadWorkbook(fileId, file) {
+      return request('workbook', { fileId, file }, null, false);
+    },
+
+    /**
+     * Släpper en inläst arbetsbok, t.ex. när filen tas bort från listan
+     * @param {string} fileId - Filens ID
+     */
+    releaseWorkbook(fileId) {
+      request('release', { fileId }, null, false);
+    },
+
+    /**
+     * Startar en ny batch - rader från tidigare batcher släpps
+     */
+    startBatch() {
+      batchId = Math.random().toString(36).slice(2);
+    },
+
+    /**
+     * Strömmar en CSV-fil i workern
+     * @param {string} unitId - Importenhetens ID
+     * @param {File} file - CSV-fil
+     * @param {Object} format - {encoding, delimiter}
+     * @param {Function} onProgress - Anropas med (unitId, andel 0-1)
+     * @returns {Promise<Object>} - {headers, sampleRow, rowCount, parseErrors}
+     */
+    parseFile(unitId, file, format, onProgress) {
+      return send('parse', { unitId, file, encoding: format.encoding, delimiter: format.delimiter }, onProgress);
+    },
+
+    /**
+     * Läser ett blad ur en inläst arbetsbok i workern
+     * @param {string} unitId - Importenhetens ID
+     * @param {string} fileId - Arbetsbokens fil-ID
+     * @param {string} sheetName - Bladets namn
+     * @returns {Promise<Object>} - {headers, sampleRow, rowCount}
+     */
+    parseSheet(unitId, fileId, sheetName) {
+      return send('sheet', { unitId, fileId, sheetName });
+    },
+
+    /**
+     * Validerar enheterna och bygger perioder (se processImportUnits)
+     * @param {Array<Object>} units - Enheter utan parsade rader
+     * @param {Array<Object>} knownAccounts - Konton {username, accountId}
+     * @param {Function} onProgress - Anropas med (unitId, andel 0-1)
+     * @returns {Promise<Object>} - {report, periods, quarantined, warnings, invalidUnitIds} - perioderna har
+     *   lagringsposter (records) redo för saveStorageObjectsBatch
+     */
+    processUnits(units, knownAccounts, onProgress) {
+      const accounts = knownAccounts.map(account => ({ username: account.username, accountId: account.accountId }));
+      return send('process', { units, knownAccounts: accounts }, onProgress);
+    },
+
+    cancel,
+
+    /**
+     * Avbryter batchen och avslutar workern
+     */
+    terminate() {
+      cancel();
+      worker.terminate();
+    }
+  };
+}